@@ -0,0 +1,72 @@
+import express from 'express';
+import cors from 'cors';
+import morgan from 'morgan';
+import dotenv from 'dotenv';
+import rateLimit from 'express-rate-limit';
+import authRouter from './routes/auth.routes.js';
+import worklogRoutes from './routes/worklog.routes.js';
+import companiesRouter from './routes/companies.routes.js';
+import zzpUsersRouter from './routes/zzp-users.routes.js';
+import statementsRouter from './routes/statements.routes.js';
+import invoicesRouter from './routes/invoices.routes.js';
+import expensesRouter from './routes/expenses.routes.js';
+import btwRouter from './routes/btw.routes.js';
+import aiAccountantRouter from './routes/aiAccountant.routes.js';
+import membersRouter from './routes/members.routes.js';
+import tariffsRouter from './routes/tariffs.routes.js';
+import { authenticate } from './middleware/auth.js';
+
+dotenv.config();
+
+/**
+ * Express application
+ * Kept separate from index.js so tests can drive it without opening a port
+ */
+const app = express();
+
+// Rate limiting middleware
+// Global rate limiter protects all endpoints from abuse
+// Applied before other middleware to limit resource consumption
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requests per windowMs
+  message: { error: 'Te veel verzoeken. Probeer het later opnieuw.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Integration tests fire many requests from one address
+  skip: () => process.env.NODE_ENV === 'test'
+});
+
+// Middleware
+app.use(limiter);
+app.use(cors());
+app.use(express.json());
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+
+// Health check route
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', service: 'smart-zzp-hub-backend' });
+});
+
+// Mount routes
+// Everything except /api/auth requires a valid JWT; tenant checks happen per router
+app.use('/api/auth', authRouter);
+app.use('/api/worklogs', authenticate, worklogRoutes);
+app.use('/api/companies', authenticate, companiesRouter);
+app.use('/api/zzp-users', authenticate, zzpUsersRouter);
+app.use('/api/statements', authenticate, statementsRouter);
+app.use('/api/invoices', authenticate, invoicesRouter);
+app.use('/api/expenses', authenticate, expensesRouter);
+app.use('/api/btw', authenticate, btwRouter);
+app.use('/api/ai/accountant', authenticate, aiAccountantRouter);
+app.use('/api/members', authenticate, membersRouter);
+app.use('/api/tariffs', authenticate, tariffsRouter);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ error: 'Niet gevonden' });
+});
+
+export default app;
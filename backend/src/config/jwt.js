@@ -5,7 +5,9 @@ dotenv.config();
 
 // JWT Configuration
 export const JWT_SECRET = process.env.JWT_SECRET || 'smart-zzp-hub-dev-secret-change-in-production';
-export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
 
 // Ensure JWT_SECRET is set in production
 if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
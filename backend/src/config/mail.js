@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Mail configuration
+// MAIL_TRANSPORT: "outbox" writes messages to MAIL_OUTBOX_DIR (development), "smtp" sends them
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'outbox';
+export const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+export const MAIL_FROM = process.env.MAIL_FROM || 'Smart ZZP Hub <no-reply@smartzzphub.nl>';
+
+export const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+export const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+export const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+export const SMTP_USER = process.env.SMTP_USER || '';
+export const SMTP_PASS = process.env.SMTP_PASS || '';
+
+// Public URL of the frontend, used for links in emails
+export const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Warn when production mail would silently end up in the outbox
+if (process.env.NODE_ENV === 'production' && MAIL_TRANSPORT === 'outbox') {
+  console.warn('WARNING: MAIL_TRANSPORT is "outbox" in production. Emails will not be delivered.');
+}
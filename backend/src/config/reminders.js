@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Payment reminder job configuration
+// REMINDERS_ENABLED: "false" disables the scheduled job (e.g. on a second server instance)
+export const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED !== 'false';
+export const REMINDER_INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 60;
+
+// Days past the due date for the friendly reminder, the second reminder and the formal notice
+export const REMINDER_SCHEDULE_DAYS = (process.env.REMINDER_SCHEDULE_DAYS || '7,21,35')
+  .split(',')
+  .map(days => parseInt(days, 10));
+
+// Minimum number of days between two reminders for the same invoice
+export const REMINDER_MIN_INTERVAL_DAYS = parseInt(process.env.REMINDER_MIN_INTERVAL_DAYS, 10) || 7;
+
+// Statutory commercial interest (wettelijke handelsrente) in percent per year
+export const STATUTORY_INTEREST_RATE = parseFloat(process.env.STATUTORY_INTEREST_RATE) || 10.15;
+
+if (
+  REMINDER_SCHEDULE_DAYS.length !== 3 ||
+  REMINDER_SCHEDULE_DAYS.some((days, index) => !Number.isInteger(days) || days < 0 ||
+    (index > 0 && days <= REMINDER_SCHEDULE_DAYS[index - 1]))
+) {
+  console.error('CRITICAL: REMINDER_SCHEDULE_DAYS must be three increasing day counts, e.g. "7,21,35"');
+  process.exit(1);
+}
@@ -0,0 +1,73 @@
+/**
+ * Company membership roles and their permissions
+ * Every company user acts for one company through a row in company_members
+ */
+
+// Roles in descending order of authority
+export const COMPANY_ROLES = ['owner', 'admin', 'planner', 'bookkeeper', 'viewer'];
+
+// All permissions known to the API
+export const PERMISSIONS = [
+  'company:read',
+  'company:write',
+  'members:read',
+  'members:manage',
+  'zzp-users:read',
+  'zzp-users:write',
+  'worklogs:read',
+  'worklogs:write',
+  'tariffs:read',
+  'tariffs:write',
+  'statements:read',
+  'statements:generate',
+  'statements:approve',
+  'invoices:read',
+  'invoices:write',
+  'btw:read',
+  'btw:write'
+];
+
+const READ_PERMISSIONS = PERMISSIONS.filter(p => p.endsWith(':read'));
+
+// Permissions per role
+export const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  admin: PERMISSIONS,
+  planner: [
+    'company:read',
+    'members:read',
+    'zzp-users:read',
+    'zzp-users:write',
+    'worklogs:read',
+    'worklogs:write',
+    'tariffs:read',
+    'statements:read'
+  ],
+  bookkeeper: [
+    'company:read',
+    'members:read',
+    'zzp-users:read',
+    'worklogs:read',
+    'tariffs:read',
+    'tariffs:write',
+    'statements:read',
+    'statements:generate',
+    'statements:approve',
+    'invoices:read',
+    'invoices:write',
+    'btw:read',
+    'btw:write'
+  ],
+  viewer: READ_PERMISSIONS
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Membership role
+ * @param {string} permission - Permission name (e.g. "worklogs:write")
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Array.isArray(permissions) && permissions.includes(permission);
+}
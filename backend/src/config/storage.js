@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// File storage configuration
+// STORAGE_DRIVER: "local" stores files under STORAGE_LOCAL_DIR
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+export const STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || './storage';
@@ -27,4 +27,26 @@ export async function query(text, params) {
   return pool.query(text, params);
 }
 
+/**
+ * Run a function inside a database transaction
+ * The callback receives a client whose query() runs in the transaction;
+ * it is committed when the callback resolves and rolled back when it throws.
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise} - Result of fn
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 export { pool };
@@ -0,0 +1,139 @@
+import { sendError } from '../utils/error.js';
+import { query } from '../db/client.js';
+import { hasPermission } from '../config/roles.js';
+
+/**
+ * Tenant ownership helpers
+ * A company user may only touch rows carrying its own company_id,
+ * a ZZP user only rows carrying its own zzp_id.
+ * Expects req.user to be set by the authenticate middleware.
+ */
+
+/**
+ * Restrict a router or route to specific user types
+ * @param {...string} userTypes - Allowed user types ('zzp', 'company')
+ * @returns {Function} - Express middleware
+ */
+export function requireUserType(...userTypes) {
+  return (req, res, next) => {
+    if (!req.user || !userTypes.includes(req.user.userType)) {
+      return sendError(res, 403, 'Geen toegang');
+    }
+    next();
+  };
+}
+
+/**
+ * Look up the role of a user within a company
+ * @param {string} userId - User ID
+ * @param {string} companyId - Company ID
+ * @returns {Promise<string|null>} - Role or null when not a member
+ */
+export async function getMemberRole(userId, companyId) {
+  if (!userId || !companyId) {
+    return null;
+  }
+
+  const result = await query(
+    'SELECT role FROM company_members WHERE user_id = $1 AND company_id = $2',
+    [userId, companyId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+/**
+ * Require a company permission for the authenticated company member.
+ * The role is read from company_members on every request, so role changes apply immediately.
+ * When the company requires 2FA, members without 2FA are refused until they enroll.
+ * ZZP users pass through; their access is limited by the ownership checks.
+ * Combine with requireUserType('company') for company-only routes.
+ * @param {string} permission - Permission name (see config/roles.js)
+ * @returns {Function} - Express middleware
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 403, 'Geen toegang');
+    }
+
+    if (req.user.userType !== 'company') {
+      return next();
+    }
+
+    try {
+      const result = await query(
+        `SELECT m.role, c.require_2fa, u.totp_enabled_at
+         FROM company_members m
+         JOIN companies c ON c.id = m.company_id
+         JOIN users u ON u.id = m.user_id
+         WHERE m.user_id = $1 AND m.company_id = $2`,
+        [req.user.userId, req.user.profileId]
+      );
+      const member = result.rows[0];
+      if (!member || !hasPermission(member.role, permission)) {
+        return sendError(res, 403, 'Onvoldoende rechten');
+      }
+      // Members of a company that requires 2FA must enroll before using company data
+      if (member.require_2fa && !member.totp_enabled_at) {
+        return sendError(res, 403, 'Tweestapsverificatie is verplicht voor dit bedrijf');
+      }
+      req.user.role = member.role;
+      next();
+    } catch (error) {
+      console.error('Error checking permissions:', error);
+      sendError(res, 500, 'Kon rechten niet controleren');
+    }
+  };
+}
+
+/**
+ * Check whether a row belongs to the authenticated user
+ * @param {Object} user - req.user
+ * @param {Object} row - Database row with company_id and/or zzp_id
+ * @returns {boolean} - True if the user owns the row
+ */
+export function ownsRow(user, row) {
+  if (!user || !row || !user.profileId) {
+    return false;
+  }
+
+  if (user.userType === 'company') {
+    return row.company_id === user.profileId;
+  }
+
+  if (user.userType === 'zzp') {
+    return row.zzp_id === user.profileId;
+  }
+
+  return false;
+}
+
+/**
+ * Resolve companyId/zzpId filters against the authenticated user.
+ * The user's own ID is always enforced; asking for another tenant's ID is forbidden.
+ * @param {Object} user - req.user
+ * @param {Object} filters - { companyId, zzpId } as supplied by the client
+ * @returns {Object} - { companyId, zzpId } or { forbidden: true }
+ */
+export function scopeFilters(user, { companyId, zzpId } = {}) {
+  if (!user || !user.profileId) {
+    return { forbidden: true };
+  }
+
+  if (user.userType === 'company') {
+    if (companyId && companyId !== user.profileId) {
+      return { forbidden: true };
+    }
+    return { companyId: user.profileId, zzpId: zzpId || null };
+  }
+
+  if (user.userType === 'zzp') {
+    if (zzpId && zzpId !== user.profileId) {
+      return { forbidden: true };
+    }
+    return { companyId: companyId || null, zzpId: user.profileId };
+  }
+
+  return { forbidden: true };
+}
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import { sendError } from '../utils/error.js';
 import { calcBTW } from '../utils/calc.js';
 import { query } from '../db/client.js';
+import { requireUserType } from '../middleware/tenant.js';
 
 const router = Router();
 
@@ -272,7 +273,7 @@ function classifyQuestion(question) {
  * Smart AI Accountant endpoint - comprehensive financial analysis for ZZP users
  * Request body: { zzpId, question (optional) }
  */
-router.post('/', async (req, res) => {
+router.post('/', requireUserType('zzp'), async (req, res) => {
   try {
     const { zzpId, question } = req.body;
     
@@ -284,6 +285,10 @@ router.post('/', async (req, res) => {
     if (!UUID_REGEX.test(zzpId)) {
       return sendError(res, 400, 'Ongeldige ZZP-ID');
     }
+
+    if (zzpId !== req.user.profileId) {
+      return sendError(res, 403, 'Geen toegang');
+    }
     
     // Calculate date ranges (24 months for comprehensive analysis)
     const now = new Date();
@@ -306,11 +311,27 @@ router.post('/', async (req, res) => {
       [zzpId, formatDate(date24MonthsAgo)]
     );
     
+    // Payments by the month they were received; payments include BTW, so count the part
+    // excluding BTW like the statement amounts
+    const paymentsResult = await query(
+      `SELECT 
+        TO_CHAR(p.payment_date, 'YYYY-MM') as month,
+        SUM(p.amount * i.subtotal / NULLIF(i.total, 0)) as amount
+       FROM payments p
+       JOIN invoices i ON p.invoice_id = i.id
+       JOIN statements s ON i.statement_id = s.id
+       WHERE s.zzp_id = $1
+         AND p.payment_date >= $2
+       GROUP BY month`,
+      [zzpId, formatDate(date24MonthsAgo)]
+    );
+    
     // Fetch all expenses with details
     const expensesResult = await query(
       `SELECT 
         TO_CHAR(expense_date, 'YYYY-MM') as month,
-        amount
+        amount,
+        ROUND(btw_amount * deductible_percent / 100, 2) as deductible_btw
        FROM expenses
        WHERE zzp_id = $1
          AND expense_date >= $2
@@ -318,31 +339,42 @@ router.post('/', async (req, res) => {
       [zzpId, formatDate(date24MonthsAgo)]
     );
     
+    // Under the KOR no BTW is charged or deducted
+    const regimeResult = await query('SELECT vat_regime FROM zzp_users WHERE id = $1', [zzpId]);
+    const isKor = regimeResult.rows[0]?.vat_regime === 'kor';
+
     // Aggregate monthly data
     const monthlyMap = new Map();
     
-    // Process statements (focus on paid, but include all)
+    // Process statements (all income, by the month the statement was made)
     statementsResult.rows.forEach(row => {
       const month = row.month;
       if (!monthlyMap.has(month)) {
-        monthlyMap.set(month, { month, income: 0, paidIncome: 0, expenses: 0 });
+        monthlyMap.set(month, { month, income: 0, paidIncome: 0, expenses: 0, expenseBtw: 0 });
       }
       const data = monthlyMap.get(month);
-      const amount = parseFloat(row.total_amount) || 0;
-      data.income += amount;
-      if (row.status === 'paid') {
-        data.paidIncome += amount;
+      data.income += parseFloat(row.total_amount) || 0;
+    });
+
+    // Process payments (paid income, by the month it was received)
+    paymentsResult.rows.forEach(row => {
+      const month = row.month;
+      if (!monthlyMap.has(month)) {
+        monthlyMap.set(month, { month, income: 0, paidIncome: 0, expenses: 0, expenseBtw: 0 });
       }
+      const data = monthlyMap.get(month);
+      data.paidIncome += parseFloat(row.amount) || 0;
     });
     
     // Process expenses
     expensesResult.rows.forEach(row => {
       const month = row.month;
       if (!monthlyMap.has(month)) {
-        monthlyMap.set(month, { month, income: 0, paidIncome: 0, expenses: 0 });
+        monthlyMap.set(month, { month, income: 0, paidIncome: 0, expenses: 0, expenseBtw: 0 });
       }
       const data = monthlyMap.get(month);
       data.expenses += parseFloat(row.amount) || 0;
+      data.expenseBtw += parseFloat(row.deductible_btw) || 0;
     });
     
     // Convert to sorted array and calculate net profit
@@ -362,7 +394,7 @@ router.post('/', async (req, res) => {
         const netProfit = Number((income - expenses).toFixed(2));
         
         monthlyIncome.push({ month, amount: income });
-        monthlyExpenses.push({ month, amount: expenses });
+        monthlyExpenses.push({ month, amount: expenses, btw: Number(data.expenseBtw.toFixed(2)) });
         monthlyNetProfit.push({ month, amount: netProfit });
         
         monthlyData.topMonths.push({ month, income, netProfit });
@@ -432,7 +464,7 @@ router.post('/', async (req, res) => {
       const key = `${year}-Q${quarter}`;
       
       if (!quarterMap.has(key)) {
-        quarterMap.set(key, { year: parseInt(year), quarter, income: 0, expenses: 0 });
+        quarterMap.set(key, { year: parseInt(year), quarter, income: 0, expenses: 0, expenseBtw: 0 });
       }
       quarterMap.get(key).income += m.amount;
     });
@@ -443,16 +475,18 @@ router.post('/', async (req, res) => {
       const key = `${year}-Q${quarter}`;
       
       if (!quarterMap.has(key)) {
-        quarterMap.set(key, { year: parseInt(year), quarter, income: 0, expenses: 0 });
+        quarterMap.set(key, { year: parseInt(year), quarter, income: 0, expenses: 0, expenseBtw: 0 });
       }
       quarterMap.get(key).expenses += m.amount;
+      quarterMap.get(key).expenseBtw += m.btw;
     });
     
     Array.from(quarterMap.values())
       .sort((a, b) => a.year - b.year || a.quarter - b.quarter)
       .forEach(q => {
-        const btwOmzet = calcBTW(q.income);
-        const btwKosten = calcBTW(q.expenses);
+        const btwOmzet = isKor ? 0 : calcBTW(q.income);
+        // Voorbelasting as on the receipts
+        const btwKosten = isKor ? 0 : q.expenseBtw;
         const btwToPay = Number((btwOmzet - btwKosten).toFixed(2));
         
         btwPerQuarter.push({
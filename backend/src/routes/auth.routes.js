@@ -2,18 +2,127 @@ import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { query } from '../db/client.js';
-import { JWT_SECRET, JWT_EXPIRES_IN } from '../config/jwt.js';
+import { JWT_SECRET } from '../config/jwt.js';
 import { sendError } from '../utils/error.js';
+import { findPendingInvite, acceptInvite } from '../utils/invites.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../utils/sessions.js';
+import { getMemberRole } from '../middleware/tenant.js';
+import { authenticate } from '../middleware/auth.js';
+import { issueUserToken, consumeUserToken } from '../utils/userTokens.js';
+import { sendMail } from '../utils/mail.js';
+import { createDefaultTariffs } from '../utils/tariffs.js';
+import { FRONTEND_URL } from '../config/mail.js';
+import { signChallengeToken, verifyChallengeToken } from '../utils/tokens.js';
+import { generateTotpSecret, buildOtpauthUri, encryptSecret } from '../utils/totp.js';
+import {
+  verifyUserTotp,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  isTwoFactorRequired
+} from '../utils/twoFactor.js';
 
 const router = Router();
 
+/**
+ * Send the email address verification link
+ * @param {Object} user - { id, email, full_name }
+ */
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.id, 'email_verification');
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Bevestig uw e-mailadres - Smart ZZP Hub',
+    text: `Hallo ${user.full_name || ''},\n\n` +
+      `Bevestig uw e-mailadres via de volgende link (24 uur geldig):\n${link}\n\n` +
+      'Heeft u zich niet aangemeld? Dan kunt u deze e-mail negeren.'
+  });
+}
+
+/**
+ * Send the password reset link
+ * @param {Object} user - { id, email, full_name }
+ */
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user.id, 'password_reset');
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Wachtwoord herstellen - Smart ZZP Hub',
+    text: `Hallo ${user.full_name || ''},\n\n` +
+      `Stel een nieuw wachtwoord in via de volgende link (1 uur geldig):\n${link}\n\n` +
+      'Heeft u dit niet aangevraagd? Dan kunt u deze e-mail negeren.'
+  });
+}
+
+/**
+ * Start a session after a completed login
+ * @param {Object} user - { id, email, full_name, user_type }
+ * @returns {Promise<Object>} - Login response { token, refreshToken, user }
+ */
+async function startLoginSession(user) {
+  // Get profile ID based on user type
+  let profileId = null;
+  let role = null;
+  if (user.user_type === 'zzp') {
+    const zzpResult = await query(
+      'SELECT id FROM zzp_users WHERE user_id = $1 LIMIT 1',
+      [user.id]
+    );
+    if (zzpResult.rows.length > 0) {
+      profileId = zzpResult.rows[0].id;
+    }
+  } else {
+    // Company users act for the company they joined first
+    const memberResult = await query(
+      `SELECT company_id, role FROM company_members
+       WHERE user_id = $1
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [user.id]
+    );
+    if (memberResult.rows.length > 0) {
+      profileId = memberResult.rows[0].company_id;
+      role = memberResult.rows[0].role;
+    }
+  }
+
+  // Start a session (access token + refresh token)
+  const { token, refreshToken } = await createSession({
+    userId: user.id,
+    email: user.email,
+    userType: user.user_type,
+    profileId
+  });
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      fullName: user.full_name,
+      userType: user.user_type,
+      profileId: profileId,
+      role,
+      twoFactorEnabled: Boolean(user.totp_enabled_at)
+    }
+  };
+}
+
 /**
  * POST /api/auth/register
  * Register a new user
+ * Body: { email, password, fullName, userType, inviteToken (optional) }
+ * With an inviteToken the user joins the inviting company instead of creating one.
+ * The account can log in after the emailed verification link has been used.
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, fullName, userType } = req.body;
+    const { email, password, fullName, userType, inviteToken } = req.body;
 
     // Validate required fields
     if (!email || !password) {
@@ -24,6 +133,21 @@ router.post('/register', async (req, res) => {
       return sendError(res, 400, 'Ongeldig gebruikerstype');
     }
 
+    // Validate invite before creating anything
+    let invite = null;
+    if (inviteToken) {
+      if (userType !== 'company') {
+        return sendError(res, 400, 'Uitnodigingen zijn alleen voor bedrijfsaccounts');
+      }
+      invite = await findPendingInvite(inviteToken);
+      if (!invite) {
+        return sendError(res, 400, 'Ongeldige of verlopen uitnodiging');
+      }
+      if (invite.email !== email.toLowerCase()) {
+        return sendError(res, 400, 'Uitnodiging hoort bij een ander e-mailadres');
+      }
+    }
+
     // Check if email already exists
     const existingUser = await query(
       'SELECT id FROM users WHERE email = $1',
@@ -50,6 +174,7 @@ router.post('/register', async (req, res) => {
 
     // Create associated profile based on user type
     let profileId = null;
+    let role = null;
     if (userType === 'zzp') {
       // First create a placeholder company for the ZZP user
       const companyResult = await query(
@@ -67,6 +192,11 @@ router.post('/register', async (req, res) => {
         [user.id, companyResult.rows[0].id, fullName || null, email.toLowerCase()]
       );
       profileId = zzpResult.rows[0].id;
+    } else if (invite) {
+      // Join the inviting company
+      const membership = await acceptInvite(invite, user.id);
+      profileId = membership.company_id;
+      role = membership.role;
     } else {
       // Create company profile
       const companyResult = await query(
@@ -76,28 +206,34 @@ router.post('/register', async (req, res) => {
         [user.id, fullName || 'Nieuw Bedrijf', email.toLowerCase()]
       );
       profileId = companyResult.rows[0].id;
+
+      // The registering user owns the new company
+      await query(
+        `INSERT INTO company_members (company_id, user_id, role)
+         VALUES ($1, $2, 'owner')`,
+        [profileId, user.id]
+      );
+      role = 'owner';
+
+      await createDefaultTariffs(profileId);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        userType: user.user_type,
-        profileId: profileId
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Send verification link; a failed delivery can be retried via resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
 
     res.status(201).json({
-      token,
+      emailVerificationRequired: true,
       user: {
         id: user.id,
         email: user.email,
         fullName: user.full_name,
         userType: user.user_type,
-        profileId: profileId
+        profileId: profileId,
+        role
       }
     });
   } catch (error) {
@@ -109,6 +245,7 @@ router.post('/register', async (req, res) => {
 /**
  * POST /api/auth/login
  * Login user and return JWT token
+ * With 2FA enabled the response is { twoFactorRequired, challengeToken } instead.
  */
 router.post('/login', async (req, res) => {
   try {
@@ -121,7 +258,7 @@ router.post('/login', async (req, res) => {
 
     // Find user by email
     const userResult = await query(
-      'SELECT id, email, password_hash, full_name, user_type FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, full_name, user_type, email_verified_at, totp_enabled_at FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
@@ -137,51 +274,451 @@ router.post('/login', async (req, res) => {
       return sendError(res, 401, 'Ongeldige inloggegevens');
     }
 
-    // Get profile ID based on user type
-    let profileId = null;
-    if (user.user_type === 'zzp') {
-      const zzpResult = await query(
-        'SELECT id FROM zzp_users WHERE user_id = $1 LIMIT 1',
-        [user.id]
-      );
-      if (zzpResult.rows.length > 0) {
-        profileId = zzpResult.rows[0].id;
-      }
-    } else {
-      const companyResult = await query(
-        'SELECT id FROM companies WHERE user_id = $1 LIMIT 1',
-        [user.id]
-      );
-      if (companyResult.rows.length > 0) {
-        profileId = companyResult.rows[0].id;
-      }
+    if (!user.email_verified_at) {
+      return sendError(res, 403, 'Bevestig eerst uw e-mailadres');
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        userType: user.user_type,
-        profileId: profileId
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
+    // Accounts with 2FA get a challenge token; the session starts after POST /login/2fa
+    if (user.totp_enabled_at) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user.id)
+      });
+    }
+
+    res.json(await startLoginSession(user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    sendError(res, 500, 'Inloggen mislukt');
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: exchange a challenge token and a TOTP or recovery code for a session
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return sendError(res, 400, 'Challenge token en code zijn verplicht');
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return sendError(res, 401, 'Ongeldige of verlopen aanmelding');
+    }
+
+    const userResult = await query(
+      'SELECT id, email, full_name, user_type, totp_enabled_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = userResult.rows[0];
+    if (!user || !user.totp_enabled_at) {
+      return sendError(res, 401, 'Ongeldige of verlopen aanmelding');
+    }
+
+    const isValidCode = code
+      ? await verifyUserTotp(user.id, code)
+      : await consumeRecoveryCode(user.id, recoveryCode);
+    if (!isValidCode) {
+      return sendError(res, 401, 'Ongeldige code');
+    }
+
+    res.json(await startLoginSession(user));
+  } catch (error) {
+    console.error('Error completing two-factor login:', error);
+    sendError(res, 500, 'Inloggen mislukt');
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the authenticated user
+ */
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    const userResult = await query(
+      'SELECT totp_enabled_at FROM users WHERE id = $1',
+      [req.user.userId]
     );
 
+    if (userResult.rows.length === 0) {
+      return sendError(res, 404, 'Gebruiker niet gevonden');
+    }
+
+    const enabledAt = userResult.rows[0].totp_enabled_at;
+
     res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        fullName: user.full_name,
-        userType: user.user_type,
-        profileId: profileId
-      }
+      enabled: Boolean(enabledAt),
+      enabledAt,
+      required: await isTwoFactorRequired(req.user.userId),
+      recoveryCodesRemaining: enabledAt ? await countRecoveryCodes(req.user.userId) : 0
     });
   } catch (error) {
-    console.error('Error logging in:', error);
-    sendError(res, 500, 'Inloggen mislukt');
+    console.error('Error fetching two-factor status:', error);
+    sendError(res, 500, 'Kon tweestapsverificatie niet ophalen');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: create a new secret and return it with the otpauth URI (for the QR code)
+ * 2FA is not active until the first code is confirmed via POST /2fa/enable.
+ */
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const userResult = await query(
+      'SELECT email, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return sendError(res, 404, 'Gebruiker niet gevonden');
+    }
+
+    if (userResult.rows[0].totp_enabled_at) {
+      return sendError(res, 400, 'Tweestapsverificatie is al ingeschakeld');
+    }
+
+    const secret = generateTotpSecret();
+
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL, updated_at = NOW() WHERE id = $2',
+      [encryptSecret(secret), req.user.userId]
+    );
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, userResult.rows[0].email)
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    sendError(res, 500, 'Kon tweestapsverificatie niet instellen');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Finish enrollment with a code from the authenticator app
+ * Body: { code }
+ * Returns the recovery codes; they are shown only once.
+ */
+router.post('/2fa/enable', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return sendError(res, 400, 'Code is verplicht');
+    }
+
+    const userResult = await query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    const user = userResult.rows[0];
+    if (!user || !user.totp_secret) {
+      return sendError(res, 400, 'Start eerst de instelling van tweestapsverificatie');
+    }
+
+    if (user.totp_enabled_at) {
+      return sendError(res, 400, 'Tweestapsverificatie is al ingeschakeld');
+    }
+
+    if (!(await verifyUserTotp(req.user.userId, code, { pending: true }))) {
+      return sendError(res, 400, 'Ongeldige code');
+    }
+
+    await query(
+      'UPDATE users SET totp_enabled_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [req.user.userId]
+    );
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.userId);
+
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    sendError(res, 500, 'Kon tweestapsverificatie niet inschakelen');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes
+ * Body: { code }
+ */
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return sendError(res, 400, 'Code is verplicht');
+    }
+
+    if (!(await verifyUserTotp(req.user.userId, code))) {
+      return sendError(res, 400, 'Ongeldige code');
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.userId);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error replacing recovery codes:', error);
+    sendError(res, 500, 'Kon herstelcodes niet vernieuwen');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off 2FA
+ * Body: { password, code } or { password, recoveryCode }
+ * Not allowed while a company of the user requires 2FA.
+ */
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return sendError(res, 400, 'Wachtwoord en code zijn verplicht');
+    }
+
+    const userResult = await query(
+      'SELECT password_hash, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    const user = userResult.rows[0];
+    if (!user || !user.totp_enabled_at) {
+      return sendError(res, 400, 'Tweestapsverificatie is niet ingeschakeld');
+    }
+
+    if (await isTwoFactorRequired(req.user.userId)) {
+      return sendError(res, 403, 'Tweestapsverificatie is verplicht gesteld door uw bedrijf');
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return sendError(res, 401, 'Ongeldig wachtwoord');
+    }
+
+    const isValidCode = code
+      ? await verifyUserTotp(req.user.userId, code)
+      : await consumeRecoveryCode(req.user.userId, recoveryCode);
+    if (!isValidCode) {
+      return sendError(res, 400, 'Ongeldige code');
+    }
+
+    await query(
+      `UPDATE users
+       SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [req.user.userId]
+    );
+    await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.userId]);
+
+    res.json({ enabled: false });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    sendError(res, 500, 'Kon tweestapsverificatie niet uitschakelen');
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the emailed token
+ * Body: { token }
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return sendError(res, 400, 'Token is verplicht');
+    }
+
+    const userId = await consumeUserToken(token, 'email_verification');
+    if (!userId) {
+      return sendError(res, 400, 'Ongeldige of verlopen link');
+    }
+
+    await query(
+      'UPDATE users SET email_verified_at = NOW(), updated_at = NOW() WHERE id = $1 AND email_verified_at IS NULL',
+      [userId]
+    );
+
+    res.json({ message: 'E-mailadres bevestigd' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    sendError(res, 500, 'Kon e-mailadres niet bevestigen');
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link
+ * Body: { email }
+ * Always responds the same way, so it does not reveal which addresses exist.
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return sendError(res, 400, 'E-mail is verplicht');
+    }
+
+    const userResult = await query(
+      'SELECT id, email, full_name FROM users WHERE email = $1 AND email_verified_at IS NULL',
+      [email.toLowerCase()]
+    );
+
+    if (userResult.rows.length > 0) {
+      await sendVerificationEmail(userResult.rows[0]);
+    }
+
+    res.json({ message: 'Als dit adres nog niet bevestigd is, ontvangt u een nieuwe link' });
+  } catch (error) {
+    console.error('Error resending verification:', error);
+    sendError(res, 500, 'Kon bevestigingslink niet versturen');
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Send a password reset link
+ * Body: { email }
+ * Always responds the same way, so it does not reveal which addresses exist.
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return sendError(res, 400, 'E-mail is verplicht');
+    }
+
+    const userResult = await query(
+      'SELECT id, email, full_name FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    if (userResult.rows.length > 0) {
+      await sendPasswordResetEmail(userResult.rows[0]);
+    }
+
+    res.json({ message: 'Als dit adres bij ons bekend is, ontvangt u een herstellink' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    sendError(res, 500, 'Kon herstellink niet versturen');
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the emailed token
+ * Body: { token, password }
+ * Ends all existing sessions of the user.
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return sendError(res, 400, 'Token en wachtwoord zijn verplicht');
+    }
+
+    const userId = await consumeUserToken(token, 'password_reset');
+    if (!userId) {
+      return sendError(res, 400, 'Ongeldige of verlopen link');
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    // The reset link proves ownership of the address as well
+    await query(
+      `UPDATE users
+       SET password_hash = $1,
+           email_verified_at = COALESCE(email_verified_at, NOW()),
+           updated_at = NOW()
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+
+    await revokeAllSessions(userId);
+
+    res.json({ message: 'Wachtwoord gewijzigd' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    sendError(res, 500, 'Kon wachtwoord niet wijzigen');
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 400, 'Refresh token is verplicht');
+    }
+
+    const session = await rotateSession(refreshToken);
+    if (!session) {
+      return sendError(res, 401, 'Ongeldige of verlopen sessie');
+    }
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    sendError(res, 500, 'Kon sessie niet vernieuwen');
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session of a refresh token
+ * Body: { refreshToken }
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 400, 'Refresh token is verplicht');
+    }
+
+    await revokeSession(refreshToken);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    sendError(res, 500, 'Uitloggen mislukt');
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * End every session of the authenticated user
+ */
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out all sessions:', error);
+    sendError(res, 500, 'Uitloggen mislukt');
   }
 });
 
@@ -203,7 +740,7 @@ router.get('/me', async (req, res) => {
       
       // Get user details
       const userResult = await query(
-        'SELECT id, email, full_name, user_type FROM users WHERE id = $1',
+        'SELECT id, email, full_name, user_type, totp_enabled_at FROM users WHERE id = $1',
         [decoded.userId]
       );
 
@@ -212,13 +749,19 @@ router.get('/me', async (req, res) => {
       }
 
       const user = userResult.rows[0];
+      const role = user.user_type === 'company'
+        ? await getMemberRole(user.id, decoded.profileId)
+        : null;
 
       res.json({
         id: user.id,
         email: user.email,
         fullName: user.full_name,
         userType: user.user_type,
-        profileId: decoded.profileId
+        profileId: decoded.profileId,
+        role,
+        twoFactorEnabled: Boolean(user.totp_enabled_at),
+        twoFactorRequired: await isTwoFactorRequired(user.id)
       });
     } catch (jwtError) {
       return sendError(res, 401, 'Ongeldig token');
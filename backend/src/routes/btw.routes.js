@@ -1,13 +1,40 @@
 import { Router } from 'express';
 import { sendError } from '../utils/error.js';
-import { calcLineTotal, calcBTW } from '../utils/calc.js';
-import { query } from '../db/client.js';
+import { isValidDate } from '../utils/date.js';
+import {
+  calcBTW,
+  calcDeductibleBtw,
+  calcKorStatus,
+  getVatRate
+} from '../utils/calc.js';
+import { query, withTransaction } from '../db/client.js';
+import { requireUserType, requirePermission } from '../middleware/tenant.js';
+import { calcAangifte, getVatNumberCountry } from '../utils/btwAangifte.js';
+import {
+  FILING_COLUMNS,
+  checkFiledBtwPeriods,
+  flagCorrectedFilings,
+  isBtwCorrection,
+  calcRubriekenDelta,
+  hasDelta
+} from '../utils/btwFilings.js';
+import { vatRegimeOnSql } from '../utils/vatRegimes.js';
 
 const router = Router();
 
 // UUID regex pattern for validation
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+// Rubrieken that take manual corrections, with the BTW code of their default BTW amount:
+// own sales of a company (1a, 1b, 1e) and private use (1d)
+const CORRECTION_RUBRIEKEN = { '1a': 'standard', '1b': 'reduced', '1d': 'standard', '1e': 'zero' };
+
+// BTW regime of the ZZP user of an expense (alias e) on the expense date
+const EXPENSE_VAT_REGIME_SQL = vatRegimeOnSql('e.zzp_id', 'e.expense_date');
+
+const CORRECTION_COLUMNS = `id, zzp_id, company_id, correction_date::text AS correction_date, rubriek,
+  amount, btw_amount, description, created_by, created_at`;
+
 /**
  * Calculate date range based on period type
  * @param {string} period - Period type (month, quarter, year)
@@ -46,6 +73,334 @@ function calculateDateRange(period, yearNum, value) {
   return { startDate, endDate };
 }
 
+/**
+ * Check whether the authenticated user may read BTW data for a scope
+ * @param {Object} user - req.user
+ * @param {string} scope - "zzp" or "company"
+ * @param {string} zzpId - ZZP user ID (scope=zzp)
+ * @param {string} companyId - Company ID (scope=company)
+ * @returns {boolean}
+ */
+function canAccessScope(user, scope, zzpId, companyId) {
+  if (scope === 'zzp') {
+    return user.userType === 'zzp' && zzpId === user.profileId;
+  }
+  return user.userType === 'company' && companyId === user.profileId;
+}
+
+/**
+ * Validate the scope parameters: scope and the matching zzpId or companyId
+ * @param {Object} params - { scope, zzpId, companyId }
+ * @param {Object} user - req.user
+ * @returns {Object} - { scope, ownerId } or { status, error }
+ */
+function parseScopeOwner(params, user) {
+  const { scope, zzpId, companyId } = params;
+
+  if (!scope || !['zzp', 'company'].includes(scope)) {
+    return { status: 400, error: 'Ongeldige scope' };
+  }
+
+  const ownerId = scope === 'zzp' ? zzpId : companyId;
+  if (!ownerId) {
+    return { status: 400, error: scope === 'zzp' ? 'ZZP-ID is verplicht' : 'Bedrijf-ID is verplicht' };
+  }
+  if (!UUID_REGEX.test(ownerId)) {
+    return { status: 400, error: scope === 'zzp' ? 'Ongeldige ZZP-ID' : 'Ongeldige bedrijf-ID' };
+  }
+
+  if (!canAccessScope(user, scope, zzpId, companyId)) {
+    return { status: 403, error: 'Geen toegang' };
+  }
+
+  return { scope, ownerId };
+}
+
+/**
+ * Validate the scope and period query parameters shared by the BTW endpoints
+ * @param {Object} params - { scope, zzpId, companyId, period, year, value }
+ * @param {Object} user - req.user
+ * @returns {Object} - { scope, ownerId, yearNum, startDate, endDate } or { status, error }
+ */
+function parseScopeQuery(params, user) {
+  const { period, year, value } = params;
+
+  const owner = parseScopeOwner(params, user);
+  if (owner.error) {
+    return owner;
+  }
+
+  if (!period || !['month', 'quarter', 'year'].includes(period)) {
+    return { status: 400, error: 'Ongeldige periode' };
+  }
+
+  const yearNum = parseInt(year);
+  if (!year || isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
+    return { status: 400, error: 'Ongeldig jaar' };
+  }
+
+  const dateRange = calculateDateRange(period, yearNum, value);
+  if (dateRange.error) {
+    return { status: 400, error: 'Ongeldige datumbereik' };
+  }
+
+  return { ...owner, yearNum, ...dateRange };
+}
+
+/**
+ * Get the credit notes issued in a date range
+ * Credit notes count for BTW in the period of their issue date, not of the original invoice.
+ * @param {string} scope - "zzp" or "company"
+ * @param {string} ownerId - ZZP user ID or company ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Credit notes with negative amounts
+ */
+async function getCreditNotes(scope, ownerId, startDate, endDate) {
+  const ownerColumn = scope === 'company' ? 'cn.company_id' : 's.zzp_id';
+  const result = await query(
+    `SELECT cn.id, cn.credit_note_number, cn.issue_date, cn.subtotal, cn.btw_amount, cn.vat_breakdown, cn.reason,
+            i.invoice_number, c.btw_number AS customer_btw_number,
+            z.full_name AS zzp_name, z.btw_number AS supplier_btw_number
+     FROM credit_notes cn
+     JOIN invoices i ON cn.invoice_id = i.id
+     JOIN statements s ON i.statement_id = s.id
+     JOIN companies c ON cn.company_id = c.id
+     JOIN zzp_users z ON s.zzp_id = z.id
+     WHERE ${ownerColumn} = $1
+       AND cn.issue_date >= $2
+       AND cn.issue_date <= $3
+     ORDER BY cn.issue_date ASC`,
+    [ownerId, startDate, endDate]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the invoices issued in a date range
+ * Invoices count for BTW in the period of their invoice date: as sales of the ZZP user and as
+ * purchases of the company.
+ * @param {string} scope - "zzp" or "company"
+ * @param {string} ownerId - ZZP user ID or company ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Invoices with the name and BTW number of the company and the ZZP user
+ */
+async function getInvoices(scope, ownerId, startDate, endDate) {
+  const ownerColumn = scope === 'company' ? 'i.company_id' : 's.zzp_id';
+  const result = await query(
+    `SELECT i.id, i.invoice_number, i.created_at::date::text AS invoice_date, i.subtotal, i.btw_amount,
+            i.vat_breakdown, c.name AS company_name, c.btw_number AS customer_btw_number,
+            z.full_name AS zzp_name, z.btw_number AS supplier_btw_number
+     FROM invoices i
+     JOIN statements s ON i.statement_id = s.id
+     JOIN companies c ON i.company_id = c.id
+     JOIN zzp_users z ON s.zzp_id = z.id
+     WHERE ${ownerColumn} = $1
+       AND i.created_at::date >= $2
+       AND i.created_at::date <= $3
+     ORDER BY i.created_at ASC`,
+    [ownerId, startDate, endDate]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the manual corrections of a date range
+ * @param {string} scope - "zzp" or "company"
+ * @param {string} ownerId - ZZP user ID or company ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Corrections (see CORRECTION_COLUMNS)
+ */
+async function getCorrections(scope, ownerId, startDate, endDate) {
+  const result = await query(
+    `SELECT ${CORRECTION_COLUMNS}
+     FROM btw_corrections
+     WHERE ${scope === 'zzp' ? 'zzp_id' : 'company_id'} = $1
+       AND correction_date >= $2
+       AND correction_date <= $3
+     ORDER BY correction_date ASC, created_at ASC`,
+    [ownerId, startDate, endDate]
+  );
+  return result.rows;
+}
+
+/**
+ * Purchases of a company per BTW code: the invoices of its ZZP users and the credit notes on them
+ * The BTW on the invoices is voorbelasting; the ZZP user's country comes from their BTW number.
+ * @param {string} companyId - Company ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} - [{ vatCode, rate, amount, btwAmount, deductiblePercent, country }]
+ */
+async function getCompanyPurchases(companyId, startDate, endDate) {
+  const documents = [
+    ...await getInvoices('company', companyId, startDate, endDate),
+    ...await getCreditNotes('company', companyId, startDate, endDate)
+  ];
+
+  const purchases = [];
+  for (const document of documents) {
+    const country = getVatNumberCountry(document.supplier_btw_number);
+    for (const entry of document.vat_breakdown) {
+      purchases.push({
+        vatCode: entry.vatCode,
+        rate: entry.rate,
+        amount: parseFloat(entry.subtotal),
+        btwAmount: parseFloat(entry.btw),
+        deductiblePercent: 100,
+        country
+      });
+    }
+  }
+  return purchases;
+}
+
+/**
+ * Collect the sales, purchases and corrections of a period for the BTW return
+ * For a ZZP user, sales are the invoices and credit notes issued in the period, per BTW code as
+ * issued, and purchases the expenses; the customer is the company they work for, its country comes
+ * from its BTW number. For a company, purchases are the same invoices of its ZZP users (see
+ * getCompanyPurchases) and its own sales are the manual corrections.
+ * @param {string} scope - "zzp" or "company"
+ * @param {string} ownerId - ZZP user ID or company ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { sales, purchases, corrections } (see calcAangifte)
+ */
+async function getAangifteData(scope, ownerId, startDate, endDate) {
+  const sales = [];
+  let purchases = [];
+
+  if (scope === 'company') {
+    purchases = await getCompanyPurchases(ownerId, startDate, endDate);
+  } else {
+    const documents = [
+      ...await getInvoices(scope, ownerId, startDate, endDate),
+      ...await getCreditNotes(scope, ownerId, startDate, endDate)
+    ];
+    for (const document of documents) {
+      const country = getVatNumberCountry(document.customer_btw_number);
+      for (const entry of document.vat_breakdown) {
+        sales.push({
+          vatCode: entry.vatCode,
+          subtotal: parseFloat(entry.subtotal),
+          btw: parseFloat(entry.btw),
+          country
+        });
+      }
+    }
+
+    const expensesResult = await query(
+      `SELECT e.vat_code, e.amount, e.btw_amount, e.deductible_percent, e.supplier_country,
+              ${EXPENSE_VAT_REGIME_SQL} AS vat_regime
+       FROM expenses e
+       WHERE e.zzp_id = $1
+         AND e.expense_date >= $2
+         AND e.expense_date <= $3`,
+      [ownerId, startDate, endDate]
+    );
+    for (const row of expensesResult.rows) {
+      purchases.push({
+        vatCode: row.vat_code,
+        amount: parseFloat(row.amount),
+        btwAmount: parseFloat(row.btw_amount),
+        // Under the KOR there is no voorbelasting
+        deductiblePercent: row.vat_regime === 'kor' ? 0 : parseFloat(row.deductible_percent),
+        country: row.supplier_country
+      });
+    }
+  }
+
+  const correctionRows = await getCorrections(scope, ownerId, startDate, endDate);
+  const corrections = correctionRows.map(row => ({
+    rubriek: row.rubriek,
+    amount: parseFloat(row.amount),
+    btwAmount: parseFloat(row.btw_amount)
+  }));
+
+  return { sales, purchases, corrections };
+}
+
+/**
+ * Find the filed return of exactly a period
+ * @param {string} scope - "zzp" or "company"
+ * @param {string} ownerId - ZZP user ID or company ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - Filing (kind aangifte) or null
+ */
+async function findPeriodFiling(scope, ownerId, startDate, endDate) {
+  const result = await query(
+    `SELECT ${FILING_COLUMNS}
+     FROM btw_filings
+     WHERE ${scope === 'zzp' ? 'zzp_id' : 'company_id'} = $1
+       AND kind = 'aangifte'
+       AND start_date = $2
+       AND end_date = $3`,
+    [ownerId, startDate, endDate]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Load a filed return with the figures last submitted for its period:
+ * those of its latest suppletie, or else of the return itself
+ * @param {Object} db - Object with query()
+ * @param {string} id - Filing ID (kind aangifte)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} - { filing, latest } or null when not found or not accessible
+ */
+async function loadFiling(db, id, user) {
+  const result = await db.query(
+    `SELECT ${FILING_COLUMNS} FROM btw_filings WHERE id = $1 AND kind = 'aangifte'`,
+    [id]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const filing = result.rows[0];
+  const scope = filing.zzp_id ? 'zzp' : 'company';
+  if (!canAccessScope(user, scope, filing.zzp_id, filing.company_id)) {
+    return null;
+  }
+
+  const latestResult = await db.query(
+    `SELECT ${FILING_COLUMNS}
+     FROM btw_filings
+     WHERE id = $1 OR parent_id = $1
+     ORDER BY filed_at DESC
+     LIMIT 1`,
+    [id]
+  );
+
+  return { filing, latest: latestResult.rows[0], scope, ownerId: filing.zzp_id || filing.company_id };
+}
+
+/**
+ * BTW code of an invoice or credit note for a single row; null when it has several codes
+ * @param {Object} document - Invoice or credit note with vat_breakdown
+ * @returns {string|null}
+ */
+function documentVatCode(document) {
+  return document.vat_breakdown.length === 1 ? document.vat_breakdown[0].vatCode : null;
+}
+
+/**
+ * Voorbelasting of an expense: the deductible part of the BTW on the receipt
+ * Under the KOR nothing is deductible.
+ * @param {Object} row - Expense with btw_amount, deductible_percent and the vat_regime of its ZZP user on its date
+ * @returns {number}
+ */
+function expenseBtw(row) {
+  if (row.vat_regime === 'kor') {
+    return 0;
+  }
+  return calcDeductibleBtw(parseFloat(row.btw_amount) || 0, parseFloat(row.deductible_percent));
+}
+
 /**
  * Escape a value for CSV (handle commas, quotes, newlines)
  * @param {any} val - Value to escape
@@ -64,56 +419,55 @@ function escapeCsvValue(val) {
 
 /**
  * GET /api/btw/overview
- * Get BTW overview for a company for a specific period
+ * Get the BTW position of a company for a specific period: the invoices of its ZZP users as purchases
+ * with the BTW per code (vatBreakdown), its own sales from the corrections, and the balance
  * Query params: companyId, period (month|quarter|year), year, value (period number)
  */
-router.get('/overview', async (req, res) => {
+router.get('/overview', requireUserType('company'), requirePermission('btw:read'), async (req, res) => {
   try {
-    const { companyId, period, year, value } = req.query;
-
-    // Validate required fields
-    if (!companyId) {
-      return sendError(res, 400, 'Bedrijf-ID is verplicht');
+    // The overview is always the company scope
+    const parsed = parseScopeQuery({ ...req.query, scope: 'company' }, req.user);
+    if (parsed.error) {
+      return sendError(res, parsed.status, parsed.error);
     }
+    const { ownerId: companyId, yearNum, startDate, endDate } = parsed;
+    const { period, value } = req.query;
 
-    if (!UUID_REGEX.test(companyId)) {
-      return sendError(res, 400, 'Ongeldige bedrijf-ID');
-    }
+    // The company buys the work of its ZZP users: their invoices are purchases with voorbelasting
+    const data = await getAangifteData('company', companyId, startDate, endDate);
+    const { exact } = calcAangifte(data);
 
-    if (!period || !['month', 'quarter', 'year'].includes(period)) {
-      return sendError(res, 400, 'Ongeldige periode');
-    }
-
-    const yearNum = parseInt(year);
-    if (!year || isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
-      return sendError(res, 400, 'Ongeldig jaar');
-    }
-
-    // Calculate date range
-    const dateRange = calculateDateRange(period, yearNum, value);
-    if (dateRange.error) {
-      return sendError(res, 400, 'Ongeldige datumbereik');
+    const vatBreakdown = [];
+    for (const purchase of data.purchases) {
+      let entry = vatBreakdown.find(item => item.vatCode === purchase.vatCode);
+      if (!entry) {
+        entry = { vatCode: purchase.vatCode, rate: purchase.rate, subtotal: 0, btw: 0 };
+        vatBreakdown.push(entry);
+      }
+      entry.subtotal = Number((entry.subtotal + purchase.amount).toFixed(2));
+      entry.btw = Number((entry.btw + purchase.btwAmount).toFixed(2));
     }
-    const { startDate, endDate } = dateRange;
+    const purchasesSubtotal = Number(vatBreakdown.reduce((sum, entry) => sum + entry.subtotal, 0).toFixed(2));
+    const purchasesBtw = Number(vatBreakdown.reduce((sum, entry) => sum + entry.btw, 0).toFixed(2));
 
-    // Query worklogs to calculate total revenue
-    const result = await query(
-      `SELECT COALESCE(SUM(quantity * unit_price), 0) as total
-       FROM worklogs
-       WHERE company_id = $1
-         AND work_date >= $2
-         AND work_date <= $3`,
-      [companyId, startDate, endDate]
-    );
-
-    const subtotal = Number((parseFloat(result.rows[0].total) || 0).toFixed(2));
-    const btw = calcBTW(subtotal);
-    const net = Number((subtotal + btw).toFixed(2));
+    // Own sales of the company, entered as corrections
+    const salesSubtotal = Number(data.corrections.reduce((sum, entry) => sum + entry.amount, 0).toFixed(2));
+    const salesBtw = Number(data.corrections.reduce((sum, entry) => sum + entry.btwAmount, 0).toFixed(2));
 
     res.json({
-      subtotal,
-      btw,
-      net,
+      purchases: {
+        subtotal: purchasesSubtotal,
+        btw: purchasesBtw,
+        total: Number((purchasesSubtotal + purchasesBtw).toFixed(2)),
+        vatBreakdown
+      },
+      sales: {
+        subtotal: salesSubtotal,
+        btw: salesBtw
+      },
+      btwDue: exact['5a'].btw,
+      voorbelasting: exact['5b'].btw,
+      balance: exact['5c'].btw,
       period,
       year: yearNum,
       value: period === 'year' ? null : parseInt(value),
@@ -137,115 +491,51 @@ router.get('/overview', async (req, res) => {
  *   - year: YYYY (required)
  *   - value: period number (month 1-12 or quarter 1-4, optional for year)
  */
-router.get('/export', async (req, res) => {
+router.get('/export', requirePermission('btw:read'), async (req, res) => {
   try {
-    const { scope, zzpId, companyId, period, year, value } = req.query;
-
-    // Validate scope
-    if (!scope || !['zzp', 'company'].includes(scope)) {
-      return sendError(res, 400, 'Ongeldige scope');
-    }
-
-    // Validate ID based on scope
-    if (scope === 'zzp') {
-      if (!zzpId) {
-        return sendError(res, 400, 'ZZP-ID is verplicht');
-      }
-      if (!UUID_REGEX.test(zzpId)) {
-        return sendError(res, 400, 'Ongeldige ZZP-ID');
-      }
-    } else if (scope === 'company') {
-      if (!companyId) {
-        return sendError(res, 400, 'Bedrijf-ID is verplicht');
-      }
-      if (!UUID_REGEX.test(companyId)) {
-        return sendError(res, 400, 'Ongeldige bedrijf-ID');
-      }
-    }
-
-    // Validate period
-    if (!period || !['month', 'quarter', 'year'].includes(period)) {
-      return sendError(res, 400, 'Ongeldige periode');
-    }
-
-    // Validate year
-    const yearNum = parseInt(year);
-    if (!year || isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
-      return sendError(res, 400, 'Ongeldig jaar');
-    }
-
-    // Calculate date range
-    const dateRange = calculateDateRange(period, yearNum, value);
-    if (dateRange.error) {
-      return sendError(res, 400, 'Ongeldige datumbereik');
+    const parsed = parseScopeQuery(req.query, req.user);
+    if (parsed.error) {
+      return sendError(res, parsed.status, parsed.error);
     }
-    const { startDate, endDate } = dateRange;
+    const { scope, ownerId, yearNum, startDate, endDate } = parsed;
+    const { period, value } = req.query;
 
     // Collect data rows
     const rows = [];
 
-    // Fetch worklogs
-    let worklogsQuery;
-    let worklogsParams;
-
-    if (scope === 'company') {
-      worklogsQuery = `
-        SELECT work_date, tariff_type, quantity, unit_price, notes
-        FROM worklogs
-        WHERE company_id = $1
-          AND work_date >= $2
-          AND work_date <= $3
-        ORDER BY work_date ASC
-      `;
-      worklogsParams = [companyId, startDate, endDate];
-    } else {
-      worklogsQuery = `
-        SELECT work_date, tariff_type, quantity, unit_price, notes
-        FROM worklogs
-        WHERE zzp_id = $1
-          AND work_date >= $2
-          AND work_date <= $3
-        ORDER BY work_date ASC
-      `;
-      worklogsParams = [zzpId, startDate, endDate];
-    }
-
-    const worklogsResult = await query(worklogsQuery, worklogsParams);
-
-    // Add worklogs to rows
-    for (const row of worklogsResult.rows) {
-      const quantity = parseFloat(row.quantity) || 0;
-      const unitPrice = parseFloat(row.unit_price) || 0;
-      const lineTotal = calcLineTotal(quantity, unitPrice);
-      const btwAmount = calcBTW(lineTotal);
+    // Invoices: sales of the ZZP user, purchases of the company
+    const invoices = await getInvoices(scope, ownerId, startDate, endDate);
+    for (const invoice of invoices) {
+      const amount = parseFloat(invoice.subtotal);
       rows.push({
-        date: row.work_date,
-        type: row.tariff_type,
-        quantity: quantity,
-        unitPrice: unitPrice,
-        lineTotal,
-        btwAmount,
-        category: '',
-        source: 'worklog'
+        date: invoice.invoice_date,
+        type: 'invoice',
+        quantity: 1,
+        unitPrice: amount,
+        lineTotal: amount,
+        btwAmount: parseFloat(invoice.btw_amount),
+        vatCode: documentVatCode(invoice),
+        category: scope === 'company' ? invoice.zzp_name : invoice.company_name,
+        source: 'invoice'
       });
     }
 
-    // For ZZP scope, also fetch expenses
     if (scope === 'zzp') {
+      // Purchases: expenses (positive values representing deductible expenses)
       const expensesResult = await query(
-        `SELECT expense_date, amount, category, notes
-         FROM expenses
-         WHERE zzp_id = $1
-           AND expense_date >= $2
-           AND expense_date <= $3
-         ORDER BY expense_date ASC`,
-        [zzpId, startDate, endDate]
+        `SELECT e.expense_date, e.gross_amount, e.amount, e.btw_amount, e.deductible_percent, e.vat_code,
+                e.category, e.notes, ${EXPENSE_VAT_REGIME_SQL} AS vat_regime
+         FROM expenses e
+         WHERE e.zzp_id = $1
+           AND e.expense_date >= $2
+           AND e.expense_date <= $3
+         ORDER BY e.expense_date ASC`,
+        [ownerId, startDate, endDate]
       );
 
-      // Add expenses to rows (positive values representing deductible expenses)
       for (const row of expensesResult.rows) {
         const amount = Number((parseFloat(row.amount) || 0).toFixed(2));
-        const btwAmount = calcBTW(amount);
+        const btwAmount = expenseBtw(row);
         rows.push({
           date: row.expense_date,
           type: 'expense',
@@ -253,17 +543,52 @@ router.get('/export', async (req, res) => {
           unitPrice: amount,
           lineTotal: amount,
           btwAmount,
+          vatCode: row.vat_code,
           category: row.category || '',
           source: 'expense'
         });
       }
+    } else {
+      // Own sales: corrections
+      const corrections = await getCorrections(scope, ownerId, startDate, endDate);
+      for (const correction of corrections) {
+        const amount = parseFloat(correction.amount);
+        rows.push({
+          date: correction.correction_date,
+          type: correction.rubriek,
+          quantity: 1,
+          unitPrice: amount,
+          lineTotal: amount,
+          btwAmount: parseFloat(correction.btw_amount),
+          vatCode: CORRECTION_RUBRIEKEN[correction.rubriek],
+          category: correction.description,
+          source: 'correction'
+        });
+      }
+    }
 
-      // Sort all rows by date
-      rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+    // Credit notes (negative amounts, in the period of their issue date)
+    const creditNotes = await getCreditNotes(scope, ownerId, startDate, endDate);
+    for (const note of creditNotes) {
+      const amount = parseFloat(note.subtotal);
+      rows.push({
+        date: note.issue_date,
+        type: 'credit_note',
+        quantity: 1,
+        unitPrice: amount,
+        lineTotal: amount,
+        btwAmount: parseFloat(note.btw_amount),
+        vatCode: documentVatCode(note),
+        category: note.credit_note_number,
+        source: 'credit_note'
+      });
     }
 
+    // Sort all rows by date
+    rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+
     // Generate CSV
-    const headers = ['date', 'type', 'quantity', 'unitPrice', 'lineTotal', 'btwAmount', 'category', 'source'];
+    const headers = ['date', 'type', 'quantity', 'unitPrice', 'lineTotal', 'btwAmount', 'vatCode', 'category', 'source'];
     const csvLines = [headers.join(',')];
 
     for (const row of rows) {
@@ -300,118 +625,54 @@ router.get('/export', async (req, res) => {
  *   - year: YYYY (required)
  *   - value: period number (month 1-12 or quarter 1-4, optional for year)
  */
-router.get('/transactions', async (req, res) => {
+router.get('/transactions', requirePermission('btw:read'), async (req, res) => {
   try {
-    const { scope, zzpId, companyId, period, year, value } = req.query;
-
-    // Validate scope
-    if (!scope || !['zzp', 'company'].includes(scope)) {
-      return sendError(res, 400, 'Ongeldige scope');
-    }
-
-    // Validate ID based on scope
-    if (scope === 'zzp') {
-      if (!zzpId) {
-        return sendError(res, 400, 'ZZP-ID is verplicht');
-      }
-      if (!UUID_REGEX.test(zzpId)) {
-        return sendError(res, 400, 'Ongeldige ZZP-ID');
-      }
-    } else if (scope === 'company') {
-      if (!companyId) {
-        return sendError(res, 400, 'Bedrijf-ID is verplicht');
-      }
-      if (!UUID_REGEX.test(companyId)) {
-        return sendError(res, 400, 'Ongeldige bedrijf-ID');
-      }
-    }
-
-    // Validate period
-    if (!period || !['month', 'quarter', 'year'].includes(period)) {
-      return sendError(res, 400, 'Ongeldige periode');
-    }
-
-    // Validate year
-    const yearNum = parseInt(year);
-    if (!year || isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
-      return sendError(res, 400, 'Ongeldig jaar');
+    const parsed = parseScopeQuery(req.query, req.user);
+    if (parsed.error) {
+      return sendError(res, parsed.status, parsed.error);
     }
-
-    // Calculate date range
-    const dateRange = calculateDateRange(period, yearNum, value);
-    if (dateRange.error) {
-      return sendError(res, 400, 'Ongeldige datumbereik');
-    }
-    const { startDate, endDate } = dateRange;
+    const { scope, ownerId, yearNum, startDate, endDate } = parsed;
+    const { period, value } = req.query;
 
     // Collect transactions
     const transactions = [];
 
-    // Fetch worklogs
-    let worklogsQuery;
-    let worklogsParams;
-
-    if (scope === 'company') {
-      worklogsQuery = `
-        SELECT id, work_date, tariff_type, quantity, unit_price, notes
-        FROM worklogs
-        WHERE company_id = $1
-          AND work_date >= $2
-          AND work_date <= $3
-        ORDER BY work_date DESC
-      `;
-      worklogsParams = [companyId, startDate, endDate];
-    } else {
-      worklogsQuery = `
-        SELECT id, work_date, tariff_type, quantity, unit_price, notes
-        FROM worklogs
-        WHERE zzp_id = $1
-          AND work_date >= $2
-          AND work_date <= $3
-        ORDER BY work_date DESC
-      `;
-      worklogsParams = [zzpId, startDate, endDate];
-    }
-
-    const worklogsResult = await query(worklogsQuery, worklogsParams);
-
-    // Add worklogs to transactions
-    for (const row of worklogsResult.rows) {
-      const quantity = parseFloat(row.quantity) || 0;
-      const unitPrice = parseFloat(row.unit_price) || 0;
-      const lineTotal = calcLineTotal(quantity, unitPrice);
-      const btwAmount = calcBTW(lineTotal);
+    // Invoices: income of the ZZP user, expenses of the company (per ZZP user)
+    const invoices = await getInvoices(scope, ownerId, startDate, endDate);
+    for (const invoice of invoices) {
+      const amount = parseFloat(invoice.subtotal);
       transactions.push({
-        id: row.id,
-        date: row.work_date,
-        type: 'income',
-        description: row.tariff_type,
-        category: row.tariff_type,
-        quantity: quantity,
-        unitPrice: unitPrice,
-        amount: lineTotal,
-        btwAmount,
-        notes: row.notes || '',
-        source: 'worklog'
+        id: invoice.id,
+        date: invoice.invoice_date,
+        type: scope === 'company' ? 'expense' : 'income',
+        description: `Factuur ${invoice.invoice_number}`,
+        category: scope === 'company' ? invoice.zzp_name : invoice.company_name,
+        quantity: 1,
+        unitPrice: amount,
+        amount,
+        btwAmount: parseFloat(invoice.btw_amount),
+        vatCode: documentVatCode(invoice),
+        notes: '',
+        source: 'invoice'
       });
     }
 
-    // For ZZP scope, also fetch expenses
     if (scope === 'zzp') {
+      // Expenses
       const expensesResult = await query(
-        `SELECT id, expense_date, amount, category, notes
-         FROM expenses
-         WHERE zzp_id = $1
-           AND expense_date >= $2
-           AND expense_date <= $3
-         ORDER BY expense_date DESC`,
-        [zzpId, startDate, endDate]
+        `SELECT e.id, e.expense_date, e.gross_amount, e.amount, e.btw_amount, e.deductible_percent, e.vat_code,
+                e.category, e.notes, ${EXPENSE_VAT_REGIME_SQL} AS vat_regime
+         FROM expenses e
+         WHERE e.zzp_id = $1
+           AND e.expense_date >= $2
+           AND e.expense_date <= $3
+         ORDER BY e.expense_date DESC`,
+        [ownerId, startDate, endDate]
       );
 
-      // Add expenses to transactions
       for (const row of expensesResult.rows) {
         const amount = Number((parseFloat(row.amount) || 0).toFixed(2));
-        const btwAmount = calcBTW(amount);
+        const btwAmount = expenseBtw(row);
         transactions.push({
           id: row.id,
           date: row.expense_date,
@@ -421,16 +682,59 @@ router.get('/transactions', async (req, res) => {
           quantity: 1,
           unitPrice: amount,
           amount,
+          grossAmount: parseFloat(row.gross_amount),
           btwAmount,
+          deductiblePercent: parseFloat(row.deductible_percent),
+          vatCode: row.vat_code,
           notes: row.notes || '',
           source: 'expense'
         });
       }
+    } else {
+      // Income: own sales entered as corrections
+      const corrections = await getCorrections(scope, ownerId, startDate, endDate);
+      for (const correction of corrections) {
+        const amount = parseFloat(correction.amount);
+        transactions.push({
+          id: correction.id,
+          date: correction.correction_date,
+          type: 'income',
+          description: correction.description,
+          category: `Rubriek ${correction.rubriek}`,
+          quantity: 1,
+          unitPrice: amount,
+          amount,
+          btwAmount: parseFloat(correction.btw_amount),
+          vatCode: CORRECTION_RUBRIEKEN[correction.rubriek],
+          notes: '',
+          source: 'correction'
+        });
+      }
+    }
 
-      // Sort all transactions by date descending
-      transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    // Credit notes lower the income (ZZP) or the purchases (company) of the period they are issued in
+    const creditNotes = await getCreditNotes(scope, ownerId, startDate, endDate);
+    for (const note of creditNotes) {
+      const amount = parseFloat(note.subtotal);
+      transactions.push({
+        id: note.id,
+        date: note.issue_date,
+        type: scope === 'company' ? 'expense' : 'income',
+        description: `Creditnota ${note.credit_note_number}`,
+        category: scope === 'company' ? note.zzp_name : 'Creditnota',
+        quantity: 1,
+        unitPrice: amount,
+        amount,
+        btwAmount: parseFloat(note.btw_amount),
+        vatCode: documentVatCode(note),
+        notes: `Factuur ${note.invoice_number}: ${note.reason}`,
+        source: 'credit_note'
+      });
     }
 
+    // Sort all transactions by date descending
+    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+
     // Calculate totals
     let totalIncome = 0;
     let totalExpenses = 0;
@@ -497,4 +801,466 @@ router.get('/transactions', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/btw/aangifte
+ * Calculate the rubrieken (1a-5g) of the BTW return for a period
+ * Query params: scope, zzpId or companyId, period (month|quarter|year), year, value
+ */
+router.get('/aangifte', requirePermission('btw:read'), async (req, res) => {
+  try {
+    const parsed = parseScopeQuery(req.query, req.user);
+    if (parsed.error) {
+      return sendError(res, parsed.status, parsed.error);
+    }
+    const { scope, ownerId, yearNum, startDate, endDate } = parsed;
+    const { period, value } = req.query;
+
+    const data = await getAangifteData(scope, ownerId, startDate, endDate);
+    const { rubrieken, exact, exempt } = calcAangifte(data);
+    const filing = await findPeriodFiling(scope, ownerId, startDate, endDate);
+
+    res.json({
+      scope,
+      rubrieken,
+      exact,
+      exempt,
+      filing,
+      period,
+      year: yearNum,
+      value: period === 'year' ? null : parseInt(value),
+      startDate,
+      endDate
+    });
+  } catch (error) {
+    console.error('Error calculating BTW return:', error);
+    sendError(res, 500, 'Kon BTW-aangifte niet berekenen');
+  }
+});
+
+/**
+ * GET /api/btw/kor
+ * Turnover monitor for the kleineondernemersregeling: the turnover of a ZZP user in a year so far
+ * (invoices and credit notes issued in it, excl. BTW, the same base as the return) against the KOR threshold
+ * Query params: zzpId, year (default current year)
+ */
+router.get('/kor', requirePermission('btw:read'), async (req, res) => {
+  try {
+    const owner = parseScopeOwner({ scope: 'zzp', zzpId: req.query.zzpId }, req.user);
+    if (owner.error) {
+      return sendError(res, owner.status, owner.error);
+    }
+    const zzpId = owner.ownerId;
+    const yearNum = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+
+    if (isNaN(yearNum) || yearNum < 2000 || yearNum > 2100) {
+      return sendError(res, 400, 'Ongeldig jaar');
+    }
+
+    const result = await query('SELECT vat_regime FROM zzp_users WHERE id = $1', [zzpId]);
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'ZZP gebruiker niet gevonden');
+    }
+
+    const startDate = `${yearNum}-01-01`;
+    const endDate = `${yearNum}-12-31`;
+    const sales = [
+      ...await getInvoices('zzp', zzpId, startDate, endDate),
+      ...await getCreditNotes('zzp', zzpId, startDate, endDate)
+    ];
+    const turnover = sales.reduce((sum, sale) => sum + parseFloat(sale.subtotal), 0);
+
+    res.json({
+      zzpId,
+      year: yearNum,
+      vatRegime: result.rows[0].vat_regime,
+      ...calcKorStatus(turnover)
+    });
+  } catch (error) {
+    console.error('Error calculating KOR turnover:', error);
+    sendError(res, 500, 'Kon omzet voor de KOR niet berekenen');
+  }
+});
+
+/**
+ * GET /api/btw/corrections
+ * List the manual corrections (e.g. private use, rubriek 1d) of a period
+ * Query params: scope, zzpId or companyId, period (month|quarter|year), year, value
+ */
+router.get('/corrections', requirePermission('btw:read'), async (req, res) => {
+  try {
+    const parsed = parseScopeQuery(req.query, req.user);
+    if (parsed.error) {
+      return sendError(res, parsed.status, parsed.error);
+    }
+    const { scope, ownerId, startDate, endDate } = parsed;
+
+    const items = await getCorrections(scope, ownerId, startDate, endDate);
+
+    res.json({ items });
+  } catch (error) {
+    console.error('Error fetching BTW corrections:', error);
+    sendError(res, 500, 'Kon BTW-correcties niet ophalen');
+  }
+});
+
+/**
+ * POST /api/btw/corrections
+ * Add a manual correction to the BTW return of the period of correctionDate
+ * Body: { scope, zzpId or companyId, correctionDate, rubriek (default 1d), amount,
+ *   btwAmount (optional, default amount times the rate of the rubriek: 21% for 1a and 1d, 9% for 1b, 0% for 1e),
+ *   description, btwCorrection (true for a filed period) }
+ */
+router.post('/corrections', requirePermission('btw:write'), async (req, res) => {
+  try {
+    const {
+      scope,
+      correctionDate,
+      rubriek = '1d',
+      amount,
+      btwAmount,
+      description
+    } = req.body;
+
+    const missingFields = [];
+    if (!scope) missingFields.push('scope');
+    if (!correctionDate) missingFields.push('correctionDate');
+    if (amount === undefined || amount === null) missingFields.push('amount');
+    if (!description || typeof description !== 'string' || !description.trim()) missingFields.push('description');
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Verplichte velden ontbreken',
+        missingFields
+      });
+    }
+
+    const owner = parseScopeOwner(req.body, req.user);
+    if (owner.error) {
+      return sendError(res, owner.status, owner.error);
+    }
+    const { ownerId } = owner;
+
+    if (!isValidDate(correctionDate)) {
+      return sendError(res, 400, 'Ongeldige datum');
+    }
+
+    if (!Object.hasOwn(CORRECTION_RUBRIEKEN, rubriek)) {
+      return sendError(res, 400, 'Ongeldige rubriek');
+    }
+
+    if (typeof amount !== 'number' || isNaN(amount)) {
+      return sendError(res, 400, 'Ongeldig bedrag');
+    }
+    if (btwAmount !== undefined && btwAmount !== null && (typeof btwAmount !== 'number' || isNaN(btwAmount))) {
+      return sendError(res, 400, 'Ongeldig BTW-bedrag');
+    }
+
+    const btwCheck = await checkFiledBtwPeriods({ query }, {
+      zzpId: scope === 'zzp' ? ownerId : null,
+      companyId: scope === 'company' ? ownerId : null,
+      dates: [correctionDate],
+      correction: isBtwCorrection(req)
+    });
+    if (btwCheck.error) {
+      return sendError(res, btwCheck.status, btwCheck.error);
+    }
+
+    const result = await query(
+      `INSERT INTO btw_corrections (
+         zzp_id, company_id, correction_date, rubriek, amount, btw_amount, description, created_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${CORRECTION_COLUMNS}`,
+      [
+        scope === 'zzp' ? ownerId : null,
+        scope === 'company' ? ownerId : null,
+        correctionDate,
+        rubriek,
+        Number(amount.toFixed(2)),
+        btwAmount !== undefined && btwAmount !== null
+          ? Number(btwAmount.toFixed(2))
+          : calcBTW(amount, getVatRate(CORRECTION_RUBRIEKEN[rubriek])),
+        description.trim(),
+        req.user.userId
+      ]
+    );
+    await flagCorrectedFilings({ query }, btwCheck.filings);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating BTW correction:', error);
+    sendError(res, 500, 'Kon BTW-correctie niet opslaan');
+  }
+});
+
+/**
+ * DELETE /api/btw/corrections/:id
+ * Delete a manual correction (in a filed period only with ?btwCorrection=true)
+ */
+router.delete('/corrections/:id', requirePermission('btw:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Correctie niet gevonden');
+    }
+
+    const ownerColumn = req.user.userType === 'company' ? 'company_id' : 'zzp_id';
+    const existingResult = await query(
+      `SELECT zzp_id, company_id, correction_date::text AS correction_date
+       FROM btw_corrections WHERE id = $1 AND ${ownerColumn} = $2`,
+      [id, req.user.profileId]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return sendError(res, 404, 'Correctie niet gevonden');
+    }
+
+    const existing = existingResult.rows[0];
+    const btwCheck = await checkFiledBtwPeriods({ query }, {
+      zzpId: existing.zzp_id,
+      companyId: existing.company_id,
+      dates: [existing.correction_date],
+      correction: isBtwCorrection(req)
+    });
+    if (btwCheck.error) {
+      return sendError(res, btwCheck.status, btwCheck.error);
+    }
+
+    const result = await query(
+      `DELETE FROM btw_corrections WHERE id = $1 AND ${ownerColumn} = $2 RETURNING id`,
+      [id, req.user.profileId]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Correctie niet gevonden');
+    }
+    await flagCorrectedFilings({ query }, btwCheck.filings);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting BTW correction:', error);
+    sendError(res, 500, 'Kon BTW-correctie niet verwijderen');
+  }
+});
+
+/**
+ * GET /api/btw/filings
+ * List the filed returns and supplementary returns (suppleties)
+ * Query params: scope, zzpId or companyId, year (optional)
+ */
+router.get('/filings', requirePermission('btw:read'), async (req, res) => {
+  try {
+    const owner = parseScopeOwner(req.query, req.user);
+    if (owner.error) {
+      return sendError(res, owner.status, owner.error);
+    }
+
+    const params = [owner.ownerId];
+    let yearFilter = '';
+    if (req.query.year) {
+      const yearNum = parseInt(req.query.year);
+      if (isNaN(yearNum)) {
+        return sendError(res, 400, 'Ongeldig jaar');
+      }
+      params.push(yearNum);
+      yearFilter = 'AND year = $2';
+    }
+
+    const result = await query(
+      `SELECT ${FILING_COLUMNS}
+       FROM btw_filings
+       WHERE ${owner.scope === 'zzp' ? 'zzp_id' : 'company_id'} = $1 ${yearFilter}
+       ORDER BY start_date DESC, filed_at ASC`,
+      params
+    );
+
+    res.json({ items: result.rows });
+  } catch (error) {
+    console.error('Error fetching BTW filings:', error);
+    sendError(res, 500, 'Kon BTW-aangiftes niet ophalen');
+  }
+});
+
+/**
+ * POST /api/btw/filings
+ * Mark the return of a period as filed, storing a snapshot of its rubrieken
+ * From then on the period only takes corrections (btwCorrection=true).
+ * Body: { scope, zzpId or companyId, period (month|quarter|year), year, value }
+ */
+router.post('/filings', requirePermission('btw:write'), async (req, res) => {
+  try {
+    const parsed = parseScopeQuery(req.body, req.user);
+    if (parsed.error) {
+      return sendError(res, parsed.status, parsed.error);
+    }
+    const { scope, ownerId, yearNum, startDate, endDate } = parsed;
+    const { period, value } = req.body;
+
+    // Credit notes count on their issue date, so only finished periods can be filed
+    if (endDate >= new Date().toISOString().slice(0, 10)) {
+      return sendError(res, 400, 'Periode is nog niet afgelopen');
+    }
+
+    const ownerColumn = scope === 'zzp' ? 'zzp_id' : 'company_id';
+    const filing = await withTransaction(async (client) => {
+      // Serialize filings of the same owner
+      await client.query(
+        `SELECT id FROM ${scope === 'zzp' ? 'zzp_users' : 'companies'} WHERE id = $1 FOR UPDATE`,
+        [ownerId]
+      );
+
+      const overlapResult = await client.query(
+        `SELECT 1 FROM btw_filings
+         WHERE ${ownerColumn} = $1
+           AND kind = 'aangifte'
+           AND start_date <= $3
+           AND end_date >= $2`,
+        [ownerId, startDate, endDate]
+      );
+      if (overlapResult.rows.length > 0) {
+        return null;
+      }
+
+      const { rubrieken, exact, exempt } = calcAangifte(await getAangifteData(scope, ownerId, startDate, endDate));
+
+      const result = await client.query(
+        `INSERT INTO btw_filings (
+           zzp_id, company_id, kind, period, year, period_value, start_date, end_date,
+           rubrieken, exact, exempt, filed_by
+         )
+         VALUES ($1, $2, 'aangifte', $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING ${FILING_COLUMNS}`,
+        [
+          scope === 'zzp' ? ownerId : null,
+          scope === 'company' ? ownerId : null,
+          period,
+          yearNum,
+          period === 'year' ? null : parseInt(value),
+          startDate,
+          endDate,
+          JSON.stringify(rubrieken),
+          JSON.stringify(exact),
+          exempt,
+          req.user.userId
+        ]
+      );
+      return result.rows[0];
+    });
+
+    if (!filing) {
+      return sendError(res, 409, 'BTW-aangifte over deze periode is al ingediend');
+    }
+
+    res.status(201).json(filing);
+  } catch (error) {
+    console.error('Error filing BTW return:', error);
+    sendError(res, 500, 'Kon BTW-aangifte niet vastleggen');
+  }
+});
+
+/**
+ * GET /api/btw/filings/:id/suppletie
+ * Difference between the current figures of a filed period and the figures last submitted
+ * (the return or its latest suppletie)
+ */
+router.get('/filings/:id/suppletie', requirePermission('btw:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'BTW-aangifte niet gevonden');
+    }
+
+    const loaded = await loadFiling({ query }, id, req.user);
+    if (!loaded) {
+      return sendError(res, 404, 'BTW-aangifte niet gevonden');
+    }
+    const { filing, latest, scope, ownerId } = loaded;
+
+    const current = calcAangifte(await getAangifteData(scope, ownerId, filing.start_date, filing.end_date));
+    const delta = calcRubriekenDelta(current.rubrieken, latest.rubrieken);
+
+    res.json({
+      filing,
+      filed: latest.rubrieken,
+      current: current.rubrieken,
+      delta,
+      exactDelta: calcRubriekenDelta(current.exact, latest.exact),
+      hasChanges: hasDelta(delta)
+    });
+  } catch (error) {
+    console.error('Error calculating BTW suppletie:', error);
+    sendError(res, 500, 'Kon suppletie niet berekenen');
+  }
+});
+
+/**
+ * POST /api/btw/filings/:id/suppletie
+ * Mark a supplementary return as filed for a filed period: stores the current figures as the
+ * new snapshot and clears the corrected flag of the return
+ */
+router.post('/filings/:id/suppletie', requirePermission('btw:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'BTW-aangifte niet gevonden');
+    }
+
+    const created = await withTransaction(async (client) => {
+      await client.query('SELECT id FROM btw_filings WHERE id = $1 FOR UPDATE', [id]);
+
+      const loaded = await loadFiling(client, id, req.user);
+      if (!loaded) {
+        return { status: 404, error: 'BTW-aangifte niet gevonden' };
+      }
+      const { filing, latest, scope, ownerId } = loaded;
+
+      const current = calcAangifte(await getAangifteData(scope, ownerId, filing.start_date, filing.end_date));
+      const delta = calcRubriekenDelta(current.rubrieken, latest.rubrieken);
+      if (!hasDelta(delta)) {
+        return { status: 409, error: 'Geen verschil met de ingediende aangifte' };
+      }
+
+      const result = await client.query(
+        `INSERT INTO btw_filings (
+           zzp_id, company_id, kind, parent_id, period, year, period_value, start_date, end_date,
+           rubrieken, exact, exempt, filed_by
+         )
+         VALUES ($1, $2, 'suppletie', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING ${FILING_COLUMNS}`,
+        [
+          filing.zzp_id,
+          filing.company_id,
+          filing.id,
+          filing.period,
+          filing.year,
+          filing.period_value,
+          filing.start_date,
+          filing.end_date,
+          JSON.stringify(current.rubrieken),
+          JSON.stringify(current.exact),
+          current.exempt,
+          req.user.userId
+        ]
+      );
+
+      await client.query('UPDATE btw_filings SET corrected_at = NULL WHERE id = $1', [filing.id]);
+
+      return { suppletie: result.rows[0], delta };
+    });
+
+    if (created.error) {
+      return sendError(res, created.status, created.error);
+    }
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error filing BTW suppletie:', error);
+    sendError(res, 500, 'Kon suppletie niet vastleggen');
+  }
+});
+
 export default router;
@@ -1,17 +1,50 @@
 import { Router } from 'express';
 import { query } from '../db/client.js';
 import { sendError } from '../utils/error.js';
+import { requireUserType, requirePermission } from '../middleware/tenant.js';
+import { createDefaultTariffs } from '../utils/tariffs.js';
+import {
+  isValidInvoicePrefix,
+  validateInvoiceNumberFormat,
+  formatInvoiceNumber
+} from '../utils/invoiceNumbers.js';
+import { isValidPaymentTermDays, MAX_PAYMENT_TERM_DAYS } from '../utils/payments.js';
+import { normalizePostalCode } from '../utils/address.js';
 
 const router = Router();
 
+/**
+ * Resolve the company the authenticated user may read
+ * Company users see their own company, ZZP users the company they are linked to
+ * @param {Object} user - req.user
+ * @returns {Promise<string|null>} - Company ID or null
+ */
+async function getAccessibleCompanyId(user) {
+  if (user.userType === 'company') {
+    return user.profileId || null;
+  }
+
+  if (user.userType === 'zzp' && user.profileId) {
+    const result = await query(
+      'SELECT company_id FROM zzp_users WHERE id = $1',
+      [user.profileId]
+    );
+    return result.rows.length > 0 ? result.rows[0].company_id : null;
+  }
+
+  return null;
+}
+
 /**
  * GET /api/companies
- * List all companies ordered by created_at DESC
+ * List the companies visible to the authenticated user
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('company:read'), async (req, res) => {
   try {
+    const companyId = await getAccessibleCompanyId(req.user);
     const result = await query(
-      'SELECT id, name, kvk_number, btw_number, email, phone, created_at FROM companies ORDER BY created_at DESC'
+      'SELECT id, name, kvk_number, btw_number, email, phone, street_address, postal_code, city, require_2fa, invoice_prefix, invoice_number_format, credit_note_prefix, credit_note_number_format, payment_term_days, created_at FROM companies WHERE id = $1 ORDER BY created_at DESC',
+      [companyId]
     );
     res.json({ items: result.rows });
   } catch (error) {
@@ -24,11 +57,18 @@ router.get('/', async (req, res) => {
  * GET /api/companies/:id
  * Get a single company by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('company:read'), async (req, res) => {
   try {
     const { id } = req.params;
+
+    // Hide other tenants behind a 404
+    const companyId = await getAccessibleCompanyId(req.user);
+    if (id !== companyId) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
+
     const result = await query(
-      'SELECT id, name, kvk_number, btw_number, email, phone, created_at FROM companies WHERE id = $1',
+      'SELECT id, name, kvk_number, btw_number, email, phone, street_address, postal_code, city, require_2fa, invoice_prefix, invoice_number_format, credit_note_prefix, credit_note_number_format, payment_term_days, created_at FROM companies WHERE id = $1',
       [id]
     );
 
@@ -45,10 +85,10 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/companies
- * Create a new company
+ * Create a new company owned by the authenticated company user
  * Body: { name, kvk_number, btw_number, email, phone }
  */
-router.post('/', async (req, res) => {
+router.post('/', requireUserType('company'), async (req, res) => {
   try {
     const { name, kvk_number, btw_number, email, phone } = req.body;
 
@@ -58,12 +98,21 @@ router.post('/', async (req, res) => {
     }
 
     const result = await query(
-      `INSERT INTO companies (name, kvk_number, btw_number, email, phone)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO companies (user_id, name, kvk_number, btw_number, email, phone)
+       VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING id, name, kvk_number, btw_number, email, phone, created_at`,
-      [name, kvk_number || null, btw_number || null, email || null, phone || null]
+      [req.user.userId, name, kvk_number || null, btw_number || null, email || null, phone || null]
+    );
+
+    // The creator becomes owner of the new company
+    await query(
+      `INSERT INTO company_members (company_id, user_id, role)
+       VALUES ($1, $2, 'owner')`,
+      [result.rows[0].id, req.user.userId]
     );
 
+    await createDefaultTariffs(result.rows[0].id);
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error creating company:', error);
@@ -74,23 +123,50 @@ router.post('/', async (req, res) => {
 /**
  * PUT /api/companies/:id
  * Update an existing company
+ * Body: { name, kvk_number, btw_number, email, phone, street_address, postal_code, city }
+ * The address is printed on invoices; omitted address fields stay as they are and null clears them.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireUserType('company'), requirePermission('company:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, kvk_number, btw_number, email, phone } = req.body;
+    const { name, kvk_number, btw_number, email, phone, street_address, postal_code, city } = req.body;
+
+    if (id !== req.user.profileId) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
 
     // Validate required fields
     if (!name) {
       return sendError(res, 400, 'Naam is verplicht');
     }
 
+    const normalizedPostalCode = postal_code ? normalizePostalCode(postal_code) : null;
+    if (postal_code && !normalizedPostalCode) {
+      return sendError(res, 400, 'Ongeldige postcode (verwacht 1234 AB)');
+    }
+
     const result = await query(
       `UPDATE companies
-       SET name = $1, kvk_number = $2, btw_number = $3, email = $4, phone = $5
-       WHERE id = $6
-       RETURNING id, name, kvk_number, btw_number, email, phone, created_at`,
-      [name, kvk_number || null, btw_number || null, email || null, phone || null, id]
+       SET name = $1, kvk_number = $2, btw_number = $3, email = $4, phone = $5,
+           street_address = CASE WHEN $6 THEN $7 ELSE street_address END,
+           postal_code = CASE WHEN $8 THEN $9 ELSE postal_code END,
+           city = CASE WHEN $10 THEN $11 ELSE city END
+       WHERE id = $12
+       RETURNING id, name, kvk_number, btw_number, email, phone, street_address, postal_code, city, created_at`,
+      [
+        name,
+        kvk_number || null,
+        btw_number || null,
+        email || null,
+        phone || null,
+        street_address !== undefined,
+        street_address || null,
+        postal_code !== undefined,
+        normalizedPostalCode,
+        city !== undefined,
+        city || null,
+        id
+      ]
     );
 
     if (result.rows.length === 0) {
@@ -104,14 +180,149 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/companies/:id/security
+ * Require two-factor authentication for all members (owners only)
+ * Body: { require2fa }
+ * The owner must have 2FA enabled before requiring it.
+ */
+router.put('/:id/security', requireUserType('company'), requirePermission('company:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { require2fa } = req.body;
+
+    if (id !== req.user.profileId) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
+
+    if (req.user.role !== 'owner') {
+      return sendError(res, 403, 'Alleen eigenaren kunnen beveiligingsinstellingen wijzigen');
+    }
+
+    if (typeof require2fa !== 'boolean') {
+      return sendError(res, 400, 'require2fa moet true of false zijn');
+    }
+
+    if (require2fa) {
+      const ownerResult = await query(
+        'SELECT totp_enabled_at FROM users WHERE id = $1',
+        [req.user.userId]
+      );
+      if (!ownerResult.rows[0] || !ownerResult.rows[0].totp_enabled_at) {
+        return sendError(res, 400, 'Schakel eerst zelf tweestapsverificatie in');
+      }
+    }
+
+    const result = await query(
+      'UPDATE companies SET require_2fa = $1 WHERE id = $2 RETURNING id, require_2fa',
+      [require2fa, id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating company security:', error);
+    sendError(res, 500, 'Kon beveiligingsinstellingen niet bijwerken');
+  }
+});
+
+/**
+ * PUT /api/companies/:id/invoice-settings
+ * Set the invoice number prefix and format and the default payment term
+ * Body: { invoicePrefix, invoiceNumberFormat, creditNotePrefix (optional), creditNoteNumberFormat (optional),
+ *   paymentTermDays (optional) }
+ * Format tokens: {prefix}, {year}, {seq} or {seq:N}. With {year} the series restarts every year.
+ */
+router.put('/:id/invoice-settings', requireUserType('company'), requirePermission('company:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { invoicePrefix, invoiceNumberFormat, creditNotePrefix, creditNoteNumberFormat, paymentTermDays } = req.body;
+
+    if (id !== req.user.profileId) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
+
+    const missingFields = [];
+    if (!invoicePrefix) missingFields.push('invoicePrefix');
+    if (!invoiceNumberFormat) missingFields.push('invoiceNumberFormat');
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Verplichte velden ontbreken',
+        missingFields
+      });
+    }
+
+    if (!isValidInvoicePrefix(invoicePrefix)) {
+      return sendError(res, 400, 'Ongeldig voorvoegsel (letters, cijfers, - en _, max. 16 tekens)');
+    }
+
+    const formatError = validateInvoiceNumberFormat(invoiceNumberFormat);
+    if (formatError) {
+      return sendError(res, 400, formatError);
+    }
+
+    if (creditNotePrefix !== undefined && !isValidInvoicePrefix(creditNotePrefix)) {
+      return sendError(res, 400, 'Ongeldig voorvoegsel voor creditnota\'s');
+    }
+
+    if (creditNoteNumberFormat !== undefined) {
+      const creditFormatError = validateInvoiceNumberFormat(creditNoteNumberFormat);
+      if (creditFormatError) {
+        return sendError(res, 400, `Creditnota: ${creditFormatError}`);
+      }
+    }
+
+    if (paymentTermDays !== undefined && !isValidPaymentTermDays(paymentTermDays)) {
+      return sendError(res, 400, `Betaaltermijn moet tussen 0 en ${MAX_PAYMENT_TERM_DAYS} dagen liggen`);
+    }
+
+    // Credit note settings and payment term are optional; omitted values stay as they are
+    const result = await query(
+      `UPDATE companies
+       SET invoice_prefix = $1, invoice_number_format = $2,
+           credit_note_prefix = COALESCE($3, credit_note_prefix),
+           credit_note_number_format = COALESCE($4, credit_note_number_format),
+           payment_term_days = COALESCE($5, payment_term_days)
+       WHERE id = $6
+       RETURNING id, invoice_prefix, invoice_number_format, credit_note_prefix, credit_note_number_format,
+                 payment_term_days`,
+      [invoicePrefix, invoiceNumberFormat, creditNotePrefix ?? null, creditNoteNumberFormat ?? null, paymentTermDays ?? null, id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
+
+    // Show what the next numbers will look like
+    const example = formatInvoiceNumber(invoiceNumberFormat, {
+      prefix: invoicePrefix,
+      year: new Date().getFullYear(),
+      sequence: 1
+    });
+
+    res.json({ ...result.rows[0], example });
+  } catch (error) {
+    console.error('Error updating invoice settings:', error);
+    sendError(res, 500, 'Kon factuurinstellingen niet bijwerken');
+  }
+});
+
 /**
  * DELETE /api/companies/:id
  * Delete a company
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireUserType('company'), requirePermission('company:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (id !== req.user.profileId) {
+      return sendError(res, 404, 'Bedrijf niet gevonden');
+    }
+
     const result = await query(
       'DELETE FROM companies WHERE id = $1 RETURNING id',
       [id]
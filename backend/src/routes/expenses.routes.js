@@ -1,15 +1,97 @@
-import { Router } from 'express';
-import { query } from '../db/client.js';
+import express, { Router } from 'express';
+import crypto from 'crypto';
+import { query, withTransaction } from '../db/client.js';
 import { sendError } from '../utils/error.js';
+import { isValidDate } from '../utils/date.js';
+import { requireUserType } from '../middleware/tenant.js';
+import { parseUblInvoice } from '../utils/ubl.js';
+import { putFile, getFileStream, deleteFile } from '../utils/storage.js';
+import { checkFiledBtwPeriods, flagCorrectedFilings, isBtwCorrection } from '../utils/btwFilings.js';
+import { isValidVatCode, getVatRate, calcBTW, splitGrossAmount, DEFAULT_VAT_CODE } from '../utils/calc.js';
 
 const router = Router();
 
+// Expenses belong to ZZP users only
+router.use(requireUserType('zzp'));
+
 // UUID regex pattern for validation
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+// ISO 3166 alpha-2 country code of a supplier
+const COUNTRY_REGEX = /^[A-Z]{2}$/;
+
+// Category of imported supplier invoices when none is given
+const DEFAULT_IMPORT_CATEGORY = 'Inkoopfactuur';
+
+// amount excludes BTW; deductible_btw_amount is the voorbelasting (BTW x deductible_percent)
+const EXPENSE_COLUMNS = `e.id, e.zzp_id, e.expense_date, e.category, e.gross_amount, e.amount, e.btw_amount,
+  e.btw_rate, e.vat_code, e.deductible_percent, e.supplier_country,
+  ROUND(e.btw_amount * e.deductible_percent / 100, 2) AS deductible_btw_amount,
+  e.notes, e.import_id, e.created_at`;
+
+const IMPORT_COLUMNS = `id, supplier_name, supplier_vat_number, invoice_number, invoice_date::text AS invoice_date,
+  net_amount, vat_amount, total_amount, file_name, created_at`;
+
+/**
+ * Work out the amounts of an expense as on the receipt
+ * With grossAmount the BTW is btwAmount, or else the BTW included at the rate of vatCode.
+ * With only amount (excluding BTW, as before) the BTW comes on top of it.
+ * @param {Object} input - { grossAmount, amount, btwAmount, vatCode, deductiblePercent }
+ * @returns {Object} - { amounts: { grossAmount, amount, btwAmount, btwRate, vatCode, deductiblePercent } } or { error }
+ */
+function calcExpenseAmounts(input) {
+  const { grossAmount, amount, btwAmount, vatCode = DEFAULT_VAT_CODE, deductiblePercent = 100 } = input;
+  const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+  if (!isValidVatCode(vatCode)) {
+    return { error: 'Ongeldige BTW-code' };
+  }
+  if (grossAmount !== undefined && grossAmount !== null && !isNumber(grossAmount)) {
+    return { error: 'Ongeldig bruto bedrag' };
+  }
+  if (amount !== undefined && amount !== null && !isNumber(amount)) {
+    return { error: 'Ongeldig bedrag' };
+  }
+  if (btwAmount !== undefined && btwAmount !== null && !isNumber(btwAmount)) {
+    return { error: 'Ongeldig BTW-bedrag' };
+  }
+  if (!isNumber(deductiblePercent) || deductiblePercent < 0 || deductiblePercent > 100) {
+    return { error: 'Aftrekbaar percentage moet tussen 0 en 100 liggen' };
+  }
+
+  const rate = getVatRate(vatCode);
+  let gross;
+  let btw;
+  if (isNumber(grossAmount)) {
+    gross = Number(grossAmount.toFixed(2));
+    btw = isNumber(btwAmount) ? Number(btwAmount.toFixed(2)) : splitGrossAmount(gross, rate).btw;
+  } else {
+    btw = isNumber(btwAmount) ? Number(btwAmount.toFixed(2)) : calcBTW(amount, rate);
+    gross = Number((amount + btw).toFixed(2));
+  }
+
+  if (Math.abs(btw) > Math.abs(gross) || (btw !== 0 && Math.sign(btw) !== Math.sign(gross))) {
+    return { error: 'BTW-bedrag past niet bij het bruto bedrag' };
+  }
+
+  return {
+    amounts: {
+      grossAmount: gross,
+      amount: Number((gross - btw).toFixed(2)),
+      btwAmount: btw,
+      btwRate: Number((rate * 100).toFixed(2)),
+      vatCode,
+      deductiblePercent
+    }
+  };
+}
+
 /**
  * POST /api/expenses
  * Create a new expense entry and persist to database
+ * Body: { zzpId, expenseDate, category, grossAmount (incl. BTW) or amount (excl. BTW), btwAmount (optional),
+ *   vatCode (optional, default standard), deductiblePercent (optional, default 100),
+ *   supplierCountry (optional, default NL), notes, btwCorrection (true to book into a filed BTW period) }
  */
 router.post('/', async (req, res) => {
   try {
@@ -17,7 +99,9 @@ router.post('/', async (req, res) => {
       zzpId,
       expenseDate,
       category,
+      grossAmount,
       amount,
+      supplierCountry = 'NL',
       notes
     } = req.body;
 
@@ -25,7 +109,9 @@ router.post('/', async (req, res) => {
     const missingFields = [];
     if (!zzpId) missingFields.push('zzpId');
     if (!expenseDate) missingFields.push('expenseDate');
-    if (amount === undefined || amount === null) missingFields.push('amount');
+    if ((grossAmount === undefined || grossAmount === null) && (amount === undefined || amount === null)) {
+      missingFields.push('grossAmount');
+    }
 
     if (missingFields.length > 0) {
       return sendError(res, 400, 'Verplichte velden ontbreken');
@@ -36,18 +122,60 @@ router.post('/', async (req, res) => {
       return sendError(res, 400, 'Ongeldige ZZP-ID');
     }
 
-    // Validate numeric field
-    if (typeof amount !== 'number' || isNaN(amount)) {
-      return sendError(res, 400, 'Ongeldig bedrag');
+    // ZZP users may only record their own expenses
+    if (zzpId !== req.user.profileId) {
+      return sendError(res, 403, 'Geen toegang');
+    }
+
+    // Validate date
+    if (!isValidDate(expenseDate)) {
+      return sendError(res, 400, 'Ongeldige datum');
+    }
+
+    if (typeof supplierCountry !== 'string' || !COUNTRY_REGEX.test(supplierCountry.toUpperCase())) {
+      return sendError(res, 400, 'Ongeldige landcode');
+    }
+
+    // Validate amounts
+    const calculated = calcExpenseAmounts(req.body);
+    if (calculated.error) {
+      return sendError(res, 400, calculated.error);
+    }
+    const { amounts } = calculated;
+
+    // Filed BTW periods only take corrections
+    const btwCheck = await checkFiledBtwPeriods({ query }, {
+      zzpId,
+      dates: [expenseDate],
+      correction: isBtwCorrection(req)
+    });
+    if (btwCheck.error) {
+      return sendError(res, btwCheck.status, btwCheck.error);
     }
 
     // Insert into database
     const result = await query(
-      `INSERT INTO expenses (zzp_id, expense_date, category, amount, notes)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, zzp_id, expense_date, category, amount, notes, created_at`,
-      [zzpId, expenseDate, category || null, amount, notes || null]
+      `INSERT INTO expenses AS e (
+         zzp_id, expense_date, category, gross_amount, amount, btw_amount, btw_rate, vat_code, deductible_percent,
+         supplier_country, notes
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${EXPENSE_COLUMNS}`,
+      [
+        zzpId,
+        expenseDate,
+        category || null,
+        amounts.grossAmount,
+        amounts.amount,
+        amounts.btwAmount,
+        amounts.btwRate,
+        amounts.vatCode,
+        amounts.deductiblePercent,
+        supplierCountry.toUpperCase(),
+        notes || null
+      ]
     );
+    await flagCorrectedFilings({ query }, btwCheck.filings);
 
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -64,33 +192,207 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/expenses/import/ubl
+ * Import a supplier invoice in UBL 2.1 format (Content-Type: application/xml)
+ * Creates one expense per BTW rate on the invoice, with the amount excluding BTW, and stores the
+ * original file. Each supplier invoice (supplier + invoice number) can be imported once.
+ * Query params: category (optional), filename (optional, name of the uploaded file),
+ *   btwCorrection (true when the invoice date lies in a filed BTW period)
+ */
+router.post(
+  '/import/ubl',
+  express.text({ type: ['application/xml', 'text/xml'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return sendError(res, 400, 'Verwacht een UBL-bestand (Content-Type: application/xml)');
+      }
+
+      const { invoice, error } = parseUblInvoice(req.body);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      const zzpId = req.user.profileId;
+      const category = String(req.query.category || '').trim() || DEFAULT_IMPORT_CATEGORY;
+      const fileName = String(req.query.filename || '').replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 100) ||
+        `${invoice.invoiceNumber.replace(/[^A-Za-z0-9_.-]/g, '_')}.xml`;
+      const file = Buffer.from(req.body, 'utf8');
+
+      const btwCheck = await checkFiledBtwPeriods({ query }, {
+        zzpId,
+        dates: [invoice.issueDate],
+        correction: isBtwCorrection(req)
+      });
+      if (btwCheck.error) {
+        return sendError(res, btwCheck.status, btwCheck.error);
+      }
+
+      const created = await withTransaction(async (client) => {
+        const importId = crypto.randomUUID();
+        const fileKey = `expenses/${zzpId}/${importId}.xml`;
+
+        const importResult = await client.query(
+          `INSERT INTO expense_imports (
+             id, zzp_id, supplier_key, supplier_name, supplier_vat_number, invoice_number, invoice_date,
+             net_amount, vat_amount, total_amount, file_name, file_key, file_size, file_sha256, created_by
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+           ON CONFLICT (zzp_id, supplier_key, invoice_number) DO NOTHING
+           RETURNING ${IMPORT_COLUMNS}`,
+          [
+            importId,
+            zzpId,
+            invoice.supplier.key,
+            invoice.supplier.name,
+            invoice.supplier.vatNumber,
+            invoice.invoiceNumber,
+            invoice.issueDate,
+            invoice.netAmount,
+            invoice.vatAmount,
+            invoice.totalAmount,
+            fileName,
+            fileKey,
+            file.length,
+            crypto.createHash('sha256').update(file).digest('hex'),
+            req.user.userId
+          ]
+        );
+
+        if (importResult.rows.length === 0) {
+          return null;
+        }
+
+        const items = [];
+        for (const subtotal of invoice.taxSubtotals) {
+          const notes = `${invoice.supplier.name} - factuur ${invoice.invoiceNumber}` +
+            (invoice.taxSubtotals.length > 1 ? ` (${subtotal.rate}% BTW)` : '');
+
+          const expenseResult = await client.query(
+            `INSERT INTO expenses AS e (
+               zzp_id, expense_date, category, gross_amount, amount, btw_amount, btw_rate, vat_code,
+               supplier_country, notes, import_id
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING ${EXPENSE_COLUMNS}`,
+            [
+              zzpId,
+              invoice.issueDate,
+              category,
+              Number((subtotal.netAmount + subtotal.vatAmount).toFixed(2)),
+              subtotal.netAmount,
+              subtotal.vatAmount,
+              subtotal.rate,
+              subtotal.vatCode,
+              COUNTRY_REGEX.test(invoice.supplier.country) ? invoice.supplier.country : 'NL',
+              notes,
+              importId
+            ]
+          );
+          items.push({
+            ...expenseResult.rows[0],
+            supplier_name: invoice.supplier.name,
+            supplier_invoice_number: invoice.invoiceNumber,
+            attachment_url: `/api/expenses/imports/${importId}/file`
+          });
+        }
+
+        await flagCorrectedFilings(client, btwCheck.filings);
+
+        // Store the original; a storage failure rolls back the import
+        await putFile(fileKey, file, { contentType: 'application/xml' });
+
+        return { import: importResult.rows[0], items };
+      });
+
+      if (!created) {
+        return sendError(res, 409, `Factuur ${invoice.invoiceNumber} van ${invoice.supplier.name} is al geïmporteerd`);
+      }
+
+      res.status(201).json(created);
+    } catch (error) {
+      console.error('Error importing UBL invoice:', error);
+      sendError(res, 500, 'Kon factuur niet importeren');
+    }
+  }
+);
+
+/**
+ * GET /api/expenses/imports/:id/file
+ * Download the original file of an imported supplier invoice
+ */
+router.get('/imports/:id/file', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Bestand niet gevonden');
+    }
+
+    const result = await query(
+      'SELECT file_name, file_key, file_size FROM expense_imports WHERE id = $1 AND zzp_id = $2',
+      [id, req.user.profileId]
+    );
+
+    const file = result.rows[0];
+    const stream = file?.file_key ? await getFileStream(file.file_key) : null;
+    if (!stream) {
+      return sendError(res, 404, 'Bestand niet gevonden');
+    }
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${file.file_name}"`,
+      'Cache-Control': 'private, max-age=31536000, immutable'
+    });
+    if (file.file_size) {
+      res.set('Content-Length', String(file.file_size));
+    }
+
+    stream.on('error', (error) => {
+      console.error('Error streaming expense attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching expense attachment:', error);
+    sendError(res, 500, 'Kon bestand niet ophalen');
+  }
+});
+
 /**
  * GET /api/expenses
- * List expenses with optional zzpId filter
- * Query params: zzpId
+ * List expenses of the authenticated ZZP user
+ * Query params: zzpId (optional, must match the authenticated user)
  */
 router.get('/', async (req, res) => {
   try {
-    const { zzpId } = req.query;
+    const zzpId = req.query.zzpId || req.user.profileId;
 
     let sql = `
-      SELECT id, zzp_id, expense_date, category, amount, notes, created_at
-      FROM expenses
+      SELECT ${EXPENSE_COLUMNS},
+             ei.supplier_name,
+             ei.invoice_number AS supplier_invoice_number,
+             CASE WHEN ei.file_key IS NOT NULL THEN '/api/expenses/imports/' || ei.id || '/file' END AS attachment_url
+      FROM expenses e
+      LEFT JOIN expense_imports ei ON e.import_id = ei.id
       WHERE 1=1
     `;
     const params = [];
     let paramIndex = 1;
 
     // Apply filter with UUID validation
-    if (zzpId) {
-      if (!UUID_REGEX.test(zzpId)) {
-        return sendError(res, 400, 'Ongeldige ZZP-ID');
-      }
-      sql += ` AND zzp_id = $${paramIndex++}`;
-      params.push(zzpId);
+    if (!UUID_REGEX.test(zzpId)) {
+      return sendError(res, 400, 'Ongeldige ZZP-ID');
+    }
+    if (zzpId !== req.user.profileId) {
+      return sendError(res, 403, 'Geen toegang');
     }
+    sql += ` AND e.zzp_id = $${paramIndex++}`;
+    params.push(zzpId);
 
-    sql += ' ORDER BY expense_date DESC';
+    sql += ' ORDER BY e.expense_date DESC';
 
     const result = await query(sql, params);
     res.json({ items: result.rows });
@@ -102,7 +404,7 @@ router.get('/', async (req, res) => {
 
 /**
  * DELETE /api/expenses/:id
- * Delete an expense
+ * Delete an expense (in a filed BTW period only with ?btwCorrection=true)
  */
 router.delete('/:id', async (req, res) => {
   try {
@@ -113,12 +415,56 @@ router.delete('/:id', async (req, res) => {
       return sendError(res, 400, 'Ongeldige ID');
     }
 
-    const result = await query(
-      'DELETE FROM expenses WHERE id = $1 RETURNING id',
-      [id]
+    const existingResult = await query(
+      'SELECT expense_date::text AS expense_date FROM expenses WHERE id = $1 AND zzp_id = $2',
+      [id, req.user.profileId]
     );
 
-    if (result.rows.length === 0) {
+    if (existingResult.rows.length === 0) {
+      return sendError(res, 404, 'Uitgave niet gevonden');
+    }
+
+    const btwCheck = await checkFiledBtwPeriods({ query }, {
+      zzpId: req.user.profileId,
+      dates: [existingResult.rows[0].expense_date],
+      correction: isBtwCorrection(req)
+    });
+    if (btwCheck.error) {
+      return sendError(res, btwCheck.status, btwCheck.error);
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM expenses WHERE id = $1 AND zzp_id = $2 RETURNING id, import_id',
+        [id, req.user.profileId]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+      await flagCorrectedFilings(client, btwCheck.filings);
+
+      // Once all expenses of an import are gone, the supplier invoice can be imported again
+      const importId = result.rows[0].import_id;
+      if (importId) {
+        const importResult = await client.query(
+          `DELETE FROM expense_imports
+           WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM expenses WHERE import_id = $1)
+           RETURNING file_key`,
+          [importId]
+        );
+
+        // Remove the original with it; a storage failure rolls back the delete
+        const fileKey = importResult.rows[0]?.file_key;
+        if (fileKey) {
+          await deleteFile(fileKey);
+        }
+      }
+
+      return true;
+    });
+
+    if (!deleted) {
       return sendError(res, 404, 'Uitgave niet gevonden');
     }
 
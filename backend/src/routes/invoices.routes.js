@@ -1,56 +1,118 @@
 import { Router } from 'express';
+import crypto from 'crypto';
 import { sendError } from '../utils/error.js';
-import { calcLineTotal, calcTotals } from '../utils/calc.js';
+import { isValidDate } from '../utils/date.js';
+import { calcTotals, calcBTW, getVatRate, isValidVatCode, applyVatRegime, VAT_CODES } from '../utils/calc.js';
 import PDFDocument from 'pdfkit';
-import { query } from '../db/client.js';
-import { getWeekDateRange } from '../utils/week.js';
+import { query, withTransaction } from '../db/client.js';
+import { formatPeriodLabel } from '../utils/period.js';
+import { requirePermission, ownsRow, scopeFilters } from '../middleware/tenant.js';
+import { transitionStatement } from '../utils/statementStatus.js';
+import {
+  snapshotStatementLines,
+  assignStatementLinesToInvoice,
+  getStatementLines,
+  getInvoiceLines
+} from '../utils/statementLines.js';
+import { issueInvoiceNumber, issueCreditNoteNumber } from '../utils/invoiceNumbers.js';
+import { putFile, getFileStream, readFile } from '../utils/storage.js';
+import {
+  PAYMENT_METHODS,
+  AGING_BUCKETS,
+  getInvoiceBalance,
+  settleInvoice,
+  calcDueDate
+} from '../utils/payments.js';
+import { formatIban } from '../utils/iban.js';
+import { buildUblInvoice } from '../utils/ubl.js';
+import { checkFiledBtwPeriods, flagCorrectedFilings, isBtwCorrection } from '../utils/btwFilings.js';
 
 const router = Router();
 
-// PDF layout constants
-const DESCRIPTION_MAX_LENGTH = 40;
-const PAGE_BREAK_THRESHOLD = 700;
-const FOOTER_POSITION = 750;
+// UUID regex pattern for validation
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-/**
- * Generate a legal Dutch invoice number
- * Format: FACT-{year}-{sequence padded 4 digits}
- * Example: FACT-2025-0007
- * @param {number} year - Year
- * @param {number} sequence - Sequential number for the year
- * @returns {string} - Invoice number
- */
-function generateLegalInvoiceNumber(year, sequence) {
-  const paddedSequence = String(sequence).padStart(4, '0');
-  return `FACT-${year}-${paddedSequence}`;
-}
+// Exemption text required on invoices of ZZP users under the kleineondernemersregeling
+const KOR_EXEMPTION_TEXT = 'Vrijgesteld van omzetbelasting op grond van de kleineondernemersregeling (KOR).';
 
-/**
- * Get next invoice sequence number for the year
- * @param {number} year - Year to get sequence for
- * @returns {Promise<number>} - Next sequence number
- */
-async function getNextInvoiceSequence(year) {
-  const result = await query(
-    `SELECT invoice_number 
-     FROM invoices 
-     WHERE invoice_number LIKE $1
-     ORDER BY invoice_number DESC 
-     LIMIT 1`,
-    [`FACT-${year}-%`]
-  );
+// Invoice status: fully credited, paid (statement is paid), partially paid or open
+const INVOICE_STATUSES = ['open', 'partially_paid', 'paid', 'credited'];
+const INVOICE_STATUS_SQL = `CASE
+    WHEN i.subtotal + COALESCE(cn.subtotal, 0) <= 0 THEN 'credited'
+    WHEN s.status = 'paid' THEN 'paid'
+    WHEN COALESCE(p.amount, 0) > 0 THEN 'partially_paid'
+    ELSE 'open'
+  END`;
 
-  if (result.rows.length === 0) {
-    return 1;
-  }
+// Invoice total minus credit notes and payments; needs the joins of INVOICE_FROM_SQL
+const OPEN_BALANCE_SQL = 'i.total + COALESCE(cn.total, 0) - COALESCE(p.amount, 0)';
 
-  // Extract sequence from invoice number (FACT-2025-0007 -> 0007 -> 7)
-  const lastInvoiceNumber = result.rows[0].invoice_number;
-  const parts = lastInvoiceNumber.split('-');
-  const lastSequence = parseInt(parts[2]) || 0;
-  
-  return lastSequence + 1;
-}
+// Sortable columns of the invoice list
+const INVOICE_SORT_COLUMNS = {
+  invoiceDate: 'i.created_at',
+  invoiceNumber: 'i.invoice_number',
+  dueDate: 'i.due_date',
+  total: 'i.total',
+  zzpName: 'z.full_name',
+  status: INVOICE_STATUS_SQL
+};
+
+const PAYMENT_COLUMNS = 'id, invoice_id, amount, payment_date::text AS payment_date, method, reference, created_by, created_at';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Invoice columns for lists and detail; needs the joins of INVOICE_FROM_SQL
+const INVOICE_SELECT_SQL = `
+  SELECT
+    i.id,
+    i.invoice_number,
+    i.statement_id,
+    i.company_id,
+    s.zzp_id,
+    c.name AS company_name,
+    z.full_name AS zzp_name,
+    s.period_type,
+    s.year,
+    s.week_number,
+    s.period_start::text AS period_start,
+    s.period_end::text AS period_end,
+    s.currency,
+    i.subtotal,
+    i.btw_amount,
+    i.vat_breakdown,
+    i.vat_regime,
+    i.total,
+    COALESCE(cn.total, 0) AS credited_total,
+    i.total + COALESCE(cn.total, 0) AS net_total,
+    COALESCE(p.amount, 0) AS paid_total,
+    ${OPEN_BALANCE_SQL} AS open_balance,
+    ${INVOICE_STATUS_SQL} AS status,
+    i.created_at::date::text AS invoice_date,
+    i.due_date::text AS due_date,
+    i.file_url,
+    i.created_at`;
+
+const INVOICE_FROM_SQL = `
+  FROM invoices i
+  JOIN statements s ON i.statement_id = s.id
+  JOIN companies c ON i.company_id = c.id
+  JOIN zzp_users z ON s.zzp_id = z.id
+  LEFT JOIN (
+    SELECT invoice_id, SUM(subtotal) AS subtotal, SUM(total) AS total
+    FROM credit_notes
+    GROUP BY invoice_id
+  ) cn ON cn.invoice_id = i.id
+  LEFT JOIN (
+    SELECT invoice_id, SUM(amount) AS amount
+    FROM payments
+    GROUP BY invoice_id
+  ) p ON p.invoice_id = i.id`;
+
+// PDF layout constants
+const DESCRIPTION_MAX_LENGTH = 40;
+const PAGE_BREAK_THRESHOLD = 700;
+const FOOTER_POSITION = 750;
 
 /**
  * Format currency amount in Dutch format
@@ -77,8 +139,277 @@ function formatDate(date) {
   }).format(new Date(date));
 }
 
+/**
+ * Label of a BTW breakdown row in the PDF totals
+ * @param {Object} entry - { vatCode, subtotal }
+ * @returns {string} - e.g. "BTW 21% over € 100,00:"
+ */
+function formatVatBreakdownLabel(entry) {
+  const base = formatCurrency(entry.subtotal);
+  if (entry.vatCode === 'exempt') {
+    return `Vrijgesteld van BTW over ${base}:`;
+  }
+  if (entry.vatCode === 'reverse_charge') {
+    return `BTW verlegd over ${base}:`;
+  }
+  return `BTW ${VAT_CODES[entry.vatCode].label} over ${base}:`;
+}
+
+/**
+ * BTW breakdown of an invoice that has not been credited yet
+ * Credit note breakdowns are negative, so they are added up per BTW code.
+ * @param {Array} invoiceBreakdown - vat_breakdown of the invoice
+ * @param {Array} creditedBreakdowns - vat_breakdown of each credit note
+ * @returns {Array} - [{ vatCode, rate, subtotal, btw }] for the codes with an amount left
+ */
+function getRemainingVatBreakdown(invoiceBreakdown, creditedBreakdowns) {
+  return invoiceBreakdown
+    .map(entry => {
+      let subtotal = parseFloat(entry.subtotal);
+      let btw = parseFloat(entry.btw);
+      for (const breakdown of creditedBreakdowns) {
+        for (const credited of breakdown.filter(item => item.vatCode === entry.vatCode)) {
+          subtotal += parseFloat(credited.subtotal);
+          btw += parseFloat(credited.btw);
+        }
+      }
+      return {
+        vatCode: entry.vatCode,
+        rate: entry.rate,
+        subtotal: Number(subtotal.toFixed(2)),
+        btw: Number(btw.toFixed(2))
+      };
+    })
+    .filter(entry => entry.subtotal > 0);
+}
+
+/**
+ * Check an invoice or credit note issued today against the filed BTW periods
+ * It counts as a sale of the ZZP user and a purchase of the company, so the returns of both apply.
+ * Filing waits until a period has ended, so this only refuses an issue when the filing got ahead of
+ * the invoice date (e.g. across a time zone boundary); as a correction the filing is flagged.
+ * @param {Object} db - Transaction client
+ * @param {Object} statement - { company_id, zzp_id }
+ * @param {boolean} correction - True when the request corrects a filed period
+ * @returns {Promise<Object>} - { filings } or { status, error } (see checkFiledBtwPeriods)
+ */
+async function checkIssueBtwPeriods(db, statement, correction) {
+  // Invoices are dated by the database (created_at), credit notes on the same day
+  const todayResult = await db.query('SELECT CURRENT_DATE::text AS today');
+  return checkFiledBtwPeriods(db, {
+    zzpId: statement.zzp_id,
+    companyId: statement.company_id,
+    dates: [todayResult.rows[0].today],
+    correction
+  });
+}
+
+/**
+ * Release the statement of a fully credited invoice
+ * The invoice is marked credited and keeps its lines; the statement goes back to open with a
+ * fresh snapshot of its worklogs, so the corrected work can be approved and invoiced again.
+ * @param {Object} db - Transaction client
+ * @param {Object} invoice - { id, invoice_number, statement_id }
+ * @param {string} creditNoteNumber - Number of the credit note that completes the credit
+ * @param {string} userId - User who issued the credit note
+ * @returns {Promise<boolean>} - True when the statement moved to open
+ */
+async function releaseCreditedStatement(db, invoice, creditNoteNumber, userId) {
+  await db.query('UPDATE invoices SET credited_at = NOW() WHERE id = $1', [invoice.id]);
+
+  const statementResult = await db.query(
+    'SELECT status FROM statements WHERE id = $1 FOR UPDATE',
+    [invoice.statement_id]
+  );
+  const fromStatus = statementResult.rows[0].status;
+  if (!['invoiced', 'paid'].includes(fromStatus)) {
+    return false;
+  }
+
+  const statement = await transitionStatement(db, {
+    statementId: invoice.statement_id,
+    fromStatus,
+    toStatus: 'open',
+    userId,
+    comment: `Factuur ${invoice.invoice_number} volledig gecrediteerd met creditnota ${creditNoteNumber}`
+  });
+  await snapshotStatementLines(db, statement);
+
+  return true;
+}
+
+/**
+ * Get a statement with the company and ZZP user details printed on invoices
+ * @param {string} statementId - Statement ID
+ * @returns {Promise<Object|null>} - Statement row or null
+ */
+async function getStatementForInvoice(statementId) {
+  const result = await query(
+    `SELECT 
+      s.id,
+      s.company_id,
+      s.zzp_id,
+      s.period_type,
+      s.year,
+      s.week_number,
+      s.period_start::text AS period_start,
+      s.period_end::text AS period_end,
+      s.total_amount,
+      s.currency,
+      s.status,
+      s.created_at,
+      c.id as company_id,
+      c.name as company_name,
+      c.kvk_number,
+      c.btw_number,
+      c.email as company_email,
+      c.phone as company_phone,
+      c.payment_term_days as company_payment_term_days,
+      c.street_address as company_street_address,
+      c.postal_code as company_postal_code,
+      c.city as company_city,
+      z.id as zzp_user_id,
+      z.full_name as zzp_name,
+      z.email as zzp_email,
+      z.phone as zzp_phone,
+      z.external_ref as zzp_external_ref,
+      z.payment_term_days as zzp_payment_term_days,
+      z.iban as zzp_iban,
+      z.kvk_number as zzp_kvk_number,
+      z.btw_number as zzp_btw_number,
+      z.vat_regime as zzp_vat_regime,
+      z.street_address as zzp_street_address,
+      z.postal_code as zzp_postal_code,
+      z.city as zzp_city
+    FROM statements s
+    JOIN companies c ON s.company_id = c.id
+    JOIN zzp_users z ON s.zzp_id = z.id
+    WHERE s.id = $1`,
+    [statementId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Company, ZZP user and period section of the PDF
+ * @param {Object} statement - Row from getStatementForInvoice
+ * @returns {Object} - { company, zzpUser, statement }
+ */
+function getPdfParties(statement) {
+  return {
+    company: {
+      name: statement.company_name,
+      kvk_number: statement.kvk_number,
+      btw_number: statement.btw_number,
+      email: statement.company_email,
+      phone: statement.company_phone,
+      street_address: statement.company_street_address,
+      postal_code: statement.company_postal_code,
+      city: statement.company_city
+    },
+    zzpUser: {
+      full_name: statement.zzp_name,
+      email: statement.zzp_email,
+      phone: statement.zzp_phone,
+      external_ref: statement.zzp_external_ref,
+      kvk_number: statement.zzp_kvk_number,
+      btw_number: statement.zzp_btw_number,
+      street_address: statement.zzp_street_address,
+      postal_code: statement.zzp_postal_code,
+      city: statement.zzp_city
+    },
+    statement: {
+      period_type: statement.period_type,
+      year: statement.year,
+      week_number: statement.week_number,
+      period_start: statement.period_start,
+      period_end: statement.period_end,
+      status: statement.status
+    }
+  };
+}
+
+/**
+ * Resolve the companyId/zzpId filters of an invoice list or report
+ * @param {Object} req - Express request
+ * @returns {Object} - { where, params } or { error, status }
+ */
+function getInvoiceScope(req) {
+  const { companyId, zzpId, forbidden } = scopeFilters(req.user, req.query);
+  if (forbidden) {
+    return { status: 403, error: 'Geen toegang' };
+  }
+
+  if ((companyId && !UUID_REGEX.test(companyId)) || (zzpId && !UUID_REGEX.test(zzpId))) {
+    return { status: 400, error: 'Ongeldige ID' };
+  }
+
+  let where = ' WHERE 1=1';
+  const params = [];
+
+  if (companyId) {
+    params.push(companyId);
+    where += ` AND i.company_id = $${params.length}`;
+  }
+
+  if (zzpId) {
+    params.push(zzpId);
+    where += ` AND s.zzp_id = $${params.length}`;
+  }
+
+  return { where, params };
+}
+
+/**
+ * Stream a stored PDF to the client
+ * @param {Object} res - Express response
+ * @param {Object} file - Row with file_key, file_size and file_sha256
+ * @param {string} name - Download name without extension
+ */
+async function sendStoredPdf(res, file, name) {
+  const stream = file.file_key ? await getFileStream(file.file_key) : null;
+  if (!stream) {
+    return sendError(res, 404, 'PDF is niet beschikbaar');
+  }
+
+  const filename = `${name.replace(/[^A-Za-z0-9_.-]/g, '_')}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    ETag: `"${file.file_sha256}"`
+  });
+  if (file.file_size) {
+    res.set('Content-Length', String(file.file_size));
+  }
+
+  stream.on('error', (error) => {
+    console.error('Error streaming PDF:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+/**
+ * Print the postal address of a party on the PDF
+ * @param {Object} doc - PDFKit document
+ * @param {Object} party - Row with street_address, postal_code and city
+ */
+function writePdfAddress(doc, party) {
+  if (party.street_address) doc.text(party.street_address);
+  const place = [party.postal_code, party.city].filter(Boolean).join(' ');
+  if (place) doc.text(place);
+}
+
 /**
  * Generate a PDF invoice document
+ * The ZZP user is the issuer and the company the recipient, as in the UBL e-invoice.
+ * With data.creditNote ({ originalInvoiceNumber, reason }) the document is a credit note.
+ * data.payment ({ dueDate, iban, accountHolder, reference }) adds the due date and payment instructions.
+ * data.vatBreakdown (see calcVatBreakdown) gives one BTW row per code; reverse charge and
+ * exempt amounts get the notes the law requires. With data.vatRegime 'kor' the exemption note
+ * names the kleineondernemersregeling.
  * @param {Object} data - Invoice data
  * @returns {Promise<Buffer>} - PDF buffer
  */
@@ -91,36 +422,60 @@ async function generateInvoicePDF(data) {
     doc.on('end', () => resolve(Buffer.concat(chunks)));
     doc.on('error', reject);
 
-    const { invoiceNumber, company, zzpUser, statement, worklogs, subtotal, btw, total, weekDateRange } = data;
+    const {
+      invoiceNumber, invoiceDate, company, zzpUser, statement, lines, subtotal, btw, total, vatBreakdown,
+      creditNote, payment, vatRegime
+    } = data;
 
     // Header
-    doc.fontSize(24).font('Helvetica-Bold').text('FACTUUR', { align: 'right' });
+    doc.fontSize(24).font('Helvetica-Bold').text(creditNote ? 'CREDITNOTA' : 'FACTUUR', { align: 'right' });
     doc.moveDown(0.5);
-    doc.fontSize(12).font('Helvetica').text(`Factuurnummer: ${invoiceNumber}`, { align: 'right' });
-    doc.text(`Factuurdatum: ${formatDate(new Date())}`, { align: 'right' });
+    if (creditNote) {
+      doc.fontSize(12).font('Helvetica').text(`Creditnotanummer: ${invoiceNumber}`, { align: 'right' });
+      doc.text(`Datum: ${formatDate(invoiceDate)}`, { align: 'right' });
+      doc.text(`Betreft factuur: ${creditNote.originalInvoiceNumber}`, { align: 'right' });
+    } else {
+      doc.fontSize(12).font('Helvetica').text(`Factuurnummer: ${invoiceNumber}`, { align: 'right' });
+      doc.text(`Factuurdatum: ${formatDate(invoiceDate)}`, { align: 'right' });
+      if (payment) {
+        doc.text(`Vervaldatum: ${formatDate(payment.dueDate)}`, { align: 'right' });
+      }
+    }
     doc.moveDown(2);
 
-    // Company info (From)
+    // ZZP user info (From)
     doc.fontSize(10).font('Helvetica-Bold').text('Van:');
+    doc.font('Helvetica').text(zzpUser.full_name);
+    writePdfAddress(doc, zzpUser);
+    if (zzpUser.kvk_number) doc.text(`KVK: ${zzpUser.kvk_number}`);
+    if (zzpUser.btw_number) doc.text(`BTW: ${zzpUser.btw_number}`);
+    if (zzpUser.email) doc.text(`E-mail: ${zzpUser.email}`);
+    if (zzpUser.phone) doc.text(`Telefoon: ${zzpUser.phone}`);
+    doc.moveDown();
+
+    // Company info (To)
+    doc.font('Helvetica-Bold').text('Aan:');
     doc.font('Helvetica').text(company.name);
+    writePdfAddress(doc, company);
     if (company.kvk_number) doc.text(`KVK: ${company.kvk_number}`);
     if (company.btw_number) doc.text(`BTW: ${company.btw_number}`);
     if (company.email) doc.text(`E-mail: ${company.email}`);
     if (company.phone) doc.text(`Telefoon: ${company.phone}`);
-    doc.moveDown();
-
-    // ZZP user info (To)
-    doc.font('Helvetica-Bold').text('Aan:');
-    doc.font('Helvetica').text(zzpUser.full_name);
-    if (zzpUser.email) doc.text(`E-mail: ${zzpUser.email}`);
-    if (zzpUser.phone) doc.text(`Telefoon: ${zzpUser.phone}`);
     if (zzpUser.external_ref) doc.text(`Referentie: ${zzpUser.external_ref}`);
     doc.moveDown(2);
 
     // Statement period
     doc.font('Helvetica-Bold').text('Periode:');
-    doc.font('Helvetica').text(`Week ${statement.week_number}, ${statement.year}`);
-    doc.text(`${formatDate(weekDateRange.startDate)} - ${formatDate(weekDateRange.endDate)}`);
+    doc.font('Helvetica').text(formatPeriodLabel(statement));
+    // A custom period label already is the date range
+    if (statement.period_type !== 'custom') {
+      doc.text(`${formatDate(statement.period_start)} - ${formatDate(statement.period_end)}`);
+    }
+    if (creditNote) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').text('Reden:');
+      doc.font('Helvetica').text(creditNote.reason);
+    }
     doc.moveDown(2);
 
     // Table header
@@ -142,17 +497,14 @@ async function generateInvoicePDF(data) {
     let y = tableTop + 25;
     doc.font('Helvetica').fontSize(9);
 
-    for (const worklog of worklogs) {
-      const quantity = parseFloat(worklog.quantity) || 0;
-      const unitPrice = parseFloat(worklog.unit_price) || 0;
-      const lineTotal = calcLineTotal(quantity, unitPrice);
-      const description = worklog.notes || `Werk ${formatDate(worklog.work_date)}`;
+    for (const line of lines) {
+      const description = line.notes || `Werk ${formatDate(line.work_date)}`;
       
       doc.text(description.substring(0, DESCRIPTION_MAX_LENGTH), tableLeft, y);
-      doc.text(worklog.tariff_type, tableLeft + colWidths[0], y);
-      doc.text(worklog.quantity.toString(), tableLeft + colWidths[0] + colWidths[1], y);
-      doc.text(formatCurrency(worklog.unit_price), tableLeft + colWidths[0] + colWidths[1] + colWidths[2], y);
-      doc.text(formatCurrency(lineTotal), tableLeft + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3], y);
+      doc.text(line.tariff_label || line.tariff_type, tableLeft + colWidths[0], y);
+      doc.text(line.quantity.toString(), tableLeft + colWidths[0] + colWidths[1], y);
+      doc.text(formatCurrency(line.unit_price), tableLeft + colWidths[0] + colWidths[1] + colWidths[2], y);
+      doc.text(formatCurrency(line.line_total), tableLeft + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3], y);
       
       y += 20;
       
@@ -165,28 +517,70 @@ async function generateInvoicePDF(data) {
 
     // Totals section
     doc.moveDown(2);
-    const totalsX = 400;
+    const totalsX = 300;
+    const amountX = 480;
     y = doc.y + 20;
 
     doc.moveTo(tableLeft, y - 10).lineTo(550, y - 10).stroke();
 
     doc.font('Helvetica').fontSize(10);
     doc.text('Subtotaal:', totalsX, y);
-    doc.text(formatCurrency(subtotal), totalsX + 80, y);
+    doc.text(formatCurrency(subtotal), amountX, y);
 
-    y += 20;
-    doc.text('BTW (21%):', totalsX, y);
-    doc.text(formatCurrency(btw), totalsX + 80, y);
+    // One BTW row per code
+    for (const entry of vatBreakdown) {
+      y += 20;
+      doc.text(formatVatBreakdownLabel(entry), totalsX, y);
+      doc.text(formatCurrency(entry.btw), amountX, y);
+    }
 
     y += 20;
     doc.moveTo(totalsX, y - 5).lineTo(550, y - 5).stroke();
     doc.font('Helvetica-Bold');
     doc.text('Totaal:', totalsX, y);
-    doc.text(formatCurrency(total), totalsX + 80, y);
+    doc.text(formatCurrency(total), amountX, y);
+
+    // Reverse charge requires the text "BTW verlegd" and the customer's BTW number
+    const vatNotes = [];
+    if (vatBreakdown.some(entry => entry.vatCode === 'reverse_charge')) {
+      vatNotes.push(`BTW verlegd naar ${company.name}${company.btw_number ? ` (${company.btw_number})` : ''}.`);
+    }
+    if (vatBreakdown.some(entry => entry.vatCode === 'exempt')) {
+      vatNotes.push(vatRegime === 'kor' ? KOR_EXEMPTION_TEXT : 'Vrijgesteld van BTW.');
+    }
+    if (vatNotes.length > 0) {
+      doc.font('Helvetica').fontSize(10);
+      for (const note of vatNotes) {
+        y += 20;
+        doc.text(note, tableLeft, y, { width: 500 });
+      }
+    }
+
+    // Payment instructions
+    if (payment) {
+      if (y + 80 > FOOTER_POSITION) {
+        doc.addPage();
+        y = 10;
+      }
+      doc.font('Helvetica').fontSize(10);
+      doc.text(
+        `Graag het totaalbedrag van ${formatCurrency(total)} vóór ${formatDate(payment.dueDate)} overmaken` +
+          (payment.iban ? ` naar ${formatIban(payment.iban)} t.n.v. ${payment.accountHolder}` : '') +
+          `, onder vermelding van ${payment.reference}.`,
+        tableLeft,
+        y + 40,
+        { width: 500 }
+      );
+    }
 
     // Footer
     doc.font('Helvetica').fontSize(8);
-    doc.text('Dit is een automatisch gegenereerde factuur.', 50, FOOTER_POSITION, { align: 'center' });
+    doc.text(
+      `Dit is een automatisch gegenereerde ${creditNote ? 'creditnota' : 'factuur'}.`,
+      50,
+      FOOTER_POSITION,
+      { align: 'center' }
+    );
 
     doc.end();
   });
@@ -194,10 +588,11 @@ async function generateInvoicePDF(data) {
 
 /**
  * POST /api/invoices/generate
- * Generate an invoice from a statement
- * Body: { statementId }
+ * Generate an invoice from an approved statement; the statement becomes invoiced
+ * The number comes from the company's own gapless series (see utils/invoiceNumbers.js).
+ * Body: { statementId, btwCorrection (optional, see checkIssueBtwPeriods) }
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', requirePermission('invoices:write'), async (req, res) => {
   try {
     const { statementId } = req.body;
 
@@ -206,11 +601,24 @@ router.post('/generate', async (req, res) => {
       return sendError(res, 400, 'Overzicht-ID is verplicht');
     }
 
+    if (!UUID_REGEX.test(statementId)) {
+      return sendError(res, 400, 'Ongeldige overzicht-ID');
+    }
+
+    // Only the company or ZZP user of the statement may invoice it
+    const ownerResult = await query(
+      'SELECT company_id, zzp_id FROM statements WHERE id = $1',
+      [statementId]
+    );
+    if (ownerResult.rows.length === 0 || !ownsRow(req.user, ownerResult.rows[0])) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
+
     // Check if an invoice already exists for this statement
     const existingInvoiceResult = await query(
-      `SELECT id, invoice_number, file_url, created_at
+      `SELECT id, invoice_number, due_date::text AS due_date, file_url, created_at
        FROM invoices
-       WHERE statement_id = $1`,
+       WHERE statement_id = $1 AND credited_at IS NULL`,
       [statementId]
     );
 
@@ -220,7 +628,8 @@ router.post('/generate', async (req, res) => {
       
       // Fetch statement details to get additional info
       const statementResult = await query(
-        `SELECT year, week_number, total_amount, currency
+        `SELECT period_type, year, week_number, period_start::text AS period_start, period_end::text AS period_end,
+                total_amount, currency
          FROM statements
          WHERE id = $1`,
         [statementId]
@@ -233,123 +642,146 @@ router.post('/generate', async (req, res) => {
         invoiceId: existingInvoice.id,
         invoiceNumber: existingInvoice.invoice_number,
         statementId: statementId,
+        periodType: statement.period_type,
+        periodLabel: formatPeriodLabel(statement),
+        periodStart: statement.period_start,
+        periodEnd: statement.period_end,
         year: statement.year,
         weekNumber: statement.week_number,
         total: statement.total_amount,
         currency: statement.currency || 'EUR',
         createdAt: existingInvoice.created_at,
+        dueDate: existingInvoice.due_date,
         fileUrl: existingInvoice.file_url,
         isExisting: true
       });
     }
 
     // Fetch statement with company and ZZP user info
-    const statementResult = await query(
-      `SELECT 
-        s.id,
-        s.company_id,
-        s.zzp_id,
-        s.year,
-        s.week_number,
-        s.total_amount,
-        s.currency,
-        s.status,
-        s.created_at,
-        c.id as company_id,
-        c.name as company_name,
-        c.kvk_number,
-        c.btw_number,
-        c.email as company_email,
-        c.phone as company_phone,
-        z.id as zzp_user_id,
-        z.full_name as zzp_name,
-        z.email as zzp_email,
-        z.phone as zzp_phone,
-        z.external_ref as zzp_external_ref
-      FROM statements s
-      JOIN companies c ON s.company_id = c.id
-      JOIN zzp_users z ON s.zzp_id = z.id
-      WHERE s.id = $1`,
-      [statementId]
-    );
+    const statement = await getStatementForInvoice(statementId);
 
-    if (statementResult.rows.length === 0) {
+    if (!statement) {
       return sendError(res, 404, 'Overzicht niet gevonden');
     }
 
-    const statement = statementResult.rows[0];
-
-    // Get week date range
-    const weekDateRange = getWeekDateRange(statement.year, statement.week_number);
 
-    // Fetch worklogs for this statement period
-    const worklogsResult = await query(
-      `SELECT 
-        id, work_date, tariff_type, quantity, unit_price, currency, notes
-      FROM worklogs
-      WHERE company_id = $1 
-        AND zzp_id = $2
-        AND work_date >= $3
-        AND work_date <= $4
-      ORDER BY work_date ASC`,
-      [statement.company_id, statement.zzp_id, weekDateRange.startDate, weekDateRange.endDate]
-    );
+    // Only approved statements can be invoiced
+    if (statement.status !== 'approved') {
+      return sendError(res, 409, 'Overzicht moet eerst worden goedgekeurd');
+    }
 
-    const worklogs = worklogsResult.rows;
+    // Lines as snapshotted at approval; later worklog changes do not affect the invoice
+    const lines = await getStatementLines(statementId);
 
-    // Calculate amounts using calc helpers
-    const worklogItems = worklogs.map(w => ({
-      quantity: parseFloat(w.quantity) || 0,
-      unitPrice: parseFloat(w.unit_price) || 0
+    // Calculate amounts using calc helpers; under the KOR no BTW is charged
+    const vatRegime = statement.zzp_vat_regime;
+    const lineItems = lines.map(line => ({
+      quantity: parseFloat(line.quantity) || 0,
+      unitPrice: parseFloat(line.unit_price) || 0,
+      vatCode: applyVatRegime(line.vat_code, vatRegime)
     }));
-    const { subtotal, btw, total } = calcTotals(worklogItems);
+    const { subtotal, btw, total, vatBreakdown } = calcTotals(lineItems);
 
-    // Generate invoice number using legal Dutch format with statement's year
-    const sequence = await getNextInvoiceSequence(statement.year);
-    const invoiceNumber = generateLegalInvoiceNumber(statement.year, sequence);
+    const invoiceDate = new Date();
+    const paymentTermDays = statement.zzp_payment_term_days ?? statement.company_payment_term_days;
+    const dueDate = calcDueDate(invoiceDate, paymentTermDays);
 
-    // Prepare data for PDF
-    const pdfData = {
-      invoiceNumber,
-      company: {
-        name: statement.company_name,
-        kvk_number: statement.kvk_number,
-        btw_number: statement.btw_number,
-        email: statement.company_email,
-        phone: statement.company_phone
-      },
-      zzpUser: {
-        full_name: statement.zzp_name,
-        email: statement.zzp_email,
-        phone: statement.zzp_phone,
-        external_ref: statement.zzp_external_ref
-      },
-      statement: {
-        year: statement.year,
-        week_number: statement.week_number,
-        status: statement.status
-      },
-      worklogs,
-      subtotal,
-      btw,
-      total,
-      weekDateRange
-    };
-
-    // Generate PDF
-    const pdfBuffer = await generateInvoicePDF(pdfData);
-    const pdfBase64 = pdfBuffer.toString('base64');
-
-    // Store invoice in database
-    const insertResult = await query(
-      `INSERT INTO invoices (statement_id, invoice_number, file_url)
-       VALUES ($1, $2, $3)
-       RETURNING id, created_at`,
-      [statementId, invoiceNumber, null] // file_url is null for now (could be S3 URL in production)
-    );
+    // Number, PDF and invoice in one transaction, so a failure never leaves a gap in the series
+    const inserted = await withTransaction(async (client) => {
+      // Lock the statement; a parallel request for the same statement waits here
+      const lockResult = await client.query(
+        'SELECT status FROM statements WHERE id = $1 FOR UPDATE',
+        [statementId]
+      );
+      if (lockResult.rows[0]?.status !== 'approved') {
+        return { status: 409, error: 'Overzicht is intussen gewijzigd; probeer het opnieuw' };
+      }
+
+      // Filed BTW periods only take corrections
+      const btwCheck = await checkIssueBtwPeriods(client, statement, isBtwCorrection(req));
+      if (btwCheck.error) {
+        return btwCheck;
+      }
+
+      const invoiceNumber = await issueInvoiceNumber(client, statement.company_id, invoiceDate);
+
+      await transitionStatement(client, {
+        statementId,
+        fromStatus: 'approved',
+        toStatus: 'invoiced',
+        userId: req.user.userId,
+        comment: `Factuur ${invoiceNumber}`
+      });
 
-    const invoiceId = insertResult.rows[0].id;
-    const createdAt = insertResult.rows[0].created_at;
+      // Prepare data for PDF
+      const pdfData = {
+        invoiceNumber,
+        invoiceDate,
+        ...getPdfParties(statement),
+        lines,
+        subtotal,
+        btw,
+        total,
+        vatBreakdown,
+        vatRegime,
+        // The invoice number doubles as payment reference
+        payment: {
+          dueDate,
+          iban: statement.zzp_iban,
+          accountHolder: statement.zzp_name,
+          reference: invoiceNumber
+        }
+      };
+
+      // Generate PDF
+      const pdfBuffer = await generateInvoicePDF(pdfData);
+
+      const invoiceId = crypto.randomUUID();
+      const fileKey = `invoices/${statement.company_id}/${invoiceId}.pdf`;
+
+      const insertResult = await client.query(
+        `INSERT INTO invoices (
+           id, statement_id, company_id, invoice_number, subtotal, btw_amount, vat_breakdown, vat_regime, total,
+           due_date, file_url, file_key, file_size, file_sha256
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING id, invoice_number, due_date::text AS due_date, file_url, created_at`,
+        [
+          invoiceId,
+          statementId,
+          statement.company_id,
+          invoiceNumber,
+          subtotal,
+          btw,
+          JSON.stringify(vatBreakdown),
+          vatRegime,
+          total,
+          dueDate,
+          `/api/invoices/${invoiceId}/pdf`,
+          fileKey,
+          pdfBuffer.length,
+          crypto.createHash('sha256').update(pdfBuffer).digest('hex')
+        ]
+      );
+
+      // The invoice keeps these lines, also when the statement is reopened after a full credit
+      await assignStatementLinesToInvoice(client, statementId, invoiceId);
+      await flagCorrectedFilings(client, btwCheck.filings);
+
+      // Store the original; a storage failure rolls back the invoice and its number
+      await putFile(fileKey, pdfBuffer, { contentType: 'application/pdf' });
+
+      return { ...insertResult.rows[0], pdfBuffer };
+    });
+
+    if (inserted.error) {
+      return sendError(res, inserted.status, inserted.error);
+    }
+
+    const invoiceNumber = inserted.invoice_number;
+    const pdfBase64 = inserted.pdfBuffer.toString('base64');
+    const invoiceId = inserted.id;
+    const createdAt = inserted.created_at;
 
     // Return invoice metadata and PDF
     res.status(201).json({
@@ -358,43 +790,953 @@ router.post('/generate', async (req, res) => {
       statementId: statement.id,
       companyId: statement.company_id,
       zzpId: statement.zzp_id,
+      periodType: statement.period_type,
+      periodLabel: formatPeriodLabel(statement),
+      periodStart: statement.period_start,
+      periodEnd: statement.period_end,
       year: statement.year,
       weekNumber: statement.week_number,
       subtotal: parseFloat(subtotal.toFixed(2)),
       btw: parseFloat(btw.toFixed(2)),
       total: parseFloat(total.toFixed(2)),
+      vatBreakdown,
+      vatRegime,
       currency: statement.currency || 'EUR',
-      worklogCount: worklogs.length,
+      worklogCount: lines.length,
       createdAt: createdAt,
+      dueDate: inserted.due_date,
+      fileUrl: inserted.file_url,
       pdf: pdfBase64,
       isExisting: false
     });
   } catch (error) {
     console.error('Error generating invoice:', error);
+
+    // Handle unique violation on (company_id, invoice_number), e.g. after a format change
+    if (error.code === '23505' && error.constraint === 'invoices_company_invoice_number_key') {
+      return sendError(res, 409, 'Factuurnummer bestaat al; controleer het factuurnummerformaat');
+    }
+
     sendError(res, 500, 'Kon factuur niet genereren');
   }
 });
 
+/**
+ * GET /api/invoices
+ * List invoices of the authenticated tenant
+ * Query params: companyId, zzpId, startDate, endDate (invoice date), number (part of the number),
+ *   status (open|partially_paid|paid|credited), sortBy (invoiceDate|invoiceNumber|dueDate|total|zzpName|status),
+ *   sortOrder (asc|desc), page, pageSize (max. 100)
+ */
+router.get('/', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, number, status, sortBy = 'invoiceDate', sortOrder = 'desc' } = req.query;
+
+    // Restrict filters to the authenticated tenant
+    const scope = getInvoiceScope(req);
+    if (scope.error) {
+      return sendError(res, scope.status, scope.error);
+    }
+
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return sendError(res, 400, 'Ongeldige datum (JJJJ-MM-DD)');
+    }
+
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return sendError(res, 400, `Ongeldige status (${INVOICE_STATUSES.join(', ')})`);
+    }
+
+    if (!INVOICE_SORT_COLUMNS[sortBy] || !['asc', 'desc'].includes(sortOrder)) {
+      return sendError(res, 400, 'Ongeldige sortering');
+    }
+
+    const page = req.query.page ? parseInt(req.query.page, 10) : 1;
+    const pageSize = req.query.pageSize ? parseInt(req.query.pageSize, 10) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return sendError(res, 400, `Ongeldige pagina of paginagrootte (max. ${MAX_PAGE_SIZE})`);
+    }
+
+    let { where } = scope;
+    const params = [...scope.params];
+    let paramIndex = params.length + 1;
+
+    if (startDate) {
+      where += ` AND i.created_at::date >= $${paramIndex++}`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      where += ` AND i.created_at::date <= $${paramIndex++}`;
+      params.push(endDate);
+    }
+
+    if (number) {
+      where += ` AND i.invoice_number ILIKE $${paramIndex++}`;
+      params.push(`%${String(number).replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    if (status) {
+      where += ` AND ${INVOICE_STATUS_SQL} = $${paramIndex++}`;
+      params.push(status);
+    }
+
+    const countResult = await query(`SELECT COUNT(*)::int AS total ${INVOICE_FROM_SQL}${where}`, params);
+
+    const result = await query(
+      `${INVOICE_SELECT_SQL} ${INVOICE_FROM_SQL}${where}
+       ORDER BY ${INVOICE_SORT_COLUMNS[sortBy]} ${sortOrder.toUpperCase()}, i.id
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      items: result.rows.map(row => ({ ...row, period_label: formatPeriodLabel(row) })),
+      total: countResult.rows[0].total,
+      page,
+      pageSize
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    sendError(res, 500, 'Kon facturen niet ophalen');
+  }
+});
+
+/**
+ * GET /api/invoices/overdue
+ * Invoices with an open balance past their due date, longest overdue first
+ * Query params: companyId, zzpId
+ */
+router.get('/overdue', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const scope = getInvoiceScope(req);
+    if (scope.error) {
+      return sendError(res, scope.status, scope.error);
+    }
+
+    const result = await query(
+      `${INVOICE_SELECT_SQL},
+         CURRENT_DATE - i.due_date AS days_overdue
+       ${INVOICE_FROM_SQL}${scope.where}
+         AND i.due_date < CURRENT_DATE
+         AND ${OPEN_BALANCE_SQL} > 0
+       ORDER BY i.due_date ASC, i.invoice_number ASC`,
+      scope.params
+    );
+
+    const totalOpen = result.rows.reduce((sum, row) => sum + parseFloat(row.open_balance), 0);
+
+    res.json({
+      items: result.rows.map(row => ({ ...row, period_label: formatPeriodLabel(row) })),
+      totalOpen: Number(totalOpen.toFixed(2))
+    });
+  } catch (error) {
+    console.error('Error fetching overdue invoices:', error);
+    sendError(res, 500, 'Kon achterstallige facturen niet ophalen');
+  }
+});
+
+/**
+ * GET /api/invoices/aging
+ * Aging report: open balances by days past the due date (0-30, 31-60, 61-90, 90+),
+ * in total and per ZZP user (company view) or per company (ZZP view)
+ * Query params: companyId, zzpId
+ */
+router.get('/aging', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const scope = getInvoiceScope(req);
+    if (scope.error) {
+      return sendError(res, scope.status, scope.error);
+    }
+
+    const result = await query(
+      `SELECT
+         CURRENT_DATE - i.due_date AS days_past_due,
+         ${OPEN_BALANCE_SQL} AS open_balance,
+         s.zzp_id,
+         z.full_name AS zzp_name,
+         i.company_id,
+         c.name AS company_name
+       ${INVOICE_FROM_SQL}${scope.where}
+         AND ${OPEN_BALANCE_SQL} > 0`,
+      scope.params
+    );
+
+    // Totals start at zero for every bucket, so the report always has the same shape
+    const emptyTotals = () => ({
+      notDue: 0,
+      ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0])),
+      total: 0
+    });
+
+    const buckets = AGING_BUCKETS.map(bucket => ({ ...bucket, count: 0, amount: 0 }));
+    const notDue = { count: 0, amount: 0 };
+    const byCounterparty = new Map();
+    const isCompany = req.user.userType === 'company';
+
+    for (const row of result.rows) {
+      const amount = parseFloat(row.open_balance);
+      const days = Number(row.days_past_due);
+      const bucket = days > 0 ? buckets.find(b => days >= b.from && (b.to === null || days <= b.to)) : null;
+
+      if (bucket) {
+        bucket.count++;
+        bucket.amount += amount;
+      } else {
+        notDue.count++;
+        notDue.amount += amount;
+      }
+
+      const counterpartyId = isCompany ? row.zzp_id : row.company_id;
+      if (!byCounterparty.has(counterpartyId)) {
+        byCounterparty.set(counterpartyId, {
+          id: counterpartyId,
+          name: isCompany ? row.zzp_name : row.company_name,
+          ...emptyTotals()
+        });
+      }
+      const counterparty = byCounterparty.get(counterpartyId);
+      counterparty[bucket ? bucket.key : 'notDue'] += amount;
+      counterparty.total += amount;
+    }
+
+    const round = (value) => Number(value.toFixed(2));
+
+    res.json({
+      asOf: new Date().toISOString().split('T')[0],
+      notDue: { count: notDue.count, amount: round(notDue.amount) },
+      buckets: buckets.map(bucket => ({
+        key: bucket.key,
+        label: bucket.label,
+        count: bucket.count,
+        amount: round(bucket.amount)
+      })),
+      totalOverdue: round(buckets.reduce((sum, bucket) => sum + bucket.amount, 0)),
+      totalOpen: round(notDue.amount + buckets.reduce((sum, bucket) => sum + bucket.amount, 0)),
+      byCounterparty: Array.from(byCounterparty.values())
+        .map(row => Object.fromEntries(
+          Object.entries(row).map(([key, value]) => [key, typeof value === 'number' ? round(value) : value])
+        ))
+        .sort((a, b) => b.total - a.total)
+    });
+  } catch (error) {
+    console.error('Error building aging report:', error);
+    sendError(res, 500, 'Kon ouderdomsanalyse niet opstellen');
+  }
+});
+
+/**
+ * GET /api/invoices/:id
+ * Get an invoice with its lines, totals, credit notes, payments and sent reminders
+ */
+router.get('/:id', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const result = await query(`${INVOICE_SELECT_SQL} ${INVOICE_FROM_SQL} WHERE i.id = $1`, [id]);
+
+    // Hide invoices of other tenants behind a 404
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const invoice = result.rows[0];
+    const lines = await getInvoiceLines(id);
+
+    const creditNotesResult = await query(
+      `SELECT id, credit_note_number, reason, subtotal, btw_amount, vat_breakdown, total,
+              issue_date::text AS issue_date, file_url, created_at
+       FROM credit_notes
+       WHERE invoice_id = $1
+       ORDER BY created_at ASC`,
+      [id]
+    );
+
+    const paymentsResult = await query(
+      `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE invoice_id = $1 ORDER BY payment_date ASC, created_at ASC`,
+      [id]
+    );
+
+    const remindersResult = await query(
+      `SELECT id, level, reminder_date::text AS reminder_date, days_overdue,
+              open_balance, interest_amount, recipient, created_at
+       FROM invoice_reminders
+       WHERE invoice_id = $1
+       ORDER BY level ASC`,
+      [id]
+    );
+
+    res.json({
+      ...invoice,
+      period_label: formatPeriodLabel(invoice),
+      lines,
+      credit_notes: creditNotesResult.rows,
+      payments: paymentsResult.rows,
+      reminders: remindersResult.rows
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    sendError(res, 500, 'Kon factuur niet ophalen');
+  }
+});
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download the PDF as it was generated; it is never rendered again
+ */
+router.get('/:id/pdf', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT i.invoice_number, i.file_key, i.file_size, i.file_sha256, s.company_id, s.zzp_id
+       FROM invoices i
+       JOIN statements s ON i.statement_id = s.id
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    // Hide invoices of other tenants behind a 404
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const invoice = result.rows[0];
+
+    // Invoices created before PDFs were stored have no original
+    await sendStoredPdf(res, invoice, `factuur-${invoice.invoice_number}`);
+  } catch (error) {
+    console.error('Error fetching invoice PDF:', error);
+    sendError(res, 500, 'Kon factuur niet ophalen');
+  }
+});
+
+/**
+ * GET /api/invoices/:id/ubl
+ * Download the invoice as UBL 2.1 e-invoice (Peppol BIS Billing 3.0, accepted as SI-UBL 2.0)
+ * with the stored PDF embedded
+ */
+router.get('/:id/ubl', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT i.invoice_number, i.statement_id, i.subtotal, i.btw_amount, i.vat_breakdown, i.vat_regime, i.total,
+              i.file_key, i.created_at::date::text AS invoice_date, i.due_date::text AS due_date,
+              s.company_id, s.zzp_id
+       FROM invoices i
+       JOIN statements s ON i.statement_id = s.id
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    // Hide invoices of other tenants behind a 404
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const invoice = result.rows[0];
+    const statement = await getStatementForInvoice(invoice.statement_id);
+    const lines = await getInvoiceLines(id);
+    const pdf = invoice.file_key ? await readFile(invoice.file_key) : null;
+
+    const ubl = buildUblInvoice({
+      invoiceNumber: invoice.invoice_number,
+      issueDate: invoice.invoice_date,
+      dueDate: invoice.due_date,
+      currency: statement.currency || 'EUR',
+      buyerReference: statement.zzp_external_ref || invoice.invoice_number,
+      periodStart: statement.period_start,
+      periodEnd: statement.period_end,
+      note: `Periode: ${formatPeriodLabel(statement)}`,
+      supplier: {
+        name: statement.zzp_name,
+        kvkNumber: statement.zzp_kvk_number,
+        btwNumber: statement.zzp_btw_number,
+        email: statement.zzp_email,
+        phone: statement.zzp_phone,
+        address: {
+          street: statement.zzp_street_address,
+          postalCode: statement.zzp_postal_code,
+          city: statement.zzp_city
+        }
+      },
+      customer: {
+        name: statement.company_name,
+        kvkNumber: statement.kvk_number,
+        btwNumber: statement.btw_number,
+        email: statement.company_email,
+        phone: statement.company_phone,
+        address: {
+          street: statement.company_street_address,
+          postalCode: statement.company_postal_code,
+          city: statement.company_city
+        }
+      },
+      lines: lines.map(line => ({
+        id: line.position,
+        name: line.tariff_label || line.tariff_type,
+        description: line.notes || `Werk ${formatDate(line.work_date)}`,
+        quantity: line.quantity,
+        unit: line.unit,
+        unitPrice: line.unit_price,
+        lineTotal: line.line_total,
+        vatCode: applyVatRegime(line.vat_code, invoice.vat_regime)
+      })),
+      subtotal: invoice.subtotal,
+      btwAmount: invoice.btw_amount,
+      total: invoice.total,
+      vatBreakdown: invoice.vat_breakdown,
+      exemptionReason: invoice.vat_regime === 'kor' ? KOR_EXEMPTION_TEXT : null,
+      payment: {
+        iban: statement.zzp_iban,
+        accountHolder: statement.zzp_name,
+        reference: invoice.invoice_number,
+        terms: `Te betalen vóór ${formatDate(invoice.due_date)}`
+      },
+      attachment: pdf ? { filename: `${invoice.invoice_number}.pdf`, content: pdf } : null
+    });
+
+    if (ubl.error) {
+      return sendError(res, 409, ubl.error);
+    }
+
+    const filename = `factuur-${invoice.invoice_number}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.xml"`
+    });
+    res.send(ubl.xml);
+  } catch (error) {
+    console.error('Error generating UBL invoice:', error);
+    sendError(res, 500, 'Kon e-factuur niet genereren');
+  }
+});
+
+/**
+ * POST /api/invoices/:id/credit
+ * Issue a credit note (creditnota) for an invoice; the invoice itself never changes
+ * Without amount the remaining invoice amount is credited, per BTW code. A partial amount is
+ * credited at one BTW code; vatCode is required when the invoice has more than one.
+ * Credit notes have their own number series and count for BTW in the period of their issue date.
+ * Once the invoice is fully credited its statement goes back to open, so the work can be invoiced again.
+ * Body: { reason, amount (optional, excl. BTW), vatCode (optional), btwCorrection (optional) }
+ */
+router.post('/:id/credit', requirePermission('invoices:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, amount, vatCode } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        error: 'Verplichte velden ontbreken',
+        missingFields: ['reason']
+      });
+    }
+
+    if (amount !== undefined && amount !== null &&
+        (typeof amount !== 'number' || isNaN(amount) || amount <= 0)) {
+      return sendError(res, 400, 'Bedrag moet groter dan 0 zijn');
+    }
+    const requestedAmount = amount ? Number(amount.toFixed(2)) : null;
+
+    if (vatCode !== undefined && vatCode !== null && !isValidVatCode(vatCode)) {
+      return sendError(res, 400, 'Ongeldige BTW-code');
+    }
+
+    const invoiceResult = await query(
+      `SELECT i.id, i.invoice_number, i.statement_id, i.vat_regime, s.company_id, s.zzp_id
+       FROM invoices i
+       JOIN statements s ON i.statement_id = s.id
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    if (invoiceResult.rows.length === 0 || !ownsRow(req.user, invoiceResult.rows[0])) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const invoice = invoiceResult.rows[0];
+    const statement = await getStatementForInvoice(invoice.statement_id);
+    const issueDate = new Date();
+
+    const created = await withTransaction(async (client) => {
+      // Lock the invoice so parallel credit notes cannot exceed the invoiced amount
+      const lockResult = await client.query(
+        'SELECT vat_breakdown FROM invoices WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      const creditedResult = await client.query(
+        'SELECT vat_breakdown FROM credit_notes WHERE invoice_id = $1',
+        [id]
+      );
+
+      const remainingBreakdown = getRemainingVatBreakdown(
+        lockResult.rows[0].vat_breakdown,
+        creditedResult.rows.map(row => row.vat_breakdown)
+      );
+      const remaining = Number(remainingBreakdown.reduce((sum, entry) => sum + entry.subtotal, 0).toFixed(2));
+
+      if (remaining <= 0) {
+        return { error: 'Factuur is al volledig gecrediteerd' };
+      }
+
+      // Amounts still open per BTW code that this credit note takes
+      let credits = remainingBreakdown;
+      if (requestedAmount !== null) {
+        if (!vatCode && remainingBreakdown.length > 1) {
+          return { status: 400, error: 'Factuur heeft meerdere BTW-tarieven; geef de BTW-code (vatCode) op' };
+        }
+        const open = vatCode
+          ? remainingBreakdown.find(entry => entry.vatCode === vatCode)
+          : remainingBreakdown[0];
+        if (!open) {
+          return { error: 'Er staat geen bedrag met deze BTW-code open' };
+        }
+        if (requestedAmount > open.subtotal) {
+          return { error: `Er kan nog maximaal ${formatCurrency(open.subtotal)} (excl. BTW) worden gecrediteerd` };
+        }
+
+        // The last credit of a code takes its remaining BTW, so rounding never leaves a few cents open
+        credits = [{
+          ...open,
+          subtotal: requestedAmount,
+          btw: requestedAmount === open.subtotal ? open.btw : calcBTW(requestedAmount, getVatRate(open.vatCode))
+        }];
+      }
+
+      const vatBreakdown = credits.map(entry => ({
+        vatCode: entry.vatCode,
+        rate: entry.rate,
+        subtotal: Number((-entry.subtotal).toFixed(2)),
+        btw: Number((-entry.btw).toFixed(2))
+      }));
+      const subtotal = Number(vatBreakdown.reduce((sum, entry) => sum + entry.subtotal, 0).toFixed(2));
+      const btw = Number(vatBreakdown.reduce((sum, entry) => sum + entry.btw, 0).toFixed(2));
+      const total = Number((subtotal + btw).toFixed(2));
+
+      // A first credit of the whole invoice repeats its lines; otherwise one correction line per BTW code
+      let lines;
+      if (creditedResult.rows.length === 0 && -subtotal === remaining) {
+        const invoiceLines = await getInvoiceLines(id);
+        lines = invoiceLines.map(line => ({
+          work_date: line.work_date,
+          description: line.tariff_label || line.tariff_type,
+          quantity: parseFloat(line.quantity),
+          unit_price: -parseFloat(line.unit_price),
+          line_total: -parseFloat(line.line_total),
+          vat_code: applyVatRegime(line.vat_code, invoice.vat_regime)
+        }));
+      } else {
+        lines = vatBreakdown.map(entry => ({
+          work_date: null,
+          description: `Correctie op factuur ${invoice.invoice_number}` +
+            (vatBreakdown.length > 1 ? ` (${VAT_CODES[entry.vatCode].label})` : ''),
+          quantity: 1,
+          unit_price: entry.subtotal,
+          line_total: entry.subtotal,
+          vat_code: entry.vatCode
+        }));
+      }
+
+      // Filed BTW periods only take corrections
+      const btwCheck = await checkIssueBtwPeriods(client, invoice, isBtwCorrection(req));
+      if (btwCheck.error) {
+        return btwCheck;
+      }
+
+      const creditNoteNumber = await issueCreditNoteNumber(client, invoice.company_id, issueDate);
+
+      const pdfBuffer = await generateInvoicePDF({
+        invoiceNumber: creditNoteNumber,
+        invoiceDate: issueDate,
+        ...getPdfParties(statement),
+        lines: lines.map(line => ({
+          ...line,
+          notes: line.work_date ? null : line.description,
+          tariff_label: line.work_date ? line.description : 'Correctie'
+        })),
+        subtotal,
+        btw,
+        total,
+        vatBreakdown,
+        vatRegime: invoice.vat_regime,
+        creditNote: { originalInvoiceNumber: invoice.invoice_number, reason: reason.trim() }
+      });
+
+      const creditNoteId = crypto.randomUUID();
+      const fileKey = `credit-notes/${invoice.company_id}/${creditNoteId}.pdf`;
+
+      const insertResult = await client.query(
+        `INSERT INTO credit_notes (
+           id, invoice_id, company_id, credit_note_number, reason, subtotal, btw_amount, vat_breakdown, total,
+           issue_date, created_by, file_url, file_key, file_size, file_sha256
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id, credit_note_number, issue_date::text AS issue_date, file_url, created_at`,
+        [
+          creditNoteId,
+          id,
+          invoice.company_id,
+          creditNoteNumber,
+          reason.trim(),
+          subtotal,
+          btw,
+          JSON.stringify(vatBreakdown),
+          total,
+          issueDate,
+          req.user.userId,
+          `/api/invoices/credit-notes/${creditNoteId}/pdf`,
+          fileKey,
+          pdfBuffer.length,
+          crypto.createHash('sha256').update(pdfBuffer).digest('hex')
+        ]
+      );
+
+      for (const [index, line] of lines.entries()) {
+        await client.query(
+          `INSERT INTO credit_note_lines (
+             credit_note_id, position, work_date, description, quantity, unit_price, line_total, vat_code
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            creditNoteId,
+            index + 1,
+            line.work_date,
+            line.description,
+            line.quantity,
+            line.unit_price,
+            line.line_total,
+            line.vat_code
+          ]
+        );
+      }
+
+      await flagCorrectedFilings(client, btwCheck.filings);
+      await putFile(fileKey, pdfBuffer, { contentType: 'application/pdf' });
+
+      // A full credit releases the statement; otherwise payments plus this credit note may now cover the invoice
+      if (-subtotal === remaining) {
+        await releaseCreditedStatement(client, invoice, creditNoteNumber, req.user.userId);
+      } else {
+        await settleInvoice(client, invoice, req.user.userId);
+      }
+
+      return { creditNote: insertResult.rows[0], subtotal, btw, total, vatBreakdown, pdfBuffer };
+    });
+
+    if (created.error) {
+      return sendError(res, created.status || 409, created.error);
+    }
+
+    const { creditNote } = created;
+
+    res.status(201).json({
+      creditNoteId: creditNote.id,
+      creditNoteNumber: creditNote.credit_note_number,
+      invoiceId: id,
+      invoiceNumber: invoice.invoice_number,
+      reason: reason.trim(),
+      issueDate: creditNote.issue_date,
+      subtotal: created.subtotal,
+      btw: created.btw,
+      total: created.total,
+      vatBreakdown: created.vatBreakdown,
+      currency: statement.currency || 'EUR',
+      createdAt: creditNote.created_at,
+      fileUrl: creditNote.file_url,
+      pdf: created.pdfBuffer.toString('base64')
+    });
+  } catch (error) {
+    console.error('Error creating credit note:', error);
+
+    // Handle unique violation on (company_id, credit_note_number), e.g. after a format change
+    if (error.code === '23505') {
+      return sendError(res, 409, 'Creditnotanummer bestaat al; controleer het creditnotanummerformaat');
+    }
+
+    sendError(res, 500, 'Kon creditnota niet aanmaken');
+  }
+});
+
+/**
+ * GET /api/invoices/:id/credit-notes
+ * List the credit notes of an invoice
+ */
+router.get('/:id/credit-notes', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const invoiceResult = await query(
+      `SELECT s.company_id, s.zzp_id
+       FROM invoices i
+       JOIN statements s ON i.statement_id = s.id
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    if (invoiceResult.rows.length === 0 || !ownsRow(req.user, invoiceResult.rows[0])) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT id, credit_note_number, reason, subtotal, btw_amount, vat_breakdown, total,
+              issue_date::text AS issue_date, file_url, created_at
+       FROM credit_notes
+       WHERE invoice_id = $1
+       ORDER BY created_at ASC`,
+      [id]
+    );
+
+    res.json({ items: result.rows });
+  } catch (error) {
+    console.error('Error fetching credit notes:', error);
+    sendError(res, 500, 'Kon creditnota\'s niet ophalen');
+  }
+});
+
+/**
+ * GET /api/invoices/credit-notes/:creditNoteId/pdf
+ * Download the PDF of a credit note as it was generated
+ */
+router.get('/credit-notes/:creditNoteId/pdf', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { creditNoteId } = req.params;
+
+    if (!UUID_REGEX.test(creditNoteId)) {
+      return sendError(res, 404, 'Creditnota niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT cn.credit_note_number, cn.file_key, cn.file_size, cn.file_sha256, s.company_id, s.zzp_id
+       FROM credit_notes cn
+       JOIN invoices i ON cn.invoice_id = i.id
+       JOIN statements s ON i.statement_id = s.id
+       WHERE cn.id = $1`,
+      [creditNoteId]
+    );
+
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
+      return sendError(res, 404, 'Creditnota niet gevonden');
+    }
+
+    const creditNote = result.rows[0];
+    await sendStoredPdf(res, creditNote, `creditnota-${creditNote.credit_note_number}`);
+  } catch (error) {
+    console.error('Error fetching credit note PDF:', error);
+    sendError(res, 500, 'Kon creditnota niet ophalen');
+  }
+});
+
+/**
+ * Load an invoice with the owner columns of its statement
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object|null>} - { id, invoice_number, statement_id, company_id, zzp_id, statement_status } or null
+ */
+async function getInvoiceOwner(invoiceId) {
+  const result = await query(
+    `SELECT i.id, i.invoice_number, i.statement_id, s.company_id, s.zzp_id, s.status AS statement_status
+     FROM invoices i
+     JOIN statements s ON i.statement_id = s.id
+     WHERE i.id = $1`,
+    [invoiceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * POST /api/invoices/:id/payments
+ * Register a (partial) payment; the statement becomes paid once the invoice is settled
+ * Body: { amount (incl. BTW), paymentDate (YYYY-MM-DD, default today), method, reference }
+ */
+router.post('/:id/payments', requirePermission('invoices:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, paymentDate, method = 'bank_transfer', reference } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    if (amount === undefined || amount === null) {
+      return res.status(400).json({
+        error: 'Verplichte velden ontbreken',
+        missingFields: ['amount']
+      });
+    }
+
+    if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+      return sendError(res, 400, 'Bedrag moet groter dan 0 zijn');
+    }
+    const paymentAmount = Number(amount.toFixed(2));
+
+    if (paymentDate && !isValidDate(paymentDate)) {
+      return sendError(res, 400, 'Ongeldige betaaldatum (JJJJ-MM-DD)');
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return sendError(res, 400, `Ongeldige betaalmethode (${PAYMENT_METHODS.join(', ')})`);
+    }
+
+    const invoice = await getInvoiceOwner(id);
+    if (!invoice || !ownsRow(req.user, invoice)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const created = await withTransaction(async (client) => {
+      // Lock the invoice so parallel payments cannot exceed the open balance
+      await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [id]);
+
+      const balance = await getInvoiceBalance(client, id);
+      if (balance.openBalance <= 0) {
+        return { error: 'Factuur is al volledig voldaan' };
+      }
+      if (paymentAmount > balance.openBalance) {
+        return { error: `Bedrag is hoger dan het openstaande saldo (${formatCurrency(balance.openBalance)})` };
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO payments (invoice_id, company_id, amount, payment_date, method, reference, created_by)
+         VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6, $7)
+         RETURNING ${PAYMENT_COLUMNS}`,
+        [id, invoice.company_id, paymentAmount, paymentDate || null, method, reference || null, req.user.userId]
+      );
+
+      const settled = await settleInvoice(client, invoice, req.user.userId);
+
+      return {
+        payment: insertResult.rows[0],
+        openBalance: Number((balance.openBalance - paymentAmount).toFixed(2)),
+        settled
+      };
+    });
+
+    if (created.error) {
+      return sendError(res, 409, created.error);
+    }
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error registering payment:', error);
+    sendError(res, 500, 'Kon betaling niet registreren');
+  }
+});
+
+/**
+ * GET /api/invoices/:id/payments
+ * List the payments of an invoice with its open balance
+ */
+router.get('/:id/payments', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const invoice = await getInvoiceOwner(id);
+    if (!invoice || !ownsRow(req.user, invoice)) {
+      return sendError(res, 404, 'Factuur niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE invoice_id = $1 ORDER BY payment_date ASC, created_at ASC`,
+      [id]
+    );
+
+    res.json({ items: result.rows, balance: await getInvoiceBalance({ query }, id) });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    sendError(res, 500, 'Kon betalingen niet ophalen');
+  }
+});
+
+/**
+ * DELETE /api/invoices/:id/payments/:paymentId
+ * Remove a wrongly registered payment; not possible once the statement is paid
+ */
+router.delete('/:id/payments/:paymentId', requirePermission('invoices:write'), async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+
+    if (!UUID_REGEX.test(id) || !UUID_REGEX.test(paymentId)) {
+      return sendError(res, 404, 'Betaling niet gevonden');
+    }
+
+    const invoice = await getInvoiceOwner(id);
+    if (!invoice || !ownsRow(req.user, invoice)) {
+      return sendError(res, 404, 'Betaling niet gevonden');
+    }
+
+    if (invoice.statement_status === 'paid') {
+      return sendError(res, 409, 'Betalingen van een betaalde factuur kunnen niet worden verwijderd');
+    }
+
+    // The status is checked again in the delete itself, in case the statement was paid in between
+    const result = await query(
+      `DELETE FROM payments
+       WHERE id = $1 AND invoice_id = $2
+         AND EXISTS (SELECT 1 FROM statements WHERE id = $3 AND status <> 'paid')
+       RETURNING id`,
+      [paymentId, id, invoice.statement_id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Betaling niet gevonden');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    sendError(res, 500, 'Kon betaling niet verwijderen');
+  }
+});
+
 /**
  * GET /api/invoices/by-statement/:statementId
  * Get invoice information for a statement
  */
-router.get('/by-statement/:statementId', async (req, res) => {
+router.get('/by-statement/:statementId', requirePermission('invoices:read'), async (req, res) => {
   try {
     const { statementId } = req.params;
 
+    if (!UUID_REGEX.test(statementId)) {
+      return sendError(res, 404, 'Factuur niet gevonden voor dit overzicht');
+    }
+
     const result = await query(
-      `SELECT id, invoice_number, file_url, created_at
-       FROM invoices
-       WHERE statement_id = $1`,
+      `SELECT i.id, i.invoice_number, i.file_url, i.created_at, s.company_id, s.zzp_id
+       FROM invoices i
+       JOIN statements s ON i.statement_id = s.id
+       WHERE i.statement_id = $1 AND i.credited_at IS NULL`,
       [statementId]
     );
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
       return sendError(res, 404, 'Factuur niet gevonden voor dit overzicht');
     }
 
-    res.json(result.rows[0]);
+    const { id, invoice_number, file_url, created_at } = result.rows[0];
+    res.json({ id, invoice_number, file_url, created_at });
   } catch (error) {
     console.error('Error fetching invoice:', error);
     sendError(res, 500, 'Kon factuur niet ophalen');
@@ -0,0 +1,303 @@
+import { Router } from 'express';
+import { query } from '../db/client.js';
+import { sendError } from '../utils/error.js';
+import { COMPANY_ROLES } from '../config/roles.js';
+import { requireUserType, requirePermission } from '../middleware/tenant.js';
+import { generateToken } from '../utils/tokens.js';
+import { createSession } from '../utils/sessions.js';
+import { sendMail } from '../utils/mail.js';
+import { FRONTEND_URL } from '../config/mail.js';
+import { INVITE_TTL_DAYS, findPendingInvite, acceptInvite } from '../utils/invites.js';
+
+const router = Router();
+
+// Members belong to companies; the company is taken from the token
+router.use(requireUserType('company'));
+
+// UUID regex pattern for validation
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Roles that can be handed out through an invite
+const INVITABLE_ROLES = COMPANY_ROLES.filter(role => role !== 'owner');
+
+/**
+ * Count the owners of a company
+ * @param {string} companyId - Company ID
+ * @returns {Promise<number>} - Number of owners
+ */
+async function countOwners(companyId) {
+  const result = await query(
+    `SELECT COUNT(*) AS count FROM company_members WHERE company_id = $1 AND role = 'owner'`,
+    [companyId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * GET /api/members
+ * List members of the current company
+ */
+router.get('/', requirePermission('members:read'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT m.user_id, m.role, m.created_at, u.email, u.full_name
+       FROM company_members m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.company_id = $1
+       ORDER BY m.created_at ASC`,
+      [req.user.profileId]
+    );
+    res.json({ items: result.rows });
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    sendError(res, 500, 'Kon leden niet ophalen');
+  }
+});
+
+/**
+ * GET /api/members/invites
+ * List pending invites of the current company
+ */
+router.get('/invites', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, email, role, expires_at, created_at
+       FROM company_invites
+       WHERE company_id = $1
+         AND accepted_at IS NULL
+         AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [req.user.profileId]
+    );
+    res.json({ items: result.rows });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    sendError(res, 500, 'Kon uitnodigingen niet ophalen');
+  }
+});
+
+/**
+ * POST /api/members/invites
+ * Invite a user to the current company
+ * Body: { email, role }
+ * Emails the invite link and returns the invite token once; it is stored hashed.
+ */
+router.post('/invites', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return sendError(res, 400, 'E-mail en rol zijn verplicht');
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return sendError(res, 400, 'Ongeldige rol');
+    }
+
+    // Only owners may invite admins
+    if (role === 'admin' && req.user.role !== 'owner') {
+      return sendError(res, 403, 'Onvoldoende rechten');
+    }
+
+    const { token, tokenHash } = generateToken();
+
+    const result = await query(
+      `INSERT INTO company_invites (company_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+       RETURNING id, email, role, expires_at, created_at`,
+      [req.user.profileId, email.toLowerCase(), role, tokenHash, req.user.userId, INVITE_TTL_DAYS]
+    );
+
+    // Email the invite; the token in the response allows sharing it manually
+    try {
+      await sendMail({
+        to: email.toLowerCase(),
+        subject: 'Uitnodiging voor Smart ZZP Hub',
+        text: `U bent uitgenodigd als ${role} bij een bedrijf op Smart ZZP Hub.\n\n` +
+          `Accepteer de uitnodiging via de volgende link (${INVITE_TTL_DAYS} dagen geldig):\n` +
+          `${FRONTEND_URL}/login?invite=${token}`
+      });
+    } catch (mailError) {
+      console.error('Error sending invite email:', mailError);
+    }
+
+    res.status(201).json({ ...result.rows[0], token });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    sendError(res, 500, 'Kon uitnodiging niet aanmaken');
+  }
+});
+
+/**
+ * POST /api/members/invites/accept
+ * Accept an invite as an existing company user
+ * Body: { token }
+ * Returns a new session (JWT + refresh token) scoped to the joined company.
+ */
+router.post('/invites/accept', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return sendError(res, 400, 'Uitnodigingstoken is verplicht');
+    }
+
+    const invite = await findPendingInvite(token);
+    if (!invite) {
+      return sendError(res, 400, 'Ongeldige of verlopen uitnodiging');
+    }
+
+    if (invite.email !== String(req.user.email).toLowerCase()) {
+      return sendError(res, 403, 'Uitnodiging hoort bij een ander e-mailadres');
+    }
+
+    const membership = await acceptInvite(invite, req.user.userId);
+
+    const session = await createSession({
+      userId: req.user.userId,
+      email: req.user.email,
+      userType: req.user.userType,
+      profileId: membership.company_id
+    });
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      companyId: membership.company_id,
+      role: membership.role
+    });
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    sendError(res, 500, 'Kon uitnodiging niet accepteren');
+  }
+});
+
+/**
+ * DELETE /api/members/invites/:id
+ * Revoke a pending invite
+ */
+router.delete('/invites/:id', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 400, 'Ongeldige ID');
+    }
+
+    const result = await query(
+      `DELETE FROM company_invites
+       WHERE id = $1 AND company_id = $2 AND accepted_at IS NULL
+       RETURNING id`,
+      [id, req.user.profileId]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Uitnodiging niet gevonden');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    sendError(res, 500, 'Kon uitnodiging niet intrekken');
+  }
+});
+
+/**
+ * PATCH /api/members/:userId
+ * Change the role of a member
+ * Body: { role }
+ */
+router.patch('/:userId', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!UUID_REGEX.test(userId)) {
+      return sendError(res, 400, 'Ongeldige gebruiker-ID');
+    }
+
+    if (!COMPANY_ROLES.includes(role)) {
+      return sendError(res, 400, 'Ongeldige rol');
+    }
+
+    const memberResult = await query(
+      'SELECT role FROM company_members WHERE company_id = $1 AND user_id = $2',
+      [req.user.profileId, userId]
+    );
+
+    if (memberResult.rows.length === 0) {
+      return sendError(res, 404, 'Lid niet gevonden');
+    }
+
+    const currentRole = memberResult.rows[0].role;
+
+    // Only owners may touch owners or hand out owner/admin
+    if (req.user.role !== 'owner' && (currentRole === 'owner' || ['owner', 'admin'].includes(role))) {
+      return sendError(res, 403, 'Onvoldoende rechten');
+    }
+
+    // A company always keeps at least one owner
+    if (currentRole === 'owner' && role !== 'owner' && await countOwners(req.user.profileId) <= 1) {
+      return sendError(res, 400, 'Een bedrijf moet minimaal één eigenaar hebben');
+    }
+
+    const result = await query(
+      `UPDATE company_members
+       SET role = $1
+       WHERE company_id = $2 AND user_id = $3
+       RETURNING user_id, role, created_at`,
+      [role, req.user.profileId, userId]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating member:', error);
+    sendError(res, 500, 'Kon lid niet bijwerken');
+  }
+});
+
+/**
+ * DELETE /api/members/:userId
+ * Remove a member from the current company
+ */
+router.delete('/:userId', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!UUID_REGEX.test(userId)) {
+      return sendError(res, 400, 'Ongeldige gebruiker-ID');
+    }
+
+    const memberResult = await query(
+      'SELECT role FROM company_members WHERE company_id = $1 AND user_id = $2',
+      [req.user.profileId, userId]
+    );
+
+    if (memberResult.rows.length === 0) {
+      return sendError(res, 404, 'Lid niet gevonden');
+    }
+
+    const currentRole = memberResult.rows[0].role;
+
+    if (currentRole === 'owner') {
+      if (req.user.role !== 'owner') {
+        return sendError(res, 403, 'Onvoldoende rechten');
+      }
+      if (await countOwners(req.user.profileId) <= 1) {
+        return sendError(res, 400, 'Een bedrijf moet minimaal één eigenaar hebben');
+      }
+    }
+
+    await query(
+      'DELETE FROM company_members WHERE company_id = $1 AND user_id = $2',
+      [req.user.profileId, userId]
+    );
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing member:', error);
+    sendError(res, 500, 'Kon lid niet verwijderen');
+  }
+});
+
+export default router;
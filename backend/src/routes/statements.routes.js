@@ -1,34 +1,78 @@
 import { Router } from 'express';
 import { sendError } from '../utils/error.js';
-import { query } from '../db/client.js';
-import { getCurrentISOWeekInfo, getWeekDateRange } from '../utils/week.js';
+import { isValidDate } from '../utils/date.js';
+import { query, withTransaction } from '../db/client.js';
+import { resolveStatementPeriod, formatPeriodLabel, PERIOD_TYPES } from '../utils/period.js';
+import {
+  STATEMENT_STATUSES,
+  LOCKED_STATEMENT_STATUSES,
+  STATEMENT_COLUMNS,
+  canTransition,
+  recordStatementHistory,
+  transitionStatement
+} from '../utils/statementStatus.js';
+import { snapshotStatementLines, getStatementLines } from '../utils/statementLines.js';
+import { requireUserType, requirePermission, ownsRow, scopeFilters } from '../middleware/tenant.js';
 
 const router = Router();
 
+// UUID regex pattern for validation
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Add the Dutch period label to a statement row
+ * @param {Object} statement - Statement with period columns
+ * @returns {Object} - Statement with period_label
+ */
+function withPeriodLabel(statement) {
+  return { ...statement, period_label: formatPeriodLabel(statement) };
+}
+
 /**
  * POST /api/statements/generate
- * Generate a weekly statement for a company/ZZP
- * Body: { companyId (required), zzpId (optional), year (optional), weekNumber (optional) }
+ * Generate a statement for a company/ZZP over a week, 4-week period, month or custom range
+ * Body: {
+ *   companyId (required), zzpId (optional), periodType (week | four_week | month | custom, default week),
+ *   year, weekNumber (week), periodNumber (four_week, 1-13), month (month, 1-12),
+ *   startDate, endDate (custom, required)
+ * }
+ * Missing year/week/period/month default to the current one.
+ * Open statements are recalculated; approved, invoiced and paid statements are left untouched,
+ * and a period may not overlap another statement of the same ZZP user
+ * (409 for a single ZZP user, listed in `skipped` otherwise).
+ * The worklogs of the period are copied into statement_lines; the total is the sum of those lines.
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireUserType('company'), requirePermission('statements:generate'), async (req, res) => {
   try {
     const { companyId, zzpId } = req.body;
-    let { year, weekNumber } = req.body;
 
     // Validate required fields
     if (!companyId) {
       return sendError(res, 400, 'Bedrijf-ID is verplicht');
     }
 
-    // Default to current ISO week if not provided
-    if (!year || !weekNumber) {
-      const currentWeek = getCurrentISOWeekInfo();
-      year = year || currentWeek.year;
-      weekNumber = weekNumber || currentWeek.weekNumber;
+    // Companies may only generate statements for themselves
+    if (companyId !== req.user.profileId) {
+      return sendError(res, 403, 'Geen toegang tot dit bedrijf');
     }
 
-    // Get date range for the week
-    const { startDate, endDate } = getWeekDateRange(year, weekNumber);
+    // A specific ZZP user must be linked to this company
+    if (zzpId) {
+      const zzpResult = await query(
+        'SELECT company_id FROM zzp_users WHERE id = $1',
+        [zzpId]
+      );
+      if (zzpResult.rows.length === 0 || zzpResult.rows[0].company_id !== companyId) {
+        return sendError(res, 400, 'ZZP gebruiker bestaat niet');
+      }
+    }
+
+    const { period, error: periodError } = resolveStatementPeriod(req.body);
+    if (periodError) {
+      return sendError(res, 400, periodError);
+    }
+
+    const { periodType, year, weekNumber, startDate, endDate } = period;
 
     // Build query to calculate total from worklogs
     let worklogSql = `
@@ -54,36 +98,12 @@ router.post('/generate', async (req, res) => {
 
     const worklogResult = await query(worklogSql, worklogParams);
 
-    if (worklogResult.rows.length === 0) {
-      // No worklogs found, but we can still create an empty statement if zzpId is provided
-      if (zzpId) {
-        // Check if a statement already exists
-        const existingResult = await query(
-          `SELECT id FROM statements WHERE company_id = $1 AND zzp_id = $2 AND year = $3 AND week_number = $4`,
-          [companyId, zzpId, year, weekNumber]
-        );
+    // Without worklogs, an empty statement is only created for a specific ZZP user
+    const totals = worklogResult.rows.length > 0
+      ? worklogResult.rows
+      : zzpId ? [{ zzp_id: zzpId, total_amount: 0, currency: 'EUR' }] : [];
 
-        if (existingResult.rows.length > 0) {
-          // Update existing statement
-          const updateResult = await query(
-            `UPDATE statements
-             SET total_amount = 0, status = 'open'
-             WHERE company_id = $1 AND zzp_id = $2 AND year = $3 AND week_number = $4
-             RETURNING id, company_id, zzp_id, year, week_number, total_amount, currency, status, created_at`,
-            [companyId, zzpId, year, weekNumber]
-          );
-          return res.json(updateResult.rows[0]);
-        } else {
-          // Insert new empty statement
-          const insertResult = await query(
-            `INSERT INTO statements (company_id, zzp_id, year, week_number, total_amount, currency, status)
-             VALUES ($1, $2, $3, $4, 0, 'EUR', 'open')
-             RETURNING id, company_id, zzp_id, year, week_number, total_amount, currency, status, created_at`,
-            [companyId, zzpId, year, weekNumber]
-          );
-          return res.status(201).json(insertResult.rows[0]);
-        }
-      }
+    if (totals.length === 0) {
       return res.json({ 
         message: 'No worklogs found for the specified period',
         statements: []
@@ -92,47 +112,95 @@ router.post('/generate', async (req, res) => {
 
     // Process each ZZP's worklogs and create/update statements
     const statements = [];
+    const skipped = [];
 
-    for (const row of worklogResult.rows) {
+    for (const row of totals) {
       const zzpIdForStatement = row.zzp_id;
       const totalAmount = parseFloat(row.total_amount);
       const currency = row.currency || 'EUR';
 
-      // Check if statement already exists
-      const existingResult = await query(
-        `SELECT id FROM statements WHERE company_id = $1 AND zzp_id = $2 AND year = $3 AND week_number = $4`,
-        [companyId, zzpIdForStatement, year, weekNumber]
-      );
-
-      let statementResult;
+      const outcome = await withTransaction(async (client) => {
+        // Serialize generation per ZZP user so overlapping periods cannot slip in concurrently
+        await client.query('SELECT id FROM zzp_users WHERE id = $1 FOR UPDATE', [zzpIdForStatement]);
+
+        // Statements of this ZZP user that share at least one day with the period
+        const existingResult = await client.query(
+          `SELECT id, status, period_type, period_start::text AS period_start, period_end::text AS period_end
+           FROM statements
+           WHERE company_id = $1 AND zzp_id = $2 AND period_start <= $4 AND period_end >= $3
+           FOR UPDATE`,
+          [companyId, zzpIdForStatement, startDate, endDate]
+        );
 
-      if (existingResult.rows.length > 0) {
-        // Update existing statement
-        statementResult = await query(
-          `UPDATE statements
-           SET total_amount = $1, currency = $2, status = 'open'
-           WHERE company_id = $3 AND zzp_id = $4 AND year = $5 AND week_number = $6
-           RETURNING id, company_id, zzp_id, year, week_number, total_amount, currency, status, created_at`,
-          [totalAmount, currency, companyId, zzpIdForStatement, year, weekNumber]
+        const existing = existingResult.rows.find(s =>
+          s.period_type === periodType && s.period_start === startDate && s.period_end === endDate
         );
-      } else {
+
+        // A worklog may only be on one statement
+        const overlapping = existingResult.rows.find(s => s !== existing);
+        if (overlapping) {
+          return {
+            skipped: { statementId: overlapping.id, zzpId: zzpIdForStatement, status: overlapping.status, reason: 'overlap' }
+          };
+        }
+
+        if (existing) {
+          // Approved, invoiced and paid statements are never overwritten
+          if (LOCKED_STATEMENT_STATUSES.includes(existing.status)) {
+            return {
+              skipped: { statementId: existing.id, zzpId: zzpIdForStatement, status: existing.status, reason: 'locked' }
+            };
+          }
+
+          // Refresh the open statement
+          const updateResult = await client.query(
+            `UPDATE statements
+             SET total_amount = $1, currency = $2
+             WHERE id = $3
+             RETURNING ${STATEMENT_COLUMNS}`,
+            [totalAmount, currency, existing.id]
+          );
+          return { statement: await snapshotStatementLines(client, updateResult.rows[0]) };
+        }
+
         // Insert new statement
-        statementResult = await query(
-          `INSERT INTO statements (company_id, zzp_id, year, week_number, total_amount, currency, status)
-           VALUES ($1, $2, $3, $4, $5, $6, 'open')
-           RETURNING id, company_id, zzp_id, year, week_number, total_amount, currency, status, created_at`,
-          [companyId, zzpIdForStatement, year, weekNumber, totalAmount, currency]
+        const insertResult = await client.query(
+          `INSERT INTO statements (
+             company_id, zzp_id, period_type, year, week_number, period_start, period_end,
+             total_amount, currency, status
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'open')
+           RETURNING ${STATEMENT_COLUMNS}`,
+          [companyId, zzpIdForStatement, periodType, year, weekNumber, startDate, endDate, totalAmount, currency]
         );
-      }
 
-      statements.push(statementResult.rows[0]);
+        await recordStatementHistory(client, {
+          statementId: insertResult.rows[0].id,
+          toStatus: 'open',
+          userId: req.user.userId,
+          comment: 'Gegenereerd'
+        });
+
+        return { statement: await snapshotStatementLines(client, insertResult.rows[0]) };
+      });
+
+      if (outcome.skipped) {
+        skipped.push(outcome.skipped);
+      } else {
+        statements.push(withPeriodLabel(outcome.statement));
+      }
     }
 
     // Return single statement or array based on request
-    if (zzpId && statements.length === 1) {
+    if (zzpId) {
+      if (skipped.length > 0) {
+        return sendError(res, 409, skipped[0].reason === 'overlap'
+          ? 'Periode overlapt met een bestaand overzicht'
+          : 'Overzicht is al goedgekeurd of gefactureerd en kan niet opnieuw worden gegenereerd');
+      }
       res.status(201).json(statements[0]);
     } else {
-      res.status(201).json({ statements });
+      res.status(201).json({ statements, skipped });
     }
   } catch (error) {
     console.error('Error generating statement:', error);
@@ -154,19 +222,37 @@ router.post('/generate', async (req, res) => {
 /**
  * GET /api/statements
  * List statements with optional filters
- * Query params: companyId, zzpId, status, year, weekNumber
+ * Query params: companyId, zzpId, status, periodType, year, weekNumber,
+ * startDate/endDate (statements whose period overlaps this range)
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('statements:read'), async (req, res) => {
   try {
-    const { companyId, zzpId, status, year, weekNumber } = req.query;
+    const { status, periodType, year, weekNumber, startDate, endDate } = req.query;
+
+    // Restrict filters to the authenticated tenant
+    const { companyId, zzpId, forbidden } = scopeFilters(req.user, req.query);
+    if (forbidden) {
+      return sendError(res, 403, 'Geen toegang');
+    }
+
+    if (periodType && !PERIOD_TYPES.includes(periodType)) {
+      return sendError(res, 400, 'Ongeldig periodetype');
+    }
+
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return sendError(res, 400, 'Ongeldige datum (JJJJ-MM-DD)');
+    }
 
     let sql = `
       SELECT 
         s.id,
         s.company_id,
         s.zzp_id,
+        s.period_type,
         s.year,
         s.week_number,
+        s.period_start::text AS period_start,
+        s.period_end::text AS period_end,
         s.total_amount,
         s.currency,
         s.status,
@@ -197,6 +283,11 @@ router.get('/', async (req, res) => {
       params.push(status);
     }
 
+    if (periodType) {
+      sql += ` AND s.period_type = $${paramIndex++}`;
+      params.push(periodType);
+    }
+
     if (year) {
       sql += ` AND s.year = $${paramIndex++}`;
       params.push(parseInt(year, 10));
@@ -207,10 +298,20 @@ router.get('/', async (req, res) => {
       params.push(parseInt(weekNumber, 10));
     }
 
+    if (startDate) {
+      sql += ` AND s.period_end >= $${paramIndex++}`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      sql += ` AND s.period_start <= $${paramIndex++}`;
+      params.push(endDate);
+    }
+
     sql += ' ORDER BY s.created_at DESC';
 
     const result = await query(sql, params);
-    res.json({ items: result.rows });
+    res.json({ items: result.rows.map(withPeriodLabel) });
   } catch (error) {
     console.error('Error fetching statements:', error);
     sendError(res, 500, 'Kon overzichten niet ophalen');
@@ -219,19 +320,26 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/statements/:id
- * Get a single statement by ID
+ * Get a single statement by ID, with its snapshot lines
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('statements:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
+
     const result = await query(
       `SELECT 
         s.id,
         s.company_id,
         s.zzp_id,
+        s.period_type,
         s.year,
         s.week_number,
+        s.period_start::text AS period_start,
+        s.period_end::text AS period_end,
         s.total_amount,
         s.currency,
         s.status,
@@ -246,48 +354,138 @@ router.get('/:id', async (req, res) => {
       [id]
     );
 
-    if (result.rows.length === 0) {
+    // Hide statements of other tenants behind a 404
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
       return sendError(res, 404, 'Overzicht niet gevonden');
     }
 
-    res.json(result.rows[0]);
+    const lines = await getStatementLines(id);
+
+    res.json({ ...withPeriodLabel(result.rows[0]), lines });
   } catch (error) {
     console.error('Error fetching statement:', error);
     sendError(res, 500, 'Kon overzicht niet ophalen');
   }
 });
 
+/**
+ * GET /api/statements/:id/history
+ * Status changes of a statement, oldest first
+ */
+router.get('/:id/history', requirePermission('statements:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
+
+    const statementResult = await query(
+      'SELECT company_id, zzp_id FROM statements WHERE id = $1',
+      [id]
+    );
+
+    // Hide statements of other tenants behind a 404
+    if (statementResult.rows.length === 0 || !ownsRow(req.user, statementResult.rows[0])) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT h.id, h.from_status, h.to_status, h.comment, h.created_at,
+              h.changed_by, u.email AS changed_by_email, u.full_name AS changed_by_name
+       FROM statement_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.statement_id = $1
+       ORDER BY h.created_at ASC`,
+      [id]
+    );
+
+    res.json({ items: result.rows });
+  } catch (error) {
+    console.error('Error fetching statement history:', error);
+    sendError(res, 500, 'Kon historie niet ophalen');
+  }
+});
+
 /**
  * PATCH /api/statements/:id
- * Update statement status
+ * Change the status of a statement
+ * Body: { status, comment (optional; required when reopening) }
+ * Allowed: open → approved, approved → open (reopen).
+ * The invoiced status is set by POST /api/invoices/generate, paid by POST /api/invoices/:id/payments;
+ * a full credit (POST /api/invoices/:id/credit) sends an invoiced or paid statement back to open.
+ * Approving takes a fresh snapshot of the worklogs; the invoice is built from that snapshot.
  */
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requireUserType('company'), requirePermission('statements:approve'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
 
     if (!status) {
       return sendError(res, 400, 'Status is verplicht');
     }
 
-    const validStatuses = ['open', 'approved', 'invoiced', 'paid'];
-    if (!validStatuses.includes(status)) {
+    if (!STATEMENT_STATUSES.includes(status)) {
       return sendError(res, 400, 'Ongeldige status');
     }
 
-    const result = await query(
-      `UPDATE statements
-       SET status = $1
-       WHERE id = $2
-       RETURNING id, company_id, zzp_id, year, week_number, total_amount, currency, status, created_at`,
-      [status, id]
+    if (status === 'invoiced') {
+      return sendError(res, 400, 'Een overzicht wordt gefactureerd door een factuur te maken');
+    }
+
+    if (status === 'paid') {
+      return sendError(res, 400, 'Een overzicht wordt betaald door betalingen op de factuur te registreren');
+    }
+
+    const currentResult = await query(
+      'SELECT status FROM statements WHERE id = $1 AND company_id = $2',
+      [id, req.user.profileId]
     );
 
-    if (result.rows.length === 0) {
+    if (currentResult.rows.length === 0) {
       return sendError(res, 404, 'Overzicht niet gevonden');
     }
 
-    res.json(result.rows[0]);
+    const currentStatus = currentResult.rows[0].status;
+
+    if (status === 'open' && ['invoiced', 'paid'].includes(currentStatus)) {
+      return sendError(res, 409, 'Een gefactureerd overzicht gaat terug naar open door de factuur volledig te crediteren');
+    }
+
+    if (!canTransition(currentStatus, status)) {
+      return sendError(res, 409, `Statuswijziging van ${currentStatus} naar ${status} is niet toegestaan`);
+    }
+
+    // Reopening needs a reason for the audit trail
+    if (status === 'open' && !comment) {
+      return sendError(res, 400, 'Geef een reden op om het overzicht te heropenen');
+    }
+
+    const statement = await withTransaction(async (client) => {
+      const changed = await transitionStatement(client, {
+        statementId: id,
+        fromStatus: currentStatus,
+        toStatus: status,
+        userId: req.user.userId,
+        comment: comment || null
+      });
+
+      // Freeze the worklogs as they are at approval
+      if (changed && status === 'approved') {
+        return snapshotStatementLines(client, changed);
+      }
+      return changed;
+    });
+
+    if (!statement) {
+      return sendError(res, 409, 'Overzicht is intussen gewijzigd; probeer het opnieuw');
+    }
+
+    res.json(withPeriodLabel(statement));
   } catch (error) {
     console.error('Error updating statement:', error);
     sendError(res, 500, 'Kon overzicht niet bijwerken');
@@ -296,19 +494,36 @@ router.patch('/:id', async (req, res) => {
 
 /**
  * DELETE /api/statements/:id
- * Delete a statement
+ * Delete an open statement
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireUserType('company'), requirePermission('statements:generate'), async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
+
+    const currentResult = await query(
+      'SELECT status FROM statements WHERE id = $1 AND company_id = $2',
+      [id, req.user.profileId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      return sendError(res, 404, 'Overzicht niet gevonden');
+    }
+
+    if (LOCKED_STATEMENT_STATUSES.includes(currentResult.rows[0].status)) {
+      return sendError(res, 409, 'Alleen open overzichten kunnen worden verwijderd');
+    }
+
     const result = await query(
-      'DELETE FROM statements WHERE id = $1 RETURNING id',
-      [id]
+      `DELETE FROM statements WHERE id = $1 AND company_id = $2 AND status = 'open' RETURNING id`,
+      [id, req.user.profileId]
     );
 
     if (result.rows.length === 0) {
-      return sendError(res, 404, 'Overzicht niet gevonden');
+      return sendError(res, 409, 'Alleen open overzichten kunnen worden verwijderd');
     }
 
     res.status(204).send();
@@ -0,0 +1,348 @@
+import { Router } from 'express';
+import { query } from '../db/client.js';
+import { sendError } from '../utils/error.js';
+import { requireUserType, requirePermission } from '../middleware/tenant.js';
+import { isValidVatCode, DEFAULT_VAT_CODE } from '../utils/calc.js';
+
+const router = Router();
+
+// The tariff catalog belongs to a company; the company is taken from the token
+router.use(requireUserType('company'));
+
+// UUID regex pattern for validation
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Tariff codes are stored on worklogs, so keep them short and simple
+const CODE_REGEX = /^[a-z0-9_-]{1,32}$/i;
+
+const TARIFF_COLUMNS = 'id, company_id, code, label, unit, default_price, vat_code, active, created_at, updated_at';
+
+/**
+ * Validate an optional price
+ * @param {*} value - Price from the request body
+ * @returns {boolean} - True if empty or a non-negative number
+ */
+function isValidPrice(value) {
+  return value === undefined || value === null || (typeof value === 'number' && !isNaN(value) && value >= 0);
+}
+
+/**
+ * Check that a ZZP user is linked to the company
+ * @param {string} zzpId - ZZP user ID
+ * @param {string} companyId - Company ID
+ * @returns {Promise<boolean>}
+ */
+async function isCompanyZzp(zzpId, companyId) {
+  if (!UUID_REGEX.test(zzpId)) {
+    return false;
+  }
+  const result = await query(
+    'SELECT 1 FROM zzp_users WHERE id = $1 AND company_id = $2',
+    [zzpId, companyId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * GET /api/tariffs
+ * List the tariff catalog of the current company
+ * Query params: zzpId (adds the effective unit_price for that ZZP user), includeInactive
+ */
+router.get('/', requirePermission('tariffs:read'), async (req, res) => {
+  try {
+    const { zzpId, includeInactive } = req.query;
+
+    if (zzpId && !(await isCompanyZzp(zzpId, req.user.profileId))) {
+      return sendError(res, 400, 'ZZP gebruiker bestaat niet');
+    }
+
+    let sql = `
+      SELECT t.id, t.company_id, t.code, t.label, t.unit, t.default_price, t.vat_code, t.active, t.created_at, t.updated_at,
+             r.unit_price AS override_price,
+             COALESCE(r.unit_price, t.default_price) AS unit_price
+      FROM tariffs t
+      LEFT JOIN zzp_tariff_rates r ON r.tariff_id = t.id AND r.zzp_id = $2
+      WHERE t.company_id = $1
+    `;
+    const params = [req.user.profileId, zzpId || null];
+
+    if (includeInactive !== 'true') {
+      sql += ' AND t.active = TRUE';
+    }
+
+    sql += ' ORDER BY t.label ASC';
+
+    const result = await query(sql, params);
+    res.json({ items: result.rows });
+  } catch (error) {
+    console.error('Error fetching tariffs:', error);
+    sendError(res, 500, 'Kon tarieven niet ophalen');
+  }
+});
+
+/**
+ * GET /api/tariffs/:id
+ * Get a tariff with its prices per ZZP user
+ */
+router.get('/:id', requirePermission('tariffs:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    const result = await query(
+      `SELECT ${TARIFF_COLUMNS} FROM tariffs WHERE id = $1 AND company_id = $2`,
+      [id, req.user.profileId]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    const ratesResult = await query(
+      `SELECT r.zzp_id, z.full_name, r.unit_price, r.updated_at
+       FROM zzp_tariff_rates r
+       JOIN zzp_users z ON z.id = r.zzp_id
+       WHERE r.tariff_id = $1
+       ORDER BY z.full_name ASC`,
+      [id]
+    );
+
+    res.json({ ...result.rows[0], rates: ratesResult.rows });
+  } catch (error) {
+    console.error('Error fetching tariff:', error);
+    sendError(res, 500, 'Kon tarief niet ophalen');
+  }
+});
+
+/**
+ * POST /api/tariffs
+ * Add a tariff to the catalog
+ * Body: { code, label, unit, defaultPrice (optional), vatCode (optional, default standard) }
+ */
+router.post('/', requirePermission('tariffs:write'), async (req, res) => {
+  try {
+    const { code, label, unit, defaultPrice, vatCode = DEFAULT_VAT_CODE } = req.body;
+
+    const missingFields = [];
+    if (!code) missingFields.push('code');
+    if (!label) missingFields.push('label');
+    if (!unit) missingFields.push('unit');
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Verplichte velden ontbreken',
+        missingFields
+      });
+    }
+
+    if (!CODE_REGEX.test(code)) {
+      return sendError(res, 400, 'Ongeldige code (letters, cijfers, - en _, max. 32 tekens)');
+    }
+
+    if (!isValidPrice(defaultPrice)) {
+      return sendError(res, 400, 'Ongeldige standaardprijs');
+    }
+
+    if (!isValidVatCode(vatCode)) {
+      return sendError(res, 400, 'Ongeldige BTW-code');
+    }
+
+    const result = await query(
+      `INSERT INTO tariffs (company_id, code, label, unit, default_price, vat_code)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${TARIFF_COLUMNS}`,
+      [req.user.profileId, code, label, unit, defaultPrice ?? null, vatCode]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating tariff:', error);
+
+    // Handle unique violation on (company_id, code)
+    if (error.code === '23505') {
+      return sendError(res, 400, 'Er bestaat al een tarief met deze code');
+    }
+
+    sendError(res, 500, 'Kon tarief niet aanmaken');
+  }
+});
+
+/**
+ * PUT /api/tariffs/:id
+ * Update a tariff. The code cannot change because worklogs refer to it.
+ * Body: { label, unit, defaultPrice, active, vatCode (optional, unchanged when omitted) }
+ * A new BTW code applies to worklogs logged from then on.
+ */
+router.put('/:id', requirePermission('tariffs:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, unit, defaultPrice, active = true, vatCode } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    const missingFields = [];
+    if (!label) missingFields.push('label');
+    if (!unit) missingFields.push('unit');
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Verplichte velden ontbreken',
+        missingFields
+      });
+    }
+
+    if (!isValidPrice(defaultPrice)) {
+      return sendError(res, 400, 'Ongeldige standaardprijs');
+    }
+
+    if (typeof active !== 'boolean') {
+      return sendError(res, 400, 'active moet true of false zijn');
+    }
+
+    if (vatCode !== undefined && !isValidVatCode(vatCode)) {
+      return sendError(res, 400, 'Ongeldige BTW-code');
+    }
+
+    const result = await query(
+      `UPDATE tariffs
+       SET label = $1, unit = $2, default_price = $3, active = $4, vat_code = COALESCE($5, vat_code), updated_at = NOW()
+       WHERE id = $6 AND company_id = $7
+       RETURNING ${TARIFF_COLUMNS}`,
+      [label, unit, defaultPrice ?? null, active, vatCode ?? null, id, req.user.profileId]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating tariff:', error);
+    sendError(res, 500, 'Kon tarief niet bijwerken');
+  }
+});
+
+/**
+ * DELETE /api/tariffs/:id
+ * Delete a tariff that is not used by any worklog
+ * Used tariffs can be deactivated with PUT (active: false) instead.
+ */
+router.delete('/:id', requirePermission('tariffs:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    const tariffResult = await query(
+      'SELECT code FROM tariffs WHERE id = $1 AND company_id = $2',
+      [id, req.user.profileId]
+    );
+
+    if (tariffResult.rows.length === 0) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    const usageResult = await query(
+      'SELECT 1 FROM worklogs WHERE company_id = $1 AND tariff_type = $2 LIMIT 1',
+      [req.user.profileId, tariffResult.rows[0].code]
+    );
+
+    if (usageResult.rows.length > 0) {
+      return sendError(res, 409, 'Tarief is in gebruik; zet het op inactief');
+    }
+
+    await query('DELETE FROM tariffs WHERE id = $1 AND company_id = $2', [id, req.user.profileId]);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting tariff:', error);
+    sendError(res, 500, 'Kon tarief niet verwijderen');
+  }
+});
+
+/**
+ * PUT /api/tariffs/:id/rates/:zzpId
+ * Set the price of a tariff for one ZZP user
+ * Body: { unitPrice }
+ */
+router.put('/:id/rates/:zzpId', requirePermission('tariffs:write'), async (req, res) => {
+  try {
+    const { id, zzpId } = req.params;
+    const { unitPrice } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    if (unitPrice === undefined || unitPrice === null || !isValidPrice(unitPrice)) {
+      return sendError(res, 400, 'Ongeldige eenheidsprijs');
+    }
+
+    const tariffResult = await query(
+      'SELECT id FROM tariffs WHERE id = $1 AND company_id = $2',
+      [id, req.user.profileId]
+    );
+
+    if (tariffResult.rows.length === 0) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    if (!(await isCompanyZzp(zzpId, req.user.profileId))) {
+      return sendError(res, 400, 'ZZP gebruiker bestaat niet');
+    }
+
+    const result = await query(
+      `INSERT INTO zzp_tariff_rates (tariff_id, zzp_id, unit_price)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tariff_id, zzp_id)
+       DO UPDATE SET unit_price = EXCLUDED.unit_price, updated_at = NOW()
+       RETURNING tariff_id, zzp_id, unit_price, updated_at`,
+      [id, zzpId, unitPrice]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error setting tariff rate:', error);
+    sendError(res, 500, 'Kon tarief niet instellen');
+  }
+});
+
+/**
+ * DELETE /api/tariffs/:id/rates/:zzpId
+ * Remove the ZZP specific price; the default price applies again
+ */
+router.delete('/:id/rates/:zzpId', requirePermission('tariffs:write'), async (req, res) => {
+  try {
+    const { id, zzpId } = req.params;
+
+    if (!UUID_REGEX.test(id) || !UUID_REGEX.test(zzpId)) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    const result = await query(
+      `DELETE FROM zzp_tariff_rates r
+       USING tariffs t
+       WHERE r.tariff_id = t.id AND t.id = $1 AND t.company_id = $2 AND r.zzp_id = $3
+       RETURNING r.id`,
+      [id, req.user.profileId, zzpId]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Tarief niet gevonden');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting tariff rate:', error);
+    sendError(res, 500, 'Kon tarief niet verwijderen');
+  }
+});
+
+export default router;
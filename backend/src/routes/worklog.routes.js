@@ -1,75 +1,228 @@
-import { Router } from 'express';
-import { query } from '../db/client.js';
+import express, { Router } from 'express';
+import { query, withTransaction } from '../db/client.js';
 import { sendError } from '../utils/error.js';
+import { isValidDate } from '../utils/date.js';
+import { parseCsv } from '../utils/csv.js';
+import { findTariffForZzp } from '../utils/tariffs.js';
+import { isValidVatCode } from '../utils/calc.js';
+import { LOCKED_STATEMENT_STATUSES } from '../utils/statementStatus.js';
+import { requireUserType, requirePermission, ownsRow, scopeFilters } from '../middleware/tenant.js';
 
 const router = Router();
 
-// Valid tariff types
-const VALID_TARIFF_TYPES = ['stop', 'hour', 'location', 'point', 'project'];
-
 // UUID regex pattern for validation
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+// Maximum number of rows per bulk import
+const MAX_BULK_ROWS = 1000;
+
+const WORKLOG_COLUMNS = 'id, company_id, zzp_id, work_date, tariff_type, quantity, unit_price, vat_code, currency, notes, created_at';
+
 /**
- * POST /api/worklogs
- * Create a new worklog entry and persist to database
+ * Check whether the statement period of a worklog is locked
+ * The covering statements are read FOR SHARE, so inside a transaction an approval of the
+ * period waits for the worklog change (and the other way around).
+ * @param {Object} db - Object with query() (a transaction client, or { query })
+ * @param {string} companyId - Company ID
+ * @param {string} zzpId - ZZP user ID
+ * @param {string} workDate - Work date (YYYY-MM-DD)
+ * @returns {Promise<boolean>} - True if an approved/invoiced/paid statement covers the date
  */
-router.post('/', async (req, res) => {
-  try {
-    const {
+async function isWorklogPeriodLocked(db, companyId, zzpId, workDate) {
+  const result = await db.query(
+    `SELECT status FROM statements
+     WHERE company_id = $1
+       AND zzp_id = $2
+       AND period_start <= $3::date
+       AND period_end >= $3::date
+     FOR SHARE`,
+    [companyId, zzpId, workDate]
+  );
+  return result.rows.some(row => LOCKED_STATEMENT_STATUSES.includes(row.status));
+}
+
+/**
+ * Validate worklog input for the authenticated company
+ * Shared by create, update and bulk import.
+ * tariffType must be an active code from the company's tariff catalog; without
+ * unitPrice the ZZP user's price (or the tariff's default price) is used, and
+ * without vatCode the tariff's BTW code.
+ * @param {Object} input - { companyId, zzpId, workDate, tariffType, quantity, unitPrice, vatCode, currency, notes }
+ * @param {Object} user - req.user
+ * @param {Map} cache - Optional lookup cache, reused across the rows of a bulk import
+ * @param {Object} db - Object with query() for the lock check (pass the client inside a transaction)
+ * @returns {Promise<Object>} - { worklog } when valid, otherwise { status, error }
+ */
+async function validateWorklog(input, user, cache = new Map(), db = { query }) {
+  const {
+    companyId,
+    zzpId,
+    workDate,
+    tariffType,
+    quantity,
+    currency = 'EUR',
+    notes
+  } = input;
+  let { unitPrice, vatCode } = input;
+
+  // Validate required fields
+  const missingFields = [];
+  if (!companyId) missingFields.push('companyId');
+  if (!zzpId) missingFields.push('zzpId');
+  if (!workDate) missingFields.push('workDate');
+  if (!tariffType) missingFields.push('tariffType');
+  if (quantity === undefined || quantity === null) missingFields.push('quantity');
+
+  if (missingFields.length > 0) {
+    return { status: 400, error: 'Verplichte velden ontbreken', missingFields };
+  }
+
+  // Validate UUID format
+  if (!UUID_REGEX.test(companyId)) {
+    return { status: 400, error: 'Ongeldige bedrijf-ID' };
+  }
+  if (!UUID_REGEX.test(zzpId)) {
+    return { status: 400, error: 'Ongeldige ZZP-ID' };
+  }
+
+  // Companies may only log work for themselves
+  if (companyId !== user.profileId) {
+    return { status: 403, error: 'Geen toegang tot dit bedrijf' };
+  }
+
+  // The ZZP user must be linked to this company
+  const zzpKey = `zzp:${zzpId}`;
+  if (!cache.has(zzpKey)) {
+    const zzpResult = await query(
+      'SELECT company_id FROM zzp_users WHERE id = $1',
+      [zzpId]
+    );
+    cache.set(zzpKey, zzpResult.rows.length > 0 ? zzpResult.rows[0].company_id : null);
+  }
+  if (cache.get(zzpKey) !== companyId) {
+    return { status: 400, error: 'ZZP gebruiker bestaat niet' };
+  }
+
+  // Validate date
+  if (!isValidDate(workDate)) {
+    return { status: 400, error: 'Ongeldige datum' };
+  }
+
+  // Validate tariff type against the company's catalog
+  const tariffKey = `tariff:${tariffType}:${zzpId}`;
+  if (!cache.has(tariffKey)) {
+    cache.set(tariffKey, await findTariffForZzp(companyId, tariffType, zzpId));
+  }
+  const tariff = cache.get(tariffKey);
+  if (!tariff) {
+    return { status: 400, error: 'Ongeldig tarieftype' };
+  }
+
+  // Fall back to the catalog price
+  if ((unitPrice === undefined || unitPrice === null) && tariff.unit_price !== null) {
+    unitPrice = parseFloat(tariff.unit_price);
+  }
+  if (unitPrice === undefined || unitPrice === null) {
+    return { status: 400, error: 'Verplichte velden ontbreken', missingFields: ['unitPrice'] };
+  }
+
+  if (vatCode === undefined || vatCode === null) {
+    vatCode = tariff.vat_code;
+  }
+  if (!isValidVatCode(vatCode)) {
+    return { status: 400, error: 'Ongeldige BTW-code' };
+  }
+
+  // Validate numeric fields
+  if (typeof quantity !== 'number' || isNaN(quantity)) {
+    return { status: 400, error: 'Ongeldige hoeveelheid' };
+  }
+  if (typeof unitPrice !== 'number' || isNaN(unitPrice)) {
+    return { status: 400, error: 'Ongeldige eenheidsprijs' };
+  }
+
+  // Approved or invoiced weeks are locked
+  const lockKey = `lock:${zzpId}:${workDate}`;
+  if (!cache.has(lockKey)) {
+    cache.set(lockKey, await isWorklogPeriodLocked(db, companyId, zzpId, workDate));
+  }
+  if (cache.get(lockKey)) {
+    return { status: 409, error: 'Periode is al goedgekeurd of gefactureerd' };
+  }
+
+  return {
+    worklog: {
       companyId,
       zzpId,
       workDate,
       tariffType,
       quantity,
       unitPrice,
-      currency = 'EUR',
-      notes
-    } = req.body;
-
-    // Validate required fields
-    const missingFields = [];
-    if (!companyId) missingFields.push('companyId');
-    if (!zzpId) missingFields.push('zzpId');
-    if (!workDate) missingFields.push('workDate');
-    if (!tariffType) missingFields.push('tariffType');
-    if (quantity === undefined || quantity === null) missingFields.push('quantity');
-    if (unitPrice === undefined || unitPrice === null) missingFields.push('unitPrice');
-
-    if (missingFields.length > 0) {
-      return sendError(res, 400, 'Verplichte velden ontbreken');
+      vatCode,
+      currency,
+      notes: notes || null
     }
+  };
+}
 
-    // Validate UUID format
-    if (!UUID_REGEX.test(companyId)) {
-      return sendError(res, 400, 'Ongeldige bedrijf-ID');
-    }
-    if (!UUID_REGEX.test(zzpId)) {
-      return sendError(res, 400, 'Ongeldige ZZP-ID');
-    }
+/**
+ * Send a validation failure from validateWorklog
+ * @param {Object} res - Express response object
+ * @param {Object} validation - { status, error, missingFields }
+ */
+function sendValidationError(res, validation) {
+  if (validation.missingFields) {
+    return res.status(400).json({
+      error: validation.error,
+      missingFields: validation.missingFields
+    });
+  }
+  return sendError(res, validation.status, validation.error);
+}
 
-    // Validate tariff type
-    if (!VALID_TARIFF_TYPES.includes(tariffType)) {
-      return sendError(res, 400, 'Ongeldig tarieftype');
-    }
+/**
+ * Convert a numeric CSV field; accepts a decimal comma ("12,5")
+ * @param {string} value - Field value
+ * @returns {number|null|string} - Number, null when empty, or the raw value when not numeric
+ */
+function parseCsvNumber(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const normalized = value.replace(',', '.');
+  return /^-?\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : value;
+}
 
-    // Validate numeric fields
-    if (typeof quantity !== 'number' || isNaN(quantity)) {
-      return sendError(res, 400, 'Ongeldige hoeveelheid');
-    }
-    if (typeof unitPrice !== 'number' || isNaN(unitPrice)) {
-      return sendError(res, 400, 'Ongeldige eenheidsprijs');
-    }
+/**
+ * POST /api/worklogs
+ * Create a new worklog entry and persist to database
+ */
+router.post('/', requireUserType('company'), requirePermission('worklogs:write'), async (req, res) => {
+  try {
+    // Lock check and insert share one transaction, so an approval cannot slip in between
+    const outcome = await withTransaction(async (client) => {
+      const validation = await validateWorklog(req.body, req.user, new Map(), client);
+      if (!validation.worklog) {
+        return { validation };
+      }
 
-    // Insert into database
-    const result = await query(
-      `INSERT INTO worklogs (company_id, zzp_id, work_date, tariff_type, quantity, unit_price, currency, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING id, company_id, zzp_id, work_date, tariff_type, quantity, unit_price, currency, notes, created_at`,
-      [companyId, zzpId, workDate, tariffType, quantity, unitPrice, currency, notes || null]
-    );
+      const { companyId, zzpId, workDate, tariffType, quantity, unitPrice, vatCode, currency, notes } = validation.worklog;
+
+      const result = await client.query(
+        `INSERT INTO worklogs (company_id, zzp_id, work_date, tariff_type, quantity, unit_price, vat_code, currency, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING ${WORKLOG_COLUMNS}`,
+        [companyId, zzpId, workDate, tariffType, quantity, unitPrice, vatCode, currency, notes]
+      );
+
+      return { worklog: result.rows[0] };
+    });
+
+    if (outcome.validation) {
+      return sendValidationError(res, outcome.validation);
+    }
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(outcome.worklog);
   } catch (error) {
     console.error('Error creating worklog:', error);
 
@@ -87,17 +240,230 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/worklogs/bulk
+ * Create many worklogs at once
+ * Body: JSON array of worklogs (or { items: [...] }), or CSV (Content-Type: text/csv)
+ * with a header line: zzpId, workDate, tariffType, quantity, unitPrice, vatCode, currency, notes.
+ * companyId defaults to the authenticated company.
+ * All rows are validated first; if any row is invalid nothing is stored and
+ * the response lists the errors per row (row 1 = first data row).
+ */
+router.post(
+  '/bulk',
+  requireUserType('company'),
+  requirePermission('worklogs:write'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      let rows;
+      if (typeof req.body === 'string') {
+        rows = parseCsv(req.body).map(record => ({
+          ...record,
+          quantity: parseCsvNumber(record.quantity),
+          unitPrice: parseCsvNumber(record.unitPrice),
+          vatCode: record.vatCode || undefined,
+          currency: record.currency || undefined
+        }));
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else if (req.body && Array.isArray(req.body.items)) {
+        rows = req.body.items;
+      } else {
+        return sendError(res, 400, 'Verwacht een lijst met werklogs of een CSV-bestand');
+      }
+
+      if (rows.length === 0) {
+        return sendError(res, 400, 'Geen werklogs om te importeren');
+      }
+
+      if (rows.length > MAX_BULK_ROWS) {
+        return sendError(res, 400, `Maximaal ${MAX_BULK_ROWS} werklogs per import`);
+      }
+
+      // Lock checks and inserts share one transaction, so an approval cannot slip in between
+      const outcome = await withTransaction(async (client) => {
+        // Validate every row before storing anything
+        const cache = new Map();
+        const worklogs = [];
+        const errors = [];
+
+        for (const [index, row] of rows.entries()) {
+          const input = { companyId: req.user.profileId, ...row };
+          const validation = await validateWorklog(input, req.user, cache, client);
+          if (validation.worklog) {
+            worklogs.push(validation.worklog);
+          } else {
+            errors.push({
+              row: index + 1,
+              error: validation.error,
+              ...(validation.missingFields && { missingFields: validation.missingFields })
+            });
+          }
+        }
+
+        if (errors.length > 0) {
+          return { errors };
+        }
+
+        const inserted = [];
+        for (const worklog of worklogs) {
+          const result = await client.query(
+            `INSERT INTO worklogs (company_id, zzp_id, work_date, tariff_type, quantity, unit_price, vat_code, currency, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING ${WORKLOG_COLUMNS}`,
+            [
+              worklog.companyId,
+              worklog.zzpId,
+              worklog.workDate,
+              worklog.tariffType,
+              worklog.quantity,
+              worklog.unitPrice,
+              worklog.vatCode,
+              worklog.currency,
+              worklog.notes
+            ]
+          );
+          inserted.push(result.rows[0]);
+        }
+        return { items: inserted };
+      });
+
+      if (outcome.errors) {
+        return res.status(400).json({
+          error: 'Import bevat ongeldige regels',
+          errors: outcome.errors
+        });
+      }
+
+      const { items } = outcome;
+      res.status(201).json({ items, count: items.length });
+    } catch (error) {
+      console.error('Error importing worklogs:', error);
+      sendError(res, 500, 'Kon werklogs niet importeren');
+    }
+  }
+);
+
+/**
+ * Update a worklog (shared by PUT and PATCH)
+ * PUT replaces all fields, PATCH merges the body into the stored worklog.
+ * Both run the same validation as POST; locked weeks cannot be edited.
+ * @param {boolean} partial - True for PATCH
+ * @returns {Function} - Express handler
+ */
+function updateWorklog(partial) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!UUID_REGEX.test(id)) {
+        return sendError(res, 400, 'Ongeldige ID');
+      }
+
+      // Lock check and update share one transaction, so an approval cannot slip in between
+      const outcome = await withTransaction(async (client) => {
+        const existingResult = await client.query(
+          `SELECT company_id, zzp_id, work_date::text AS work_date, tariff_type, quantity, unit_price, vat_code, currency, notes
+           FROM worklogs WHERE id = $1 AND company_id = $2
+           FOR UPDATE`,
+          [id, req.user.profileId]
+        );
+
+        if (existingResult.rows.length === 0) {
+          return { status: 404, error: 'Werklog niet gevonden' };
+        }
+
+        const existing = existingResult.rows[0];
+
+        if (await isWorklogPeriodLocked(client, existing.company_id, existing.zzp_id, existing.work_date)) {
+          return { status: 409, error: 'Werklog is vergrendeld: periode is al goedgekeurd of gefactureerd' };
+        }
+
+        // A changed tariff brings its own BTW code unless one is given
+        const tariffChanged = req.body.tariffType !== undefined && req.body.tariffType !== existing.tariff_type;
+        const input = partial
+          ? {
+            companyId: existing.company_id,
+            zzpId: existing.zzp_id,
+            workDate: existing.work_date,
+            tariffType: existing.tariff_type,
+            quantity: parseFloat(existing.quantity),
+            unitPrice: parseFloat(existing.unit_price),
+            ...(!tariffChanged && { vatCode: existing.vat_code }),
+            currency: existing.currency,
+            notes: existing.notes,
+            ...req.body
+          }
+          : req.body;
+
+        const validation = await validateWorklog(input, req.user, new Map(), client);
+        if (!validation.worklog) {
+          return { validation };
+        }
+
+        const { zzpId, workDate, tariffType, quantity, unitPrice, vatCode, currency, notes } = validation.worklog;
+
+        const result = await client.query(
+          `UPDATE worklogs
+           SET zzp_id = $1, work_date = $2, tariff_type = $3, quantity = $4, unit_price = $5, vat_code = $6,
+               currency = $7, notes = $8
+           WHERE id = $9 AND company_id = $10
+           RETURNING ${WORKLOG_COLUMNS}`,
+          [zzpId, workDate, tariffType, quantity, unitPrice, vatCode, currency, notes, id, req.user.profileId]
+        );
+
+        return { worklog: result.rows[0] };
+      });
+
+      if (outcome.validation) {
+        return sendValidationError(res, outcome.validation);
+      }
+      if (outcome.error) {
+        return sendError(res, outcome.status, outcome.error);
+      }
+
+      res.json(outcome.worklog);
+    } catch (error) {
+      console.error('Error updating worklog:', error);
+      sendError(res, 500, 'Kon werklog niet bijwerken');
+    }
+  };
+}
+
+/**
+ * PUT /api/worklogs/:id
+ * Replace a worklog; takes the same body as POST
+ */
+router.put('/:id', requireUserType('company'), requirePermission('worklogs:write'), updateWorklog(false));
+
+/**
+ * PATCH /api/worklogs/:id
+ * Update some fields of a worklog
+ */
+router.patch('/:id', requireUserType('company'), requirePermission('worklogs:write'), updateWorklog(true));
+
 /**
  * GET /api/worklogs
  * List worklogs with optional filters
  * Query params: companyId, zzpId, fromDate, toDate
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('worklogs:read'), async (req, res) => {
   try {
-    const { companyId, zzpId, fromDate, toDate } = req.query;
+    const { fromDate, toDate } = req.query;
+
+    // Restrict filters to the authenticated tenant
+    const { companyId, zzpId, forbidden } = scopeFilters(req.user, req.query);
+    if (forbidden) {
+      return sendError(res, 403, 'Geen toegang');
+    }
+
+    if ((fromDate && !isValidDate(fromDate)) || (toDate && !isValidDate(toDate))) {
+      return sendError(res, 400, 'Ongeldige datum (JJJJ-MM-DD)');
+    }
 
     let sql = `
-      SELECT id, company_id, zzp_id, work_date, tariff_type, quantity, unit_price, currency, notes, created_at
+      SELECT ${WORKLOG_COLUMNS}
       FROM worklogs
       WHERE 1=1
     `;
@@ -139,17 +505,22 @@ router.get('/', async (req, res) => {
  * GET /api/worklogs/:id
  * Get a single worklog by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('worklogs:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 400, 'Ongeldige ID');
+    }
+
     const result = await query(
-      `SELECT id, company_id, zzp_id, work_date, tariff_type, quantity, unit_price, currency, notes, created_at
+      `SELECT ${WORKLOG_COLUMNS}
        FROM worklogs WHERE id = $1`,
       [id]
     );
 
-    if (result.rows.length === 0) {
+    // Hide worklogs of other tenants behind a 404
+    if (result.rows.length === 0 || !ownsRow(req.user, result.rows[0])) {
       return sendError(res, 404, 'Werklog niet gevonden');
     }
 
@@ -162,19 +533,43 @@ router.get('/:id', async (req, res) => {
 
 /**
  * DELETE /api/worklogs/:id
- * Delete a worklog
+ * Delete a worklog (not allowed in locked weeks)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireUserType('company'), requirePermission('worklogs:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query(
-      'DELETE FROM worklogs WHERE id = $1 RETURNING id',
-      [id]
-    );
+    if (!UUID_REGEX.test(id)) {
+      return sendError(res, 400, 'Ongeldige ID');
+    }
 
-    if (result.rows.length === 0) {
-      return sendError(res, 404, 'Werklog niet gevonden');
+    const outcome = await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        `SELECT zzp_id, work_date::text AS work_date FROM worklogs
+         WHERE id = $1 AND company_id = $2
+         FOR UPDATE`,
+        [id, req.user.profileId]
+      );
+
+      if (existingResult.rows.length === 0) {
+        return { status: 404, error: 'Werklog niet gevonden' };
+      }
+
+      const { zzp_id: zzpId, work_date: workDate } = existingResult.rows[0];
+      if (await isWorklogPeriodLocked(client, req.user.profileId, zzpId, workDate)) {
+        return { status: 409, error: 'Werklog is vergrendeld: periode is al goedgekeurd of gefactureerd' };
+      }
+
+      await client.query(
+        'DELETE FROM worklogs WHERE id = $1 AND company_id = $2',
+        [id, req.user.profileId]
+      );
+
+      return {};
+    });
+
+    if (outcome.error) {
+      return sendError(res, outcome.status, outcome.error);
     }
 
     res.status(204).send();
@@ -1,28 +1,59 @@
 import { Router } from 'express';
-import { query } from '../db/client.js';
+import { query, withTransaction } from '../db/client.js';
 import { sendError } from '../utils/error.js';
+import { isValidDate } from '../utils/date.js';
+import { requireUserType, requirePermission } from '../middleware/tenant.js';
+import { normalizeIban, isValidIban } from '../utils/iban.js';
+import { isValidPaymentTermDays, MAX_PAYMENT_TERM_DAYS } from '../utils/payments.js';
+import { isValidVatRegime } from '../utils/calc.js';
+import { normalizePostalCode } from '../utils/address.js';
+import { changeVatRegime } from '../utils/vatRegimes.js';
+import { isBtwCorrection } from '../utils/btwFilings.js';
 
 const router = Router();
 
+// KVK number (8 digits) and Dutch BTW identification number (NL + 9 digits + B + 2 digits)
+const KVK_REGEX = /^\d{8}$/;
+const BTW_NUMBER_REGEX = /^NL\d{9}B\d{2}$/;
+
+/**
+ * Check whether the authenticated user may read a ZZP user row
+ * Companies see the ZZP users linked to them, ZZP users only themselves
+ * @param {Object} user - req.user
+ * @param {Object} row - zzp_users row
+ * @returns {boolean}
+ */
+function canReadZzpUser(user, row) {
+  if (user.userType === 'company') {
+    return row.company_id === user.profileId;
+  }
+  return user.userType === 'zzp' && row.id === user.profileId;
+}
+
 /**
  * GET /api/zzp-users
- * List all ZZP users ordered by created_at DESC
- * Supports optional query param companyId to filter by company
+ * List ZZP users visible to the authenticated user ordered by created_at DESC
+ * Supports optional query param companyId, which must be the user's own company
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('zzp-users:read'), async (req, res) => {
   try {
     const { companyId } = req.query;
 
     let sql = `
-      SELECT id, company_id, full_name, email, phone, external_ref, created_at
+      SELECT id, company_id, full_name, email, phone, external_ref, payment_term_days, iban, kvk_number, btw_number, vat_regime, street_address, postal_code, city, created_at
       FROM zzp_users
     `;
     const params = [];
 
-    // Filter by company if provided
-    if (companyId) {
+    if (req.user.userType === 'company') {
+      if (companyId && companyId !== req.user.profileId) {
+        return sendError(res, 403, 'Geen toegang');
+      }
       sql += ' WHERE company_id = $1';
-      params.push(companyId);
+      params.push(req.user.profileId);
+    } else {
+      sql += ' WHERE id = $1';
+      params.push(req.user.profileId);
     }
 
     sql += ' ORDER BY created_at DESC';
@@ -39,16 +70,16 @@ router.get('/', async (req, res) => {
  * GET /api/zzp-users/:id
  * Get a single ZZP user by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('zzp-users:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await query(
-      `SELECT id, company_id, full_name, email, phone, external_ref, created_at
+      `SELECT id, company_id, full_name, email, phone, external_ref, payment_term_days, iban, kvk_number, btw_number, vat_regime, street_address, postal_code, city, created_at
        FROM zzp_users WHERE id = $1`,
       [id]
     );
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || !canReadZzpUser(req.user, result.rows[0])) {
       return sendError(res, 404, 'ZZP gebruiker niet gevonden');
     }
 
@@ -64,7 +95,7 @@ router.get('/:id', async (req, res) => {
  * Create a new ZZP user
  * Body: { companyId, full_name, email, phone, external_ref }
  */
-router.post('/', async (req, res) => {
+router.post('/', requireUserType('company'), requirePermission('zzp-users:write'), async (req, res) => {
   try {
     const { companyId, full_name, email, phone, external_ref } = req.body;
 
@@ -80,6 +111,11 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Companies may only add ZZP users to themselves
+    if (companyId !== req.user.profileId) {
+      return sendError(res, 403, 'Geen toegang tot dit bedrijf');
+    }
+
     const result = await query(
       `INSERT INTO zzp_users (company_id, full_name, email, phone, external_ref)
        VALUES ($1, $2, $3, $4, $5)
@@ -104,7 +140,7 @@ router.post('/', async (req, res) => {
  * PUT /api/zzp-users/:id
  * Update an existing ZZP user
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireUserType('company'), requirePermission('zzp-users:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { companyId, full_name, email, phone, external_ref } = req.body;
@@ -121,12 +157,17 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // ZZP users cannot be moved to another company
+    if (companyId !== req.user.profileId) {
+      return sendError(res, 403, 'Geen toegang tot dit bedrijf');
+    }
+
     const result = await query(
       `UPDATE zzp_users
        SET company_id = $1, full_name = $2, email = $3, phone = $4, external_ref = $5
-       WHERE id = $6
+       WHERE id = $6 AND company_id = $7
        RETURNING id, company_id, full_name, email, phone, external_ref, created_at`,
-      [companyId, full_name, email || null, phone || null, external_ref || null, id]
+      [companyId, full_name, email || null, phone || null, external_ref || null, id, req.user.profileId]
     );
 
     if (result.rows.length === 0) {
@@ -146,17 +187,140 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/zzp-users/:id/payment-settings
+ * Set the payment term agreed with a ZZP user and the details invoices carry as seller:
+ * the IBAN they are paid to, the KVK number, the BTW number, the BTW regime (standard or kor)
+ * and the postal address
+ * The company sets the payment term (null uses the company default); the other details can be set by
+ * the company and by the ZZP user themselves.
+ * The BTW regime applies from vatRegimeFrom (default today, see changeVatRegime); a change that
+ * reaches into a filed BTW period needs btwCorrection.
+ * Body: { iban, paymentTermDays, kvkNumber, btwNumber, vatRegime, vatRegimeFrom, streetAddress, postalCode, city }
+ */
+router.put('/:id/payment-settings', requirePermission('zzp-users:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      iban, paymentTermDays, kvkNumber, btwNumber, vatRegime, vatRegimeFrom, streetAddress, postalCode, city
+    } = req.body;
+
+    const currentResult = await query('SELECT id, company_id FROM zzp_users WHERE id = $1', [id]);
+    if (currentResult.rows.length === 0 || !canReadZzpUser(req.user, currentResult.rows[0])) {
+      return sendError(res, 404, 'ZZP gebruiker niet gevonden');
+    }
+
+    if (paymentTermDays !== undefined && req.user.userType !== 'company') {
+      return sendError(res, 403, 'Alleen het bedrijf kan de betaaltermijn wijzigen');
+    }
+
+    if (paymentTermDays !== undefined && paymentTermDays !== null && !isValidPaymentTermDays(paymentTermDays)) {
+      return sendError(res, 400, `Betaaltermijn moet tussen 0 en ${MAX_PAYMENT_TERM_DAYS} dagen liggen`);
+    }
+
+    const normalizedIban = iban ? normalizeIban(iban) : null;
+    if (normalizedIban && !isValidIban(normalizedIban)) {
+      return sendError(res, 400, 'Ongeldig IBAN');
+    }
+
+    const normalizedKvk = kvkNumber ? String(kvkNumber).replace(/\s/g, '') : null;
+    if (normalizedKvk && !KVK_REGEX.test(normalizedKvk)) {
+      return sendError(res, 400, 'KVK-nummer moet uit 8 cijfers bestaan');
+    }
+
+    const normalizedBtw = btwNumber ? String(btwNumber).replace(/[\s.]/g, '').toUpperCase() : null;
+    if (normalizedBtw && !BTW_NUMBER_REGEX.test(normalizedBtw)) {
+      return sendError(res, 400, 'Ongeldig BTW-nummer (verwacht NL123456789B01)');
+    }
+
+    if (vatRegime !== undefined && !isValidVatRegime(vatRegime)) {
+      return sendError(res, 400, 'Ongeldig BTW-regime');
+    }
+
+    if (
+      vatRegimeFrom !== undefined && vatRegimeFrom !== null &&
+      !isValidDate(vatRegimeFrom)
+    ) {
+      return sendError(res, 400, 'Ongeldige ingangsdatum van het BTW-regime');
+    }
+
+    const normalizedPostalCode = postalCode ? normalizePostalCode(postalCode) : null;
+    if (postalCode && !normalizedPostalCode) {
+      return sendError(res, 400, 'Ongeldige postcode (verwacht 1234 AB)');
+    }
+
+    const updated = await withTransaction(async (client) => {
+      await client.query('SELECT id FROM zzp_users WHERE id = $1 FOR UPDATE', [id]);
+
+      // First, so a refused regime change leaves everything as it was
+      if (vatRegime !== undefined) {
+        const change = await changeVatRegime(client, {
+          zzpId: id,
+          vatRegime,
+          validFrom: vatRegimeFrom ?? null,
+          correction: isBtwCorrection(req),
+          userId: req.user.userId
+        });
+        if (change.error) {
+          return change;
+        }
+      }
+
+      // Omitted fields stay as they are; null clears them
+      const result = await client.query(
+        `UPDATE zzp_users
+         SET iban = CASE WHEN $1 THEN $2 ELSE iban END,
+             payment_term_days = CASE WHEN $3 THEN $4 ELSE payment_term_days END,
+             kvk_number = CASE WHEN $5 THEN $6 ELSE kvk_number END,
+             btw_number = CASE WHEN $7 THEN $8 ELSE btw_number END,
+             street_address = CASE WHEN $9 THEN $10 ELSE street_address END,
+             postal_code = CASE WHEN $11 THEN $12 ELSE postal_code END,
+             city = CASE WHEN $13 THEN $14 ELSE city END
+         WHERE id = $15
+         RETURNING id, company_id, full_name, email, phone, external_ref, payment_term_days, iban, kvk_number, btw_number, vat_regime, street_address, postal_code, city, created_at`,
+        [
+          iban !== undefined,
+          normalizedIban,
+          paymentTermDays !== undefined,
+          paymentTermDays ?? null,
+          kvkNumber !== undefined,
+          normalizedKvk,
+          btwNumber !== undefined,
+          normalizedBtw,
+          streetAddress !== undefined,
+          streetAddress || null,
+          postalCode !== undefined,
+          normalizedPostalCode,
+          city !== undefined,
+          city || null,
+          id
+        ]
+      );
+      return { zzpUser: result.rows[0] };
+    });
+
+    if (updated.error) {
+      return sendError(res, updated.status, updated.error);
+    }
+
+    res.json(updated.zzpUser);
+  } catch (error) {
+    console.error('Error updating payment settings:', error);
+    sendError(res, 500, 'Kon betaalgegevens niet bijwerken');
+  }
+});
+
 /**
  * DELETE /api/zzp-users/:id
  * Delete a ZZP user
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireUserType('company'), requirePermission('zzp-users:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(
-      'DELETE FROM zzp_users WHERE id = $1 RETURNING id',
-      [id]
+      'DELETE FROM zzp_users WHERE id = $1 AND company_id = $2 RETURNING id',
+      [id, req.user.profileId]
     );
 
     if (result.rows.length === 0) {
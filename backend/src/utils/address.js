@@ -0,0 +1,20 @@
+/**
+ * Address utilities
+ * Addresses are in the Netherlands; the country is not stored.
+ */
+
+const POSTAL_CODE_REGEX = /^[1-9]\d{3}[A-Z]{2}$/;
+
+/**
+ * Normalize a Dutch postcode: "1234ab" and "1234 AB" become "1234 AB"
+ * @param {string} postalCode - Postcode as entered
+ * @returns {string|null} - Normalized postcode, or null when it is not a Dutch postcode
+ */
+export function normalizePostalCode(postalCode) {
+  const compact = String(postalCode).replace(/\s+/g, '').toUpperCase();
+  if (!POSTAL_CODE_REGEX.test(compact)) {
+    return null;
+  }
+  return `${compact.slice(0, 4)} ${compact.slice(4)}`;
+}
+
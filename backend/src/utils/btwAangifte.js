@@ -0,0 +1,163 @@
+/**
+ * BTW return (aangifte omzetbelasting)
+ * Maps the sales, purchases and corrections of a period to the rubrieken of the
+ * Belastingdienst return and applies its rounding rules.
+ */
+
+import { calcBTW, calcDeductibleBtw, BTW_RATE } from './calc.js';
+
+// Rubrieken of the return; 5a-5g are the totals
+export const RUBRIEKEN = [
+  '1a', '1b', '1c', '1d', '1e',
+  '2a',
+  '3a', '3b', '3c',
+  '4a', '4b',
+  '5a', '5b', '5c', '5d', '5e', '5f', '5g'
+];
+
+// Rubrieken with a turnover column; 1e, 3a-3c only have turnover
+const OMZET_RUBRIEKEN = ['1a', '1b', '1c', '1d', '1e', '2a', '3a', '3b', '3c', '4a', '4b'];
+const BTW_RUBRIEKEN = ['1a', '1b', '1c', '1d', '2a', '4a', '4b'];
+
+// EU member states by the prefix of their VAT numbers (Greece uses EL)
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'EL', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+/**
+ * Country of a VAT number by its prefix; defaults to NL
+ * @param {string|null} vatNumber - VAT number, e.g. "DE123456789"
+ * @returns {string} - Country code
+ */
+export function getVatNumberCountry(vatNumber) {
+  const match = /^([A-Z]{2})/.exec(String(vatNumber || '').replace(/\s/g, '').toUpperCase());
+  return match ? match[1] : 'NL';
+}
+
+/**
+ * Whether a country is an EU member state other than the Netherlands
+ * @param {string} country - Country code
+ * @returns {boolean}
+ */
+function isOtherEuCountry(country) {
+  return country !== 'NL' && EU_COUNTRIES.includes(country);
+}
+
+/**
+ * Round to cents
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCents(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Empty rubrieken: { omzet, btw } for 1a-4b, { btw } for 5a-5g
+ * @returns {Object}
+ */
+function emptyRubrieken() {
+  const rubrieken = {};
+  for (const rubriek of RUBRIEKEN) {
+    rubrieken[rubriek] = {
+      ...(OMZET_RUBRIEKEN.includes(rubriek) && { omzet: 0 }),
+      ...((BTW_RUBRIEKEN.includes(rubriek) || rubriek.startsWith('5')) && { btw: 0 })
+    };
+  }
+  return rubrieken;
+}
+
+/**
+ * Add amounts to a rubriek
+ * @param {Object} rubrieken - Rubrieken being built
+ * @param {string} rubriek - Rubriek code
+ * @param {number} omzet - Turnover
+ * @param {number} btw - BTW
+ */
+function addToRubriek(rubrieken, rubriek, omzet, btw = 0) {
+  const entry = rubrieken[rubriek];
+  if ('omzet' in entry) entry.omzet = roundCents(entry.omzet + omzet);
+  if ('btw' in entry) entry.btw = roundCents(entry.btw + btw);
+}
+
+/**
+ * Calculate the rubrieken of a BTW return
+ * Sales per BTW code: standard in 1a, reduced in 1b, zero in 1e and reverse charge in 1e
+ * (customer in the Netherlands) or 3b (customer elsewhere in the EU). Exempt sales are not declared.
+ * Reverse charge purchases are declared in 2a (Dutch supplier), 4b (EU) or 4a (outside the EU)
+ * at the standard rate; that BTW is also voorbelasting. Voorbelasting is the deductible part
+ * of the BTW on the receipts.
+ * Rounding: the return takes whole euros, rounded in favour of the taxpayer (turnover and
+ * BTW due down, voorbelasting up); 5a-5g are calculated from the rounded rubrieken.
+ * @param {Object} data - {
+ *   sales: [{ vatCode, subtotal, btw, country }],
+ *   purchases: [{ vatCode, amount, btwAmount, deductiblePercent, country }],
+ *   corrections: [{ rubriek, amount, btwAmount }]
+ * }
+ * @returns {Object} - { rubrieken, exact, exempt } where exact holds the amounts in cents
+ *   and exempt the turnover of exempt sales
+ */
+export function calcAangifte({ sales, purchases, corrections }) {
+  const exact = emptyRubrieken();
+  let exempt = 0;
+  let voorbelasting = 0;
+
+  for (const sale of sales) {
+    switch (sale.vatCode) {
+      case 'standard':
+        addToRubriek(exact, '1a', sale.subtotal, sale.btw);
+        break;
+      case 'reduced':
+        addToRubriek(exact, '1b', sale.subtotal, sale.btw);
+        break;
+      case 'zero':
+        addToRubriek(exact, '1e', sale.subtotal);
+        break;
+      case 'reverse_charge':
+        addToRubriek(exact, isOtherEuCountry(sale.country) ? '3b' : '1e', sale.subtotal);
+        break;
+      default:
+        exempt = roundCents(exempt + sale.subtotal);
+    }
+  }
+
+  for (const correction of corrections) {
+    addToRubriek(exact, correction.rubriek, correction.amount, correction.btwAmount);
+  }
+
+  for (const purchase of purchases) {
+    if (purchase.vatCode === 'reverse_charge') {
+      // The BTW the supplier did not charge is due here, and deductible as usual
+      const btw = calcBTW(purchase.amount, BTW_RATE);
+      let rubriek = '4a';
+      if (purchase.country === 'NL') rubriek = '2a';
+      else if (isOtherEuCountry(purchase.country)) rubriek = '4b';
+      addToRubriek(exact, rubriek, purchase.amount, btw);
+      voorbelasting += calcDeductibleBtw(btw, purchase.deductiblePercent);
+    } else {
+      voorbelasting += calcDeductibleBtw(purchase.btwAmount, purchase.deductiblePercent);
+    }
+  }
+
+  const rubrieken = emptyRubrieken();
+  for (const rubriek of OMZET_RUBRIEKEN) {
+    rubrieken[rubriek].omzet = Math.floor(exact[rubriek].omzet);
+  }
+  for (const rubriek of BTW_RUBRIEKEN) {
+    rubrieken[rubriek].btw = Math.floor(exact[rubriek].btw);
+  }
+
+  // Totals; 5d (small business scheme) and the estimates 5e and 5f are not used
+  exact['5a'].btw = roundCents(BTW_RUBRIEKEN.reduce((sum, rubriek) => sum + exact[rubriek].btw, 0));
+  exact['5b'].btw = roundCents(voorbelasting);
+  exact['5c'].btw = roundCents(exact['5a'].btw - exact['5b'].btw);
+  exact['5g'].btw = exact['5c'].btw;
+
+  rubrieken['5a'].btw = BTW_RUBRIEKEN.reduce((sum, rubriek) => sum + rubrieken[rubriek].btw, 0);
+  rubrieken['5b'].btw = Math.ceil(exact['5b'].btw);
+  rubrieken['5c'].btw = rubrieken['5a'].btw - rubrieken['5b'].btw;
+  rubrieken['5g'].btw = rubrieken['5c'].btw - rubrieken['5d'].btw + rubrieken['5e'].btw + rubrieken['5f'].btw;
+
+  return { rubrieken, exact, exempt };
+}
@@ -0,0 +1,101 @@
+/**
+ * Filed BTW periods
+ * Filing a BTW return stores a snapshot of its rubrieken and locks the period: invoices, credit
+ * notes, expenses and BTW corrections dated in it can no longer change. Worklogs do not count:
+ * work is declared once it is invoiced. A change can still be made
+ * as a correction (btwCorrection=true); the filing is then flagged with corrected_at, and the
+ * difference with the snapshot is declared with a suppletie.
+ */
+
+import { RUBRIEKEN } from './btwAangifte.js';
+
+// Columns returned for a filing (dates as YYYY-MM-DD)
+export const FILING_COLUMNS = `id, zzp_id, company_id, kind, parent_id, period, year, period_value,
+  start_date::text AS start_date, end_date::text AS end_date, rubrieken, exact, exempt,
+  filed_by, filed_at, corrected_at`;
+
+/**
+ * Whether a request asks to correct a filed period
+ * @param {Object} req - Express request (btwCorrection in the query or body)
+ * @returns {boolean}
+ */
+export function isBtwCorrection(req) {
+  return req.query.btwCorrection === 'true' || req.body?.btwCorrection === true;
+}
+
+/**
+ * Check a mutation against the filed BTW periods of its owners
+ * Expenses count for the ZZP user, invoices and credit notes for the ZZP user and the company;
+ * corrections for their own owner.
+ * A mutation that covers a range of days (a BTW regime change) gives from, and before when the
+ * range ends; periods with a day from `from` up to (not including) `before` count.
+ * @param {Object} db - Object with query()
+ * @param {Object} options - { zzpId, companyId, dates: [YYYY-MM-DD], from, before, correction }
+ * @returns {Promise<Object>} - { filings } with the filed returns the mutation corrects (empty when
+ *   none), or { status: 409, error } when a date lies in a filed period and correction is not set
+ */
+export async function checkFiledBtwPeriods(db, {
+  zzpId = null, companyId = null, dates = [], from = null, before = null, correction = false
+}) {
+  const result = await db.query(
+    `SELECT id, start_date::text AS start_date, end_date::text AS end_date
+     FROM btw_filings
+     WHERE kind = 'aangifte'
+       AND (zzp_id = $1 OR company_id = $2)
+       AND (
+         EXISTS (SELECT 1 FROM unnest($3::date[]) AS d WHERE d BETWEEN start_date AND end_date)
+         OR ($4::date IS NOT NULL AND end_date >= $4 AND ($5::date IS NULL OR start_date < $5))
+       )
+     ORDER BY start_date`,
+    [zzpId, companyId, dates, from, before]
+  );
+
+  if (result.rows.length > 0 && !correction) {
+    const { start_date: startDate, end_date: endDate } = result.rows[0];
+    return {
+      status: 409,
+      error: `BTW-aangifte over ${startDate} t/m ${endDate} is al ingediend; wijzig alleen als correctie (btwCorrection)`
+    };
+  }
+
+  return { filings: result.rows };
+}
+
+/**
+ * Flag filed returns whose period was changed by a correction
+ * @param {Object} db - Object with query()
+ * @param {Array} filings - Filings from checkFiledBtwPeriods
+ */
+export async function flagCorrectedFilings(db, filings) {
+  if (filings.length === 0) return;
+  await db.query(
+    'UPDATE btw_filings SET corrected_at = NOW() WHERE id = ANY($1::uuid[])',
+    [filings.map(filing => filing.id)]
+  );
+}
+
+/**
+ * Difference per rubriek between the current figures and a filed snapshot
+ * @param {Object} current - Rubrieken as calculated now
+ * @param {Object} filed - Rubrieken of the last filing
+ * @returns {Object} - Rubrieken with current minus filed
+ */
+export function calcRubriekenDelta(current, filed) {
+  const delta = {};
+  for (const rubriek of RUBRIEKEN) {
+    delta[rubriek] = {};
+    for (const key of Object.keys(current[rubriek])) {
+      delta[rubriek][key] = Number((current[rubriek][key] - (filed[rubriek]?.[key] || 0)).toFixed(2));
+    }
+  }
+  return delta;
+}
+
+/**
+ * Whether a delta has any non-zero amount
+ * @param {Object} delta - From calcRubriekenDelta
+ * @returns {boolean}
+ */
+export function hasDelta(delta) {
+  return Object.values(delta).some(entry => Object.values(entry).some(value => value !== 0));
+}
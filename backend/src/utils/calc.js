@@ -3,8 +3,30 @@
  * All monetary values are rounded to 2 decimal places
  */
 
+// BTW codes of worklogs, tariffs and expenses with their rate
+// zero: 0% rate (e.g. export); exempt: no BTW charged (vrijgesteld, e.g. KOR);
+// reverse_charge: the customer accounts for the BTW (BTW verlegd)
+export const VAT_CODES = {
+  standard: { rate: 0.21, label: '21%' },
+  reduced: { rate: 0.09, label: '9%' },
+  zero: { rate: 0, label: '0%' },
+  exempt: { rate: 0, label: 'Vrijgesteld' },
+  reverse_charge: { rate: 0, label: 'BTW verlegd' }
+};
+
+export const DEFAULT_VAT_CODE = 'standard';
+
 // BTW rate for Netherlands (21%)
-const BTW_RATE = 0.21;
+export const BTW_RATE = VAT_CODES.standard.rate;
+
+// BTW regimes of a ZZP user; under the kleineondernemersregeling (KOR) no BTW is charged
+export const VAT_REGIMES = ['standard', 'kor'];
+
+export const DEFAULT_VAT_REGIME = 'standard';
+
+// KOR: annual turnover limit, and the share of it from which the turnover monitor warns
+export const KOR_THRESHOLD = 20000;
+export const KOR_WARNING_RATIO = 0.8;
 
 /**
  * Round a monetary value to 2 decimal places
@@ -15,6 +37,43 @@ function roundMoney(value) {
   return Number(value.toFixed(2));
 }
 
+/**
+ * Check a BTW code
+ * @param {string} vatCode - BTW code
+ * @returns {boolean}
+ */
+export function isValidVatCode(vatCode) {
+  return Object.prototype.hasOwnProperty.call(VAT_CODES, vatCode);
+}
+
+/**
+ * Check a BTW regime
+ * @param {string} vatRegime - BTW regime
+ * @returns {boolean}
+ */
+export function isValidVatRegime(vatRegime) {
+  return VAT_REGIMES.includes(vatRegime);
+}
+
+/**
+ * BTW code of work under a BTW regime: under the KOR everything is exempt
+ * @param {string} vatCode - BTW code of the work
+ * @param {string} vatRegime - BTW regime of the ZZP user
+ * @returns {string} - BTW code to charge
+ */
+export function applyVatRegime(vatCode, vatRegime = DEFAULT_VAT_REGIME) {
+  return vatRegime === 'kor' ? 'exempt' : vatCode;
+}
+
+/**
+ * Get the rate of a BTW code
+ * @param {string} vatCode - BTW code (defaults to standard)
+ * @returns {number} - Rate, e.g. 0.21
+ */
+export function getVatRate(vatCode = DEFAULT_VAT_CODE) {
+  return (VAT_CODES[vatCode] || VAT_CODES[DEFAULT_VAT_CODE]).rate;
+}
+
 /**
  * Calculate line total from quantity and unit price
  * @param {number} quantity - Quantity of items
@@ -35,22 +94,94 @@ export function calcBTW(amount, rate = BTW_RATE) {
   return roundMoney(amount * rate);
 }
 
+/**
+ * Split an amount including BTW into the amount excluding BTW and the BTW
+ * @param {number} grossAmount - Amount including BTW
+ * @param {number} rate - BTW rate (defaults to 0.21)
+ * @returns {Object} - { net, btw }
+ */
+export function splitGrossAmount(grossAmount, rate = BTW_RATE) {
+  const btw = roundMoney(grossAmount - grossAmount / (1 + rate));
+  return { net: roundMoney(grossAmount - btw), btw };
+}
+
+/**
+ * Calculate the deductible part of the BTW on an expense (voorbelasting)
+ * @param {number} btwAmount - BTW on the receipt
+ * @param {number} deductiblePercent - Deductible share in percent (defaults to 100)
+ * @returns {number} - Deductible BTW rounded to 2 decimals
+ */
+export function calcDeductibleBtw(btwAmount, deductiblePercent = 100) {
+  return roundMoney(btwAmount * deductiblePercent / 100);
+}
+
+/**
+ * Group amounts per BTW code and calculate the BTW per code
+ * BTW is calculated over the subtotal of each code, as on an invoice.
+ * @param {Array} items - Objects with amount and vatCode (defaults to standard)
+ * @returns {Array} - [{ vatCode, rate (percent), subtotal, btw }] in the order of VAT_CODES
+ */
+export function calcVatBreakdown(items) {
+  const subtotals = new Map();
+  for (const item of items) {
+    const vatCode = item.vatCode || DEFAULT_VAT_CODE;
+    subtotals.set(vatCode, (subtotals.get(vatCode) || 0) + item.amount);
+  }
+
+  return Object.keys(VAT_CODES)
+    .filter(vatCode => subtotals.has(vatCode))
+    .map(vatCode => {
+      const subtotal = roundMoney(subtotals.get(vatCode));
+      return {
+        vatCode,
+        rate: roundMoney(VAT_CODES[vatCode].rate * 100),
+        subtotal,
+        btw: calcBTW(subtotal, VAT_CODES[vatCode].rate)
+      };
+    });
+}
+
 /**
  * Calculate totals from an array of line items
- * @param {Array} lines - Array of objects with quantity and unitPrice properties
- * @returns {Object} - Object with subtotal, btw, and total
+ * @param {Array} lines - Array of objects with quantity, unitPrice and vatCode (defaults to standard)
+ * @returns {Object} - Object with subtotal, btw, total and vatBreakdown (see calcVatBreakdown)
  */
 export function calcTotals(lines) {
-  const subtotal = lines.reduce((sum, line) => {
-    return sum + calcLineTotal(line.quantity, line.unitPrice);
-  }, 0);
-  
-  const btw = calcBTW(subtotal);
-  const total = roundMoney(subtotal + btw);
-  
+  const vatBreakdown = calcVatBreakdown(lines.map(line => ({
+    amount: calcLineTotal(line.quantity, line.unitPrice),
+    vatCode: line.vatCode
+  })));
+
+  const subtotal = vatBreakdown.reduce((sum, entry) => sum + entry.subtotal, 0);
+  const btw = vatBreakdown.reduce((sum, entry) => sum + entry.btw, 0);
+
   return {
     subtotal: roundMoney(subtotal),
-    btw,
-    total
+    btw: roundMoney(btw),
+    total: roundMoney(subtotal + btw),
+    vatBreakdown
+  };
+}
+
+/**
+ * Position of a year's turnover against the KOR threshold
+ * @param {number} turnover - Turnover of the year so far (excl. BTW)
+ * @returns {Object} - { threshold, turnover, remaining, percentage, status } where status is
+ *   "below", "approaching" (from KOR_WARNING_RATIO of the threshold) or "exceeded"
+ */
+export function calcKorStatus(turnover) {
+  let status = 'below';
+  if (turnover > KOR_THRESHOLD) {
+    status = 'exceeded';
+  } else if (turnover >= KOR_THRESHOLD * KOR_WARNING_RATIO) {
+    status = 'approaching';
+  }
+
+  return {
+    threshold: KOR_THRESHOLD,
+    turnover: roundMoney(turnover),
+    remaining: roundMoney(Math.max(0, KOR_THRESHOLD - turnover)),
+    percentage: roundMoney(turnover / KOR_THRESHOLD * 100),
+    status
   };
 }
@@ -0,0 +1,90 @@
+/**
+ * CSV utilities
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and line breaks inside quotes.
+ * The delimiter is detected from the header line (";" as exported by Dutch Excel, otherwise ",").
+ */
+
+/**
+ * Detect the delimiter from the first line
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return firstLine.includes(';') ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} - Rows
+ */
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip empty lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header line into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - One object per data row, keyed by header name
+ */
+export function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const rows = parseRows(content, detectDelimiter(content));
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+
+  return rows.slice(1).map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = fields[index] !== undefined ? fields[index].trim() : '';
+    });
+    return record;
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Date utilities
+ */
+
+// Date format (YYYY-MM-DD)
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a YYYY-MM-DD string is a real date
+ * The date must survive a round trip, so 2026-02-30 is rejected rather than rolled over.
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
@@ -0,0 +1,46 @@
+/**
+ * IBAN utilities
+ */
+
+const IBAN_REGEX = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+/**
+ * Normalize an IBAN: uppercase without spaces
+ * @param {string} iban - IBAN as entered
+ * @returns {string} - Normalized IBAN
+ */
+export function normalizeIban(iban) {
+  return String(iban).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Validate an IBAN, including its mod-97 check digits
+ * @param {string} iban - Normalized IBAN
+ * @returns {boolean}
+ */
+export function isValidIban(iban) {
+  if (typeof iban !== 'string' || !IBAN_REGEX.test(iban)) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end and turn letters into numbers (A=10 ... Z=35)
+  const digits = (iban.slice(4) + iban.slice(0, 4))
+    .split('')
+    .map(char => (/[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char))
+    .join('');
+
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Format an IBAN in groups of four for printing
+ * @param {string} iban - Normalized IBAN
+ * @returns {string} - e.g. "NL91 ABNA 0417 1643 00"
+ */
+export function formatIban(iban) {
+  return iban.replace(/(.{4})(?=.)/g, '$1 ');
+}
@@ -0,0 +1,57 @@
+/**
+ * Company invite utilities
+ * Shared by the members routes and registration with an invite token
+ */
+
+import { query } from '../db/client.js';
+import { hashToken } from './tokens.js';
+
+// Invites expire after 7 days
+export const INVITE_TTL_DAYS = 7;
+
+/**
+ * Find a pending, unexpired invite by its plain token
+ * @param {string} token - Plain invite token
+ * @returns {Promise<Object|null>} - Invite row or null
+ */
+export async function findPendingInvite(token) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT id, company_id, email, role, expires_at
+     FROM company_invites
+     WHERE token_hash = $1
+       AND accepted_at IS NULL
+       AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Accept an invite: add the user as member and mark the invite used
+ * An existing membership of the same company gets the invited role, except owners.
+ * @param {Object} invite - Invite row from findPendingInvite
+ * @param {string} userId - Accepting user ID
+ * @returns {Promise<Object>} - Membership row
+ */
+export async function acceptInvite(invite, userId) {
+  const memberResult = await query(
+    `INSERT INTO company_members (company_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (company_id, user_id) DO UPDATE
+       SET role = CASE WHEN company_members.role = 'owner' THEN 'owner' ELSE EXCLUDED.role END
+     RETURNING id, company_id, user_id, role, created_at`,
+    [invite.company_id, userId, invite.role]
+  );
+
+  await query(
+    'UPDATE company_invites SET accepted_at = NOW() WHERE id = $1',
+    [invite.id]
+  );
+
+  return memberResult.rows[0];
+}
@@ -0,0 +1,153 @@
+/**
+ * Invoice numbering
+ * Every company has its own gapless series for invoices and one for credit notes.
+ * The format is configurable per company, e.g. "{prefix}-{year}-{seq:4}" gives FACT-2025-0007.
+ */
+
+export const DEFAULT_INVOICE_PREFIX = 'FACT';
+export const DEFAULT_CREDIT_NOTE_PREFIX = 'CRED';
+export const DEFAULT_INVOICE_NUMBER_FORMAT = '{prefix}-{year}-{seq:4}';
+
+// Company columns holding the prefix and format of each series
+const SERIES = {
+  invoice: {
+    prefixColumn: 'invoice_prefix',
+    formatColumn: 'invoice_number_format',
+    defaultPrefix: DEFAULT_INVOICE_PREFIX
+  },
+  credit_note: {
+    prefixColumn: 'credit_note_prefix',
+    formatColumn: 'credit_note_number_format',
+    defaultPrefix: DEFAULT_CREDIT_NOTE_PREFIX
+  }
+};
+
+const PREFIX_REGEX = /^[A-Za-z0-9_-]{1,16}$/;
+const TOKEN_REGEX = /\{(prefix|year|seq)(?::(\d{1,2}))?\}/g;
+const LITERAL_REGEX = /^[A-Za-z0-9_./-]*$/;
+const MAX_FORMAT_LENGTH = 64;
+const MAX_SEQ_PADDING = 10;
+
+/**
+ * Validate an invoice prefix
+ * @param {string} prefix - Prefix
+ * @returns {boolean}
+ */
+export function isValidInvoicePrefix(prefix) {
+  return typeof prefix === 'string' && PREFIX_REGEX.test(prefix);
+}
+
+/**
+ * Validate an invoice number format
+ * Exactly one {seq} or {seq:N} is required; other text may only contain letters, digits and - _ . /
+ * @param {string} format - Format string
+ * @returns {string|null} - Dutch error message, or null when valid
+ */
+export function validateInvoiceNumberFormat(format) {
+  if (typeof format !== 'string' || format.length === 0 || format.length > MAX_FORMAT_LENGTH) {
+    return `Formaat is verplicht (max. ${MAX_FORMAT_LENGTH} tekens)`;
+  }
+
+  let seqCount = 0;
+  for (const [, token, padding] of format.matchAll(TOKEN_REGEX)) {
+    if (token === 'seq') {
+      seqCount++;
+      if (padding !== undefined && (Number(padding) < 1 || Number(padding) > MAX_SEQ_PADDING)) {
+        return `Lengte van {seq} moet tussen 1 en ${MAX_SEQ_PADDING} liggen`;
+      }
+    } else if (padding !== undefined) {
+      return `{${token}} heeft geen lengte`;
+    }
+  }
+
+  if (seqCount !== 1) {
+    return 'Formaat moet precies één {seq} bevatten';
+  }
+
+  if (!LITERAL_REGEX.test(format.replace(TOKEN_REGEX, ''))) {
+    return 'Formaat bevat ongeldige tekens (toegestaan: letters, cijfers, - _ . / en {prefix}, {year}, {seq:N})';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a format restarts the sequence every year
+ * @param {string} format - Format string
+ * @returns {boolean}
+ */
+function isYearlyFormat(format) {
+  return format.includes('{year}');
+}
+
+/**
+ * Build an invoice number from a format
+ * @param {string} format - Format string
+ * @param {Object} values - { prefix, year, sequence }
+ * @returns {string} - Invoice number
+ */
+export function formatInvoiceNumber(format, { prefix, year, sequence }) {
+  return format.replace(TOKEN_REGEX, (match, token, padding) => {
+    if (token === 'prefix') return prefix;
+    if (token === 'year') return String(year);
+    return String(sequence).padStart(Number(padding || 0), '0');
+  });
+}
+
+/**
+ * Issue the next number of a series
+ * Must run inside the transaction that inserts the document: the sequence row stays locked
+ * until commit, so parallel requests wait for each other and a rollback returns the number.
+ * @param {Object} client - Transaction client
+ * @param {string} companyId - Issuing company
+ * @param {string} series - "invoice" or "credit_note"
+ * @param {Date} date - Document date (its year is used for {year})
+ * @returns {Promise<string>} - Document number
+ */
+async function issueNumber(client, companyId, series, date) {
+  const { prefixColumn, formatColumn, defaultPrefix } = SERIES[series];
+
+  const companyResult = await client.query(
+    `SELECT ${prefixColumn} AS prefix, ${formatColumn} AS format FROM companies WHERE id = $1`,
+    [companyId]
+  );
+
+  const company = companyResult.rows[0] || {};
+  const prefix = company.prefix || defaultPrefix;
+  const format = company.format || DEFAULT_INVOICE_NUMBER_FORMAT;
+  const year = date.getFullYear();
+
+  // Formats without {year} use one continuous series (stored as year 0)
+  const sequenceResult = await client.query(
+    `INSERT INTO invoice_sequences (company_id, series, year, last_value)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (company_id, series, year)
+     DO UPDATE SET last_value = invoice_sequences.last_value + 1, updated_at = NOW()
+     RETURNING last_value`,
+    [companyId, series, isYearlyFormat(format) ? year : 0]
+  );
+
+  return formatInvoiceNumber(format, { prefix, year, sequence: sequenceResult.rows[0].last_value });
+}
+
+/**
+ * Issue the next invoice number of a company (see issueNumber)
+ * @param {Object} client - Transaction client
+ * @param {string} companyId - Issuing company
+ * @param {Date} invoiceDate - Invoice date
+ * @returns {Promise<string>} - Invoice number
+ */
+export async function issueInvoiceNumber(client, companyId, invoiceDate = new Date()) {
+  return issueNumber(client, companyId, 'invoice', invoiceDate);
+}
+
+/**
+ * Issue the next credit note number of a company (see issueNumber)
+ * @param {Object} client - Transaction client
+ * @param {string} companyId - Issuing company
+ * @param {Date} issueDate - Credit note date
+ * @returns {Promise<string>} - Credit note number
+ */
+export async function issueCreditNoteNumber(client, companyId, issueDate = new Date()) {
+  return issueNumber(client, companyId, 'credit_note', issueDate);
+}
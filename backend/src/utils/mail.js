@@ -0,0 +1,98 @@
+/**
+ * Mail utilities
+ * Messages go through a pluggable transport: an object with an async send(message) method.
+ * Message shape: { from, to, subject, text, html, attachments }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import {
+  MAIL_TRANSPORT,
+  MAIL_OUTBOX_DIR,
+  MAIL_FROM,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS
+} from '../config/mail.js';
+
+/**
+ * Create a transport that writes each message as JSON file to a directory
+ * Attachments are stored base64 encoded.
+ * @param {string} dir - Outbox directory
+ * @returns {Object} - Transport
+ */
+export function createOutboxTransport(dir = MAIL_OUTBOX_DIR) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomUUID()}`;
+      const attachments = (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: Buffer.from(attachment.content).toString('base64')
+      }));
+
+      await fs.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ ...message, attachments, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { messageId: id };
+    }
+  };
+}
+
+/**
+ * Create a transport that sends messages over SMTP
+ * @returns {Object} - Transport
+ */
+export function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+  });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+let transport = null;
+
+/**
+ * Get the configured mail transport
+ * @returns {Object} - Transport
+ */
+export function getMailTransport() {
+  if (!transport) {
+    transport = MAIL_TRANSPORT === 'smtp' ? createSmtpTransport() : createOutboxTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the mail transport (e.g. with a stub in tests)
+ * @param {Object|null} customTransport - Transport, or null to restore the configured one
+ */
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html, attachments }
+ * @returns {Promise<Object>} - { messageId }
+ */
+export async function sendMail(message) {
+  return getMailTransport().send({ from: MAIL_FROM, ...message });
+}
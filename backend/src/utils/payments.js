@@ -0,0 +1,95 @@
+/**
+ * Invoice payments
+ * Payments include BTW. An invoice is settled once its payments cover the total minus its credit notes;
+ * the statement then moves from invoiced to paid.
+ */
+
+import { transitionStatement } from './statementStatus.js';
+
+export const PAYMENT_METHODS = ['bank_transfer', 'ideal', 'card', 'cash', 'other'];
+
+// Longest payment term in days
+export const MAX_PAYMENT_TERM_DAYS = 365;
+
+// Aging buckets by days past the due date; the last one has no upper bound
+export const AGING_BUCKETS = [
+  { key: '0-30', label: '0-30 dagen', from: 0, to: 30 },
+  { key: '31-60', label: '31-60 dagen', from: 31, to: 60 },
+  { key: '61-90', label: '61-90 dagen', from: 61, to: 90 },
+  { key: '90+', label: 'Meer dan 90 dagen', from: 91, to: null }
+];
+
+/**
+ * Validate a payment term
+ * @param {*} value - Days from the request body
+ * @returns {boolean}
+ */
+export function isValidPaymentTermDays(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_PAYMENT_TERM_DAYS;
+}
+
+/**
+ * Due date of an invoice
+ * @param {Date} invoiceDate - Invoice date
+ * @param {number} termDays - Payment term in days
+ * @returns {Date} - Due date
+ */
+export function calcDueDate(invoiceDate, termDays) {
+  const dueDate = new Date(invoiceDate);
+  dueDate.setDate(dueDate.getDate() + termDays);
+  return dueDate;
+}
+
+/**
+ * Get the open balance of an invoice
+ * @param {Object} db - Object with query() (pool wrapper or transaction client)
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} - { total, credited, paid, openBalance } (credited is negative)
+ */
+export async function getInvoiceBalance(db, invoiceId) {
+  const result = await db.query(
+    `SELECT i.total,
+            COALESCE((SELECT SUM(total) FROM credit_notes WHERE invoice_id = i.id), 0) AS credited,
+            COALESCE((SELECT SUM(amount) FROM payments WHERE invoice_id = i.id), 0) AS paid
+     FROM invoices i
+     WHERE i.id = $1`,
+    [invoiceId]
+  );
+
+  const row = result.rows[0];
+  const total = parseFloat(row.total) || 0;
+  const credited = parseFloat(row.credited) || 0;
+  const paid = parseFloat(row.paid) || 0;
+
+  return {
+    total,
+    credited,
+    paid,
+    openBalance: Number((total + credited - paid).toFixed(2))
+  };
+}
+
+/**
+ * Mark the statement of an invoice paid once the invoice is settled
+ * Needs at least one payment, so an invoice that is only credited does not count as paid.
+ * @param {Object} db - Transaction client
+ * @param {Object} invoice - { id, statement_id }
+ * @param {string} userId - User who registered the payment or credit note
+ * @returns {Promise<boolean>} - True when the statement moved to paid
+ */
+export async function settleInvoice(db, invoice, userId) {
+  const balance = await getInvoiceBalance(db, invoice.id);
+  if (balance.openBalance > 0 || balance.paid <= 0) {
+    return false;
+  }
+
+  const changed = await transitionStatement(db, {
+    statementId: invoice.statement_id,
+    fromStatus: 'invoiced',
+    toStatus: 'paid',
+    userId,
+    comment: 'Factuur volledig voldaan'
+  });
+
+  return changed !== null;
+}
@@ -0,0 +1,161 @@
+/**
+ * Statement period utilities
+ * A statement covers an ISO week, a 4-week period, a calendar month or a custom date range.
+ */
+
+import { getISOWeekInfo, getCurrentISOWeekInfo, getWeekDateRange } from './week.js';
+import { isValidDate } from './date.js';
+
+export const PERIOD_TYPES = ['week', 'four_week', 'month', 'custom'];
+
+// 4-week periods: 13 per year, the last one also takes week 53
+const FOUR_WEEK_PERIODS = 13;
+
+// Longest custom period
+const MAX_CUSTOM_DAYS = 366;
+
+/**
+ * Number of ISO weeks in a year (52 or 53)
+ * @param {number} year - ISO year
+ * @returns {number} - Number of weeks
+ */
+function getISOWeeksInYear(year) {
+  // December 28th is always in the last week of the ISO year
+  return getISOWeekInfo(`${year}-12-28`).weekNumber;
+}
+
+/**
+ * Parse an optional integer within bounds
+ * @param {*} value - Input value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number|null} - Integer, or null when invalid
+ */
+function parseBoundedInt(value, min, max) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Resolve the date range of a statement period from request input
+ * Missing year/week/period/month default to the current one.
+ * @param {Object} input - { periodType, year, weekNumber, periodNumber, month, startDate, endDate }
+ * @returns {Object} - { period: { periodType, year, weekNumber, startDate, endDate } } or { error }
+ */
+export function resolveStatementPeriod(input) {
+  const { periodType = 'week', startDate, endDate } = input;
+
+  if (!PERIOD_TYPES.includes(periodType)) {
+    return { error: 'Ongeldig periodetype (week, four_week, month of custom)' };
+  }
+
+  if (periodType === 'custom') {
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      return { error: 'Begin- en einddatum zijn verplicht (JJJJ-MM-DD)' };
+    }
+    const days = (new Date(endDate) - new Date(startDate)) / 86400000;
+    if (days < 0) {
+      return { error: 'Einddatum ligt voor de begindatum' };
+    }
+    if (days >= MAX_CUSTOM_DAYS) {
+      return { error: `Een periode mag maximaal ${MAX_CUSTOM_DAYS} dagen zijn` };
+    }
+    return {
+      period: { periodType, year: Number(startDate.slice(0, 4)), weekNumber: null, startDate, endDate }
+    };
+  }
+
+  const today = new Date();
+  const currentWeek = getCurrentISOWeekInfo();
+
+  if (periodType === 'month') {
+    const year = input.year ? parseBoundedInt(input.year, 2000, 2100) : today.getUTCFullYear();
+    const month = input.month ? parseBoundedInt(input.month, 1, 12) : today.getUTCMonth() + 1;
+    if (!year || !month) {
+      return { error: 'Ongeldig jaar of maand' };
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0));
+    return {
+      period: {
+        periodType,
+        year,
+        weekNumber: null,
+        startDate: `${year}-${String(month).padStart(2, '0')}-01`,
+        endDate: lastDay.toISOString().split('T')[0]
+      }
+    };
+  }
+
+  const year = input.year ? parseBoundedInt(input.year, 2000, 2100) : currentWeek.year;
+  if (!year) {
+    return { error: 'Ongeldig jaar' };
+  }
+  const weeksInYear = getISOWeeksInYear(year);
+
+  if (periodType === 'four_week') {
+    const periodNumber = input.periodNumber
+      ? parseBoundedInt(input.periodNumber, 1, FOUR_WEEK_PERIODS)
+      : Math.min(Math.ceil(currentWeek.weekNumber / 4), FOUR_WEEK_PERIODS);
+    if (!periodNumber) {
+      return { error: `Ongeldig periodenummer (1-${FOUR_WEEK_PERIODS})` };
+    }
+    const firstWeek = (periodNumber - 1) * 4 + 1;
+    const lastWeek = periodNumber === FOUR_WEEK_PERIODS ? weeksInYear : firstWeek + 3;
+    return {
+      period: {
+        periodType,
+        year,
+        weekNumber: null,
+        startDate: getWeekDateRange(year, firstWeek).startDate,
+        endDate: getWeekDateRange(year, lastWeek).endDate
+      }
+    };
+  }
+
+  const weekNumber = input.weekNumber ? parseBoundedInt(input.weekNumber, 1, weeksInYear) : currentWeek.weekNumber;
+  if (!weekNumber) {
+    return { error: `Ongeldig weeknummer (1-${weeksInYear})` };
+  }
+  return {
+    period: { periodType, year, weekNumber, ...getWeekDateRange(year, weekNumber) }
+  };
+}
+
+/**
+ * Format a YYYY-MM-DD date as DD-MM-YYYY
+ * @param {string} value - Date string
+ * @returns {string} - Dutch date
+ */
+function formatDutchDate(value) {
+  const [year, month, day] = value.split('-');
+  return `${day}-${month}-${year}`;
+}
+
+/**
+ * Dutch label for the period of a statement, as shown in lists and on the invoice
+ * Examples: "Week 48, 2024", "Periode 3, 2024 (week 9 t/m 12)", "November 2024",
+ * "25-11-2024 t/m 08-12-2024"
+ * @param {Object} statement - { period_type, year, week_number, period_start, period_end } (dates as YYYY-MM-DD)
+ * @returns {string} - Period label
+ */
+export function formatPeriodLabel(statement) {
+  const { period_type: periodType, year, week_number: weekNumber, period_start: start, period_end: end } = statement;
+
+  if (periodType === 'four_week') {
+    const firstWeek = getISOWeekInfo(start).weekNumber;
+    const lastWeek = getISOWeekInfo(end).weekNumber;
+    return `Periode ${Math.ceil(firstWeek / 4)}, ${year} (week ${firstWeek} t/m ${lastWeek})`;
+  }
+
+  if (periodType === 'month') {
+    const label = new Intl.DateTimeFormat('nl-NL', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+      .format(new Date(`${start}T00:00:00Z`));
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  if (periodType === 'custom') {
+    return `${formatDutchDate(start)} t/m ${formatDutchDate(end)}`;
+  }
+
+  return `Week ${weekNumber}, ${year}`;
+}
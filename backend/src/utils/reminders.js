@@ -0,0 +1,336 @@
+/**
+ * Payment reminders
+ * A scheduled job emails the company a reminder for each overdue invoice, with the invoice PDF attached.
+ * Escalation: friendly reminder, second reminder, formal notice with statutory interest; the days past
+ * the due date for each level come from REMINDER_SCHEDULE_DAYS. Every reminder is logged in
+ * invoice_reminders, whose (invoice_id, level) key keeps the job idempotent.
+ * Pass `now` to runPaymentReminders() and a stub to setMailTransport() to run it against a fake clock.
+ */
+
+import { query, withTransaction } from '../db/client.js';
+import { sendMail } from './mail.js';
+import { readFile } from './storage.js';
+import { getInvoiceBalance } from './payments.js';
+import { formatIban } from './iban.js';
+import {
+  REMINDERS_ENABLED,
+  REMINDER_INTERVAL_MINUTES,
+  REMINDER_SCHEDULE_DAYS,
+  REMINDER_MIN_INTERVAL_DAYS,
+  STATUTORY_INTEREST_RATE
+} from '../config/reminders.js';
+
+export const REMINDER_LEVELS = [
+  { level: 1, key: 'reminder', label: 'Herinnering' },
+  { level: 2, key: 'second_reminder', label: 'Tweede herinnering' },
+  { level: 3, key: 'formal_notice', label: 'Aanmaning' }
+];
+
+// Days the formal notice gives to pay before further steps
+const FORMAL_NOTICE_PAYMENT_DAYS = 14;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Format currency amount in Dutch format
+ * @param {number} amount - Amount to format
+ * @returns {string} - Formatted amount
+ */
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('nl-NL', {
+    style: 'currency',
+    currency: 'EUR'
+  }).format(amount);
+}
+
+/**
+ * Format date in Dutch format
+ * @param {Date|string} date - Date to format
+ * @returns {string} - Formatted date
+ */
+function formatDate(date) {
+  return new Intl.DateTimeFormat('nl-NL', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  }).format(new Date(date));
+}
+
+/**
+ * Statutory commercial interest over an overdue amount
+ * Interest is compounded once per full year, as the law prescribes.
+ * @param {number} amount - Open amount (incl. BTW)
+ * @param {number} days - Days past the due date
+ * @param {number} ratePercent - Interest rate in percent per year
+ * @returns {number} - Interest, rounded to cents
+ */
+export function calcStatutoryInterest(amount, days, ratePercent = STATUTORY_INTEREST_RATE) {
+  if (amount <= 0 || days <= 0) {
+    return 0;
+  }
+
+  const rate = ratePercent / 100;
+  let principal = amount;
+  let remainingDays = days;
+
+  while (remainingDays >= 365) {
+    principal += principal * rate;
+    remainingDays -= 365;
+  }
+
+  const interest = principal - amount + principal * rate * remainingDays / 365;
+  return Number(interest.toFixed(2));
+}
+
+/**
+ * Next reminder level due for an invoice
+ * Levels are sent in order; a level is due once the invoice is enough days overdue
+ * and the previous reminder is at least REMINDER_MIN_INTERVAL_DAYS old.
+ * @param {Object} state - { daysOverdue, lastLevel (0 when none), daysSinceLast }
+ * @param {number[]} scheduleDays - Days past the due date per level
+ * @returns {number|null} - Level to send, or null
+ */
+export function getNextReminderLevel(
+  { daysOverdue, lastLevel, daysSinceLast },
+  scheduleDays = REMINDER_SCHEDULE_DAYS
+) {
+  const level = lastLevel + 1;
+  if (level > REMINDER_LEVELS.length || daysOverdue < scheduleDays[level - 1]) {
+    return null;
+  }
+  if (lastLevel > 0 && daysSinceLast < REMINDER_MIN_INTERVAL_DAYS) {
+    return null;
+  }
+  return level;
+}
+
+/**
+ * Build the reminder email
+ * @param {Object} invoice - Candidate row from runPaymentReminders()
+ * @param {Object} details - { level, openBalance, interest, reminderDate }
+ * @returns {Object} - { subject, text }
+ */
+function buildReminderMessage(invoice, { level, openBalance, interest, reminderDate }) {
+  const { label } = REMINDER_LEVELS[level - 1];
+  const iban = invoice.zzp_iban ? formatIban(invoice.zzp_iban) : null;
+  const paymentLine = iban
+    ? `Wij verzoeken u het bedrag over te maken naar ${iban} t.n.v. ${invoice.zzp_name}, ` +
+      `onder vermelding van ${invoice.invoice_number}.`
+    : `Wij verzoeken u het bedrag over te maken onder vermelding van ${invoice.invoice_number}.`;
+
+  let body;
+  if (level === 1) {
+    body = `Volgens onze administratie is factuur ${invoice.invoice_number} van ` +
+      `${formatDate(invoice.invoice_date)} nog niet (volledig) betaald. ` +
+      `De vervaldatum was ${formatDate(invoice.due_date)}; het openstaande bedrag is ${formatCurrency(openBalance)}.\n\n` +
+      `${paymentLine}\n\n` +
+      'Heeft u inmiddels betaald? Dan kunt u deze herinnering als niet verzonden beschouwen.';
+  } else if (level === 2) {
+    body = `Ondanks onze eerdere herinnering hebben wij de betaling van factuur ${invoice.invoice_number} ` +
+      `nog niet (volledig) ontvangen. Het openstaande bedrag van ${formatCurrency(openBalance)} ` +
+      `had uiterlijk ${formatDate(invoice.due_date)} betaald moeten zijn.\n\n` +
+      `${paymentLine} Wij verzoeken u dit binnen 7 dagen te doen.`;
+  } else {
+    const deadline = new Date(reminderDate);
+    deadline.setDate(deadline.getDate() + FORMAL_NOTICE_PAYMENT_DAYS);
+    body = `Factuur ${invoice.invoice_number} van ${formatDate(invoice.invoice_date)} is ondanks twee ` +
+      `herinneringen nog niet betaald. Wij stellen u hierbij in gebreke en verzoeken u het openstaande ` +
+      `bedrag uiterlijk ${formatDate(deadline)} te voldoen.\n\n` +
+      `Openstaand bedrag: ${formatCurrency(openBalance)}\n` +
+      `Wettelijke handelsrente (${STATUTORY_INTEREST_RATE}% per jaar vanaf ${formatDate(invoice.due_date)} ` +
+      `t/m ${formatDate(reminderDate)}): ${formatCurrency(interest)}\n` +
+      `Totaal: ${formatCurrency(openBalance + interest)}\n\n` +
+      'De rente loopt door tot de dag van volledige betaling.\n\n' +
+      `${paymentLine}`;
+  }
+
+  return {
+    subject: `${label}: factuur ${invoice.invoice_number}`,
+    text: `Geachte heer/mevrouw,\n\n${body}\n\nMet vriendelijke groet,\n${invoice.zzp_name}`
+  };
+}
+
+/**
+ * Send one reminder level for an invoice and log it
+ * Runs in a transaction that locks the invoice; the log row is claimed before sending and
+ * rolled back when sending fails, so each level goes out at most once.
+ * @param {Object} invoice - Candidate row from runPaymentReminders()
+ * @param {number} level - Reminder level
+ * @param {string} reminderDate - YYYY-MM-DD
+ * @returns {Promise<Object|null>} - Reminder row, or null when no longer due
+ */
+async function sendInvoiceReminder(invoice, level, reminderDate) {
+  return withTransaction(async (client) => {
+    await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [invoice.id]);
+
+    const { openBalance } = await getInvoiceBalance(client, invoice.id);
+    if (openBalance <= 0) {
+      return null;
+    }
+
+    const interest = level === 3 ? calcStatutoryInterest(openBalance, invoice.days_overdue) : 0;
+
+    const claimed = await client.query(
+      `INSERT INTO invoice_reminders (
+         invoice_id, company_id, level, reminder_date, days_overdue,
+         open_balance, interest_rate, interest_amount, recipient
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (invoice_id, level) DO NOTHING
+       RETURNING id`,
+      [
+        invoice.id,
+        invoice.company_id,
+        level,
+        reminderDate,
+        invoice.days_overdue,
+        openBalance,
+        level === 3 ? STATUTORY_INTEREST_RATE : null,
+        interest,
+        invoice.recipient
+      ]
+    );
+
+    if (claimed.rows.length === 0) {
+      return null;
+    }
+
+    const pdf = invoice.file_key ? await readFile(invoice.file_key) : null;
+    const message = buildReminderMessage(invoice, { level, openBalance, interest, reminderDate });
+
+    const { messageId } = await sendMail({
+      to: invoice.recipient,
+      replyTo: invoice.zzp_email || undefined,
+      ...message,
+      attachments: pdf
+        ? [{ filename: `${invoice.invoice_number}.pdf`, contentType: 'application/pdf', content: pdf }]
+        : []
+    });
+
+    const result = await client.query(
+      `UPDATE invoice_reminders SET message_id = $1 WHERE id = $2
+       RETURNING id, invoice_id, level, reminder_date::text AS reminder_date, days_overdue,
+                 open_balance, interest_amount, recipient`,
+      [messageId, claimed.rows[0].id]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Send the reminders that are due
+ * @param {Object} options - { now } - Current time (default: the real clock)
+ * @returns {Promise<Object>} - { date, checked, sent, skipped, failed }
+ */
+export async function runPaymentReminders({ now = new Date() } = {}) {
+  const reminderDate = toDateString(now);
+
+  // Invoices of statements still waiting for payment, past their due date, with the last reminder sent
+  const result = await query(
+    `SELECT i.id, i.invoice_number, i.company_id, i.file_key,
+            i.created_at::date::text AS invoice_date,
+            i.due_date::text AS due_date,
+            $1::date - i.due_date AS days_overdue,
+            COALESCE(c.email, cu.email) AS recipient,
+            z.full_name AS zzp_name, z.email AS zzp_email, z.iban AS zzp_iban,
+            COALESCE(r.level, 0) AS last_level,
+            $1::date - r.reminder_date AS days_since_last
+     FROM invoices i
+     JOIN statements s ON i.statement_id = s.id
+     JOIN companies c ON i.company_id = c.id
+     LEFT JOIN users cu ON c.user_id = cu.id
+     JOIN zzp_users z ON s.zzp_id = z.id
+     LEFT JOIN LATERAL (
+       SELECT level, reminder_date
+       FROM invoice_reminders
+       WHERE invoice_id = i.id
+       ORDER BY level DESC
+       LIMIT 1
+     ) r ON true
+     WHERE s.status = 'invoiced'
+       AND i.due_date < $1::date
+       AND COALESCE(r.level, 0) < $2
+     ORDER BY i.due_date ASC`,
+    [reminderDate, REMINDER_LEVELS.length]
+  );
+
+  const summary = { date: reminderDate, checked: result.rows.length, sent: 0, skipped: 0, failed: 0 };
+
+  for (const invoice of result.rows) {
+    const level = getNextReminderLevel({
+      daysOverdue: invoice.days_overdue,
+      lastLevel: invoice.last_level,
+      daysSinceLast: invoice.days_since_last
+    });
+
+    if (!level || !invoice.recipient) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const reminder = await sendInvoiceReminder(invoice, level, reminderDate);
+      if (reminder) {
+        summary.sent++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      console.error(`Error sending reminder for invoice ${invoice.invoice_number}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+let timer = null;
+
+/**
+ * Start the scheduled reminder job (every REMINDER_INTERVAL_MINUTES)
+ * Runs never overlap; a run that is still busy makes the next tick a no-op.
+ */
+export function startReminderJob() {
+  if (!REMINDERS_ENABLED || timer) {
+    return;
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await runPaymentReminders();
+    } catch (error) {
+      console.error('Error running payment reminders:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  tick();
+}
+
+/**
+ * Stop the scheduled reminder job
+ */
+export function stopReminderJob() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Session utilities
+ * A session is a chain (family) of rotating refresh tokens stored server-side.
+ * Each refresh revokes the presented token and issues a new one in the same family.
+ * Presenting an already rotated token revokes the whole family (token theft).
+ */
+
+import crypto from 'crypto';
+import { query } from '../db/client.js';
+import { REFRESH_TOKEN_TTL_DAYS } from '../config/jwt.js';
+import { generateToken, hashToken, signAuthToken } from './tokens.js';
+import { getMemberRole } from '../middleware/tenant.js';
+
+/**
+ * Store a new refresh token
+ * @param {string} userId - User ID
+ * @param {string|null} profileId - Profile the session acts for
+ * @param {string} familyId - Session family ID
+ * @returns {Promise<string>} - Plain refresh token
+ */
+async function insertRefreshToken(userId, profileId, familyId) {
+  const { token, tokenHash } = generateToken();
+
+  await query(
+    `INSERT INTO refresh_tokens (user_id, profile_id, family_id, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))`,
+    [userId, profileId, familyId, tokenHash, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return token;
+}
+
+/**
+ * Start a new session for an authenticated user
+ * @param {Object} user - { userId, email, userType, profileId }
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+export async function createSession(user) {
+  const familyId = crypto.randomUUID();
+  const refreshToken = await insertRefreshToken(user.userId, user.profileId || null, familyId);
+
+  return {
+    token: signAuthToken(user),
+    refreshToken
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<Object|null>} - { token, refreshToken, user } or null when invalid
+ */
+export async function rotateSession(refreshToken) {
+  const result = await query(
+    `SELECT rt.id, rt.user_id, rt.profile_id, rt.family_id, rt.revoked_at,
+            rt.expires_at < NOW() AS expired,
+            u.email, u.user_type
+     FROM refresh_tokens rt
+     JOIN users u ON rt.user_id = u.id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+
+  // Reuse of a rotated token: assume it was stolen and end the session
+  if (row.revoked_at) {
+    await revokeSessionFamily(row.family_id);
+    return null;
+  }
+
+  if (row.expired) {
+    return null;
+  }
+
+  // Company users must still be a member of the company the session acts for
+  if (row.user_type === 'company' && !(await getMemberRole(row.user_id, row.profile_id))) {
+    await revokeSessionFamily(row.family_id);
+    return null;
+  }
+
+  // Only one concurrent refresh may win the rotation
+  const revokeResult = await query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [row.id]
+  );
+
+  if (revokeResult.rows.length === 0) {
+    return null;
+  }
+
+  const nextRefreshToken = await insertRefreshToken(row.user_id, row.profile_id, row.family_id);
+  const user = {
+    userId: row.user_id,
+    email: row.email,
+    userType: row.user_type,
+    profileId: row.profile_id
+  };
+
+  return {
+    token: signAuthToken(user),
+    refreshToken: nextRefreshToken,
+    user
+  };
+}
+
+/**
+ * Revoke all tokens of a session family
+ * @param {string} familyId - Session family ID
+ */
+export async function revokeSessionFamily(familyId) {
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<boolean>} - True if a session was found
+ */
+export async function revokeSession(refreshToken) {
+  const result = await query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeSessionFamily(result.rows[0].family_id);
+  return true;
+}
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId - User ID
+ */
+export async function revokeAllSessions(userId) {
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+}
@@ -0,0 +1,99 @@
+/**
+ * Statement line snapshots
+ * The worklogs behind a statement are copied into statement_lines when the statement is
+ * generated or approved. Statement details and invoices read the copy, so later worklog
+ * changes never alter what was approved. Generating an invoice tags the lines with it; a fully
+ * credited invoice keeps its lines while the reopened statement gets a new snapshot.
+ */
+
+import { query } from '../db/client.js';
+import { STATEMENT_COLUMNS } from './statementStatus.js';
+
+/**
+ * Replace the lines of a statement with the current worklogs of its period
+ * and set the statement total to the sum of the lines. Lines of invoices are kept.
+ * Only call this for open statements.
+ * @param {Object} db - Object with query() (use a transaction client)
+ * @param {Object} statement - { id, company_id, zzp_id, period_start, period_end }
+ * @returns {Promise<Object>} - Updated statement
+ */
+export async function snapshotStatementLines(db, statement) {
+  await db.query('DELETE FROM statement_lines WHERE statement_id = $1 AND invoice_id IS NULL', [statement.id]);
+
+  await db.query(
+    `INSERT INTO statement_lines (
+       statement_id, worklog_id, position, work_date, tariff_type, tariff_label, unit,
+       quantity, unit_price, line_total, vat_code, currency, notes
+     )
+     SELECT
+       $1, w.id, ROW_NUMBER() OVER (ORDER BY w.work_date, w.created_at),
+       w.work_date, w.tariff_type, t.label, t.unit,
+       w.quantity, w.unit_price, ROUND(w.quantity * w.unit_price, 2), w.vat_code, w.currency, w.notes
+     FROM worklogs w
+     LEFT JOIN tariffs t ON t.company_id = w.company_id AND t.code = w.tariff_type
+     WHERE w.company_id = $2
+       AND w.zzp_id = $3
+       AND w.work_date >= $4
+       AND w.work_date <= $5`,
+    [statement.id, statement.company_id, statement.zzp_id, statement.period_start, statement.period_end]
+  );
+
+  const result = await db.query(
+    `UPDATE statements
+     SET total_amount = COALESCE((SELECT SUM(line_total) FROM statement_lines WHERE statement_id = $1 AND invoice_id IS NULL), 0)
+     WHERE id = $1
+     RETURNING ${STATEMENT_COLUMNS}`,
+    [statement.id]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Tag the current lines of a statement with its new invoice
+ * @param {Object} db - Object with query() (use the transaction client that inserts the invoice)
+ * @param {string} statementId - Statement ID
+ * @param {string} invoiceId - Invoice ID
+ */
+export async function assignStatementLinesToInvoice(db, statementId, invoiceId) {
+  await db.query(
+    'UPDATE statement_lines SET invoice_id = $1 WHERE statement_id = $2 AND invoice_id IS NULL',
+    [invoiceId, statementId]
+  );
+}
+
+/**
+ * Get the snapshot lines of a statement
+ * The lines of a fully credited invoice are left out: they no longer belong to the statement.
+ * @param {string} statementId - Statement ID
+ * @returns {Promise<Array>} - Lines in position order
+ */
+export async function getStatementLines(statementId) {
+  const result = await query(
+    `SELECT l.id, l.worklog_id, l.position, l.work_date, l.tariff_type, l.tariff_label, l.unit,
+            l.quantity, l.unit_price, l.line_total, l.vat_code, l.currency, l.notes
+     FROM statement_lines l
+     LEFT JOIN invoices i ON i.id = l.invoice_id
+     WHERE l.statement_id = $1 AND i.credited_at IS NULL
+     ORDER BY l.position ASC`,
+    [statementId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the lines of an invoice, as the statement was when it was invoiced
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Array>} - Lines in position order
+ */
+export async function getInvoiceLines(invoiceId) {
+  const result = await query(
+    `SELECT id, worklog_id, position, work_date, tariff_type, tariff_label, unit,
+            quantity, unit_price, line_total, vat_code, currency, notes
+     FROM statement_lines
+     WHERE invoice_id = $1
+     ORDER BY position ASC`,
+    [invoiceId]
+  );
+  return result.rows;
+}
@@ -0,0 +1,77 @@
+/**
+ * Statement lifecycle
+ * open → approved → invoiced → paid, with reopen (approved → open) as the way back.
+ * A fully credited invoice also sends its statement back to open (from invoiced or paid).
+ * Every change is written to statement_history.
+ */
+
+export const STATEMENT_STATUSES = ['open', 'approved', 'invoiced', 'paid'];
+
+// Allowed transitions per current status
+export const STATEMENT_TRANSITIONS = {
+  open: ['approved'],
+  approved: ['open', 'invoiced'],
+  invoiced: ['paid', 'open'],
+  paid: ['open']
+};
+
+// Statements with these statuses (and their worklogs) can no longer change
+export const LOCKED_STATEMENT_STATUSES = ['approved', 'invoiced', 'paid'];
+
+// Columns returned after writing a statement (period dates as YYYY-MM-DD)
+export const STATEMENT_COLUMNS = `id, company_id, zzp_id, period_type, year, week_number,
+  period_start::text AS period_start, period_end::text AS period_end,
+  total_amount, currency, status, created_at`;
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(fromStatus, toStatus) {
+  const allowed = STATEMENT_TRANSITIONS[fromStatus];
+  return Array.isArray(allowed) && allowed.includes(toStatus);
+}
+
+/**
+ * Write a history row
+ * @param {Object} db - Object with query() (pool wrapper or transaction client)
+ * @param {Object} entry - { statementId, fromStatus, toStatus, userId, comment }
+ */
+export async function recordStatementHistory(db, { statementId, fromStatus = null, toStatus, userId = null, comment = null }) {
+  await db.query(
+    `INSERT INTO statement_history (statement_id, from_status, to_status, changed_by, comment)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [statementId, fromStatus, toStatus, userId, comment]
+  );
+}
+
+/**
+ * Move a statement to a new status and record it
+ * The update only succeeds if the status is still fromStatus, so concurrent changes cannot both win.
+ * @param {Object} db - Object with query() (use a transaction client to combine with other writes)
+ * @param {Object} change - { statementId, fromStatus, toStatus, userId, comment }
+ * @returns {Promise<Object|null>} - Updated statement or null when the status changed in between
+ */
+export async function transitionStatement(db, { statementId, fromStatus, toStatus, userId, comment }) {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(`Invalid statement transition: ${fromStatus} -> ${toStatus}`);
+  }
+
+  const result = await db.query(
+    `UPDATE statements
+     SET status = $1
+     WHERE id = $2 AND status = $3
+     RETURNING ${STATEMENT_COLUMNS}`,
+    [toStatus, statementId, fromStatus]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await recordStatementHistory(db, { statementId, fromStatus, toStatus, userId, comment });
+
+  return result.rows[0];
+}
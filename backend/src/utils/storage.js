@@ -0,0 +1,133 @@
+/**
+ * File storage
+ * Files go through a pluggable backend: an object with
+ *   put(key, data, { contentType }) - store a file; existing keys are never overwritten
+ *   getStream(key)                  - readable stream of the file, or null when missing
+ *   remove(key)                     - delete a file; a missing file is not an error
+ * Keys are relative paths such as "invoices/<companyId>/<invoiceId>.pdf", so an
+ * S3-compatible backend can map them to object keys one to one.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { STORAGE_DRIVER, STORAGE_LOCAL_DIR } from '../config/storage.js';
+
+const KEY_REGEX = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_.-]+)*$/;
+
+/**
+ * Check a storage key (no absolute paths or "..")
+ * @param {string} key - Storage key
+ */
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !KEY_REGEX.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+/**
+ * Create a backend that stores files on the local filesystem
+ * @param {string} dir - Root directory
+ * @returns {Object} - Storage backend
+ */
+export function createLocalStorage(dir = STORAGE_LOCAL_DIR) {
+  const resolve = (key) => {
+    assertValidKey(key);
+    return path.join(dir, ...key.split('/'));
+  };
+
+  return {
+    async put(key, data) {
+      const filePath = resolve(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      // "wx" fails when the file exists, so stored files are immutable
+      await fsPromises.writeFile(filePath, data, { flag: 'wx' });
+      return { key };
+    },
+
+    async getStream(key) {
+      const filePath = resolve(key);
+      try {
+        await fsPromises.access(filePath);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fsPromises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+let storage = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} - Storage backend
+ */
+export function getStorage() {
+  if (!storage) {
+    if (STORAGE_DRIVER !== 'local') {
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+    }
+    storage = createLocalStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage backend (e.g. an S3-compatible one, or a stub in tests)
+ * @param {Object|null} customStorage - Backend, or null to restore the configured one
+ */
+export function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+/**
+ * Store a file through the configured backend
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ * @param {Object} options - { contentType }
+ * @returns {Promise<Object>} - { key }
+ */
+export async function putFile(key, data, options = {}) {
+  return getStorage().put(key, data, options);
+}
+
+/**
+ * Open a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<import('stream').Readable|null>} - Stream, or null when missing
+ */
+export async function getFileStream(key) {
+  return getStorage().getStream(key);
+}
+
+/**
+ * Delete a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+export async function deleteFile(key) {
+  return getStorage().remove(key);
+}
+
+/**
+ * Read a stored file into memory (e.g. to attach it to an email)
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer|null>} - Contents, or null when missing
+ */
+export async function readFile(key) {
+  const stream = await getFileStream(key);
+  if (!stream) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,51 @@
+/**
+ * Tariff catalog utilities
+ * Each company has its own catalog; worklogs reference a tariff by code.
+ * The price for a ZZP user is their override (zzp_tariff_rates) or the tariff's default price.
+ */
+
+import { query } from '../db/client.js';
+
+// Catalog every new company starts with (prices are filled in by the company)
+export const DEFAULT_TARIFFS = [
+  { code: 'stop', label: 'Stop', unit: 'stop' },
+  { code: 'hour', label: 'Uur', unit: 'uur' },
+  { code: 'location', label: 'Locatie', unit: 'locatie' },
+  { code: 'point', label: 'Punt', unit: 'punt' },
+  { code: 'project', label: 'Project', unit: 'project' }
+];
+
+/**
+ * Create the default catalog for a new company
+ * @param {string} companyId - Company ID
+ */
+export async function createDefaultTariffs(companyId) {
+  for (const tariff of DEFAULT_TARIFFS) {
+    await query(
+      `INSERT INTO tariffs (company_id, code, label, unit)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (company_id, code) DO NOTHING`,
+      [companyId, tariff.code, tariff.label, tariff.unit]
+    );
+  }
+}
+
+/**
+ * Find an active tariff with the effective price for a ZZP user
+ * @param {string} companyId - Company ID
+ * @param {string} code - Tariff code
+ * @param {string} zzpId - ZZP user ID
+ * @returns {Promise<Object|null>} - { id, code, label, unit, vat_code, unit_price } or null when unknown/inactive
+ */
+export async function findTariffForZzp(companyId, code, zzpId) {
+  const result = await query(
+    `SELECT t.id, t.code, t.label, t.unit, t.vat_code,
+            COALESCE(r.unit_price, t.default_price) AS unit_price
+     FROM tariffs t
+     LEFT JOIN zzp_tariff_rates r ON r.tariff_id = t.id AND r.zzp_id = $3
+     WHERE t.company_id = $1 AND t.code = $2 AND t.active = TRUE`,
+    [companyId, code, zzpId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
@@ -0,0 +1,66 @@
+/**
+ * Token utilities
+ * JWT signing and opaque random tokens (stored only as SHA-256 hash)
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET, JWT_EXPIRES_IN } from '../config/jwt.js';
+
+const CHALLENGE_SECRET = `${JWT_SECRET}:2fa-challenge`;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+/**
+ * Sign a JWT for an authenticated user
+ * @param {Object} payload - { userId, email, userType, profileId }
+ * @returns {string} - Signed JWT
+ */
+export function signAuthToken({ userId, email, userType, profileId }) {
+  return jwt.sign(
+    { userId, email, userType, profileId },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+/**
+ * Sign a short-lived challenge token for the second login step (2FA)
+ * Signed with a derived secret, so it is never accepted as access token.
+ * @param {string} userId - User ID that passed the password check
+ * @returns {string} - Signed JWT
+ */
+export function signChallengeToken(userId) {
+  return jwt.sign({ userId, purpose: '2fa' }, CHALLENGE_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token
+ * @returns {string|null} - User ID or null when invalid or expired
+ */
+export function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(String(token), CHALLENGE_SECRET);
+    return decoded.purpose === '2fa' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Plain token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a random opaque token
+ * @returns {Object} - { token, tokenHash }; only the hash should be persisted
+ */
+export function generateToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
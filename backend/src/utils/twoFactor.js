@@ -0,0 +1,123 @@
+/**
+ * Two-factor authentication helpers
+ * Verifies TOTP codes against the stored secret and manages recovery codes.
+ */
+
+import { query } from '../db/client.js';
+import { hashToken } from './tokens.js';
+import { verifyTotp, decryptSecret, generateRecoveryCodes } from './totp.js';
+
+/**
+ * Normalize a recovery code before hashing (case and separators are ignored)
+ * @param {string} code - Code as entered
+ * @returns {string} - Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Verify a TOTP code for a user and remember the used time step
+ * The step update is conditional, so a code cannot be replayed concurrently.
+ * @param {string} userId - User ID
+ * @param {string} code - 6 digit code
+ * @param {Object} options - { pending: verify the not yet enabled secret (enrollment) }
+ * @returns {Promise<boolean>} - True if the code is valid
+ */
+export async function verifyUserTotp(userId, code, { pending = false } = {}) {
+  const result = await query(
+    'SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const user = result.rows[0];
+  if (!user || !user.totp_secret || (!pending && !user.totp_enabled_at)) {
+    return false;
+  }
+
+  const lastStep = user.totp_last_step !== null ? Number(user.totp_last_step) : null;
+  const step = verifyTotp(decryptSecret(user.totp_secret), code, { lastStep });
+  if (step === null) {
+    return false;
+  }
+
+  const update = await query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+     RETURNING id`,
+    [step, userId]
+  );
+
+  return update.rows.length > 0;
+}
+
+/**
+ * Replace the recovery codes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - Plain codes, shown to the user once
+ */
+export async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+
+  await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Use a recovery code; each code works once
+ * @param {string} userId - User ID
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+export async function consumeRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalized)]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Count the unused recovery codes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Remaining codes
+ */
+export async function countRecoveryCodes(userId) {
+  const result = await query(
+    'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Check whether any company the user belongs to requires 2FA
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if 2FA is mandatory for this user
+ */
+export async function isTwoFactorRequired(userId) {
+  const result = await query(
+    `SELECT 1 FROM company_members m
+     JOIN companies c ON c.id = m.company_id
+     WHERE m.user_id = $1 AND c.require_2fa = TRUE
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows.length > 0;
+}
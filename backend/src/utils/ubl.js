@@ -0,0 +1,417 @@
+/**
+ * UBL e-invoices
+ * Renders invoices as UBL 2.1 XML following Peppol BIS Billing 3.0, which is also accepted as
+ * SI-UBL 2.0 (NLCIUS) by Dutch government clients. The ZZP user is the supplier (seller) and
+ * the company the customer (buyer).
+ * Also reads incoming UBL invoices of suppliers, which ZZP users import as expenses.
+ */
+
+import { parseXml, findElement, findElements, findText } from './xml.js';
+import { VAT_CODES } from './calc.js';
+
+export const PEPPOL_CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+export const PEPPOL_PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+// Electronic address schemes (EAS) and identifier schemes (ICD)
+const SCHEME_KVK = '0106';
+const SCHEME_NL_VAT = '9944';
+const SCHEME_EMAIL = 'EM';
+
+// UN/ECE Recommendation 20 unit codes per tariff unit; everything else counts as pieces
+const UNIT_CODES = {
+  uur: 'HUR'
+};
+const DEFAULT_UNIT_CODE = 'C62';
+
+// UNCL5305 tax category per BTW code, with the exemption reason (VATEX) where one is required
+const TAX_CATEGORIES = {
+  standard: { id: 'S' },
+  reduced: { id: 'S' },
+  zero: { id: 'Z' },
+  exempt: { id: 'E', reason: 'Vrijgesteld van BTW' },
+  reverse_charge: { id: 'AE', reasonCode: 'vatex-eu-ae', reason: 'BTW verlegd' }
+};
+
+// UNCL4461 payment means: credit transfer
+const PAYMENT_MEANS_CREDIT_TRANSFER = '30';
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a monetary amount with two decimals
+ * @param {number|string} amount - Amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+  return (parseFloat(amount) || 0).toFixed(2);
+}
+
+/**
+ * Render a simple element, or nothing when the value is empty
+ * @param {string} name - Element name with prefix, e.g. "cbc:ID"
+ * @param {*} value - Text content
+ * @param {Object} attributes - Attribute map
+ * @returns {string}
+ */
+function element(name, value, attributes = {}) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const attrs = Object.entries(attributes)
+    .map(([key, attrValue]) => ` ${key}="${escapeXml(attrValue)}"`)
+    .join('');
+  return `<${name}${attrs}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Electronic address of a party: KVK number, else BTW number, else email
+ * @param {Object} party - { kvkNumber, btwNumber, email }
+ * @returns {string}
+ */
+function endpointId(party) {
+  if (party.kvkNumber) {
+    return element('cbc:EndpointID', party.kvkNumber, { schemeID: SCHEME_KVK });
+  }
+  if (party.btwNumber) {
+    return element('cbc:EndpointID', party.btwNumber, { schemeID: SCHEME_NL_VAT });
+  }
+  return element('cbc:EndpointID', party.email, { schemeID: SCHEME_EMAIL });
+}
+
+/**
+ * Render the postal address of a party; addresses are in the Netherlands
+ * @param {Object|null} address - { street, postalCode, city }
+ * @returns {string}
+ */
+function renderAddress(address) {
+  return '<cac:PostalAddress>' +
+    element('cbc:StreetName', address?.street) +
+    element('cbc:CityName', address?.city) +
+    element('cbc:PostalZone', address?.postalCode) +
+    '<cac:Country><cbc:IdentificationCode>NL</cbc:IdentificationCode></cac:Country></cac:PostalAddress>';
+}
+
+/**
+ * Render a supplier or customer party
+ * @param {Object} party - { name, kvkNumber, btwNumber, email, phone, address: { street, postalCode, city } }
+ * @returns {string}
+ */
+function renderParty(party) {
+  return [
+    '<cac:Party>',
+    endpointId(party),
+    party.kvkNumber
+      ? `<cac:PartyIdentification>${element('cbc:ID', party.kvkNumber, { schemeID: SCHEME_KVK })}</cac:PartyIdentification>`
+      : '',
+    `<cac:PartyName>${element('cbc:Name', party.name)}</cac:PartyName>`,
+    renderAddress(party.address),
+    party.btwNumber
+      ? `<cac:PartyTaxScheme>${element('cbc:CompanyID', party.btwNumber)}` +
+        '<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>'
+      : '',
+    '<cac:PartyLegalEntity>',
+    element('cbc:RegistrationName', party.name),
+    party.kvkNumber ? element('cbc:CompanyID', party.kvkNumber, { schemeID: SCHEME_KVK }) : '',
+    '</cac:PartyLegalEntity>',
+    party.email || party.phone
+      ? `<cac:Contact>${element('cbc:Telephone', party.phone)}${element('cbc:ElectronicMail', party.email)}</cac:Contact>`
+      : '',
+    '</cac:Party>'
+  ].join('');
+}
+
+/**
+ * Render the VAT category of a BTW code
+ * The exemption reason is only allowed on the tax subtotal (cac:TaxCategory), not on lines.
+ * @param {string} elementName - "cac:TaxCategory" or "cac:ClassifiedTaxCategory"
+ * @param {string} vatCode - BTW code (see VAT_CODES)
+ * @param {string|null} exemptionReason - Reason replacing the default of an exempt category (e.g. KOR)
+ * @returns {string}
+ */
+function renderTaxCategory(elementName, vatCode, exemptionReason = null) {
+  const category = TAX_CATEGORIES[vatCode] || TAX_CATEGORIES.standard;
+  const withReason = elementName === 'cac:TaxCategory';
+  const reason = vatCode === 'exempt' && exemptionReason ? exemptionReason : category.reason;
+  return `<${elementName}>${element('cbc:ID', category.id)}` +
+    element('cbc:Percent', Number((VAT_CODES[vatCode].rate * 100).toFixed(2))) +
+    (withReason ? element('cbc:TaxExemptionReasonCode', category.reasonCode) : '') +
+    (withReason ? element('cbc:TaxExemptionReason', reason) : '') +
+    `<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></${elementName}>`;
+}
+
+/**
+ * Render an invoice as UBL 2.1 XML (Peppol BIS Billing 3.0)
+ * @param {Object} data - {
+ *   invoiceNumber, issueDate, dueDate, currency, buyerReference, periodStart, periodEnd, note,
+ *   supplier, customer, lines: [{ id, name, description, quantity, unit, unitPrice, lineTotal, vatCode }],
+ *   subtotal, btwAmount, total, vatBreakdown: [{ vatCode, subtotal, btw }], exemptionReason (optional),
+ *   payment: { iban, accountHolder, reference, terms }, attachment: { filename, content }
+ * }
+ * @returns {Object} - { xml } or { error } with a Dutch message when the data cannot make a valid invoice
+ */
+export function buildUblInvoice(data) {
+  const {
+    invoiceNumber, issueDate, dueDate, currency, buyerReference, periodStart, periodEnd, note,
+    supplier, customer, lines, subtotal, btwAmount, total, vatBreakdown, exemptionReason, payment, attachment
+  } = data;
+  const money = { currencyID: currency };
+
+  // Reverse charge (category AE) needs the BTW numbers of both parties (rule BR-AE-02)
+  const reverseCharge = lines.some(line => line.vatCode === 'reverse_charge') ||
+    vatBreakdown.some(entry => entry.vatCode === 'reverse_charge');
+  if (reverseCharge && !supplier.btwNumber) {
+    return { error: `Verlegde BTW vereist het BTW-nummer van ${supplier.name}` };
+  }
+  if (reverseCharge && !customer.btwNumber) {
+    return { error: `Verlegde BTW vereist het BTW-nummer van ${customer.name}` };
+  }
+
+  const invoiceLines = lines.map(line => [
+    '<cac:InvoiceLine>',
+    element('cbc:ID', line.id),
+    element('cbc:InvoicedQuantity', Number(line.quantity), { unitCode: UNIT_CODES[line.unit] || DEFAULT_UNIT_CODE }),
+    element('cbc:LineExtensionAmount', formatAmount(line.lineTotal), money),
+    '<cac:Item>',
+    element('cbc:Description', line.description),
+    element('cbc:Name', line.name),
+    renderTaxCategory('cac:ClassifiedTaxCategory', line.vatCode),
+    '</cac:Item>',
+    `<cac:Price>${element('cbc:PriceAmount', Number(line.unitPrice), money)}</cac:Price>`,
+    '</cac:InvoiceLine>'
+  ].join(''));
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"' +
+      ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"' +
+      ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">',
+    element('cbc:CustomizationID', PEPPOL_CUSTOMIZATION_ID),
+    element('cbc:ProfileID', PEPPOL_PROFILE_ID),
+    element('cbc:ID', invoiceNumber),
+    element('cbc:IssueDate', issueDate),
+    element('cbc:DueDate', dueDate),
+    element('cbc:InvoiceTypeCode', '380'),
+    element('cbc:Note', note),
+    element('cbc:DocumentCurrencyCode', currency),
+    element('cbc:BuyerReference', buyerReference),
+    periodStart && periodEnd
+      ? `<cac:InvoicePeriod>${element('cbc:StartDate', periodStart)}${element('cbc:EndDate', periodEnd)}</cac:InvoicePeriod>`
+      : '',
+    attachment
+      ? '<cac:AdditionalDocumentReference>' +
+        element('cbc:ID', invoiceNumber) +
+        '<cac:Attachment>' +
+        element('cbc:EmbeddedDocumentBinaryObject', attachment.content.toString('base64'), {
+          mimeCode: 'application/pdf',
+          filename: attachment.filename
+        }) +
+        '</cac:Attachment></cac:AdditionalDocumentReference>'
+      : '',
+    `<cac:AccountingSupplierParty>${renderParty(supplier)}</cac:AccountingSupplierParty>`,
+    `<cac:AccountingCustomerParty>${renderParty(customer)}</cac:AccountingCustomerParty>`,
+    '<cac:PaymentMeans>',
+    element('cbc:PaymentMeansCode', PAYMENT_MEANS_CREDIT_TRANSFER),
+    element('cbc:PaymentID', payment.reference),
+    payment.iban
+      ? `<cac:PayeeFinancialAccount>${element('cbc:ID', payment.iban)}${element('cbc:Name', payment.accountHolder)}</cac:PayeeFinancialAccount>`
+      : '',
+    '</cac:PaymentMeans>',
+    payment.terms ? `<cac:PaymentTerms>${element('cbc:Note', payment.terms)}</cac:PaymentTerms>` : '',
+    '<cac:TaxTotal>',
+    element('cbc:TaxAmount', formatAmount(btwAmount), money),
+    ...vatBreakdown.map(entry => [
+      '<cac:TaxSubtotal>',
+      element('cbc:TaxableAmount', formatAmount(entry.subtotal), money),
+      element('cbc:TaxAmount', formatAmount(entry.btw), money),
+      renderTaxCategory('cac:TaxCategory', entry.vatCode, exemptionReason),
+      '</cac:TaxSubtotal>'
+    ].join('')),
+    '</cac:TaxTotal>',
+    '<cac:LegalMonetaryTotal>',
+    element('cbc:LineExtensionAmount', formatAmount(subtotal), money),
+    element('cbc:TaxExclusiveAmount', formatAmount(subtotal), money),
+    element('cbc:TaxInclusiveAmount', formatAmount(total), money),
+    element('cbc:PayableAmount', formatAmount(total), money),
+    '</cac:LegalMonetaryTotal>',
+    ...invoiceLines,
+    '</Invoice>'
+  ];
+
+  return { xml: xml.filter(Boolean).join('\n') };
+}
+
+// Allowed difference between the tax subtotals and the invoice totals (rounding per subtotal)
+const AMOUNT_TOLERANCE = 0.02;
+
+/**
+ * Parse a UBL amount
+ * @param {string|null} text - Element text
+ * @returns {number|null}
+ */
+function parseAmount(text) {
+  if (text === null || !/^-?\d+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+  return Number(parseFloat(text).toFixed(2));
+}
+
+/**
+ * BTW code of an incoming tax subtotal
+ * @param {string|null} category - UNCL5305 tax category ID
+ * @param {number} rate - Percentage
+ * @returns {string} - BTW code (see VAT_CODES)
+ */
+function vatCodeForTaxCategory(category, rate) {
+  switch (category) {
+    case 'AE':
+      return 'reverse_charge';
+    case 'E':
+    case 'O':
+      return 'exempt';
+    case 'Z':
+    case 'G':
+    case 'K':
+      return 'zero';
+    default:
+      if (rate === 9) return 'reduced';
+      if (rate === 0) return 'zero';
+      return 'standard';
+  }
+}
+
+/**
+ * Key that identifies a supplier for duplicate detection:
+ * the VAT number, else the KVK number, else the lowercased name
+ * @param {Object} supplier - { name, vatNumber, kvkNumber, country }
+ * @returns {string}
+ */
+function supplierKey(supplier) {
+  if (supplier.vatNumber) {
+    return `vat:${supplier.vatNumber.replace(/[\s.]/g, '').toUpperCase()}`;
+  }
+  if (supplier.kvkNumber) {
+    return `kvk:${supplier.kvkNumber.replace(/\s/g, '')}`;
+  }
+  return `name:${supplier.name.trim().toLowerCase()}`;
+}
+
+/**
+ * Read the supplier, date and amounts of an incoming UBL 2.1 invoice
+ * There is one tax subtotal per VAT rate; an invoice without subtotals counts as a single rate.
+ * Each subtotal gets the matching BTW code (vatCode).
+ * @param {string} xml - XML document
+ * @returns {Object} - { invoice: { invoiceNumber, issueDate, currency, supplier, taxSubtotals,
+ *   netAmount, vatAmount, totalAmount } } or { error } with a Dutch message
+ */
+export function parseUblInvoice(xml) {
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (error) {
+    return { error: `Ongeldig XML-bestand: ${error.message}` };
+  }
+
+  if (root.name !== 'Invoice') {
+    return { error: root.name === 'CreditNote' ? 'Creditnota\'s kunnen niet als uitgave worden geïmporteerd' : 'Geen UBL-factuur' };
+  }
+
+  const invoiceNumber = findText(root, 'ID');
+  const issueDate = findText(root, 'IssueDate');
+  const currency = findText(root, 'DocumentCurrencyCode') || 'EUR';
+  const party = findElement(root, 'AccountingSupplierParty/Party');
+  const supplier = {
+    name: findText(party, 'PartyLegalEntity/RegistrationName') || findText(party, 'PartyName/Name'),
+    vatNumber: findElements(party, 'PartyTaxScheme')
+      .filter(scheme => findText(scheme, 'TaxScheme/ID') === 'VAT')
+      .map(scheme => findText(scheme, 'CompanyID'))[0] || null,
+    kvkNumber: findText(party, 'PartyLegalEntity/CompanyID'),
+    country: (findText(party, 'PostalAddress/Country/IdentificationCode') || 'NL').toUpperCase()
+  };
+
+  const missingFields = [];
+  if (!invoiceNumber) missingFields.push('ID');
+  if (!issueDate) missingFields.push('IssueDate');
+  if (!supplier.name) missingFields.push('AccountingSupplierParty');
+  if (missingFields.length > 0) {
+    return { error: `Factuur mist verplichte gegevens: ${missingFields.join(', ')}` };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(issueDate)) {
+    return { error: 'Ongeldige factuurdatum' };
+  }
+
+  if (currency !== 'EUR') {
+    return { error: 'Alleen facturen in euro kunnen worden geïmporteerd' };
+  }
+
+  const netAmount = parseAmount(findText(root, 'LegalMonetaryTotal/TaxExclusiveAmount'));
+  const totalAmount = parseAmount(findText(root, 'LegalMonetaryTotal/TaxInclusiveAmount'));
+  if (netAmount === null || totalAmount === null) {
+    return { error: 'Factuur mist bedragen (LegalMonetaryTotal)' };
+  }
+
+  // The tax total in the document currency carries the subtotals
+  const taxTotal = findElements(root, 'TaxTotal').find(total => findElements(total, 'TaxSubtotal').length > 0) ||
+    findElement(root, 'TaxTotal');
+  const vatAmount = parseAmount(findText(taxTotal, 'TaxAmount')) ?? Number((totalAmount - netAmount).toFixed(2));
+
+  let taxSubtotals = findElements(taxTotal, 'TaxSubtotal').map(subtotal => ({
+    netAmount: parseAmount(findText(subtotal, 'TaxableAmount')),
+    vatAmount: parseAmount(findText(subtotal, 'TaxAmount')),
+    rate: parseAmount(findText(subtotal, 'TaxCategory/Percent')) ?? 0,
+    category: findText(subtotal, 'TaxCategory/ID')
+  }));
+
+  if (taxSubtotals.some(subtotal => subtotal.netAmount === null || subtotal.vatAmount === null)) {
+    return { error: 'Ongeldige BTW-specificatie (TaxSubtotal)' };
+  }
+
+  if (taxSubtotals.length === 0) {
+    taxSubtotals = [{
+      netAmount,
+      vatAmount,
+      rate: netAmount !== 0 ? Math.round(vatAmount / netAmount * 100) : 0,
+      category: null
+    }];
+  }
+
+  taxSubtotals = taxSubtotals.map(subtotal => ({
+    ...subtotal,
+    vatCode: vatCodeForTaxCategory(subtotal.category, subtotal.rate)
+  }));
+
+  const subtotalNet = taxSubtotals.reduce((sum, subtotal) => sum + subtotal.netAmount, 0);
+  const subtotalVat = taxSubtotals.reduce((sum, subtotal) => sum + subtotal.vatAmount, 0);
+  if (
+    Math.abs(subtotalNet - netAmount) > AMOUNT_TOLERANCE ||
+    Math.abs(subtotalVat - vatAmount) > AMOUNT_TOLERANCE ||
+    Math.abs(netAmount + vatAmount - totalAmount) > AMOUNT_TOLERANCE
+  ) {
+    return { error: 'Bedragen op de factuur tellen niet op' };
+  }
+
+  return {
+    invoice: {
+      invoiceNumber,
+      issueDate,
+      currency,
+      supplier: { ...supplier, key: supplierKey(supplier) },
+      taxSubtotals,
+      netAmount,
+      vatAmount,
+      totalAmount
+    }
+  };
+}
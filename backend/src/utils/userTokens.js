@@ -0,0 +1,68 @@
+/**
+ * Single-use user tokens (email verification, password reset)
+ * Tokens are stored hashed and expire; consuming a token marks it used.
+ */
+
+import { query } from '../db/client.js';
+import { generateToken, hashToken } from './tokens.js';
+
+// Token purposes and their lifetime in minutes
+export const TOKEN_PURPOSES = {
+  email_verification: 24 * 60,
+  password_reset: 60
+};
+
+/**
+ * Issue a new token for a user
+ * Earlier unused tokens with the same purpose are invalidated.
+ * @param {string} userId - User ID
+ * @param {string} purpose - Key of TOKEN_PURPOSES
+ * @returns {Promise<string>} - Plain token
+ */
+export async function issueUserToken(userId, purpose) {
+  const ttlMinutes = TOKEN_PURPOSES[purpose];
+  if (!ttlMinutes) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  await query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  const { token, tokenHash } = generateToken();
+
+  await query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, tokenHash, ttlMinutes]
+  );
+
+  return token;
+}
+
+/**
+ * Consume a token: mark it used and return its user
+ * The update is atomic, so a token can only be consumed once.
+ * @param {string} token - Plain token
+ * @param {string} purpose - Key of TOKEN_PURPOSES
+ * @returns {Promise<string|null>} - User ID or null when invalid, used or expired
+ */
+export async function consumeUserToken(token, purpose) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1
+       AND purpose = $2
+       AND used_at IS NULL
+       AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
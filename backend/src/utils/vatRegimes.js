@@ -0,0 +1,77 @@
+/**
+ * BTW regime history
+ * The BTW regime of a ZZP user (standard or kor) applies from a date; zzp_vat_regimes has one row
+ * per change. BTW reports take the regime on the date of each transaction, so a change never
+ * rewrites the periods before it. zzp_users.vat_regime is the regime of today.
+ */
+
+import { checkFiledBtwPeriods, flagCorrectedFilings } from './btwFilings.js';
+
+/**
+ * SQL expression for the BTW regime of a ZZP user on a date
+ * @param {string} zzpIdSql - SQL of the ZZP user ID, e.g. "e.zzp_id"
+ * @param {string} dateSql - SQL of the date, e.g. "e.expense_date"
+ * @returns {string}
+ */
+export function vatRegimeOnSql(zzpIdSql, dateSql) {
+  return `COALESCE((
+    SELECT r.vat_regime FROM zzp_vat_regimes r
+    WHERE r.zzp_id = ${zzpIdSql} AND r.valid_from <= ${dateSql}
+    ORDER BY r.valid_from DESC LIMIT 1
+  ), 'standard')`;
+}
+
+/**
+ * Change the BTW regime of a ZZP user from a date (today when not given)
+ * The change covers the days from validFrom up to the next change; filed periods among them are
+ * only changed as a correction (see checkFiledBtwPeriods) and then flagged. Setting the regime
+ * that already applies changes nothing.
+ * Run it in a transaction that holds the zzp_users row (SELECT ... FOR UPDATE).
+ * @param {Object} db - Object with query()
+ * @param {Object} options - { zzpId, vatRegime, validFrom (YYYY-MM-DD or null), correction, userId }
+ * @returns {Promise<Object>} - { changed } or { status, error }
+ */
+export async function changeVatRegime(db, { zzpId, vatRegime, validFrom = null, correction = false, userId = null }) {
+  const currentResult = await db.query(
+    `SELECT d::text AS valid_from, d > CURRENT_DATE AS in_future,
+            ${vatRegimeOnSql('$1', 'd')} AS vat_regime,
+            (SELECT MIN(valid_from)::text FROM zzp_vat_regimes WHERE zzp_id = $1 AND valid_from > d) AS next_change
+     FROM (SELECT COALESCE($2::date, CURRENT_DATE) AS d) AS change_date`,
+    [zzpId, validFrom]
+  );
+  const current = currentResult.rows[0];
+
+  // zzp_users.vat_regime must stay the regime of today
+  if (current.in_future) {
+    return { status: 400, error: 'Een BTW-regime kan niet vanaf een datum in de toekomst worden ingesteld' };
+  }
+
+  if (current.vat_regime === vatRegime) {
+    return { changed: false };
+  }
+
+  const btwCheck = await checkFiledBtwPeriods(db, {
+    zzpId,
+    from: current.valid_from,
+    before: current.next_change,
+    correction
+  });
+  if (btwCheck.error) {
+    return btwCheck;
+  }
+
+  await db.query(
+    `INSERT INTO zzp_vat_regimes (zzp_id, valid_from, vat_regime, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (zzp_id, valid_from)
+     DO UPDATE SET vat_regime = EXCLUDED.vat_regime, created_by = EXCLUDED.created_by, created_at = NOW()`,
+    [zzpId, current.valid_from, vatRegime, userId]
+  );
+  await db.query(
+    `UPDATE zzp_users SET vat_regime = ${vatRegimeOnSql('$1', 'CURRENT_DATE')} WHERE id = $1`,
+    [zzpId]
+  );
+  await flagCorrectedFilings(db, btwCheck.filings);
+
+  return { changed: true };
+}
@@ -0,0 +1,131 @@
+/**
+ * XML utilities
+ * Minimal parser for data documents such as UBL invoices: elements, attributes, text, CDATA
+ * and the predefined and numeric entities. Namespace prefixes are dropped, so elements are
+ * matched by local name. DOCTYPE declarations are rejected, which rules out entity expansion attacks.
+ */
+
+const TOKEN_REGEX = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!([^>]*)>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replace entity references with their characters
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (!(entity in ENTITIES)) {
+      throw new Error(`Unknown entity &${entity};`);
+    }
+    return ENTITIES[entity];
+  });
+}
+
+/**
+ * Local name of a possibly prefixed name ("cbc:ID" -> "ID")
+ * @param {string} name - Qualified name
+ * @returns {string}
+ */
+function localName(name) {
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML text
+ * @returns {Object} - Root element { name, attributes, children, text }
+ * @throws {Error} - When the document is not well-formed
+ */
+export function parseXml(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const stack = [];
+  let root = null;
+
+  for (const match of content.matchAll(TOKEN_REGEX)) {
+    const [token, cdata, declaration, closeName, openName, rawAttributes, selfClosing, chars] = match;
+    const current = stack[stack.length - 1];
+
+    if (declaration !== undefined) {
+      throw new Error('DOCTYPE and other declarations are not supported');
+    } else if (openName !== undefined) {
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of (rawAttributes || '').matchAll(ATTRIBUTE_REGEX)) {
+        attributes[localName(name)] = decodeEntities(doubleQuoted ?? singleQuoted);
+      }
+
+      const element = { name: localName(openName), qualifiedName: openName, attributes, children: [], text: '' };
+      if (current) {
+        current.children.push(element);
+      } else if (root) {
+        throw new Error('Document has more than one root element');
+      } else {
+        root = element;
+      }
+
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (closeName !== undefined) {
+      if (!current || current.qualifiedName !== closeName) {
+        throw new Error(`Unexpected closing tag </${closeName}>`);
+      }
+      stack.pop();
+    } else if (cdata !== undefined || chars !== undefined) {
+      if (current) {
+        current.text += cdata ?? decodeEntities(chars);
+      } else if ((chars ?? cdata).trim() !== '') {
+        throw new Error('Text outside the root element');
+      }
+    } else if (token === '<') {
+      throw new Error('Malformed tag');
+    }
+  }
+
+  if (!root || stack.length > 0) {
+    throw new Error('Document is incomplete');
+  }
+
+  return root;
+}
+
+/**
+ * Follow a path of local element names, e.g. "AccountingSupplierParty/Party/PartyName/Name"
+ * @param {Object|null} element - Start element
+ * @param {string} path - Slash separated local names
+ * @returns {Object|null} - First matching element, or null
+ */
+export function findElement(element, path) {
+  let current = element;
+  for (const name of path.split('/')) {
+    current = current?.children.find(child => child.name === name) || null;
+  }
+  return current;
+}
+
+/**
+ * All direct children with a local name
+ * @param {Object|null} element - Parent element
+ * @param {string} name - Local name
+ * @returns {Array<Object>}
+ */
+export function findElements(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Trimmed text of the element at a path
+ * @param {Object|null} element - Start element
+ * @param {string} path - Slash separated local names
+ * @returns {string|null} - Text, or null when the element is missing or empty
+ */
+export function findText(element, path) {
+  const text = findElement(element, path)?.text.trim();
+  return text || null;
+}
@@ -0,0 +1,33 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('ai accountant router: tenant isolation', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('refuses to analyse another ZZP user', async () => {
+    const res = await request(app)
+      .post('/api/ai/accountant')
+      .set('Authorization', bearer(own.zzp.user))
+      .send({ zzpId: other.zzp.zzpId });
+    assert.equal(res.status, 403);
+  });
+
+  it('is closed to company users', async () => {
+    const res = await request(app)
+      .post('/api/ai/accountant')
+      .set('Authorization', bearer(other.company.user))
+      .send({ zzpId: other.zzp.zzpId });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,431 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown } from './helpers.js';
+import { query } from '../src/db/client.js';
+import { setMailTransport } from '../src/utils/mail.js';
+import { signChallengeToken } from '../src/utils/tokens.js';
+import { generateTotp, getTimeStep } from '../src/utils/totp.js';
+import app from '../src/app.js';
+
+const PASSWORD = 'correct horse battery staple';
+
+/**
+ * Mail transport that keeps the messages instead of sending them
+ * @returns {Object} - Transport with a `sent` array
+ */
+function createStubTransport() {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { messageId: `stub-${sent.length}` };
+    }
+  };
+}
+
+/**
+ * Take the token from the link in a sent message
+ * @param {Object} message - Message as passed to the transport
+ * @returns {string} - Token
+ */
+function tokenFromMail(message) {
+  const match = message.text.match(/[?&]token=([0-9a-f]+)/);
+  assert.ok(match, `no token link in "${message.subject}"`);
+  return match[1];
+}
+
+/**
+ * A 6 digit code that is not valid for a secret right now
+ * @param {string} secret - Base32 secret
+ * @returns {string} - Code
+ */
+function wrongTotp(secret) {
+  const step = getTimeStep();
+  const valid = [step - 1, step, step + 1].map(s => generateTotp(secret, s));
+  let code = 0;
+  while (valid.includes(String(code).padStart(6, '0'))) {
+    code++;
+  }
+  return String(code).padStart(6, '0');
+}
+
+describe('auth router', { skip: skipWithoutDatabase }, () => {
+  let transport;
+  let email;
+
+  before(async () => {
+    await resetDatabase();
+    transport = createStubTransport();
+    setMailTransport(transport);
+
+    email = await registerVerified();
+  });
+
+  afterEach(() => {
+    transport.sent.length = 0;
+  });
+
+  after(async () => {
+    setMailTransport(null);
+    await teardown();
+  });
+
+  /**
+   * Register a ZZP account through the API
+   * @returns {Promise<Object>} - { email, verificationToken }
+   */
+  async function register() {
+    const address = `zzp-${crypto.randomUUID()}@example.test`;
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ email: address, password: PASSWORD, fullName: 'Sanne Zzp', userType: 'zzp' });
+    assert.equal(registered.status, 201);
+
+    const message = transport.sent.at(-1);
+    assert.equal(message.to, address);
+    return { email: address, verificationToken: tokenFromMail(message) };
+  }
+
+  /**
+   * Register a ZZP account and confirm its email address
+   * @returns {Promise<string>} - Email address
+   */
+  async function registerVerified() {
+    const { email: address, verificationToken } = await register();
+    const verified = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+    assert.equal(verified.status, 200);
+    return address;
+  }
+
+  /**
+   * Log in
+   * @param {string} address - Email address, the shared test account by default
+   * @param {string} password - Password
+   * @returns {Promise<Object>} - { token, refreshToken, user }
+   */
+  async function login(address = email, password = PASSWORD) {
+    const res = await request(app).post('/api/auth/login').send({ email: address, password });
+    assert.equal(res.status, 200);
+    return res.body;
+  }
+
+  /**
+   * Request a password reset and take the token from the mail
+   * @param {string} address - Email address
+   * @returns {Promise<string>} - Reset token
+   */
+  async function forgotPassword(address) {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: address });
+    assert.equal(res.status, 200);
+
+    const message = transport.sent.at(-1);
+    assert.equal(message.to, address);
+    return tokenFromMail(message);
+  }
+
+  /**
+   * Expire the unused tokens of a user
+   * @param {string} address - Email address
+   * @param {string} purpose - Token purpose
+   */
+  async function expireTokens(address, purpose) {
+    await query(
+      `UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 minute'
+       WHERE purpose = $2 AND used_at IS NULL
+         AND user_id = (SELECT id FROM users WHERE email = $1)`,
+      [address, purpose]
+    );
+  }
+
+  /**
+   * Exchange a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} - supertest response
+   */
+  function refresh(refreshToken) {
+    return request(app).post('/api/auth/refresh').send({ refreshToken });
+  }
+
+  it('rotates the refresh token on every refresh', async () => {
+    const session = await login();
+
+    const first = await refresh(session.refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, session.refreshToken);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${first.body.token}`);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, email);
+
+    const second = await refresh(first.body.refreshToken);
+    assert.equal(second.status, 200);
+    assert.notEqual(second.body.refreshToken, first.body.refreshToken);
+  });
+
+  it('revokes the whole session when a rotated refresh token is reused', async () => {
+    const session = await login();
+    const otherSession = await login();
+
+    const rotated = await refresh(session.refreshToken);
+    assert.equal(rotated.status, 200);
+
+    const reused = await refresh(session.refreshToken);
+    assert.equal(reused.status, 401);
+
+    // The token issued by the rotation belongs to the same family and is revoked as well
+    const latest = await refresh(rotated.body.refreshToken);
+    assert.equal(latest.status, 401);
+
+    // Other sessions of the user are left alone
+    const other = await refresh(otherSession.refreshToken);
+    assert.equal(other.status, 200);
+  });
+
+  it('ends one session on logout', async () => {
+    const session = await login();
+    const otherSession = await login();
+
+    const loggedOut = await request(app).post('/api/auth/logout').send({ refreshToken: session.refreshToken });
+    assert.equal(loggedOut.status, 204);
+
+    assert.equal((await refresh(session.refreshToken)).status, 401);
+    assert.equal((await refresh(otherSession.refreshToken)).status, 200);
+  });
+
+  it('ends every session of the user on logout-all', async () => {
+    const session = await login();
+    const otherSession = await login();
+    const rotated = await refresh(otherSession.refreshToken);
+    assert.equal(rotated.status, 200);
+
+    const loggedOut = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${session.token}`);
+    assert.equal(loggedOut.status, 204);
+
+    assert.equal((await refresh(session.refreshToken)).status, 401);
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+  });
+
+  it('requires authentication for logout-all', async () => {
+    const res = await request(app).post('/api/auth/logout-all');
+    assert.equal(res.status, 401);
+  });
+
+  it('confirms an email address once with the emailed link', async () => {
+    const { email: address, verificationToken } = await register();
+
+    const early = await request(app).post('/api/auth/login').send({ email: address, password: PASSWORD });
+    assert.equal(early.status, 403);
+
+    const verified = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+    assert.equal(verified.status, 200);
+    await login(address);
+
+    const again = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+    assert.equal(again.status, 400);
+  });
+
+  it('rejects an expired or replaced verification link', async () => {
+    const { email: address, verificationToken } = await register();
+
+    // A new link replaces the earlier one
+    const resent = await request(app).post('/api/auth/resend-verification').send({ email: address });
+    assert.equal(resent.status, 200);
+    const newToken = tokenFromMail(transport.sent.at(-1));
+    assert.notEqual(newToken, verificationToken);
+
+    const replaced = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+    assert.equal(replaced.status, 400);
+
+    await expireTokens(address, 'email_verification');
+    const expired = await request(app).post('/api/auth/verify-email').send({ token: newToken });
+    assert.equal(expired.status, 400);
+
+    const res = await request(app).post('/api/auth/login').send({ email: address, password: PASSWORD });
+    assert.equal(res.status, 403);
+  });
+
+  it('sends no reset link for an unknown address but answers the same way', async () => {
+    const known = await request(app).post('/api/auth/forgot-password').send({ email });
+    assert.equal(transport.sent.length, 1);
+
+    const unknown = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: `nobody-${crypto.randomUUID()}@example.test` });
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('resets the password once and ends the existing sessions', async () => {
+    const address = await registerVerified();
+    const session = await login(address);
+    const resetToken = await forgotPassword(address);
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'a new password' });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await refresh(session.refreshToken)).status, 401);
+
+    const oldPassword = await request(app).post('/api/auth/login').send({ email: address, password: PASSWORD });
+    assert.equal(oldPassword.status, 401);
+    await login(address, 'a new password');
+
+    const again = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'yet another password' });
+    assert.equal(again.status, 400);
+    await login(address, 'a new password');
+  });
+
+  it('rejects an expired reset link and keeps the password', async () => {
+    const address = await registerVerified();
+    const session = await login(address);
+    const resetToken = await forgotPassword(address);
+    await expireTokens(address, 'password_reset');
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'a new password' });
+    assert.equal(reset.status, 400);
+
+    await login(address);
+    assert.equal((await refresh(session.refreshToken)).status, 200);
+  });
+
+  it('does not accept a verification link as reset link', async () => {
+    const { email: address, verificationToken } = await register();
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: verificationToken, password: 'a new password' });
+    assert.equal(reset.status, 400);
+
+    const verified = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+    assert.equal(verified.status, 200);
+    await login(address);
+  });
+
+  describe('two-factor login', () => {
+    let address;
+    let secret;
+    let recoveryCodes;
+
+    /**
+     * Complete the second login step
+     * @param {Object} body - { challengeToken, code } or { challengeToken, recoveryCode }
+     * @returns {Promise<Object>} - supertest response
+     */
+    function login2fa(body) {
+      return request(app).post('/api/auth/login/2fa').send(body);
+    }
+
+    /**
+     * Pass the password step of an account with 2FA
+     * @returns {Promise<string>} - Challenge token
+     */
+    async function challenge() {
+      const res = await request(app).post('/api/auth/login').send({ email: address, password: PASSWORD });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.equal(res.body.token, undefined);
+      assert.equal(res.body.refreshToken, undefined);
+      return res.body.challengeToken;
+    }
+
+    before(async () => {
+      address = await registerVerified();
+    });
+
+    it('enables 2FA after the first code from the authenticator app', async () => {
+      const auth = `Bearer ${(await login(address)).token}`;
+
+      const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth);
+      assert.equal(setup.status, 200);
+      secret = setup.body.secret;
+      assert.match(setup.body.otpauthUri, new RegExp(`^otpauth://totp/.*secret=${secret}`));
+
+      // Not active before a code is confirmed
+      await login(address);
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: wrongTotp(secret) });
+      assert.equal(wrong.status, 400);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: generateTotp(secret) });
+      assert.equal(enabled.status, 200);
+      assert.equal(enabled.body.enabled, true);
+      assert.equal(enabled.body.recoveryCodes.length, 10);
+      recoveryCodes = enabled.body.recoveryCodes;
+
+      const status = await request(app).get('/api/auth/2fa').set('Authorization', auth);
+      assert.equal(status.body.enabled, true);
+      assert.equal(status.body.recoveryCodesRemaining, 10);
+
+      const again = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth);
+      assert.equal(again.status, 400);
+    });
+
+    it('rejects a wrong code', async () => {
+      const res = await login2fa({ challengeToken: await challenge(), code: wrongTotp(secret) });
+      assert.equal(res.status, 401);
+    });
+
+    it('refuses a challenge token that is expired, forged or an access token', async () => {
+      // The code itself is valid, so only the challenge token is rejected
+      const user = await query('SELECT id FROM users WHERE email = $1', [address]);
+      const userId = user.rows[0].id;
+
+      mock.timers.enable({ apis: ['Date'], now: Date.now() - 6 * 60 * 1000 });
+      const expired = signChallengeToken(userId);
+      mock.timers.reset();
+
+      const accessToken = (await login()).token;
+
+      for (const challengeToken of [expired, accessToken, 'not-a-token']) {
+        const res = await login2fa({ challengeToken, code: generateTotp(secret, getTimeStep() + 1) });
+        assert.equal(res.status, 401);
+      }
+    });
+
+    it('starts a session with a valid code and refuses to replay it', async () => {
+      // The enrollment used the current step, so the next one (within the drift window) is fresh
+      const code = generateTotp(secret, getTimeStep() + 1);
+
+      const res = await login2fa({ challengeToken: await challenge(), code });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token && res.body.refreshToken);
+      assert.equal(res.body.user.twoFactorEnabled, true);
+      assert.equal((await refresh(res.body.refreshToken)).status, 200);
+
+      const replayed = await login2fa({ challengeToken: await challenge(), code });
+      assert.equal(replayed.status, 401);
+    });
+
+    it('requires a code with the challenge token', async () => {
+      const res = await login2fa({ challengeToken: await challenge() });
+      assert.equal(res.status, 400);
+    });
+
+    it('accepts each recovery code once', async () => {
+      const [recoveryCode] = recoveryCodes;
+
+      const res = await login2fa({ challengeToken: await challenge(), recoveryCode });
+      assert.equal(res.status, 200);
+
+      const reused = await login2fa({ challengeToken: await challenge(), recoveryCode });
+      assert.equal(reused.status, 401);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants, createApprovedStatement } from './helpers.js';
+import app from '../src/app.js';
+import { query } from '../src/db/client.js';
+
+describe('btw router', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('refuses to read another tenant\'s BTW figures', async () => {
+    const period = 'period=quarter&year=2026&value=1';
+    const cases = [
+      [own.zzp.user, `scope=zzp&zzpId=${other.zzp.zzpId}`],
+      [own.company.user, `scope=company&companyId=${other.company.companyId}`],
+      // A company cannot read the ZZP scope, not even of its own ZZP users
+      [own.company.user, `scope=zzp&zzpId=${own.zzp.zzpId}`]
+    ];
+
+    for (const [user, scope] of cases) {
+      for (const path of ['/api/btw/export', '/api/btw/transactions', '/api/btw/aangifte', '/api/btw/filings', '/api/btw/corrections']) {
+        const res = await request(app).get(`${path}?${scope}&${period}`).set('Authorization', bearer(user));
+        assert.equal(res.status, 403, `GET ${path}?${scope} returned ${res.status}`);
+      }
+    }
+
+    const kor = await request(app)
+      .get(`/api/btw/kor?scope=zzp&zzpId=${other.zzp.zzpId}&year=2026`)
+      .set('Authorization', bearer(own.zzp.user));
+    assert.equal(kor.status, 403);
+  });
+
+  it('refuses to file or correct another tenant\'s BTW return', async () => {
+    const auth = bearer(own.zzp.user);
+    const body = { scope: 'zzp', zzpId: other.zzp.zzpId, period: 'quarter', year: 2026, value: 1 };
+
+    const filing = await request(app).post('/api/btw/filings').set('Authorization', auth).send(body);
+    assert.equal(filing.status, 403);
+
+    const correction = await request(app)
+      .post('/api/btw/corrections')
+      .set('Authorization', auth)
+      .send({ ...body, correctionDate: '2026-03-31', rubriek: '1a', amount: 100, description: 'Privégebruik' });
+    assert.equal(correction.status, 403);
+  });
+
+  it('keeps the company overview to companies', async () => {
+    const res = await request(app)
+      .get(`/api/btw/overview?companyId=${other.company.companyId}&period=quarter&year=2026&value=1`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 403);
+  });
+
+  it('validates the scope and period of every report the same way', async () => {
+    const auth = bearer(own.zzp.user);
+    const valid = { scope: 'zzp', zzpId: own.zzp.zzpId, period: 'quarter', year: '2026', value: '1' };
+    const invalid = [
+      { ...valid, scope: 'all' },
+      { ...valid, zzpId: 'not-a-uuid' },
+      { ...valid, period: 'week' },
+      { ...valid, year: '1999' },
+      { ...valid, value: '5' }
+    ];
+
+    for (const path of ['/api/btw/export', '/api/btw/transactions', '/api/btw/aangifte']) {
+      const ok = await request(app).get(path).query(valid).set('Authorization', auth);
+      assert.equal(ok.status, 200, path);
+
+      for (const params of invalid) {
+        const res = await request(app).get(path).query(params).set('Authorization', auth);
+        assert.equal(res.status, 400, `${path} ${JSON.stringify(params)}`);
+      }
+    }
+
+    const overview = await request(app)
+      .get(`/api/btw/overview?companyId=${own.company.companyId}&period=week&year=2026`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(overview.status, 400);
+  });
+
+  it('applies a BTW regime change from its date and guards filed periods', async () => {
+    const auth = bearer(own.zzp.user);
+    const zzpId = own.zzp.zzpId;
+    const voorbelasting = async (value) => {
+      const res = await request(app)
+        .get('/api/btw/aangifte')
+        .query({ scope: 'zzp', zzpId, period: 'quarter', year: 2026, value })
+        .set('Authorization', auth);
+      assert.equal(res.status, 200);
+      return res.body.exact['5b'].btw;
+    };
+    const setRegime = (body) => request(app)
+      .put(`/api/zzp-users/${zzpId}/payment-settings`)
+      .set('Authorization', auth)
+      .send(body);
+
+    for (const expenseDate of ['2026-02-10', '2026-05-10']) {
+      const expense = await request(app)
+        .post('/api/expenses')
+        .set('Authorization', auth)
+        .send({ zzpId, expenseDate, category: 'Materiaal', grossAmount: 121 });
+      assert.equal(expense.status, 201);
+    }
+
+    const filing = await request(app)
+      .post('/api/btw/filings')
+      .set('Authorization', auth)
+      .send({ scope: 'zzp', zzpId, period: 'quarter', year: 2026, value: 1 });
+    assert.equal(filing.status, 201);
+
+    // From Q2 on: the filed Q1 keeps its voorbelasting
+    const kor = await setRegime({ vatRegime: 'kor', vatRegimeFrom: '2026-04-01' });
+    assert.equal(kor.status, 200);
+    assert.equal(kor.body.vat_regime, 'kor');
+    assert.equal(await voorbelasting(1), 21);
+    assert.equal(await voorbelasting(2), 0);
+
+    const future = await setRegime({ vatRegime: 'standard', vatRegimeFrom: '2999-01-01' });
+    assert.equal(future.status, 400);
+
+    // Reaching into the filed Q1 needs a correction, which flags the filing
+    const refused = await setRegime({ vatRegime: 'kor', vatRegimeFrom: '2026-02-01' });
+    assert.equal(refused.status, 409);
+    assert.equal(await voorbelasting(1), 21);
+
+    const corrected = await setRegime({ vatRegime: 'kor', vatRegimeFrom: '2026-02-01', btwCorrection: true });
+    assert.equal(corrected.status, 200);
+    assert.equal(await voorbelasting(1), 0);
+
+    const filings = await request(app)
+      .get('/api/btw/filings')
+      .query({ scope: 'zzp', zzpId })
+      .set('Authorization', auth);
+    assert.ok(filings.body.items[0].corrected_at);
+
+    // Setting the regime that already applies changes nothing, filed or not
+    const unchanged = await setRegime({ vatRegime: 'kor', vatRegimeFrom: '2026-03-01' });
+    assert.equal(unchanged.status, 200);
+  });
+
+  it('declares the output BTW of a ZZP user on invoice date', async () => {
+    // The work of the other tenant was done on 2026-03-02 and invoiced today
+    const today = new Date();
+    const quarter = { period: 'quarter', year: today.getFullYear(), value: Math.floor(today.getMonth() / 3) + 1 };
+    const aangifte = async (user, scope) => {
+      const res = await request(app)
+        .get('/api/btw/aangifte')
+        .query({ ...scope, ...quarter })
+        .set('Authorization', bearer(user));
+      assert.equal(res.status, 200);
+      return res.body.exact;
+    };
+
+    const sales = await aangifte(other.zzp.user, { scope: 'zzp', zzpId: other.zzp.zzpId });
+    assert.deepEqual(sales['1a'], { omzet: 400, btw: 84 });
+
+    // The same invoice is the company's voorbelasting
+    const purchases = await aangifte(other.company.user, { scope: 'company', companyId: other.company.companyId });
+    assert.equal(purchases['5b'].btw, sales['1a'].btw);
+
+    // Work that is not invoiced yet has no output BTW
+    const worklog = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', bearer(other.company.user))
+      .send({ companyId: other.company.companyId, zzpId: other.zzp.zzpId, workDate: today.toISOString().slice(0, 10), tariffType: 'uur', quantity: 8 });
+    assert.equal(worklog.status, 201);
+    assert.deepEqual((await aangifte(other.zzp.user, { scope: 'zzp', zzpId: other.zzp.zzpId }))['1a'], sales['1a']);
+  });
+
+  it('measures the KOR turnover on invoices and credit notes, not on worklogs', async () => {
+    const worklog = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', bearer(own.company.user))
+      .send({ companyId: own.company.companyId, zzpId: own.zzp.zzpId, workDate: '2026-06-01', tariffType: 'uur', quantity: 10 });
+    assert.equal(worklog.status, 201);
+
+    const uninvoiced = await request(app)
+      .get(`/api/btw/kor?zzpId=${own.zzp.zzpId}&year=2026`)
+      .set('Authorization', bearer(own.zzp.user));
+    assert.equal(uninvoiced.status, 200);
+    assert.equal(uninvoiced.body.turnover, 0);
+
+    // The other tenant's work was invoiced today
+    const invoiced = await request(app)
+      .get(`/api/btw/kor?zzpId=${other.zzp.zzpId}&year=${new Date().getFullYear()}`)
+      .set('Authorization', bearer(other.zzp.user));
+    assert.equal(invoiced.status, 200);
+    assert.equal(invoiced.body.turnover, 400);
+  });
+
+  it('leaves a filing alone when worklogs in its period change', async () => {
+    const zzpAuth = bearer(other.zzp.user);
+    const companyAuth = bearer(other.company.user);
+
+    const filing = await request(app)
+      .post('/api/btw/filings')
+      .set('Authorization', zzpAuth)
+      .send({ scope: 'zzp', zzpId: other.zzp.zzpId, period: 'quarter', year: 2026, value: 1 });
+    assert.equal(filing.status, 201);
+
+    // Work in the filed quarter that is not invoiced yet is no sale
+    const created = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', companyAuth)
+      .send({ companyId: other.company.companyId, zzpId: other.zzp.zzpId, workDate: '2026-03-10', tariffType: 'uur', quantity: 4 });
+    assert.equal(created.status, 201);
+
+    const patch = await request(app)
+      .patch(`/api/worklogs/${created.body.id}`)
+      .set('Authorization', companyAuth)
+      .send({ quantity: 5 });
+    assert.equal(patch.status, 200);
+
+    const del = await request(app).delete(`/api/worklogs/${created.body.id}`).set('Authorization', companyAuth);
+    assert.equal(del.status, 204);
+
+    const filings = await request(app)
+      .get('/api/btw/filings')
+      .query({ scope: 'zzp', zzpId: other.zzp.zzpId })
+      .set('Authorization', zzpAuth);
+    assert.equal(filings.body.items[0].corrected_at, null);
+
+    const suppletie = await request(app)
+      .get(`/api/btw/filings/${filing.body.id}/suppletie`)
+      .set('Authorization', zzpAuth);
+    assert.equal(suppletie.body.hasChanges, false);
+  });
+
+  it('issues an invoice in a filed period only as a correction', async () => {
+    const auth = bearer(other.company.user);
+    const { statementId } = await createApprovedStatement(other.company, other.zzp, { workDate: '2026-03-11' });
+
+    // A filing of the company that already covers today
+    const filingResult = await query(
+      `INSERT INTO btw_filings (company_id, kind, period, year, start_date, end_date, rubrieken, exact)
+       VALUES ($1, 'aangifte', 'year', EXTRACT(YEAR FROM CURRENT_DATE), CURRENT_DATE, CURRENT_DATE, '{}', '{}')
+       RETURNING id`,
+      [other.company.companyId]
+    );
+    const filingId = filingResult.rows[0].id;
+
+    const refused = await request(app).post('/api/invoices/generate').set('Authorization', auth).send({ statementId });
+    assert.equal(refused.status, 409);
+
+    const corrected = await request(app)
+      .post('/api/invoices/generate')
+      .set('Authorization', auth)
+      .send({ statementId, btwCorrection: true });
+    assert.equal(corrected.status, 201);
+
+    const flagged = await query('SELECT corrected_at FROM btw_filings WHERE id = $1', [filingId]);
+    assert.ok(flagged.rows[0].corrected_at);
+  });
+});
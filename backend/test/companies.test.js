@@ -0,0 +1,49 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('companies router: tenant isolation', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('lists only the own company', async () => {
+    const res = await request(app)
+      .get('/api/companies')
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map(company => company.id), [own.company.companyId]);
+  });
+
+  it('hides another company behind a 404', async () => {
+    for (const user of [own.company.user, own.zzp.user]) {
+      const res = await request(app)
+        .get(`/api/companies/${other.company.companyId}`)
+        .set('Authorization', bearer(user));
+      assert.equal(res.status, 404);
+    }
+  });
+
+  it('refuses to change or delete another company', async () => {
+    const auth = bearer(own.company.user);
+    const id = other.company.companyId;
+
+    const responses = [
+      await request(app).put(`/api/companies/${id}`).set('Authorization', auth).send({ name: 'Overgenomen' }),
+      await request(app).put(`/api/companies/${id}/security`).set('Authorization', auth).send({ require2fa: false }),
+      await request(app).put(`/api/companies/${id}/invoice-settings`).set('Authorization', auth).send({ paymentTermDays: 60 }),
+      await request(app).delete(`/api/companies/${id}`).set('Authorization', auth)
+    ];
+    for (const res of responses) {
+      assert.ok([403, 404].includes(res.status), `${res.req.method} ${res.req.path} returned ${res.status}`);
+    }
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Test environment
+ * Imported before anything from src/, because the database pool and configs
+ * read process.env when they are first loaded.
+ */
+
+import os from 'os';
+import path from 'path';
+
+process.env.NODE_ENV = 'test';
+process.env.REMINDERS_ENABLED = 'false';
+process.env.STORAGE_LOCAL_DIR = path.join(os.tmpdir(), `smart-zzp-hub-test-${process.pid}`);
+process.env.MAIL_OUTBOX_DIR = path.join(process.env.STORAGE_LOCAL_DIR, 'mail-outbox');
+
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
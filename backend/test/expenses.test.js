@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+const SUPPLIER_INVOICE = new URL('./fixtures/supplier-invoice.xml', import.meta.url);
+
+describe('expenses router', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+  let expenseId;
+  let importId;
+  let importedExpenseIds;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+
+    const auth = bearer(other.zzp.user);
+    const expense = await request(app)
+      .post('/api/expenses')
+      .set('Authorization', auth)
+      .send({ zzpId: other.zzp.zzpId, expenseDate: '2026-03-04', category: 'Materiaal', grossAmount: 121 });
+    expenseId = expense.body.id;
+
+    const imported = await request(app)
+      .post('/api/expenses/import/ubl')
+      .set('Authorization', auth)
+      .set('Content-Type', 'application/xml')
+      .send(await fs.readFile(SUPPLIER_INVOICE, 'utf8'));
+    importId = imported.body.import?.id;
+    importedExpenseIds = imported.body.items?.map(item => item.id);
+    assert.ok(expenseId && importId, 'fixtures for the other tenant were not created');
+  });
+
+  after(teardown);
+
+  it('refuses to record or list expenses of another ZZP user', async () => {
+    const auth = bearer(own.zzp.user);
+
+    const created = await request(app)
+      .post('/api/expenses')
+      .set('Authorization', auth)
+      .send({ zzpId: other.zzp.zzpId, expenseDate: '2026-03-04', grossAmount: 10 });
+    assert.equal(created.status, 403);
+
+    const listed = await request(app)
+      .get(`/api/expenses?zzpId=${other.zzp.zzpId}`)
+      .set('Authorization', auth);
+    assert.equal(listed.status, 403);
+  });
+
+  it('hides another ZZP user\'s expense and attachment behind a 404', async () => {
+    const auth = bearer(own.zzp.user);
+
+    const removed = await request(app).delete(`/api/expenses/${expenseId}`).set('Authorization', auth);
+    assert.equal(removed.status, 404);
+
+    const file = await request(app).get(`/api/expenses/imports/${importId}/file`).set('Authorization', auth);
+    assert.equal(file.status, 404);
+  });
+
+  it('is closed to company users', async () => {
+    const res = await request(app)
+      .get('/api/expenses')
+      .set('Authorization', bearer(other.company.user));
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects an invalid expense date with 400', async () => {
+    const auth = bearer(own.zzp.user);
+    for (const expenseDate of ['04-03-2026', '2026-13-45', '2026-02-30', 'gisteren']) {
+      const res = await request(app)
+        .post('/api/expenses')
+        .set('Authorization', auth)
+        .send({ zzpId: own.zzp.zzpId, expenseDate, grossAmount: 10 });
+      assert.equal(res.status, 400, expenseDate);
+    }
+  });
+
+  it('deletes the stored original with the last expense of an import', async () => {
+    const auth = bearer(other.zzp.user);
+    const stored = path.join(process.env.STORAGE_LOCAL_DIR, 'expenses', other.zzp.zzpId, `${importId}.xml`);
+    await fs.access(stored);
+
+    for (const id of importedExpenseIds) {
+      const removed = await request(app).delete(`/api/expenses/${id}`).set('Authorization', auth);
+      assert.equal(removed.status, 204);
+    }
+
+    await assert.rejects(fs.access(stored), { code: 'ENOENT' });
+    const file = await request(app).get(`/api/expenses/imports/${importId}/file`).set('Authorization', auth);
+    assert.equal(file.status, 404);
+
+    const reimported = await request(app)
+      .post('/api/expenses/import/ubl')
+      .set('Authorization', auth)
+      .set('Content-Type', 'application/xml')
+      .send(await fs.readFile(SUPPLIER_INVOICE, 'utf8'));
+    assert.equal(reimported.status, 201);
+  });
+});
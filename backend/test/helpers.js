@@ -0,0 +1,216 @@
+/**
+ * Integration test helpers
+ * The tests run against a real PostgreSQL database given by TEST_DATABASE_URL.
+ * Every test file starts from an empty schema with all migrations applied,
+ * so never point TEST_DATABASE_URL at a database with data you want to keep.
+ */
+
+import './env.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import { pool, query } from '../src/db/client.js';
+import { signAuthToken } from '../src/utils/tokens.js';
+
+const DB_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../db');
+
+// Reason to skip the integration tests, or false when a database is configured
+export const skipWithoutDatabase = process.env.TEST_DATABASE_URL
+  ? false
+  : 'TEST_DATABASE_URL is not set';
+
+/**
+ * Recreate the public schema from db/schema.sql and db/migrations
+ * @returns {Promise<void>}
+ */
+export async function resetDatabase() {
+  await query('DROP SCHEMA public CASCADE');
+  await query('CREATE SCHEMA public');
+
+  const migrations = (await fs.readdir(path.join(DB_DIR, 'migrations')))
+    .filter(name => name.endsWith('.sql'))
+    .sort()
+    .map(name => path.join('migrations', name));
+
+  for (const file of ['schema.sql', ...migrations]) {
+    await query(await fs.readFile(path.join(DB_DIR, file), 'utf8'));
+  }
+}
+
+/**
+ * Close the database pool and remove the files stored during the tests
+ * @returns {Promise<void>}
+ */
+export async function teardown() {
+  await pool.end();
+  await fs.rm(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Build the Authorization header value for a user
+ * @param {Object} user - { userId, email, userType, profileId }
+ * @returns {string} - "Bearer <jwt>"
+ */
+export function bearer(user) {
+  return `Bearer ${signAuthToken(user)}`;
+}
+
+/**
+ * Create a user account row
+ * @param {string} userType - 'company' or 'zzp'
+ * @param {string} name - Full name
+ * @returns {Promise<Object>} - { userId, email }
+ */
+async function createUser(userType, name) {
+  const email = `${userType}-${crypto.randomUUID()}@example.test`;
+  const result = await query(
+    `INSERT INTO users (email, password_hash, full_name, user_type)
+     VALUES ($1, 'not-a-real-hash', $2, $3)
+     RETURNING id`,
+    [email, name, userType]
+  );
+  return { userId: result.rows[0].id, email };
+}
+
+/**
+ * Create a company with an owner account
+ * @param {string} name - Company name
+ * @returns {Promise<Object>} - { companyId, user } where user is the owner's req.user
+ */
+export async function createCompany(name) {
+  const { userId, email } = await createUser('company', name);
+  const result = await query(
+    `INSERT INTO companies (user_id, name, kvk_number, btw_number, email)
+     VALUES ($1, $2, '12345678', 'NL001234567B01', $3)
+     RETURNING id`,
+    [userId, name, email]
+  );
+  const companyId = result.rows[0].id;
+
+  await query(
+    `INSERT INTO company_members (company_id, user_id, role) VALUES ($1, $2, 'owner')`,
+    [companyId, userId]
+  );
+
+  return { companyId, user: { userId, email, userType: 'company', profileId: companyId } };
+}
+
+/**
+ * Create a ZZP user linked to a company
+ * @param {string} companyId - Company ID
+ * @param {string} name - Full name
+ * @returns {Promise<Object>} - { zzpId, user } where user is the ZZP account's req.user
+ */
+export async function createZzp(companyId, name) {
+  const { userId, email } = await createUser('zzp', name);
+  const result = await query(
+    `INSERT INTO zzp_users (user_id, company_id, full_name, email)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [userId, companyId, name, email]
+  );
+  const zzpId = result.rows[0].id;
+
+  return { zzpId, user: { userId, email, userType: 'zzp', profileId: zzpId } };
+}
+
+/**
+ * Add a tariff to a company's catalog
+ * @param {string} companyId - Company ID
+ * @param {Object} options - { code, defaultPrice, vatCode }
+ * @returns {Promise<Object>} - Tariff row
+ */
+export async function createTariff(companyId, { code = 'uur', defaultPrice = 50, vatCode = 'standard' } = {}) {
+  const result = await query(
+    `INSERT INTO tariffs (company_id, code, label, unit, default_price, vat_code)
+     VALUES ($1, $2, $3, 'uur', $4, $5)
+     RETURNING *`,
+    [companyId, code, `Tarief ${code}`, defaultPrice, vatCode]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Log work and approve its statement through the API
+ * The company needs a tariff with the given code (see createTariff).
+ * @param {Object} company - Result of createCompany
+ * @param {Object} zzp - Result of createZzp
+ * @param {Object} options - { workDate, quantity, tariffType }
+ * @returns {Promise<Object>} - { worklogId, statementId }
+ */
+export async function createApprovedStatement(company, zzp, { workDate = '2026-03-02', quantity = 8, tariffType = 'uur' } = {}) {
+  const auth = bearer(company.user);
+
+  const worklog = await request(app)
+    .post('/api/worklogs')
+    .set('Authorization', auth)
+    .send({ companyId: company.companyId, zzpId: zzp.zzpId, workDate, tariffType, quantity });
+  if (worklog.status !== 201) {
+    throw new Error(`Creating worklog failed: ${worklog.status} ${JSON.stringify(worklog.body)}`);
+  }
+
+  const statement = await request(app)
+    .post('/api/statements/generate')
+    .set('Authorization', auth)
+    .send({ companyId: company.companyId, zzpId: zzp.zzpId, periodType: 'custom', startDate: workDate, endDate: workDate });
+  if (statement.status !== 201) {
+    throw new Error(`Generating statement failed: ${statement.status} ${JSON.stringify(statement.body)}`);
+  }
+  const statementId = statement.body.id;
+
+  const approved = await request(app)
+    .patch(`/api/statements/${statementId}`)
+    .set('Authorization', auth)
+    .send({ status: 'approved' });
+  if (approved.status !== 200) {
+    throw new Error(`Approving statement failed: ${approved.status} ${JSON.stringify(approved.body)}`);
+  }
+
+  return { worklogId: worklog.body.id, statementId };
+}
+
+/**
+ * Log work, approve its statement and invoice it through the API (see createApprovedStatement)
+ * @param {Object} company - Result of createCompany
+ * @param {Object} zzp - Result of createZzp
+ * @param {Object} options - { workDate, quantity, tariffType }
+ * @returns {Promise<Object>} - { worklogId, statementId, invoiceId, invoiceNumber }
+ */
+export async function createInvoicedWork(company, zzp, options) {
+  const { worklogId, statementId } = await createApprovedStatement(company, zzp, options);
+
+  const invoice = await request(app)
+    .post('/api/invoices/generate')
+    .set('Authorization', bearer(company.user))
+    .send({ statementId });
+  if (invoice.status !== 201) {
+    throw new Error(`Generating invoice failed: ${invoice.status} ${JSON.stringify(invoice.body)}`);
+  }
+
+  return {
+    worklogId,
+    statementId,
+    invoiceId: invoice.body.invoiceId,
+    invoiceNumber: invoice.body.invoiceNumber
+  };
+}
+
+/**
+ * Create two tenants: "own" (the one making the requests) and "other" with invoiced work
+ * Each tenant is a company with one ZZP user and an "uur" tariff.
+ * @returns {Promise<Object>} - { own: { company, zzp, tariff }, other: { company, zzp, tariff, ...createInvoicedWork } }
+ */
+export async function createTenants() {
+  const tenants = {};
+  for (const key of ['own', 'other']) {
+    const company = await createCompany(`Bedrijf ${key}`);
+    const zzp = await createZzp(company.companyId, `ZZP ${key}`);
+    const tariff = await createTariff(company.companyId);
+    tenants[key] = { company, zzp, tariff };
+  }
+  Object.assign(tenants.other, await createInvoicedWork(tenants.other.company, tenants.other.zzp));
+  return tenants;
+}
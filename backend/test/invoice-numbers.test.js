@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  skipWithoutDatabase,
+  resetDatabase,
+  teardown,
+  bearer,
+  createCompany,
+  createZzp,
+  createTariff,
+  createApprovedStatement
+} from './helpers.js';
+import { query } from '../src/db/client.js';
+import app from '../src/app.js';
+
+// Approved statements per company, invoiced all at once
+const PARALLEL_INVOICES = 8;
+
+describe('invoice numbers under concurrent generate calls', { skip: skipWithoutDatabase }, () => {
+  const companies = [];
+
+  before(async () => {
+    await resetDatabase();
+
+    for (const name of ['Bedrijf A', 'Bedrijf B']) {
+      const company = await createCompany(name);
+      await createTariff(company.companyId);
+      company.statementIds = [];
+      for (let i = 0; i < PARALLEL_INVOICES; i++) {
+        const zzp = await createZzp(company.companyId, `${name} ZZP ${i + 1}`);
+        const { statementId } = await createApprovedStatement(company, zzp);
+        company.statementIds.push(statementId);
+      }
+      companies.push(company);
+    }
+  });
+
+  after(teardown);
+
+  it('issues unique, gapless numbers per company, series and year', async () => {
+    // Every statement twice: the second call returns the existing invoice, or 409 while the first
+    // is still in flight, but never takes a number of its own
+    const calls = companies.flatMap(company =>
+      [...company.statementIds, ...company.statementIds].map(statementId =>
+        request(app)
+          .post('/api/invoices/generate')
+          .set('Authorization', bearer(company.user))
+          .send({ statementId })
+          .then(res => ({ company, statementId, res }))
+      )
+    );
+    const results = await Promise.all(calls);
+
+    for (const { res } of results) {
+      assert.ok([200, 201, 409].includes(res.status), `generate returned ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    const year = new Date().getFullYear();
+    for (const company of companies) {
+      const own = results.filter(result => result.company === company && result.res.status !== 409);
+
+      // Both calls for a statement agree on its number
+      const numberByStatement = new Map();
+      for (const { statementId, res } of own) {
+        const known = numberByStatement.get(statementId);
+        assert.ok(!known || known === res.body.invoiceNumber, `statement ${statementId} got two numbers`);
+        numberByStatement.set(statementId, res.body.invoiceNumber);
+      }
+      assert.equal(numberByStatement.size, PARALLEL_INVOICES);
+
+      const sequences = [...numberByStatement.values()]
+        .map(number => {
+          const match = number.match(/^FACT-(\d{4})-(\d{4})$/);
+          assert.ok(match, `unexpected invoice number ${number}`);
+          assert.equal(Number(match[1]), year);
+          return Number(match[2]);
+        })
+        .sort((a, b) => a - b);
+      assert.deepEqual(sequences, Array.from({ length: PARALLEL_INVOICES }, (_, i) => i + 1));
+
+      const stored = await query(
+        'SELECT COUNT(*)::int AS count, COUNT(DISTINCT invoice_number)::int AS distinct_count FROM invoices WHERE company_id = $1',
+        [company.companyId]
+      );
+      assert.deepEqual(stored.rows[0], { count: PARALLEL_INVOICES, distinct_count: PARALLEL_INVOICES });
+
+      const sequence = await query(
+        `SELECT last_value FROM invoice_sequences WHERE company_id = $1 AND series = 'invoice' AND year = $2`,
+        [company.companyId, year]
+      );
+      assert.equal(sequence.rows[0].last_value, PARALLEL_INVOICES);
+    }
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants, createInvoicedWork } from './helpers.js';
+import app from '../src/app.js';
+
+describe('invoices router', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+  let paymentId;
+  let creditNoteId;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+
+    const auth = bearer(other.company.user);
+    const payment = await request(app)
+      .post(`/api/invoices/${other.invoiceId}/payments`)
+      .set('Authorization', auth)
+      .send({ amount: 10, paymentDate: '2026-03-10' });
+    paymentId = payment.body.payment?.id;
+
+    const creditNote = await request(app)
+      .post(`/api/invoices/${other.invoiceId}/credit`)
+      .set('Authorization', auth)
+      .send({ reason: 'Korting', amount: 5 });
+    creditNoteId = creditNote.body.creditNoteId;
+    assert.ok(paymentId && creditNoteId, 'fixtures for the other tenant were not created');
+  });
+
+  after(teardown);
+
+  it('refuses to list another company\'s invoices', async () => {
+    const res = await request(app)
+      .get(`/api/invoices?companyId=${other.company.companyId}`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 403);
+  });
+
+  it('hides another company\'s invoice and its documents behind a 404', async () => {
+    const paths = [
+      `/api/invoices/${other.invoiceId}`,
+      `/api/invoices/${other.invoiceId}/pdf`,
+      `/api/invoices/${other.invoiceId}/ubl`,
+      `/api/invoices/${other.invoiceId}/credit-notes`,
+      `/api/invoices/${other.invoiceId}/payments`,
+      `/api/invoices/credit-notes/${creditNoteId}/pdf`,
+      `/api/invoices/by-statement/${other.statementId}`
+    ];
+
+    for (const user of [own.company.user, own.zzp.user]) {
+      for (const path of paths) {
+        const res = await request(app).get(path).set('Authorization', bearer(user));
+        assert.equal(res.status, 404, `GET ${path} returned ${res.status}`);
+      }
+    }
+  });
+
+  it('refuses to invoice another company\'s statement', async () => {
+    const res = await request(app)
+      .post('/api/invoices/generate')
+      .set('Authorization', bearer(own.company.user))
+      .send({ statementId: other.statementId });
+    assert.equal(res.status, 404);
+  });
+
+  it('refuses to credit or register payments on another company\'s invoice', async () => {
+    const auth = bearer(own.company.user);
+
+    const credit = await request(app)
+      .post(`/api/invoices/${other.invoiceId}/credit`)
+      .set('Authorization', auth)
+      .send({ reason: 'Overgenomen' });
+    assert.equal(credit.status, 404);
+
+    const payment = await request(app)
+      .post(`/api/invoices/${other.invoiceId}/payments`)
+      .set('Authorization', auth)
+      .send({ amount: 1 });
+    assert.equal(payment.status, 404);
+
+    const removed = await request(app)
+      .delete(`/api/invoices/${other.invoiceId}/payments/${paymentId}`)
+      .set('Authorization', auth);
+    assert.equal(removed.status, 404);
+  });
+
+  it('rejects a malformed statement id', async () => {
+    const auth = bearer(own.company.user);
+
+    const generate = await request(app).post('/api/invoices/generate').set('Authorization', auth).send({ statementId: 'x' });
+    assert.equal(generate.status, 400);
+
+    const byStatement = await request(app).get('/api/invoices/by-statement/x').set('Authorization', auth);
+    assert.equal(byStatement.status, 404);
+  });
+
+  it('reopens the statement of a fully credited invoice so the work can be invoiced again', async () => {
+    const auth = bearer(own.company.user);
+    const first = await createInvoicedWork(own.company, own.zzp, { workDate: '2026-04-06', quantity: 8 });
+
+    // A manual reopen of an invoiced statement is refused
+    const reopen = await request(app)
+      .patch(`/api/statements/${first.statementId}`)
+      .set('Authorization', auth)
+      .send({ status: 'open', comment: 'Te veel uren' });
+    assert.equal(reopen.status, 409);
+
+    const credit = await request(app)
+      .post(`/api/invoices/${first.invoiceId}/credit`)
+      .set('Authorization', auth)
+      .send({ reason: 'Te veel uren gefactureerd' });
+    assert.equal(credit.status, 201);
+
+    const statement = await request(app).get(`/api/statements/${first.statementId}`).set('Authorization', auth);
+    assert.equal(statement.body.status, 'open');
+    const history = await request(app).get(`/api/statements/${first.statementId}/history`).set('Authorization', auth);
+    assert.deepEqual(
+      history.body.items.map(entry => entry.to_status),
+      ['open', 'approved', 'invoiced', 'open']
+    );
+
+    // The worklog is unlocked and the corrected work gets a new invoice
+    const worklog = await request(app)
+      .patch(`/api/worklogs/${first.worklogId}`)
+      .set('Authorization', auth)
+      .send({ quantity: 6 });
+    assert.equal(worklog.status, 200);
+
+    const approved = await request(app)
+      .patch(`/api/statements/${first.statementId}`)
+      .set('Authorization', auth)
+      .send({ status: 'approved' });
+    assert.equal(approved.status, 200);
+
+    const second = await request(app)
+      .post('/api/invoices/generate')
+      .set('Authorization', auth)
+      .send({ statementId: first.statementId });
+    assert.equal(second.status, 201);
+    assert.notEqual(second.body.invoiceId, first.invoiceId);
+    assert.equal(second.body.subtotal, 300);
+
+    // The credited invoice keeps the lines it was issued with
+    const credited = await request(app).get(`/api/invoices/${first.invoiceId}`).set('Authorization', auth);
+    assert.equal(credited.body.status, 'credited');
+    assert.deepEqual(credited.body.lines.map(line => Number(line.quantity)), [8]);
+
+    const byStatement = await request(app).get(`/api/invoices/by-statement/${first.statementId}`).set('Authorization', auth);
+    assert.equal(byStatement.body.id, second.body.invoiceId);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('members router: tenant isolation', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+  let inviteId;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+
+    const invite = await request(app)
+      .post('/api/members/invites')
+      .set('Authorization', bearer(other.company.user))
+      .send({ email: 'boekhouder@example.test', role: 'bookkeeper' });
+    inviteId = invite.body.id;
+    assert.ok(inviteId, 'fixtures for the other tenant were not created');
+  });
+
+  after(teardown);
+
+  it('lists only the own company\'s members and invites', async () => {
+    const auth = bearer(own.company.user);
+
+    const members = await request(app).get('/api/members').set('Authorization', auth);
+    assert.equal(members.status, 200);
+    assert.deepEqual(members.body.items.map(member => member.user_id), [own.company.user.userId]);
+
+    const invites = await request(app).get('/api/members/invites').set('Authorization', auth);
+    assert.equal(invites.status, 200);
+    assert.equal(invites.body.items.length, 0);
+  });
+
+  it('refuses to manage another company\'s members and invites', async () => {
+    const auth = bearer(own.company.user);
+    const userId = other.company.user.userId;
+
+    assert.equal((await request(app).patch(`/api/members/${userId}`).set('Authorization', auth).send({ role: 'viewer' })).status, 404);
+    assert.equal((await request(app).delete(`/api/members/${userId}`).set('Authorization', auth)).status, 404);
+    assert.equal((await request(app).delete(`/api/members/invites/${inviteId}`).set('Authorization', auth)).status, 404);
+  });
+
+  it('is closed to ZZP users', async () => {
+    const res = await request(app).get('/api/members').set('Authorization', bearer(own.zzp.user));
+    assert.equal(res.status, 403);
+  });
+});
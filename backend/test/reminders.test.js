@@ -0,0 +1,160 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import { query } from '../src/db/client.js';
+import { setMailTransport } from '../src/utils/mail.js';
+import { runPaymentReminders, getNextReminderLevel, calcStatutoryInterest } from '../src/utils/reminders.js';
+import app from '../src/app.js';
+
+/**
+ * A point in time a number of days after a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {Date} - Noon (local time) of that day
+ */
+function daysAfter(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day + days, 12);
+}
+
+/**
+ * Mail transport that keeps the messages instead of sending them
+ * @returns {Object} - Transport with a `sent` array
+ */
+function createStubTransport() {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { messageId: `stub-${sent.length}` };
+    }
+  };
+}
+
+describe('reminder schedule', () => {
+  it('escalates once per level after the scheduled days', () => {
+    const schedule = [7, 21, 35];
+
+    assert.equal(getNextReminderLevel({ daysOverdue: 6, lastLevel: 0, daysSinceLast: null }, schedule), null);
+    assert.equal(getNextReminderLevel({ daysOverdue: 7, lastLevel: 0, daysSinceLast: null }, schedule), 1);
+    assert.equal(getNextReminderLevel({ daysOverdue: 20, lastLevel: 1, daysSinceLast: 13 }, schedule), null);
+    assert.equal(getNextReminderLevel({ daysOverdue: 21, lastLevel: 1, daysSinceLast: 14 }, schedule), 2);
+    assert.equal(getNextReminderLevel({ daysOverdue: 60, lastLevel: 3, daysSinceLast: 25 }, schedule), null);
+  });
+
+  it('keeps the minimum interval between reminders', () => {
+    // A long-overdue invoice does not get all levels on consecutive days
+    assert.equal(getNextReminderLevel({ daysOverdue: 90, lastLevel: 1, daysSinceLast: 1 }, [7, 21, 35]), null);
+  });
+
+  it('calculates statutory interest with yearly compounding', () => {
+    assert.equal(calcStatutoryInterest(1000, 0, 10), 0);
+    assert.equal(calcStatutoryInterest(1000, 73, 10), 20);
+    assert.equal(calcStatutoryInterest(1000, 365, 10), 100);
+    assert.equal(calcStatutoryInterest(1000, 730, 10), 210);
+  });
+});
+
+describe('payment reminder job', { skip: skipWithoutDatabase }, () => {
+  let tenant;
+  let dueDate;
+  let transport;
+
+  before(async () => {
+    await resetDatabase();
+    ({ other: tenant } = await createTenants());
+
+    const invoice = await query('SELECT due_date::text AS due_date FROM invoices WHERE id = $1', [tenant.invoiceId]);
+    dueDate = invoice.rows[0].due_date;
+  });
+
+  afterEach(() => setMailTransport(null));
+
+  after(teardown);
+
+  /**
+   * Run the job on a fake clock with a fresh stub transport
+   * @param {number} days - Days past the due date
+   * @returns {Promise<Object>} - Job summary
+   */
+  async function runAt(days) {
+    transport = createStubTransport();
+    setMailTransport(transport);
+    return runPaymentReminders({ now: daysAfter(dueDate, days) });
+  }
+
+  it('sends nothing before the first reminder is due', async () => {
+    const summary = await runAt(3);
+    assert.equal(summary.sent, 0);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  it('sends the friendly reminder to the company with the invoice PDF', async () => {
+    const summary = await runAt(7);
+    assert.equal(summary.sent, 1);
+
+    const [message] = transport.sent;
+    assert.match(message.subject, new RegExp(`^Herinnering: factuur ${tenant.invoiceNumber}$`));
+    assert.equal(message.attachments.length, 1);
+    assert.equal(message.attachments[0].contentType, 'application/pdf');
+
+    const company = await query('SELECT email FROM companies WHERE id = $1', [tenant.company.companyId]);
+    assert.equal(message.to, company.rows[0].email);
+  });
+
+  it('does not repeat a level on the next run', async () => {
+    const summary = await runAt(8);
+    assert.equal(summary.sent, 0);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  it('retries a level when sending fails', async () => {
+    setMailTransport({
+      async send() {
+        throw new Error('SMTP down');
+      }
+    });
+    const failed = await runPaymentReminders({ now: daysAfter(dueDate, 21) });
+    assert.equal(failed.failed, 1);
+
+    const logged = await query('SELECT level FROM invoice_reminders WHERE invoice_id = $1 ORDER BY level', [tenant.invoiceId]);
+    assert.deepEqual(logged.rows.map(row => row.level), [1]);
+
+    const summary = await runAt(21);
+    assert.equal(summary.sent, 1);
+    assert.match(transport.sent[0].subject, /^Tweede herinnering/);
+  });
+
+  it('adds statutory interest to the formal notice', async () => {
+    const summary = await runAt(35);
+    assert.equal(summary.sent, 1);
+    assert.match(transport.sent[0].subject, /^Aanmaning/);
+    assert.match(transport.sent[0].text, /Wettelijke handelsrente/);
+
+    const reminder = await query(
+      'SELECT interest_amount FROM invoice_reminders WHERE invoice_id = $1 AND level = 3',
+      [tenant.invoiceId]
+    );
+    assert.ok(Number(reminder.rows[0].interest_amount) > 0);
+  });
+
+  it('stops once the invoice is paid', async () => {
+    // Clear the log, so without the payment the friendly reminder would be due again
+    await query('DELETE FROM invoice_reminders WHERE invoice_id = $1', [tenant.invoiceId]);
+
+    const detail = await request(app)
+      .get(`/api/invoices/${tenant.invoiceId}`)
+      .set('Authorization', bearer(tenant.company.user));
+    const paid = await request(app)
+      .post(`/api/invoices/${tenant.invoiceId}/payments`)
+      .set('Authorization', bearer(tenant.company.user))
+      .send({ amount: Number(detail.body.open_balance) });
+    assert.equal(paid.status, 201);
+
+    const summary = await runAt(7);
+    assert.equal(summary.sent, 0);
+    assert.equal(transport.sent.length, 0);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('statements router: tenant isolation', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('refuses to list another company\'s statements', async () => {
+    const res = await request(app)
+      .get(`/api/statements?companyId=${other.company.companyId}`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 403);
+  });
+
+  it('hides another company\'s statement and its history behind a 404', async () => {
+    for (const user of [own.company.user, own.zzp.user]) {
+      const auth = bearer(user);
+      assert.equal((await request(app).get(`/api/statements/${other.statementId}`).set('Authorization', auth)).status, 404);
+      assert.equal((await request(app).get(`/api/statements/${other.statementId}/history`).set('Authorization', auth)).status, 404);
+    }
+  });
+
+  it('refuses to generate statements for another company', async () => {
+    const res = await request(app)
+      .post('/api/statements/generate')
+      .set('Authorization', bearer(own.company.user))
+      .send({ companyId: other.company.companyId, periodType: 'month', year: 2026, month: 3 });
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses to change or delete another company\'s statement', async () => {
+    const auth = bearer(own.company.user);
+
+    const patch = await request(app)
+      .patch(`/api/statements/${other.statementId}`)
+      .set('Authorization', auth)
+      .send({ status: 'open', comment: 'heropend' });
+    assert.equal(patch.status, 404);
+
+    const del = await request(app).delete(`/api/statements/${other.statementId}`).set('Authorization', auth);
+    assert.equal(del.status, 404);
+  });
+
+  it('answers a malformed id with a 404', async () => {
+    const auth = bearer(own.company.user);
+
+    assert.equal((await request(app).get('/api/statements/not-a-uuid').set('Authorization', auth)).status, 404);
+    assert.equal((await request(app).get('/api/statements/not-a-uuid/history').set('Authorization', auth)).status, 404);
+    assert.equal((await request(app).patch('/api/statements/not-a-uuid').set('Authorization', auth).send({ status: 'approved' })).status, 404);
+    assert.equal((await request(app).delete('/api/statements/not-a-uuid').set('Authorization', auth)).status, 404);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('tariffs router: tenant isolation', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('hides another company\'s tariff behind a 404', async () => {
+    const auth = bearer(own.company.user);
+    const id = other.tariff.id;
+
+    assert.equal((await request(app).get(`/api/tariffs/${id}`).set('Authorization', auth)).status, 404);
+    assert.equal((await request(app).put(`/api/tariffs/${id}`).set('Authorization', auth).send({ label: 'Overgenomen', unit: 'uur' })).status, 404);
+    assert.equal((await request(app).delete(`/api/tariffs/${id}`).set('Authorization', auth)).status, 404);
+    assert.equal((await request(app).put(`/api/tariffs/${id}/rates/${own.zzp.zzpId}`).set('Authorization', auth).send({ unitPrice: 1 })).status, 404);
+    assert.equal((await request(app).delete(`/api/tariffs/${id}/rates/${own.zzp.zzpId}`).set('Authorization', auth)).status, 404);
+  });
+
+  it('refuses prices for another company\'s ZZP user', async () => {
+    const res = await request(app)
+      .put(`/api/tariffs/${own.tariff.id}/rates/${other.zzp.zzpId}`)
+      .set('Authorization', bearer(own.company.user))
+      .send({ unitPrice: 1 });
+    assert.equal(res.status, 400);
+  });
+
+  it('is closed to ZZP users', async () => {
+    const res = await request(app).get('/api/tariffs').set('Authorization', bearer(own.zzp.user));
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,79 @@
+import './env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+} from '../src/utils/totp.js';
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B test vectors (SHA-1); the 6 digit code is the last 6 digits of the 8 digit value
+const RFC_VECTORS = [
+  { time: 59, code: '94287082' },
+  { time: 1111111109, code: '07081804' },
+  { time: 1111111111, code: '14050471' },
+  { time: 1234567890, code: '89005924' },
+  { time: 2000000000, code: '69279037' },
+  { time: 20000000000, code: '65353130' }
+];
+
+describe('totp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    for (const { time, code } of RFC_VECTORS) {
+      assert.equal(generateTotp(RFC_SECRET, getTimeStep(time * 1000)), code.slice(-6), `T=${time}`);
+    }
+  });
+
+  it('accepts one step of clock drift and nothing beyond', () => {
+    const now = 1111111111 * 1000;
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', { now }), step);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now }), null);
+  });
+
+  it('rejects a code of an already used step', () => {
+    const now = 1111111111 * 1000;
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', { now, lastStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now, lastStep: step }), step + 1);
+  });
+
+  it('rejects codes that are not 6 digits', () => {
+    const now = 1111111111 * 1000;
+
+    assert.equal(verifyTotp(RFC_SECRET, '14050471', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '05047', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '050 471', { now }), getTimeStep(now));
+  });
+
+  it('builds the otpauth URI for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, 'sanne@example.test'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Smart ZZP Hub:sanne@example.test');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+
+  it('stores secrets encrypted', () => {
+    const stored = encryptSecret(RFC_SECRET);
+
+    assert.ok(!stored.includes(RFC_SECRET));
+    assert.notEqual(encryptSecret(RFC_SECRET), stored);
+    assert.equal(decryptSecret(stored), RFC_SECRET);
+  });
+});
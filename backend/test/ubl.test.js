@@ -0,0 +1,198 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants, createTariff, createInvoicedWork } from './helpers.js';
+import { buildUblInvoice, parseUblInvoice } from '../src/utils/ubl.js';
+import { parseXml, findElement, findText } from '../src/utils/xml.js';
+import app from '../src/app.js';
+
+/**
+ * Invoice data as the UBL route passes it, with every field Peppol needs for a Dutch supplier
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Input of buildUblInvoice
+ */
+function sampleInvoice(overrides = {}) {
+  return {
+    invoiceNumber: 'FACT-2026-0001',
+    issueDate: '2026-03-09',
+    dueDate: '2026-03-23',
+    currency: 'EUR',
+    buyerReference: 'ZZP-0042',
+    periodStart: '2026-03-02',
+    periodEnd: '2026-03-08',
+    note: 'Periode: Week 10, 2026',
+    supplier: {
+      name: 'Jan de Vries',
+      kvkNumber: '87654321',
+      btwNumber: 'NL123456789B01',
+      email: 'jan@example.test',
+      phone: '0612345678',
+      address: { street: 'Kerkstraat 1', postalCode: '1234 AB', city: 'Utrecht' }
+    },
+    customer: {
+      name: 'Bouwbedrijf B.V.',
+      kvkNumber: '12345678',
+      btwNumber: 'NL001234567B01',
+      email: 'administratie@example.test',
+      phone: null,
+      address: { street: 'Industrieweg 10', postalCode: '3500 AA', city: 'Utrecht' }
+    },
+    lines: [
+      { id: 1, name: 'Uurtarief', description: 'Werk 02-03-2026', quantity: 8, unit: 'uur', unitPrice: 50, lineTotal: 400, vatCode: 'standard' },
+      { id: 2, name: 'Materiaal', description: 'Werk 03-03-2026', quantity: 2, unit: 'stuk', unitPrice: 25, lineTotal: 50, vatCode: 'reduced' }
+    ],
+    subtotal: 450,
+    btwAmount: 88.5,
+    total: 538.5,
+    vatBreakdown: [
+      { vatCode: 'standard', subtotal: 400, btw: 84 },
+      { vatCode: 'reduced', subtotal: 50, btw: 4.5 }
+    ],
+    exemptionReason: null,
+    payment: {
+      iban: 'NL91ABNA0417164300',
+      accountHolder: 'Jan de Vries',
+      reference: 'FACT-2026-0001',
+      terms: 'Te betalen vóór 23-03-2026'
+    },
+    attachment: { filename: 'FACT-2026-0001.pdf', content: Buffer.from('%PDF-1.3 test') },
+    ...overrides
+  };
+}
+
+/**
+ * Invoice with all work under reverse charge
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Input of buildUblInvoice
+ */
+function reverseChargeInvoice(overrides = {}) {
+  return sampleInvoice({
+    lines: [
+      { id: 1, name: 'Uurtarief', description: 'Werk 02-03-2026', quantity: 8, unit: 'uur', unitPrice: 50, lineTotal: 400, vatCode: 'reverse_charge' }
+    ],
+    subtotal: 400,
+    btwAmount: 0,
+    total: 400,
+    vatBreakdown: [{ vatCode: 'reverse_charge', subtotal: 400, btw: 0 }],
+    ...overrides
+  });
+}
+
+describe('UBL e-invoice', () => {
+  it('names the ZZP user as supplier and the company as customer', () => {
+    const { xml, error } = buildUblInvoice(sampleInvoice());
+    assert.equal(error, undefined);
+
+    const root = parseXml(xml);
+    assert.equal(root.name, 'Invoice');
+    assert.equal(findText(root, 'AccountingSupplierParty/Party/PartyLegalEntity/RegistrationName'), 'Jan de Vries');
+    assert.equal(findText(root, 'AccountingCustomerParty/Party/PartyLegalEntity/RegistrationName'), 'Bouwbedrijf B.V.');
+    assert.equal(findText(root, 'PaymentMeans/PayeeFinancialAccount/ID'), 'NL91ABNA0417164300');
+
+    const address = findElement(root, 'AccountingSupplierParty/Party/PostalAddress');
+    assert.equal(findText(address, 'StreetName'), 'Kerkstraat 1');
+    assert.equal(findText(address, 'PostalZone'), '1234 AB');
+    assert.equal(findText(address, 'CityName'), 'Utrecht');
+  });
+
+  it('reads back as the same invoice', () => {
+    const { xml } = buildUblInvoice(sampleInvoice());
+    const { invoice, error } = parseUblInvoice(xml);
+    assert.equal(error, undefined);
+    assert.equal(invoice.invoiceNumber, 'FACT-2026-0001');
+    assert.equal(invoice.supplier.vatNumber, 'NL123456789B01');
+    assert.equal(invoice.netAmount, 450);
+    assert.equal(invoice.vatAmount, 88.5);
+    assert.equal(invoice.totalAmount, 538.5);
+  });
+
+  it('refuses reverse charge without the BTW number of the customer (BR-AE-02)', () => {
+    const invoice = reverseChargeInvoice();
+    invoice.customer = { ...invoice.customer, btwNumber: null };
+    const { xml, error } = buildUblInvoice(invoice);
+    assert.equal(xml, undefined);
+    assert.match(error, /BTW-nummer van Bouwbedrijf B\.V\./);
+  });
+
+  it('refuses reverse charge without the BTW number of the supplier (BR-AE-02)', () => {
+    const invoice = reverseChargeInvoice();
+    invoice.supplier = { ...invoice.supplier, btwNumber: null };
+    assert.match(buildUblInvoice(invoice).error, /BTW-nummer van Jan de Vries/);
+  });
+
+  it('marks reverse charge as category AE', () => {
+    const { xml } = buildUblInvoice(reverseChargeInvoice());
+    const category = findElement(parseXml(xml), 'TaxTotal/TaxSubtotal/TaxCategory');
+    assert.equal(findText(category, 'ID'), 'AE');
+    assert.equal(findText(category, 'TaxExemptionReasonCode'), 'vatex-eu-ae');
+  });
+
+  it('marks the KOR exemption as category E with its reason', () => {
+    const { xml } = buildUblInvoice(sampleInvoice({
+      lines: [
+        { id: 1, name: 'Uurtarief', description: 'Werk 02-03-2026', quantity: 8, unit: 'uur', unitPrice: 50, lineTotal: 400, vatCode: 'exempt' }
+      ],
+      subtotal: 400,
+      btwAmount: 0,
+      total: 400,
+      vatBreakdown: [{ vatCode: 'exempt', subtotal: 400, btw: 0 }],
+      exemptionReason: 'Vrijgesteld van BTW op grond van de kleineondernemersregeling'
+    }));
+    const category = findElement(parseXml(xml), 'TaxTotal/TaxSubtotal/TaxCategory');
+    assert.equal(findText(category, 'ID'), 'E');
+    assert.equal(findText(category, 'TaxExemptionReason'), 'Vrijgesteld van BTW op grond van de kleineondernemersregeling');
+  });
+});
+
+describe('GET /api/invoices/:id/ubl', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let invoice;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own } = await createTenants());
+    await createTariff(own.company.companyId, { code: 'verlegd', vatCode: 'reverse_charge' });
+    invoice = await createInvoicedWork(own.company, own.zzp, { tariffType: 'verlegd' });
+  });
+
+  after(teardown);
+
+  it('returns 409 instead of an invalid e-invoice when reverse charge lacks a BTW number', async () => {
+    const res = await request(app)
+      .get(`/api/invoices/${invoice.invoiceId}/ubl`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /BTW-nummer van ZZP own/);
+  });
+
+  it('carries the addresses and BTW numbers set on the parties', async () => {
+    const auth = bearer(own.company.user);
+    const settings = await request(app)
+      .put(`/api/zzp-users/${own.zzp.zzpId}/payment-settings`)
+      .set('Authorization', auth)
+      .send({ btwNumber: 'NL123456789B01', streetAddress: 'Kerkstraat 1', postalCode: '1234ab', city: 'Utrecht' });
+    assert.equal(settings.status, 200);
+    assert.equal(settings.body.postal_code, '1234 AB');
+
+    const res = await request(app)
+      .get(`/api/invoices/${invoice.invoiceId}/ubl`)
+      .set('Authorization', auth);
+    assert.equal(res.status, 200);
+
+    const root = parseXml(res.text);
+    const supplier = findElement(root, 'AccountingSupplierParty/Party');
+    assert.equal(findText(supplier, 'PartyName/Name'), 'ZZP own');
+    assert.equal(findText(supplier, 'PostalAddress/PostalZone'), '1234 AB');
+    assert.equal(findText(supplier, 'PartyTaxScheme/CompanyID'), 'NL123456789B01');
+    assert.equal(findText(root, 'AccountingCustomerParty/Party/PartyName/Name'), 'Bedrijf own');
+    assert.equal(findText(root, 'TaxTotal/TaxSubtotal/TaxCategory/ID'), 'AE');
+  });
+
+  it('rejects a postcode that is not Dutch', async () => {
+    const res = await request(app)
+      .put(`/api/zzp-users/${own.zzp.zzpId}/payment-settings`)
+      .set('Authorization', bearer(own.company.user))
+      .send({ postalCode: 'SW1A 1AA' });
+    assert.equal(res.status, 400);
+  });
+});
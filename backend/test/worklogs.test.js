@@ -0,0 +1,153 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('worklogs router', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('refuses to list another company\'s worklogs', async () => {
+    const res = await request(app)
+      .get(`/api/worklogs?companyId=${other.company.companyId}`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 403);
+  });
+
+  it('leaves other tenants out of the own list', async () => {
+    const res = await request(app)
+      .get('/api/worklogs')
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.items.every(worklog => worklog.company_id === own.company.companyId));
+  });
+
+  it('rejects an invalid date filter with a 400', async () => {
+    const auth = bearer(own.company.user);
+    for (const filter of ['fromDate=garbage', 'toDate=2026-02-30']) {
+      const res = await request(app).get(`/api/worklogs?${filter}`).set('Authorization', auth);
+      assert.equal(res.status, 400, filter);
+    }
+
+    const valid = await request(app).get('/api/worklogs?fromDate=2026-01-01&toDate=2026-12-31').set('Authorization', auth);
+    assert.equal(valid.status, 200);
+  });
+
+  it('hides another company\'s worklog behind a 404', async () => {
+    for (const user of [own.company.user, own.zzp.user]) {
+      const res = await request(app)
+        .get(`/api/worklogs/${other.worklogId}`)
+        .set('Authorization', bearer(user));
+      assert.equal(res.status, 404);
+    }
+  });
+
+  it('refuses to create worklogs for another company', async () => {
+    const res = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', bearer(own.company.user))
+      .send({
+        companyId: other.company.companyId,
+        zzpId: other.zzp.zzpId,
+        workDate: '2026-03-03',
+        tariffType: 'uur',
+        quantity: 1
+      });
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses to change or delete another company\'s worklog', async () => {
+    const auth = bearer(own.company.user);
+    const body = { notes: 'overgenomen' };
+
+    assert.equal((await request(app).put(`/api/worklogs/${other.worklogId}`).set('Authorization', auth).send(body)).status, 404);
+    assert.equal((await request(app).patch(`/api/worklogs/${other.worklogId}`).set('Authorization', auth).send(body)).status, 404);
+    assert.equal((await request(app).delete(`/api/worklogs/${other.worklogId}`).set('Authorization', auth)).status, 404);
+  });
+
+  it('refuses write access to ZZP users', async () => {
+    const res = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', bearer(own.zzp.user))
+      .send({});
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects a malformed id with a 400', async () => {
+    const auth = bearer(other.company.user);
+
+    assert.equal((await request(app).get('/api/worklogs/not-a-uuid').set('Authorization', auth)).status, 400);
+    assert.equal((await request(app).patch('/api/worklogs/not-a-uuid').set('Authorization', auth).send({ notes: 'x' })).status, 400);
+    assert.equal((await request(app).delete('/api/worklogs/not-a-uuid').set('Authorization', auth)).status, 400);
+  });
+
+  it('keeps worklogs of an invoiced period locked', async () => {
+    const auth = bearer(other.company.user);
+
+    const patch = await request(app)
+      .patch(`/api/worklogs/${other.worklogId}`)
+      .set('Authorization', auth)
+      .send({ quantity: 1 });
+    assert.equal(patch.status, 409);
+
+    const del = await request(app).delete(`/api/worklogs/${other.worklogId}`).set('Authorization', auth);
+    assert.equal(del.status, 409);
+  });
+
+  it('refuses new worklogs in an invoiced period', async () => {
+    const auth = bearer(other.company.user);
+    const worklog = { zzpId: other.zzp.zzpId, workDate: '2026-03-02', tariffType: 'uur', quantity: 2 };
+
+    const created = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', auth)
+      .send({ companyId: other.company.companyId, ...worklog });
+    assert.equal(created.status, 409);
+
+    const bulk = await request(app).post('/api/worklogs/bulk').set('Authorization', auth).send([worklog]);
+    assert.equal(bulk.status, 400);
+    assert.equal(bulk.body.errors[0].row, 1);
+  });
+
+  it('rejects an impossible work date with a 400', async () => {
+    const auth = bearer(own.company.user);
+    const worklog = { companyId: own.company.companyId, zzpId: own.zzp.zzpId, workDate: '2026-03-04', tariffType: 'uur', quantity: 8 };
+
+    const created = await request(app).post('/api/worklogs').set('Authorization', auth).send(worklog);
+    assert.equal(created.status, 201);
+
+    const invalid = { ...worklog, workDate: '2026-02-30' };
+    assert.equal((await request(app).post('/api/worklogs').set('Authorization', auth).send(invalid)).status, 400);
+    assert.equal((await request(app).post('/api/worklogs/bulk').set('Authorization', auth).send([invalid])).status, 400);
+    assert.equal((await request(app).put(`/api/worklogs/${created.body.id}`).set('Authorization', auth).send(invalid)).status, 400);
+    assert.equal((await request(app).patch(`/api/worklogs/${created.body.id}`).set('Authorization', auth).send({ workDate: '2026-02-30' })).status, 400);
+  });
+
+  it('updates and deletes a worklog of an open period', async () => {
+    const auth = bearer(own.company.user);
+
+    const created = await request(app)
+      .post('/api/worklogs')
+      .set('Authorization', auth)
+      .send({ companyId: own.company.companyId, zzpId: own.zzp.zzpId, workDate: '2026-03-03', tariffType: 'uur', quantity: 8 });
+    assert.equal(created.status, 201);
+
+    const patch = await request(app)
+      .patch(`/api/worklogs/${created.body.id}`)
+      .set('Authorization', auth)
+      .send({ quantity: 6 });
+    assert.equal(patch.status, 200);
+    assert.equal(Number(patch.body.quantity), 6);
+
+    const del = await request(app).delete(`/api/worklogs/${created.body.id}`).set('Authorization', auth);
+    assert.equal(del.status, 204);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { skipWithoutDatabase, resetDatabase, teardown, bearer, createTenants } from './helpers.js';
+import app from '../src/app.js';
+
+describe('zzp-users router: tenant isolation', { skip: skipWithoutDatabase }, () => {
+  let own;
+  let other;
+
+  before(async () => {
+    await resetDatabase();
+    ({ own, other } = await createTenants());
+  });
+
+  after(teardown);
+
+  it('refuses to list the ZZP users of another company', async () => {
+    const res = await request(app)
+      .get(`/api/zzp-users?companyId=${other.company.companyId}`)
+      .set('Authorization', bearer(own.company.user));
+    assert.equal(res.status, 403);
+  });
+
+  it('hides another company\'s ZZP user behind a 404', async () => {
+    for (const user of [own.company.user, own.zzp.user]) {
+      const res = await request(app)
+        .get(`/api/zzp-users/${other.zzp.zzpId}`)
+        .set('Authorization', bearer(user));
+      assert.equal(res.status, 404);
+    }
+  });
+
+  it('refuses to add a ZZP user to another company', async () => {
+    const res = await request(app)
+      .post('/api/zzp-users')
+      .set('Authorization', bearer(own.company.user))
+      .send({ companyId: other.company.companyId, full_name: 'Indringer' });
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses to change or delete another company\'s ZZP user', async () => {
+    const id = other.zzp.zzpId;
+
+    for (const user of [own.company.user, own.zzp.user]) {
+      const auth = bearer(user);
+      const res = await request(app)
+        .put(`/api/zzp-users/${id}/payment-settings`)
+        .set('Authorization', auth)
+        .send({ paymentTermDays: 60 });
+      assert.ok([403, 404].includes(res.status), `payment-settings returned ${res.status}`);
+    }
+
+    const auth = bearer(own.company.user);
+    const put = await request(app)
+      .put(`/api/zzp-users/${id}`)
+      .set('Authorization', auth)
+      .send({ companyId: own.company.companyId, full_name: 'Overgenomen' });
+    assert.equal(put.status, 404);
+    const del = await request(app).delete(`/api/zzp-users/${id}`).set('Authorization', auth);
+    assert.ok([403, 404].includes(del.status), `DELETE returned ${del.status}`);
+  });
+});
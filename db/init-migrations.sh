@@ -0,0 +1,10 @@
+#!/bin/bash
+# Smart ZZP Hub - Apply migrations during Docker database initialization
+# Runs from /docker-entrypoint-initdb.d after schema.sql and before seed.sql
+
+set -e
+
+for migration in $(ls /migrations/*.sql | sort); do
+    echo "Applying migration $(basename "$migration")"
+    psql -v ON_ERROR_STOP=1 --username "$POSTGRES_USER" --dbname "$POSTGRES_DB" -q -f "$migration"
+done
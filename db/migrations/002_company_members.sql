@@ -0,0 +1,44 @@
+-- Smart ZZP Hub - Company Members Migration
+-- Version: 002
+-- Description: Multiple users per company with roles, plus invitations
+
+BEGIN;
+
+-- Company members table
+-- Links user accounts to a company with a role (owner, admin, planner, bookkeeper, viewer)
+CREATE TABLE IF NOT EXISTS company_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'planner', 'bookkeeper', 'viewer')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (company_id, user_id)
+);
+
+-- Company invites table
+-- Pending invitations; only the SHA-256 hash of the invite token is stored
+CREATE TABLE IF NOT EXISTS company_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('admin', 'planner', 'bookkeeper', 'viewer')),
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_members_user_id ON company_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_company_members_company_id ON company_members(company_id);
+CREATE INDEX IF NOT EXISTS idx_company_invites_company_id ON company_invites(company_id);
+
+-- Existing company accounts become the owner of their company
+INSERT INTO company_members (company_id, user_id, role)
+SELECT c.id, c.user_id, 'owner'
+FROM companies c
+JOIN users u ON u.id = c.user_id
+WHERE u.user_type = 'company'
+ON CONFLICT (company_id, user_id) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- Smart ZZP Hub - Refresh Tokens Migration
+-- Version: 003
+-- Description: Server-side rotating refresh tokens for revocable sessions
+
+BEGIN;
+
+-- Refresh tokens table
+-- One row per issued refresh token; rotated tokens share a family_id (one login session).
+-- Only the SHA-256 hash of the token is stored.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    profile_id UUID,
+    family_id UUID NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+COMMIT;
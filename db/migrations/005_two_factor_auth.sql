@@ -0,0 +1,28 @@
+-- Smart ZZP Hub - Two-Factor Authentication Migration
+-- Version: 005
+-- Description: TOTP secrets, recovery codes and a per-company 2FA requirement
+
+BEGIN;
+
+-- TOTP secret (AES-256-GCM encrypted). Set during enrollment, active once totp_enabled_at is set.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+-- Last accepted time step, so a code cannot be used twice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Recovery codes table
+-- One-time codes for when the authenticator is unavailable. Only the SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Owners can require 2FA for every member of their company
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS require_2fa BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMIT;
@@ -0,0 +1,57 @@
+-- Smart ZZP Hub - Tariff Catalog Migration
+-- Version: 006
+-- Description: Per-company tariff catalog with optional prices per ZZP user
+
+BEGIN;
+
+-- Tariffs table
+-- Catalog of work types a company pays for. worklogs.tariff_type holds the tariff code.
+CREATE TABLE IF NOT EXISTS tariffs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    label TEXT NOT NULL,
+    unit TEXT NOT NULL,
+    default_price NUMERIC(10,2),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (company_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tariffs_company_id ON tariffs(company_id);
+
+-- ZZP tariff rates table
+-- Overrides the default price of a tariff for one ZZP user
+CREATE TABLE IF NOT EXISTS zzp_tariff_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tariff_id UUID NOT NULL REFERENCES tariffs(id) ON DELETE CASCADE,
+    zzp_id UUID NOT NULL REFERENCES zzp_users(id) ON DELETE CASCADE,
+    unit_price NUMERIC(10,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tariff_id, zzp_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_zzp_tariff_rates_zzp_id ON zzp_tariff_rates(zzp_id);
+
+-- Give existing companies the tariff types that used to be hard-coded
+INSERT INTO tariffs (company_id, code, label, unit)
+SELECT c.id, d.code, d.label, d.unit
+FROM companies c
+CROSS JOIN (VALUES
+    ('stop', 'Stop', 'stop'),
+    ('hour', 'Uur', 'uur'),
+    ('location', 'Locatie', 'locatie'),
+    ('point', 'Punt', 'punt'),
+    ('project', 'Project', 'project')
+) AS d(code, label, unit)
+ON CONFLICT (company_id, code) DO NOTHING;
+
+-- Keep existing worklogs valid when they use other tariff types
+INSERT INTO tariffs (company_id, code, label, unit)
+SELECT DISTINCT company_id, tariff_type, tariff_type, tariff_type
+FROM worklogs
+ON CONFLICT (company_id, code) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- Smart ZZP Hub - Statement Lifecycle Migration
+-- Version: 007
+-- Description: Restrict statement statuses and keep an audit trail of status changes
+
+BEGIN;
+
+-- Only known statuses are allowed
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'statements_status_check'
+    ) THEN
+        ALTER TABLE statements
+            ADD CONSTRAINT statements_status_check
+            CHECK (status IN ('open', 'approved', 'invoiced', 'paid'));
+    END IF;
+END $$;
+
+-- Statement history table
+-- One row per status change; from_status is NULL when the statement was created
+CREATE TABLE IF NOT EXISTS statement_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    statement_id UUID NOT NULL REFERENCES statements(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_statement_history_statement_id ON statement_history(statement_id);
+
+COMMIT;
@@ -0,0 +1,55 @@
+-- Smart ZZP Hub - Statement Lines Migration
+-- Version: 008
+-- Description: Snapshot of the worklogs behind a statement, so invoices match what was approved
+
+BEGIN;
+
+-- Statement lines table
+-- Copied from worklogs when a statement is generated or approved; never read from live worklogs afterwards
+CREATE TABLE IF NOT EXISTS statement_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    statement_id UUID NOT NULL REFERENCES statements(id) ON DELETE CASCADE,
+    worklog_id UUID REFERENCES worklogs(id) ON DELETE SET NULL,
+    position INT NOT NULL,
+    work_date DATE NOT NULL,
+    tariff_type TEXT NOT NULL,
+    tariff_label TEXT,
+    unit TEXT,
+    quantity NUMERIC NOT NULL,
+    unit_price NUMERIC NOT NULL,
+    line_total NUMERIC(12,2) NOT NULL,
+    currency TEXT DEFAULT 'EUR',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_statement_lines_statement_id ON statement_lines(statement_id);
+
+-- Snapshot the current worklogs of existing statements
+INSERT INTO statement_lines (
+    statement_id, worklog_id, position, work_date, tariff_type, tariff_label, unit,
+    quantity, unit_price, line_total, currency, notes
+)
+SELECT
+    s.id,
+    w.id,
+    ROW_NUMBER() OVER (PARTITION BY s.id ORDER BY w.work_date, w.created_at),
+    w.work_date,
+    w.tariff_type,
+    t.label,
+    t.unit,
+    w.quantity,
+    w.unit_price,
+    ROUND(w.quantity * w.unit_price, 2),
+    w.currency,
+    w.notes
+FROM statements s
+JOIN worklogs w
+    ON w.company_id = s.company_id
+   AND w.zzp_id = s.zzp_id
+   AND EXTRACT(ISOYEAR FROM w.work_date) = s.year
+   AND EXTRACT(WEEK FROM w.work_date) = s.week_number
+LEFT JOIN tariffs t ON t.company_id = w.company_id AND t.code = w.tariff_type
+WHERE NOT EXISTS (SELECT 1 FROM statement_lines l WHERE l.statement_id = s.id);
+
+COMMIT;
@@ -0,0 +1,44 @@
+-- Smart ZZP Hub - Statement Periods Migration
+-- Version: 009
+-- Description: Statements per week, 4-week period, month or custom date range
+
+BEGIN;
+
+ALTER TABLE statements ADD COLUMN IF NOT EXISTS period_type TEXT NOT NULL DEFAULT 'week';
+ALTER TABLE statements ADD COLUMN IF NOT EXISTS period_start DATE;
+ALTER TABLE statements ADD COLUMN IF NOT EXISTS period_end DATE;
+
+-- Existing statements are ISO weeks (Monday to Sunday)
+UPDATE statements
+SET period_start = to_date(year || '-' || week_number || '-1', 'IYYY-IW-ID'),
+    period_end = to_date(year || '-' || week_number || '-1', 'IYYY-IW-ID') + 6
+WHERE period_start IS NULL;
+
+ALTER TABLE statements ALTER COLUMN period_start SET NOT NULL;
+ALTER TABLE statements ALTER COLUMN period_end SET NOT NULL;
+
+-- Only week statements have a week number
+ALTER TABLE statements ALTER COLUMN week_number DROP NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'statements_period_type_check'
+    ) THEN
+        ALTER TABLE statements
+            ADD CONSTRAINT statements_period_type_check
+            CHECK (period_type IN ('week', 'four_week', 'month', 'custom'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'statements_period_range_check'
+    ) THEN
+        ALTER TABLE statements
+            ADD CONSTRAINT statements_period_range_check
+            CHECK (period_end >= period_start);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_statements_zzp_period ON statements(zzp_id, period_start, period_end);
+
+COMMIT;
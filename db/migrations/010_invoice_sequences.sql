@@ -0,0 +1,54 @@
+-- Smart ZZP Hub - Invoice Sequences Migration
+-- Version: 010
+-- Description: Gapless invoice numbering per company with a configurable prefix and format
+
+BEGIN;
+
+-- Invoice number settings per company
+-- Format tokens: {prefix}, {year}, {seq} or {seq:N} (zero padded to N digits)
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS invoice_prefix TEXT NOT NULL DEFAULT 'FACT';
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS invoice_number_format TEXT NOT NULL DEFAULT '{prefix}-{year}-{seq:4}';
+
+-- Invoices belong to the issuing company; numbers are unique per company
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE CASCADE;
+
+UPDATE invoices i
+SET company_id = s.company_id
+FROM statements s
+WHERE i.statement_id = s.id AND i.company_id IS NULL;
+
+ALTER TABLE invoices ALTER COLUMN company_id SET NOT NULL;
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_invoice_number_key;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'invoices_company_invoice_number_key'
+    ) THEN
+        ALTER TABLE invoices
+            ADD CONSTRAINT invoices_company_invoice_number_key UNIQUE (company_id, invoice_number);
+    END IF;
+END $$;
+
+-- Invoice sequences table
+-- Last issued number per company and year (year 0 when the format has no {year})
+-- The row is locked by the increment until the invoice is committed, so numbers are gapless.
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    year INT NOT NULL,
+    last_value INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (company_id, year)
+);
+
+-- Continue after the highest existing FACT-{year}-{seq} number of each company
+INSERT INTO invoice_sequences (company_id, year, last_value)
+SELECT company_id,
+       split_part(invoice_number, '-', 2)::int,
+       MAX(split_part(invoice_number, '-', 3)::int)
+FROM invoices
+WHERE invoice_number ~ '^FACT-[0-9]{4}-[0-9]+$'
+GROUP BY company_id, split_part(invoice_number, '-', 2)::int
+ON CONFLICT (company_id, year) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Smart ZZP Hub - Invoice Files Migration
+-- Version: 011
+-- Description: Keep the generated PDF of each invoice in file storage
+
+BEGIN;
+
+-- Storage key of the original PDF, with size and checksum
+-- file_url holds the download path (/api/invoices/:id/pdf)
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS file_key TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS file_size INT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS file_sha256 TEXT;
+
+COMMIT;
@@ -0,0 +1,71 @@
+-- Smart ZZP Hub - Credit Notes Migration
+-- Version: 012
+-- Description: Credit notes (creditnota's) that correct issued invoices, with their own number series
+
+BEGIN;
+
+-- Invoice amounts, so credit notes can be limited to what was invoiced
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS subtotal NUMERIC(12,2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS btw_amount NUMERIC(12,2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS total NUMERIC(12,2);
+
+UPDATE invoices i
+SET subtotal = t.subtotal,
+    btw_amount = ROUND(t.subtotal * 0.21, 2),
+    total = t.subtotal + ROUND(t.subtotal * 0.21, 2)
+FROM (
+    SELECT statement_id, COALESCE(SUM(line_total), 0) AS subtotal
+    FROM statement_lines
+    GROUP BY statement_id
+) t
+WHERE t.statement_id = i.statement_id AND i.subtotal IS NULL;
+
+UPDATE invoices SET subtotal = 0, btw_amount = 0, total = 0 WHERE subtotal IS NULL;
+
+-- Number series: invoices and credit notes are numbered separately
+ALTER TABLE invoice_sequences ADD COLUMN IF NOT EXISTS series TEXT NOT NULL DEFAULT 'invoice';
+ALTER TABLE invoice_sequences DROP CONSTRAINT IF EXISTS invoice_sequences_pkey;
+ALTER TABLE invoice_sequences ADD PRIMARY KEY (company_id, series, year);
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS credit_note_prefix TEXT NOT NULL DEFAULT 'CRED';
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS credit_note_number_format TEXT NOT NULL DEFAULT '{prefix}-{year}-{seq:4}';
+
+-- Credit notes table
+-- Amounts are negative; issue_date decides the BTW period
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    credit_note_number TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    subtotal NUMERIC(12,2) NOT NULL CHECK (subtotal < 0),
+    btw_amount NUMERIC(12,2) NOT NULL,
+    total NUMERIC(12,2) NOT NULL,
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    file_url TEXT,
+    file_key TEXT,
+    file_size INT,
+    file_sha256 TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (company_id, credit_note_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice_id ON credit_notes(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_company_issue_date ON credit_notes(company_id, issue_date);
+
+-- Credit note lines table
+CREATE TABLE IF NOT EXISTS credit_note_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+    position INT NOT NULL,
+    work_date DATE,
+    description TEXT NOT NULL,
+    quantity NUMERIC NOT NULL,
+    unit_price NUMERIC NOT NULL,
+    line_total NUMERIC(12,2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_note_lines_credit_note_id ON credit_note_lines(credit_note_id);
+
+COMMIT;
@@ -0,0 +1,9 @@
+-- Smart ZZP Hub - Invoice List Indexes Migration
+-- Version: 013
+-- Description: Indexes for listing and searching invoices per company
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_company_created_at ON invoices(company_id, created_at DESC);
+
+COMMIT;
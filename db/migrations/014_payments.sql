@@ -0,0 +1,44 @@
+-- Smart ZZP Hub - Payments Migration
+-- Version: 014
+-- Description: Register (partial) payments against invoices
+
+BEGIN;
+
+-- Payments table
+-- Amounts include BTW; an invoice is settled when its payments cover the total minus credit notes
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    payment_date DATE NOT NULL,
+    method TEXT NOT NULL DEFAULT 'bank_transfer'
+        CHECK (method IN ('bank_transfer', 'ideal', 'card', 'cash', 'other')),
+    reference TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_payments_company_payment_date ON payments(company_id, payment_date);
+
+-- Statements marked paid by hand get one payment for the open amount,
+-- dated on the day they were marked paid
+INSERT INTO payments (invoice_id, company_id, amount, payment_date, method, reference)
+SELECT i.id,
+       i.company_id,
+       i.total + COALESCE((SELECT SUM(cn.total) FROM credit_notes cn WHERE cn.invoice_id = i.id), 0),
+       COALESCE(
+           (SELECT MAX(h.created_at)::date FROM statement_history h
+            WHERE h.statement_id = s.id AND h.to_status = 'paid'),
+           i.created_at::date
+       ),
+       'other',
+       'Handmatig als betaald gemarkeerd'
+FROM invoices i
+JOIN statements s ON i.statement_id = s.id
+WHERE s.status = 'paid'
+  AND i.total + COALESCE((SELECT SUM(cn.total) FROM credit_notes cn WHERE cn.invoice_id = i.id), 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.invoice_id = i.id);
+
+COMMIT;
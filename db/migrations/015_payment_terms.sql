@@ -0,0 +1,47 @@
+-- Smart ZZP Hub - Payment Terms Migration
+-- Version: 015
+-- Description: Payment terms per company and per ZZP user, IBAN for payment instructions and invoice due dates
+
+BEGIN;
+
+-- Default payment term of a company, in days
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS payment_term_days INT NOT NULL DEFAULT 14;
+
+-- Payment term agreed with one ZZP user (NULL uses the company default) and the account invoices are paid to
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS payment_term_days INT;
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS iban TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'companies_payment_term_days_check'
+    ) THEN
+        ALTER TABLE companies
+            ADD CONSTRAINT companies_payment_term_days_check
+            CHECK (payment_term_days BETWEEN 0 AND 365);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'zzp_users_payment_term_days_check'
+    ) THEN
+        ALTER TABLE zzp_users
+            ADD CONSTRAINT zzp_users_payment_term_days_check
+            CHECK (payment_term_days IS NULL OR payment_term_days BETWEEN 0 AND 365);
+    END IF;
+END $$;
+
+-- Due date, fixed when the invoice is created
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS due_date DATE;
+
+UPDATE invoices i
+SET due_date = i.created_at::date + COALESCE(z.payment_term_days, c.payment_term_days)
+FROM statements s
+JOIN zzp_users z ON s.zzp_id = z.id
+JOIN companies c ON s.company_id = c.id
+WHERE s.id = i.statement_id AND i.due_date IS NULL;
+
+ALTER TABLE invoices ALTER COLUMN due_date SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_company_due_date ON invoices(company_id, due_date);
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Smart ZZP Hub - Payment Reminders Migration
+-- Version: 016
+-- Description: Log of payment reminders sent for overdue invoices
+
+BEGIN;
+
+-- Reminders sent per invoice
+-- level: 1 = friendly reminder, 2 = second reminder, 3 = formal notice with statutory interest.
+-- One row per level and invoice, so a reminder job that runs twice never sends a level twice.
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    level INT NOT NULL CHECK (level BETWEEN 1 AND 3),
+    reminder_date DATE NOT NULL,
+    days_overdue INT NOT NULL,
+    open_balance NUMERIC(12,2) NOT NULL,
+    interest_rate NUMERIC(5,2),
+    interest_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+    recipient TEXT NOT NULL,
+    message_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (invoice_id, level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_reminders_company_id ON invoice_reminders(company_id);
+
+COMMIT;
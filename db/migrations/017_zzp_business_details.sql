@@ -0,0 +1,10 @@
+-- Smart ZZP Hub - ZZP Business Details Migration
+-- Version: 017
+-- Description: KVK and BTW number of ZZP users, needed as seller details on UBL e-invoices
+
+BEGIN;
+
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS kvk_number TEXT;
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS btw_number TEXT;
+
+COMMIT;
@@ -0,0 +1,38 @@
+-- Smart ZZP Hub - Expense Imports Migration
+-- Version: 018
+-- Description: Import supplier invoices (UBL) as expenses, with the original file as attachment
+
+BEGIN;
+
+-- One row per imported supplier invoice
+-- supplier_key is the VAT number, KVK number or name of the supplier; a supplier invoice
+-- can only be imported once per ZZP user.
+CREATE TABLE IF NOT EXISTS expense_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    zzp_id UUID NOT NULL REFERENCES zzp_users(id) ON DELETE CASCADE,
+    supplier_key TEXT NOT NULL,
+    supplier_name TEXT NOT NULL,
+    supplier_vat_number TEXT,
+    invoice_number TEXT NOT NULL,
+    invoice_date DATE NOT NULL,
+    net_amount NUMERIC(12,2) NOT NULL,
+    vat_amount NUMERIC(12,2) NOT NULL,
+    total_amount NUMERIC(12,2) NOT NULL,
+    file_name TEXT,
+    file_key TEXT,
+    file_size INT,
+    file_sha256 TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (zzp_id, supplier_key, invoice_number)
+);
+
+-- Expenses created from an import, one per VAT rate on the supplier invoice
+-- amount stays the amount excluding BTW; btw_amount and btw_rate are the figures on the invoice
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES expense_imports(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS btw_amount NUMERIC(10,2);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS btw_rate NUMERIC(5,2);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_import_id ON expenses(import_id);
+
+COMMIT;
@@ -0,0 +1,55 @@
+-- Smart ZZP Hub - BTW Codes Migration
+-- Version: 019
+-- Description: BTW code per tariff, worklog, statement line and expense; BTW breakdown per rate on invoices
+
+BEGIN;
+
+-- BTW codes: standard (21%), reduced (9%), zero (0%), exempt (vrijgesteld), reverse_charge (BTW verlegd)
+ALTER TABLE tariffs ADD COLUMN IF NOT EXISTS vat_code TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE worklogs ADD COLUMN IF NOT EXISTS vat_code TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE statement_lines ADD COLUMN IF NOT EXISTS vat_code TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE credit_note_lines ADD COLUMN IF NOT EXISTS vat_code TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS vat_code TEXT NOT NULL DEFAULT 'standard';
+
+DO $$
+DECLARE
+    target TEXT;
+BEGIN
+    FOREACH target IN ARRAY ARRAY['tariffs', 'worklogs', 'statement_lines', 'credit_note_lines', 'expenses'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_constraint WHERE conname = target || '_vat_code_check'
+        ) THEN
+            EXECUTE format(
+                'ALTER TABLE %I ADD CONSTRAINT %I CHECK (vat_code IN (''standard'', ''reduced'', ''zero'', ''exempt'', ''reverse_charge''))',
+                target,
+                target || '_vat_code_check'
+            );
+        END IF;
+    END LOOP;
+END $$;
+
+-- Imported supplier invoices already carry their rate
+UPDATE expenses SET vat_code = 'reduced' WHERE btw_rate = 9;
+UPDATE expenses SET vat_code = 'zero' WHERE btw_rate = 0;
+
+-- BTW per code as printed on the document: [{ "vatCode", "rate", "subtotal", "btw" }]
+-- Documents issued so far were all at 21%
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS vat_breakdown JSONB;
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS vat_breakdown JSONB;
+
+UPDATE invoices
+SET vat_breakdown = jsonb_build_array(jsonb_build_object(
+    'vatCode', 'standard', 'rate', 21, 'subtotal', subtotal, 'btw', btw_amount
+))
+WHERE vat_breakdown IS NULL;
+
+UPDATE credit_notes
+SET vat_breakdown = jsonb_build_array(jsonb_build_object(
+    'vatCode', 'standard', 'rate', 21, 'subtotal', subtotal, 'btw', btw_amount
+))
+WHERE vat_breakdown IS NULL;
+
+ALTER TABLE invoices ALTER COLUMN vat_breakdown SET NOT NULL;
+ALTER TABLE credit_notes ALTER COLUMN vat_breakdown SET NOT NULL;
+
+COMMIT;
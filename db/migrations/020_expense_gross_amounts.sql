@@ -0,0 +1,38 @@
+-- Smart ZZP Hub - Expense Gross Amounts Migration
+-- Version: 020
+-- Description: Expenses as on the receipt: gross amount, BTW amount and rate, and the deductible share of the BTW
+
+BEGIN;
+
+-- amount stays the amount excluding BTW (gross_amount - btw_amount)
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS gross_amount NUMERIC(12,2);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS deductible_percent NUMERIC(5,2) NOT NULL DEFAULT 100;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'expenses_deductible_percent_check'
+    ) THEN
+        ALTER TABLE expenses
+            ADD CONSTRAINT expenses_deductible_percent_check CHECK (deductible_percent >= 0 AND deductible_percent <= 100);
+    END IF;
+END $$;
+
+-- Expenses recorded so far were amounts excluding BTW with BTW at the rate of their code on top
+UPDATE expenses
+SET btw_rate = CASE vat_code WHEN 'standard' THEN 21 WHEN 'reduced' THEN 9 ELSE 0 END
+WHERE btw_rate IS NULL;
+
+UPDATE expenses
+SET btw_amount = ROUND(amount * btw_rate / 100, 2)
+WHERE btw_amount IS NULL;
+
+UPDATE expenses
+SET gross_amount = amount + btw_amount
+WHERE gross_amount IS NULL;
+
+ALTER TABLE expenses ALTER COLUMN gross_amount SET NOT NULL;
+ALTER TABLE expenses ALTER COLUMN btw_amount SET NOT NULL;
+ALTER TABLE expenses ALTER COLUMN btw_rate SET NOT NULL;
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Smart ZZP Hub - BTW Return Migration
+-- Version: 021
+-- Description: Supplier country of expenses and manual corrections (private use) for the BTW return
+
+BEGIN;
+
+-- Country of the supplier (ISO 3166 alpha-2); decides between rubriek 2a, 4a and 4b for reverse charge purchases
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS supplier_country TEXT NOT NULL DEFAULT 'NL';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'expenses_supplier_country_check'
+    ) THEN
+        ALTER TABLE expenses
+            ADD CONSTRAINT expenses_supplier_country_check CHECK (supplier_country ~ '^[A-Z]{2}$');
+    END IF;
+END $$;
+
+-- Corrections entered by hand, counted in the period of their date
+-- rubriek 1d: private use (privégebruik) of goods and services of the business
+-- Belongs to either a ZZP user or a company, like the BTW scopes.
+CREATE TABLE IF NOT EXISTS btw_corrections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    zzp_id UUID REFERENCES zzp_users(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    correction_date DATE NOT NULL,
+    rubriek TEXT NOT NULL CHECK (rubriek IN ('1d')),
+    amount NUMERIC(12,2) NOT NULL,
+    btw_amount NUMERIC(12,2) NOT NULL,
+    description TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((zzp_id IS NULL) <> (company_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_btw_corrections_zzp_id ON btw_corrections(zzp_id, correction_date);
+CREATE INDEX IF NOT EXISTS idx_btw_corrections_company_id ON btw_corrections(company_id, correction_date);
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Smart ZZP Hub - BTW Filings Migration
+-- Version: 022
+-- Description: Filed BTW returns with a snapshot of the submitted rubrieken, and supplementary returns (suppletie)
+
+BEGIN;
+
+-- kind 'aangifte': the return of a period; locks the period for later mutations
+-- kind 'suppletie': a supplementary return for a filed period (parent_id), with the figures after the correction
+-- Belongs to either a ZZP user or a company, like the BTW scopes.
+CREATE TABLE IF NOT EXISTS btw_filings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    zzp_id UUID REFERENCES zzp_users(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('aangifte', 'suppletie')),
+    parent_id UUID REFERENCES btw_filings(id) ON DELETE CASCADE,
+    period TEXT NOT NULL CHECK (period IN ('month', 'quarter', 'year')),
+    year INTEGER NOT NULL,
+    period_value INTEGER,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    rubrieken JSONB NOT NULL,
+    exact JSONB NOT NULL,
+    exempt NUMERIC(12,2) NOT NULL DEFAULT 0,
+    filed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    filed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Set when data of a filed period is changed afterwards; cleared by a suppletie
+    corrected_at TIMESTAMP WITH TIME ZONE,
+    CHECK ((zzp_id IS NULL) <> (company_id IS NULL)),
+    CHECK ((kind = 'aangifte') = (parent_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_btw_filings_zzp_id ON btw_filings(zzp_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_btw_filings_company_id ON btw_filings(company_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_btw_filings_parent_id ON btw_filings(parent_id);
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Smart ZZP Hub - VAT Regime Migration
+-- Version: 023
+-- Description: BTW regime per ZZP user (kleineondernemersregeling) and the regime an invoice was issued under
+
+BEGIN;
+
+-- standard: BTW per code of the work; kor: kleineondernemersregeling, no BTW charged and no voorbelasting
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS vat_regime TEXT NOT NULL DEFAULT 'standard';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'zzp_users_vat_regime_check'
+    ) THEN
+        ALTER TABLE zzp_users
+            ADD CONSTRAINT zzp_users_vat_regime_check CHECK (vat_regime IN ('standard', 'kor'));
+    END IF;
+END $$;
+
+-- Regime of the ZZP user when the invoice was generated; decides the exemption text on the invoice
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS vat_regime TEXT NOT NULL DEFAULT 'standard';
+
+COMMIT;
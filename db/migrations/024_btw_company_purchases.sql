@@ -0,0 +1,14 @@
+-- Smart ZZP Hub - Company BTW Scope Migration
+-- Version: 024
+-- Description: Own sales of a company as manual BTW corrections
+-- In the company scope the invoices of ZZP users are purchases (voorbelasting); the company's
+-- own sales are not in the app and are entered by hand in rubriek 1a, 1b or 1e.
+
+BEGIN;
+
+-- rubriek 1a: sales at 21%, 1b: sales at 9%, 1d: private use, 1e: sales at 0% or not taxed here
+ALTER TABLE btw_corrections DROP CONSTRAINT IF EXISTS btw_corrections_rubriek_check;
+ALTER TABLE btw_corrections
+    ADD CONSTRAINT btw_corrections_rubriek_check CHECK (rubriek IN ('1a', '1b', '1d', '1e'));
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Smart ZZP Hub - Party Addresses Migration
+-- Version: 025
+-- Description: Postal address of companies and ZZP users
+-- Peppol e-invoices of Dutch suppliers must carry the street, postcode and city of the
+-- supplier and of a Dutch customer (rules NL-R-002 and NL-R-004). Addresses are in the Netherlands.
+
+BEGIN;
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS street_address TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS postal_code TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS city TEXT;
+
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS street_address TEXT;
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS postal_code TEXT;
+ALTER TABLE zzp_users ADD COLUMN IF NOT EXISTS city TEXT;
+
+COMMIT;
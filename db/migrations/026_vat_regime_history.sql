@@ -0,0 +1,26 @@
+-- Smart ZZP Hub - VAT Regime History Migration
+-- Version: 026
+-- Description: The BTW regime of a ZZP user applies from a date
+-- BTW reports take the regime on the date of each transaction, so a change of regime does not
+-- rewrite the periods before it. zzp_users.vat_regime stays the regime of today.
+
+BEGIN;
+
+-- One row per change; without rows the regime is standard
+CREATE TABLE IF NOT EXISTS zzp_vat_regimes (
+    zzp_id UUID NOT NULL REFERENCES zzp_users(id) ON DELETE CASCADE,
+    valid_from DATE NOT NULL,
+    vat_regime TEXT NOT NULL CHECK (vat_regime IN ('standard', 'kor')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (zzp_id, valid_from)
+);
+
+-- The regime in use so far has no start date: keep it for all earlier periods
+INSERT INTO zzp_vat_regimes (zzp_id, valid_from, vat_regime)
+SELECT id, '-infinity'::date, vat_regime
+FROM zzp_users
+WHERE vat_regime <> 'standard'
+ON CONFLICT (zzp_id, valid_from) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,58 @@
+-- Smart ZZP Hub - Credited Invoices Migration
+-- Version: 027
+-- Description: A fully credited invoice releases its statement, so the work can be invoiced again
+-- The statement goes back to open and can get a new invoice. The credited invoice keeps the lines
+-- it was issued with: statement lines are tagged with their invoice when it is generated.
+
+BEGIN;
+
+-- Set once credit notes cover the whole invoice
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credited_at TIMESTAMP WITH TIME ZONE;
+
+-- Lines of an issued invoice; lines without invoice are the current snapshot of an open or approved statement
+ALTER TABLE statement_lines ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_statement_lines_invoice_id ON statement_lines(invoice_id);
+
+UPDATE statement_lines l
+SET invoice_id = i.id
+FROM invoices i
+WHERE i.statement_id = l.statement_id AND l.invoice_id IS NULL;
+
+UPDATE invoices i
+SET credited_at = cn.last_issued_at
+FROM (
+    SELECT invoice_id, SUM(subtotal) AS subtotal, MAX(created_at) AS last_issued_at
+    FROM credit_notes
+    GROUP BY invoice_id
+) cn
+WHERE cn.invoice_id = i.id AND i.subtotal + cn.subtotal <= 0 AND i.credited_at IS NULL;
+
+-- A statement has one invoice that is not credited
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_statement_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_statement_id_not_credited
+    ON invoices(statement_id) WHERE credited_at IS NULL;
+
+-- Release the statements of invoices credited so far, with a copy of their lines as current snapshot
+INSERT INTO statement_lines (
+    statement_id, worklog_id, position, work_date, tariff_type, tariff_label, unit,
+    quantity, unit_price, line_total, vat_code, currency, notes
+)
+SELECT l.statement_id, l.worklog_id, l.position, l.work_date, l.tariff_type, l.tariff_label, l.unit,
+       l.quantity, l.unit_price, l.line_total, l.vat_code, l.currency, l.notes
+FROM statement_lines l
+JOIN invoices i ON i.id = l.invoice_id
+JOIN statements s ON s.id = i.statement_id
+WHERE i.credited_at IS NOT NULL AND s.status IN ('invoiced', 'paid');
+
+INSERT INTO statement_history (statement_id, from_status, to_status, comment)
+SELECT s.id, s.status, 'open', 'Factuur ' || i.invoice_number || ' volledig gecrediteerd'
+FROM statements s
+JOIN invoices i ON i.statement_id = s.id
+WHERE i.credited_at IS NOT NULL AND s.status IN ('invoiced', 'paid');
+
+UPDATE statements s
+SET status = 'open'
+FROM invoices i
+WHERE i.statement_id = s.id AND i.credited_at IS NOT NULL AND s.status IN ('invoiced', 'paid');
+
+COMMIT;
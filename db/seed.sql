@@ -3,23 +3,25 @@
 -- DO NOT apply this in production
 
 -- Test user (password: 'test123' - bcrypt hashed)
-INSERT INTO users (id, email, password_hash, full_name, user_type)
+INSERT INTO users (id, email, password_hash, full_name, user_type, email_verified_at)
 VALUES (
     'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
     'test@example.com',
     '$2b$10$rQZGJ4H.8RQX8p7JyNXGj.9XKvNkLQ.Kz6hJvKqZpXqJxJQG6Kq2e',
     'Test User',
-    'zzp'
+    'zzp',
+    NOW()
 ) ON CONFLICT (email) DO NOTHING;
 
 -- Test company user (password: 'company123' - bcrypt hashed)
-INSERT INTO users (id, email, password_hash, full_name, user_type)
+INSERT INTO users (id, email, password_hash, full_name, user_type, email_verified_at)
 VALUES (
     'b2c3d4e5-f6a7-8901-bcde-f23456789012',
     'company@example.com',
     '$2b$10$rQZGJ4H.8RQX8p7JyNXGj.9XKvNkLQ.Kz6hJvKqZpXqJxJQG6Kq2e',
     'Company Admin',
-    'company'
+    'company',
+    NOW()
 ) ON CONFLICT (email) DO NOTHING;
 
 -- Test company
@@ -44,6 +46,14 @@ VALUES (
     'company@example.com'
 ) ON CONFLICT (id) DO NOTHING;
 
+-- Company user owns its company
+INSERT INTO company_members (company_id, user_id, role)
+VALUES (
+    'd2e3f4a5-b6c7-8901-def0-234567890123',
+    'b2c3d4e5-f6a7-8901-bcde-f23456789012',
+    'owner'
+) ON CONFLICT (company_id, user_id) DO NOTHING;
+
 -- Test ZZP user linked to the test company
 INSERT INTO zzp_users (id, user_id, company_id, full_name, email)
 VALUES (
@@ -70,3 +80,13 @@ VALUES
     ('z1z2z3z4-a5b6-7890-cdef-zzp123456789', CURRENT_DATE - INTERVAL '8 days', 'Software', 49.99, 'Software subscription'),
     ('z1z2z3z4-a5b6-7890-cdef-zzp123456789', CURRENT_DATE - INTERVAL '5 days', 'Reiskosten', 75.50, 'Travel to client'),
     ('z1z2z3z4-a5b6-7890-cdef-zzp123456789', CURRENT_DATE - INTERVAL '2 days', 'Telefoon', 25.00, 'Phone costs');
+
+-- Tariff catalogs
+INSERT INTO tariffs (company_id, code, label, unit, default_price)
+VALUES
+    ('c1d2e3f4-a5b6-7890-cdef-123456789abc', 'hour', 'Uur', 'uur', 75.00),
+    ('c1d2e3f4-a5b6-7890-cdef-123456789abc', 'stop', 'Stop', 'stop', 2.50),
+    ('c1d2e3f4-a5b6-7890-cdef-123456789abc', 'project', 'Project', 'project', NULL),
+    ('d2e3f4a5-b6c7-8901-def0-234567890123', 'hour', 'Uur', 'uur', 65.00),
+    ('d2e3f4a5-b6c7-8901-def0-234567890123', 'stop', 'Stop', 'stop', 2.50)
+ON CONFLICT (company_id, code) DO NOTHING;
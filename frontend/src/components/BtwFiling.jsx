@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { API_BASE_URL } from '../config/api';
+import { authFetch } from '../services/auth';
+import BtwRubrieken from './BtwRubrieken';
+
+/**
+ * Format a timestamp as Dutch date
+ * @param {string} value - ISO timestamp
+ * @returns {string} - Formatted date
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('nl-NL');
+}
+
+/**
+ * BTW Filing Component
+ * Shows whether the return of a period is filed, lets the user mark it as filed and,
+ * after corrections, shows and files the suppletie
+ * @param {Object} props - { filing, period: { scope, zzpId or companyId, period, year, value }, onChange }
+ */
+function BtwFiling({ filing, period, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [suppletie, setSuppletie] = useState(null);
+
+  /**
+   * Send a request and report failures
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @param {string} fallbackError - Message when the response has none
+   * @returns {Promise<Object|null>} - Response body or null on failure
+   */
+  async function send(url, options, fallbackError) {
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await authFetch(url, options);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || fallbackError);
+      }
+      return data;
+    } catch (err) {
+      console.error('Error in BTW filing:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  /**
+   * Mark the return of the period as filed
+   */
+  async function handleFile() {
+    const data = await send(`${API_BASE_URL}/api/btw/filings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(period)
+    }, 'Kan aangifte niet vastleggen');
+    if (data) onChange();
+  }
+
+  /**
+   * Load the difference with the filed figures
+   */
+  async function handleShowSuppletie() {
+    const data = await send(`${API_BASE_URL}/api/btw/filings/${filing.id}/suppletie`, {}, 'Kan suppletie niet berekenen');
+    if (data) setSuppletie(data);
+  }
+
+  /**
+   * Mark the suppletie as filed
+   */
+  async function handleFileSuppletie() {
+    const data = await send(`${API_BASE_URL}/api/btw/filings/${filing.id}/suppletie`, {
+      method: 'POST'
+    }, 'Kan suppletie niet vastleggen');
+    if (data) {
+      setSuppletie(null);
+      onChange();
+    }
+  }
+
+  return (
+    <div className="btw-filing">
+      {error && <div className="btw-error">{error}</div>}
+
+      {!filing && (
+        <div className="btw-filing-row">
+          <span>Deze aangifte is nog niet als ingediend gemarkeerd.</span>
+          <button type="button" className="btw-btn btw-btn-primary" onClick={handleFile} disabled={busy}>
+            Markeer als ingediend
+          </button>
+        </div>
+      )}
+
+      {filing && (
+        <div className="btw-filing-row">
+          <span>
+            Ingediend op {formatDate(filing.filed_at)}. Wijzigingen in deze periode worden als correctie geboekt.
+          </span>
+        </div>
+      )}
+
+      {filing?.corrected_at && (
+        <div className="btw-filing-row btw-filing-corrected">
+          <span>Gewijzigd na indiening op {formatDate(filing.corrected_at)}: dien een suppletie in.</span>
+          <button type="button" className="btw-btn btw-btn-secondary" onClick={handleShowSuppletie} disabled={busy}>
+            Suppletie berekenen
+          </button>
+        </div>
+      )}
+
+      {suppletie && (
+        <div className="btw-filing-suppletie">
+          <h3 className="btw-section-title">Suppletie: verschil met ingediende aangifte</h3>
+          <BtwRubrieken rubrieken={suppletie.delta} />
+          {suppletie.hasChanges ? (
+            <button type="button" className="btw-btn btw-btn-primary" onClick={handleFileSuppletie} disabled={busy}>
+              Markeer suppletie als ingediend
+            </button>
+          ) : (
+            <p>Geen verschil met de ingediende aangifte.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BtwFiling;
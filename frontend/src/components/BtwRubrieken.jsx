@@ -0,0 +1,103 @@
+import React from 'react';
+
+// Sections and rubrieken of the Belastingdienst BTW return
+const SECTIONS = [
+  {
+    title: '1. Prestaties binnenland',
+    rubrieken: [
+      { code: '1a', label: 'Leveringen/diensten belast met hoog tarief' },
+      { code: '1b', label: 'Leveringen/diensten belast met laag tarief' },
+      { code: '1c', label: 'Leveringen/diensten belast met overige tarieven, behalve 0%' },
+      { code: '1d', label: 'Privégebruik' },
+      { code: '1e', label: 'Leveringen/diensten belast met 0% of niet bij u belast' }
+    ]
+  },
+  {
+    title: '2. Verleggingsregelingen binnenland',
+    rubrieken: [
+      { code: '2a', label: 'Leveringen/diensten waarbij de heffing van omzetbelasting naar u is verlegd' }
+    ]
+  },
+  {
+    title: '3. Prestaties naar of in het buitenland',
+    rubrieken: [
+      { code: '3a', label: 'Leveringen naar landen buiten de EU (uitvoer)' },
+      { code: '3b', label: 'Leveringen naar of diensten in landen binnen de EU' },
+      { code: '3c', label: 'Installatie/afstandsverkopen binnen de EU' }
+    ]
+  },
+  {
+    title: '4. Prestaties vanuit het buitenland aan u verricht',
+    rubrieken: [
+      { code: '4a', label: 'Leveringen/diensten uit landen buiten de EU' },
+      { code: '4b', label: 'Leveringen/diensten uit landen binnen de EU' }
+    ]
+  },
+  {
+    title: '5. Voorbelasting en totaal',
+    rubrieken: [
+      { code: '5a', label: 'Verschuldigde omzetbelasting (rubrieken 1a t/m 4b)' },
+      { code: '5b', label: 'Voorbelasting' },
+      { code: '5c', label: 'Subtotaal (rubriek 5a min 5b)' },
+      { code: '5d', label: 'Vermindering volgens de kleineondernemersregeling' },
+      { code: '5e', label: 'Schatting vorige aangifte(n)' },
+      { code: '5f', label: 'Schatting deze aangifte' },
+      { code: '5g', label: 'Totaal te betalen of terug te vragen' }
+    ]
+  }
+];
+
+/**
+ * Format a whole euro amount as on the return
+ * @param {number} amount - Amount in euros
+ * @returns {string} - Formatted amount
+ */
+function formatEuro(amount) {
+  return new Intl.NumberFormat('nl-NL', {
+    style: 'currency',
+    currency: 'EUR',
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+/**
+ * BTW Rubrieken Component
+ * Renders all rubrieken of the BTW return as returned by GET /api/btw/aangifte
+ * @param {Object} props - { rubrieken }
+ */
+function BtwRubrieken({ rubrieken }) {
+  return (
+    <div className="btw-rubrieken">
+      {SECTIONS.map((section) => (
+        <table key={section.title} className="btw-rubrieken-table">
+          <thead>
+            <tr>
+              <th colSpan="2">{section.title}</th>
+              <th className="btw-rubriek-amount">Omzet</th>
+              <th className="btw-rubriek-amount">Omzetbelasting</th>
+            </tr>
+          </thead>
+          <tbody>
+            {section.rubrieken.map(({ code, label }) => {
+              const entry = rubrieken[code] || {};
+              return (
+                <tr key={code} className={code === '5g' ? 'btw-rubriek-total' : ''}>
+                  <td className="btw-rubriek-code">{code}</td>
+                  <td>{label}</td>
+                  <td className="btw-rubriek-amount">
+                    {entry.omzet !== undefined ? formatEuro(entry.omzet) : ''}
+                  </td>
+                  <td className="btw-rubriek-amount">
+                    {entry.btw !== undefined ? formatEuro(entry.btw) : ''}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ))}
+    </div>
+  );
+}
+
+export default BtwRubrieken;
@@ -18,9 +18,14 @@ function CompanyHeader() {
     <header className="header">
       <div className="header-container">
         <h1 className="header-title">Smart ZZP Hub</h1>
-        <button className="btn btn-secondary" onClick={handleLogout}>
-          Uitloggen
-        </button>
+        <div className="header-actions">
+          <a href="/security" className="btn btn-secondary">
+            Beveiliging
+          </a>
+          <button className="btn btn-secondary" onClick={handleLogout}>
+            Uitloggen
+          </button>
+        </div>
       </div>
     </header>
   );
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_BASE_URL } from '../config/api';
+import { authFetch } from '../services/auth';
+
+/**
+ * Format currency amount in Dutch format
+ * @param {number} amount - Amount to format
+ * @returns {string} - Formatted amount
+ */
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('nl-NL', {
+    style: 'currency',
+    currency: 'EUR'
+  }).format(amount);
+}
+
+/**
+ * Warning for the turnover against the KOR threshold
+ * @param {Object} kor - Response of GET /api/btw/kor
+ * @returns {string|null} - Warning text or null
+ */
+function getKorWarning(kor) {
+  if (kor.status === 'exceeded') {
+    return kor.vatRegime === 'kor'
+      ? 'De omzetgrens is overschreden: de KOR vervalt en u moet vanaf nu BTW berekenen. Zet uw BTW-regime op standaard.'
+      : 'De omzet ligt boven de KOR-grens; de KOR kan dit jaar niet worden toegepast.';
+  }
+  if (kor.status === 'approaching') {
+    return kor.vatRegime === 'kor'
+      ? `Let op: nog ${formatCurrency(kor.remaining)} tot de KOR-grens. Daarboven moet u BTW berekenen.`
+      : `De omzet nadert de KOR-grens (nog ${formatCurrency(kor.remaining)}).`;
+  }
+  return null;
+}
+
+/**
+ * KOR Monitor Component
+ * Shows the BTW regime of a ZZP user and the turnover of this year against the
+ * threshold of the kleineondernemersregeling, and lets the user switch regime
+ * @param {Object} props - { zzpId, onRegimeChange }
+ */
+function KorMonitor({ zzpId, onRegimeChange }) {
+  const [kor, setKor] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the KOR turnover of the current year
+   */
+  const fetchKor = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await authFetch(`${API_BASE_URL}/api/btw/kor?zzpId=${encodeURIComponent(zzpId)}`);
+      if (!response.ok) {
+        throw new Error('Kan KOR-gegevens niet laden');
+      }
+      setKor(await response.json());
+    } catch (err) {
+      console.error('Error fetching KOR status:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+    }
+  }, [zzpId]);
+
+  useEffect(() => {
+    if (zzpId) {
+      fetchKor();
+    }
+  }, [zzpId, fetchKor]);
+
+  /**
+   * Switch between the standard regime and the KOR
+   */
+  async function handleToggleRegime() {
+    const vatRegime = kor.vatRegime === 'kor' ? 'standard' : 'kor';
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await authFetch(`${API_BASE_URL}/api/zzp-users/${zzpId}/payment-settings`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ vatRegime })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan BTW-regime niet wijzigen');
+      }
+      await fetchKor();
+      if (onRegimeChange) onRegimeChange(vatRegime);
+    } catch (err) {
+      console.error('Error updating BTW regime:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!kor) {
+    return error ? <div className="btw-error">{error}</div> : null;
+  }
+
+  const warning = getKorWarning(kor);
+
+  return (
+    <div className="btw-kor">
+      <h2 className="btw-section-title">Kleineondernemersregeling (KOR)</h2>
+
+      {error && <div className="btw-error">{error}</div>}
+
+      <div className="btw-kor-row">
+        <span>
+          BTW-regime: <strong>{kor.vatRegime === 'kor' ? 'KOR (vrijgesteld van BTW)' : 'Standaard'}</strong>
+        </span>
+        <button type="button" className="btw-btn btw-btn-secondary" onClick={handleToggleRegime} disabled={busy}>
+          {kor.vatRegime === 'kor' ? 'Standaard regime gebruiken' : 'KOR gebruiken'}
+        </button>
+      </div>
+
+      <div className="btw-kor-row">
+        <span>Omzet {kor.year} tot nu toe</span>
+        <span>{formatCurrency(kor.turnover)} van {formatCurrency(kor.threshold)} ({kor.percentage}%)</span>
+      </div>
+
+      <div className="btw-kor-bar">
+        <div
+          className={`btw-kor-bar-fill btw-kor-${kor.status}`}
+          style={{ width: `${Math.min(100, kor.percentage)}%` }}
+        />
+      </div>
+
+      {warning && <div className={`btw-kor-warning btw-kor-${kor.status}`}>{warning}</div>}
+    </div>
+  );
+}
+
+export default KorMonitor;
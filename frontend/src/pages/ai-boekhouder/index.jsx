@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../config/api';
+import { authFetch } from '../../services/auth';
 import Header from '../../components/Header';
 import '../statements/styles.css';
 
@@ -53,7 +54,7 @@ function AIBoekhouderPage() {
       setError(null);
       setAnalysisResult(null);
 
-      const response = await fetch(`${API_BASE_URL}/api/ai/accountant`, {
+      const response = await authFetch(`${API_BASE_URL}/api/ai/accountant`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
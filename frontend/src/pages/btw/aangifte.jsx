@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../config/api';
+import { authFetch } from '../../services/auth';
 import Header from '../../components/Header';
+import BtwRubrieken from '../../components/BtwRubrieken';
+import BtwFiling from '../../components/BtwFiling';
 import './btw.css';
 
 /**
@@ -58,9 +61,9 @@ function BtwAangifteHulpPage() {
       setLoading(true);
       setError(null);
 
-      const url = `${API_BASE_URL}/api/btw/transactions?scope=zzp&zzpId=${encodeURIComponent(zzpId)}&period=quarter&year=${encodeURIComponent(year)}&value=${encodeURIComponent(quarter)}`;
+      const url = `${API_BASE_URL}/api/btw/aangifte?scope=zzp&zzpId=${encodeURIComponent(zzpId)}&period=quarter&year=${encodeURIComponent(year)}&value=${encodeURIComponent(quarter)}`;
       
-      const response = await fetch(url);
+      const response = await authFetch(url);
       
       if (!response.ok) {
         throw new Error('Kan BTW gegevens niet laden');
@@ -91,12 +94,6 @@ function BtwAangifteHulpPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [zzpId, year, quarter]);
 
-  // Calculate BTW amounts
-  const btwOverOmzet = btwData?.summary?.btwReceived || 0;
-  const voorbelasting = btwData?.summary?.btwPaid || 0;
-  const teBetalenBtw = Math.max(0, btwOverOmzet - voorbelasting);
-  const subtotal = btwData?.summary?.totalIncome || 0;
-
   // Render loading state
   if (!zzpId) {
     return (
@@ -170,27 +167,22 @@ function BtwAangifteHulpPage() {
           <div className="btw-aangifte-help">
             <h2 className="btw-section-title">Bedragen voor aangifte</h2>
             
-            <div className="btw-help-rows">
-              <div className="btw-help-row">
-                <span className="btw-help-label">Omzet exclusief BTW (21%):</span>
-                <span className="btw-help-value">{formatCurrency(subtotal)}</span>
-              </div>
-              
-              <div className="btw-help-row">
-                <span className="btw-help-label">BTW over omzet (21%):</span>
-                <span className="btw-help-value">{formatCurrency(btwOverOmzet)}</span>
-              </div>
-              
-              <div className="btw-help-row">
-                <span className="btw-help-label">Voorbelasting (BTW over kosten):</span>
-                <span className="btw-help-value">{formatCurrency(voorbelasting)}</span>
+            <BtwFiling
+              filing={btwData.filing}
+              period={{ scope: 'zzp', zzpId, period: 'quarter', year, value: quarter }}
+              onChange={fetchBtwData}
+            />
+
+            <BtwRubrieken rubrieken={btwData.rubrieken} />
+
+            {btwData.exempt > 0 && (
+              <div className="btw-help-rows">
+                <div className="btw-help-row">
+                  <span className="btw-help-label">Vrijgestelde omzet (niet aan te geven):</span>
+                  <span className="btw-help-value">{formatCurrency(btwData.exempt)}</span>
+                </div>
               </div>
-              
-              <div className="btw-help-row btw-help-total">
-                <span className="btw-help-label">Te betalen BTW:</span>
-                <span className="btw-help-value btw-help-amount">{formatCurrency(teBetalenBtw)}</span>
-              </div>
-            </div>
+            )}
 
             <div className="btw-help-info">
               <p>
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { API_BASE_URL } from '../../config/api';
-import { getUser, isAuthenticated } from '../../services/auth';
+import { getUser, isAuthenticated, authFetch } from '../../services/auth';
 import Header from '../../components/Header';
+import KorMonitor from '../../components/KorMonitor';
 import './btw.css';
 
 /**
@@ -89,7 +90,7 @@ function ZzpBtwPage() {
         url += `&value=${periodValue}`;
       }
 
-      const response = await fetch(url);
+      const response = await authFetch(url);
       if (!response.ok) {
         throw new Error('Kan BTW gegevens niet laden');
       }
@@ -312,6 +313,8 @@ function ZzpBtwPage() {
           </button>
         </div>
 
+        <KorMonitor zzpId={zzpId} onRegimeChange={fetchTransactions} />
+
         {isLoading ? (
           <div className="btw-loading">Laden...</div>
         ) : (
@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { API_BASE_URL } from '../../../config/api';
+import { authFetch } from '../../../services/auth';
 import CompanyHeader from '../../../components/CompanyHeader';
+import BtwRubrieken from '../../../components/BtwRubrieken';
+import BtwFiling from '../../../components/BtwFiling';
 import '../../btw/btw.css';
 
 /**
@@ -58,9 +61,9 @@ function CompanyBtwAangifteHulpPage() {
       setLoading(true);
       setError(null);
 
-      const url = `${API_BASE_URL}/api/btw/overview?companyId=${encodeURIComponent(companyId)}&period=quarter&year=${encodeURIComponent(year)}&value=${encodeURIComponent(quarter)}`;
+      const url = `${API_BASE_URL}/api/btw/aangifte?scope=company&companyId=${encodeURIComponent(companyId)}&period=quarter&year=${encodeURIComponent(year)}&value=${encodeURIComponent(quarter)}`;
       
-      const response = await fetch(url);
+      const response = await authFetch(url);
       
       if (!response.ok) {
         throw new Error('Kan BTW gegevens niet laden');
@@ -90,10 +93,6 @@ function CompanyBtwAangifteHulpPage() {
     }
   }, [companyId, fetchBtwData]);
 
-  // Calculate BTW amounts
-  const subtotal = btwData?.subtotal || 0;
-  const btw = btwData?.btw || 0;
-
   // Render loading state
   if (!companyId) {
     return (
@@ -167,22 +166,22 @@ function CompanyBtwAangifteHulpPage() {
           <div className="btw-aangifte-help">
             <h2 className="btw-section-title">Bedragen voor aangifte</h2>
             
-            <div className="btw-help-rows">
-              <div className="btw-help-row">
-                <span className="btw-help-label">Omzet exclusief BTW (21%):</span>
-                <span className="btw-help-value">{formatCurrency(subtotal)}</span>
-              </div>
-              
-              <div className="btw-help-row">
-                <span className="btw-help-label">BTW over omzet (21%):</span>
-                <span className="btw-help-value">{formatCurrency(btw)}</span>
+            <BtwFiling
+              filing={btwData.filing}
+              period={{ scope: 'company', companyId, period: 'quarter', year, value: quarter }}
+              onChange={fetchBtwData}
+            />
+
+            <BtwRubrieken rubrieken={btwData.rubrieken} />
+
+            {btwData.exempt > 0 && (
+              <div className="btw-help-rows">
+                <div className="btw-help-row">
+                  <span className="btw-help-label">Vrijgestelde omzet (niet aan te geven):</span>
+                  <span className="btw-help-value">{formatCurrency(btwData.exempt)}</span>
+                </div>
               </div>
-              
-              <div className="btw-help-row btw-help-total">
-                <span className="btw-help-label">Te betalen BTW:</span>
-                <span className="btw-help-value btw-help-amount">{formatCurrency(btw)}</span>
-              </div>
-            </div>
+            )}
 
             <div className="btw-help-info">
               <p>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { API_BASE_URL } from '../../../config/api';
-import { getUser, isAuthenticated } from '../../../services/auth';
+import { getUser, isAuthenticated, authFetch } from '../../../services/auth';
 import CompanyHeader from '../../../components/CompanyHeader';
 import '../../btw/btw.css';
 
@@ -28,7 +28,8 @@ function formatDate(dateStr) {
 
 /**
  * Company BTW Overview Page Component
- * Displays BTW calculation with period controls, transaction table, and chart
+ * Displays the BTW position of the company with period controls, transaction table, and chart.
+ * The invoices of its ZZP users are purchases (voorbelasting); own sales come from the BTW corrections.
  */
 function CompanyBtwPage() {
   // Period state
@@ -88,7 +89,7 @@ function CompanyBtwPage() {
         url += `&value=${periodValue}`;
       }
 
-      const response = await fetch(url);
+      const response = await authFetch(url);
       if (!response.ok) {
         throw new Error('Kan BTW gegevens niet laden');
       }
@@ -193,24 +194,29 @@ function CompanyBtwPage() {
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       
       if (!monthlyData[monthKey]) {
-        monthlyData[monthKey] = { received: 0 };
+        monthlyData[monthKey] = { received: 0, paid: 0 };
       }
       
-      monthlyData[monthKey].received += tx.btwAmount;
+      if (tx.type === 'income') {
+        monthlyData[monthKey].received += tx.btwAmount;
+      } else {
+        monthlyData[monthKey].paid += tx.btwAmount;
+      }
     });
     
     return Object.entries(monthlyData)
       .sort(([a], [b]) => a.localeCompare(b))
       .map(([month, data]) => ({
         month,
-        received: Math.round(data.received * 100) / 100
+        received: Math.round(data.received * 100) / 100,
+        paid: Math.round(data.paid * 100) / 100
       }));
   }, [transactions]);
 
   // Calculate max value for chart scaling
   const chartMax = useMemo(() => {
     if (chartData.length === 0) return 100;
-    const max = Math.max(...chartData.map(d => d.received));
+    const max = Math.max(...chartData.flatMap(d => [d.received, d.paid]));
     return Math.ceil(max / 100) * 100 || 100;
   }, [chartData]);
 
@@ -307,19 +313,33 @@ function CompanyBtwPage() {
             {/* Summary cards */}
             {summary && (
               <div className="btw-summary-grid">
+                <div className="btw-card btw-card-expense">
+                  <div className="btw-card-label">Inkoop van ZZP'ers</div>
+                  <div className="btw-card-value">{formatCurrency(summary.totalExpenses)}</div>
+                  <div className="btw-card-btw">Voorbelasting: {formatCurrency(summary.btwPaid)}</div>
+                </div>
                 <div className="btw-card btw-card-income">
-                  <div className="btw-card-label">Omzet</div>
+                  <div className="btw-card-label">Eigen omzet</div>
                   <div className="btw-card-value">{formatCurrency(summary.totalIncome)}</div>
-                  <div className="btw-card-btw">BTW te ontvangen: {formatCurrency(summary.btwReceived)}</div>
+                  <div className="btw-card-btw">BTW over omzet: {formatCurrency(summary.btwReceived)}</div>
                 </div>
                 <div className="btw-card btw-card-balance">
-                  <div className="btw-card-label">Totaal incl. BTW</div>
-                  <div className="btw-card-value">{formatCurrency(summary.totalIncome + summary.btwReceived)}</div>
-                  <div className="btw-card-btw">Af te dragen aan Belastingdienst</div>
+                  <div className="btw-card-label">BTW Balans</div>
+                  <div className="btw-card-value">{formatCurrency(summary.btwBalance)}</div>
+                  <div className="btw-card-btw">
+                    {summary.btwBalance >= 0 ? 'Af te dragen' : 'Terug te vorderen'}
+                  </div>
                 </div>
               </div>
             )}
 
+            <div className="btw-help-info">
+              <p>
+                De facturen van uw ZZP'ers zijn inkoop: de BTW daarop is voorbelasting. Eigen omzet telt
+                mee zodra die als BTW-correctie (rubriek 1a, 1b of 1e) is vastgelegd.
+              </p>
+            </div>
+
             {/* Chart */}
             {chartData.length > 0 && (
               <div className="btw-chart-container">
@@ -336,8 +356,13 @@ function CompanyBtwPage() {
                         <div className="btw-chart-bar-container">
                           <div
                             className="btw-chart-bar btw-chart-bar-received"
-                            style={{ height: `${(d.received / chartMax) * 100}%`, width: '80%' }}
-                            title={`BTW: ${formatCurrency(d.received)}`}
+                            style={{ height: `${(d.received / chartMax) * 100}%` }}
+                            title={`BTW over omzet: ${formatCurrency(d.received)}`}
+                          />
+                          <div
+                            className="btw-chart-bar btw-chart-bar-paid"
+                            style={{ height: `${(d.paid / chartMax) * 100}%` }}
+                            title={`Voorbelasting: ${formatCurrency(d.paid)}`}
                           />
                         </div>
                         <span className="btw-chart-label">{d.month}</span>
@@ -347,6 +372,7 @@ function CompanyBtwPage() {
                 </div>
                 <div className="btw-chart-legend">
                   <span className="btw-legend-item btw-legend-received">BTW over omzet</span>
+                  <span className="btw-legend-item btw-legend-paid">Voorbelasting</span>
                 </div>
               </div>
             )}
@@ -359,13 +385,21 @@ function CompanyBtwPage() {
                   {Object.entries(categoryTotals).map(([cat, totals]) => (
                     <div key={cat} className="btw-category-card">
                       <div className="btw-category-name">{cat}</div>
-                      <div className="btw-category-row">
-                        <span>Omzet:</span>
-                        <span className="btw-category-income">{formatCurrency(totals.income)}</span>
-                      </div>
+                      {totals.income !== 0 && (
+                        <div className="btw-category-row">
+                          <span>Omzet:</span>
+                          <span className="btw-category-income">{formatCurrency(totals.income)}</span>
+                        </div>
+                      )}
+                      {totals.expenses !== 0 && (
+                        <div className="btw-category-row">
+                          <span>Inkoop:</span>
+                          <span className="btw-category-expense">{formatCurrency(totals.expenses)}</span>
+                        </div>
+                      )}
                       <div className="btw-category-row btw-category-btw">
-                        <span>BTW:</span>
-                        <span>{formatCurrency(totals.btwReceived)}</span>
+                        <span>BTW balans:</span>
+                        <span>{formatCurrency(totals.btwReceived - totals.btwPaid)}</span>
                       </div>
                     </div>
                   ))}
@@ -398,14 +432,14 @@ function CompanyBtwPage() {
                         <th onClick={() => handleSort('date')} className="btw-th-sortable">
                           Datum {sortField === 'date' && (sortDirection === 'asc' ? '↑' : '↓')}
                         </th>
-                        <th onClick={() => handleSort('category')} className="btw-th-sortable">
-                          Type {sortField === 'category' && (sortDirection === 'asc' ? '↑' : '↓')}
+                        <th onClick={() => handleSort('type')} className="btw-th-sortable">
+                          Type {sortField === 'type' && (sortDirection === 'asc' ? '↑' : '↓')}
                         </th>
-                        <th onClick={() => handleSort('quantity')} className="btw-th-sortable btw-th-right">
-                          Aantal {sortField === 'quantity' && (sortDirection === 'asc' ? '↑' : '↓')}
+                        <th onClick={() => handleSort('description')} className="btw-th-sortable">
+                          Omschrijving {sortField === 'description' && (sortDirection === 'asc' ? '↑' : '↓')}
                         </th>
-                        <th onClick={() => handleSort('unitPrice')} className="btw-th-sortable btw-th-right">
-                          Tarief {sortField === 'unitPrice' && (sortDirection === 'asc' ? '↑' : '↓')}
+                        <th onClick={() => handleSort('category')} className="btw-th-sortable">
+                          Categorie {sortField === 'category' && (sortDirection === 'asc' ? '↑' : '↓')}
                         </th>
                         <th onClick={() => handleSort('amount')} className="btw-th-sortable btw-th-right">
                           Bedrag {sortField === 'amount' && (sortDirection === 'asc' ? '↑' : '↓')}
@@ -415,11 +449,15 @@ function CompanyBtwPage() {
                     </thead>
                     <tbody>
                       {filteredTransactions.map((tx) => (
-                        <tr key={`${tx.source}-${tx.id}`} className="btw-row-income">
+                        <tr key={`${tx.source}-${tx.id}`} className={`btw-row-${tx.type}`}>
                           <td>{formatDate(tx.date)}</td>
+                          <td>
+                            <span className={`btw-type-badge btw-type-${tx.type}`}>
+                              {tx.type === 'income' ? 'Omzet' : 'Inkoop'}
+                            </span>
+                          </td>
+                          <td>{tx.description}</td>
                           <td>{tx.category}</td>
-                          <td className="btw-td-amount">{tx.quantity}</td>
-                          <td className="btw-td-amount">{formatCurrency(tx.unitPrice)}</td>
                           <td className="btw-td-amount">{formatCurrency(tx.amount)}</td>
                           <td className="btw-td-amount">{formatCurrency(tx.btwAmount)}</td>
                         </tr>
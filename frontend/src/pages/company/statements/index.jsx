@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../../config/api';
-import { getUser, isAuthenticated } from '../../../services/auth';
+import { getUser, isAuthenticated, authFetch } from '../../../services/auth';
 import CompanyHeader from '../../../components/CompanyHeader';
 import '../../statements/styles.css';
 import '../worklogs/worklogs.css';
@@ -16,6 +16,19 @@ function getCurrentWeekNumber() {
   return Math.ceil((days + startOfYear.getDay() + 1) / 7);
 }
 
+// Statement period types
+const PERIOD_TYPE_OPTIONS = [
+  { value: 'week', label: 'Week' },
+  { value: 'four_week', label: '4 weken' },
+  { value: 'month', label: 'Maand' },
+  { value: 'custom', label: 'Eigen periode' }
+];
+
+const MONTH_NAMES = [
+  'Januari', 'Februari', 'Maart', 'April', 'Mei', 'Juni',
+  'Juli', 'Augustus', 'September', 'Oktober', 'November', 'December'
+];
+
 /**
  * Format currency amount in Dutch format
  * @param {number} amount - Amount to format
@@ -65,8 +78,13 @@ function getStatusClass(status) {
 function CompanyStatementsPage() {
   // Form state
   const [zzpId, setZzpId] = useState('');
+  const [periodType, setPeriodType] = useState('week');
   const [year, setYear] = useState(new Date().getFullYear());
   const [weekNumber, setWeekNumber] = useState(getCurrentWeekNumber());
+  const [periodNumber, setPeriodNumber] = useState(Math.min(Math.ceil(getCurrentWeekNumber() / 4), 13));
+  const [month, setMonth] = useState(new Date().getMonth() + 1);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
   
   // UI state
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -110,7 +128,7 @@ function CompanyStatementsPage() {
       try {
         setLoadingStatements(true);
 
-        const response = await fetch(
+        const response = await authFetch(
           `${API_BASE_URL}/api/statements?companyId=${companyId}`
         );
 
@@ -141,20 +159,46 @@ function CompanyStatementsPage() {
     setSuccess(null);
 
     // Basic validation
-    if (!year || year < 2020 || year > 2100) {
+    if (periodType === 'custom') {
+      if (!startDate || !endDate) {
+        setError('Vul een begin- en einddatum in');
+        return;
+      }
+      if (endDate < startDate) {
+        setError('Einddatum ligt voor de begindatum');
+        return;
+      }
+    } else if (!year || year < 2020 || year > 2100) {
       setError('Vul een geldig jaar in');
       return;
     }
 
-    if (!weekNumber || weekNumber < 1 || weekNumber > 53) {
+    if (periodType === 'week' && (!weekNumber || weekNumber < 1 || weekNumber > 53)) {
       setError('Vul een geldig weeknummer in (1-53)');
       return;
     }
 
+    if (periodType === 'four_week' && (!periodNumber || periodNumber < 1 || periodNumber > 13)) {
+      setError('Vul een geldig periodenummer in (1-13)');
+      return;
+    }
+
+    // Only send the fields of the chosen period type
+    const period = { periodType };
+    if (periodType === 'custom') {
+      period.startDate = startDate;
+      period.endDate = endDate;
+    } else {
+      period.year = parseInt(year);
+      if (periodType === 'week') period.weekNumber = parseInt(weekNumber);
+      if (periodType === 'four_week') period.periodNumber = parseInt(periodNumber);
+      if (periodType === 'month') period.month = parseInt(month);
+    }
+
     try {
       setIsSubmitting(true);
 
-      const response = await fetch(`${API_BASE_URL}/api/statements/generate`, {
+      const response = await authFetch(`${API_BASE_URL}/api/statements/generate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -162,23 +206,27 @@ function CompanyStatementsPage() {
         body: JSON.stringify({
           companyId,
           zzpId: zzpId.trim() || undefined, // Send undefined if empty (for all ZZP)
-          year: parseInt(year),
-          weekNumber: parseInt(weekNumber)
+          ...period
         })
       });
 
       if (!response.ok) {
-        throw new Error('Kan overzicht niet genereren');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan overzicht niet genereren');
       }
 
       const result = await response.json();
       
       // Show success message with total amount
       const totalAmount = formatCurrency(result.total_amount || 0);
-      setSuccess(`Overzicht succesvol gegenereerd! Totaalbedrag: ${totalAmount}`);
+      const skippedCount = result.skipped ? result.skipped.length : 0;
+      setSuccess(
+        `Overzicht succesvol gegenereerd! Totaalbedrag: ${totalAmount}` +
+        (skippedCount > 0 ? ` (${skippedCount} overzichten overgeslagen: goedgekeurd, gefactureerd of overlappend)` : '')
+      );
 
       // Refresh the statements list
-      const statementsResponse = await fetch(
+      const statementsResponse = await authFetch(
         `${API_BASE_URL}/api/statements?companyId=${companyId}`
       );
       
@@ -194,6 +242,45 @@ function CompanyStatementsPage() {
     }
   }
 
+  /**
+   * Change the status of a statement (approve, reopen)
+   * @param {Object} statement - Statement
+   * @param {string} status - New status
+   */
+  async function handleStatusChange(statement, status) {
+    setError(null);
+    setSuccess(null);
+
+    let comment;
+    if (status === 'open') {
+      comment = window.prompt('Reden voor heropenen:');
+      if (!comment) {
+        return;
+      }
+    }
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/statements/${statement.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ status, comment })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Kan status niet wijzigen');
+      }
+
+      setStatements(statements.map(s => (s.id === data.id ? { ...s, status: data.status } : s)));
+    } catch (err) {
+      console.error('Error changing statement status:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+    }
+  }
+
   // Wait for companyId to be set
   if (!companyId) {
     return (
@@ -211,7 +298,12 @@ function CompanyStatementsPage() {
     <div className="statements-page">
       <CompanyHeader />
       <div className="container">
-        <h1 className="page-title">Overzichten genereren</h1>
+        <div className="page-header">
+          <h1 className="page-title">Overzichten genereren</h1>
+          <a href="/invoices" className="btn btn-secondary">
+            Facturen
+          </a>
+        </div>
 
         {/* Error message */}
         {error && (
@@ -241,39 +333,127 @@ function CompanyStatementsPage() {
               />
             </div>
 
-            <div className="form-row">
-              <div className="form-group">
-                <label htmlFor="year" className="form-label">
-                  Jaar
-                </label>
-                <input
-                  type="number"
-                  id="year"
-                  className="form-input"
-                  value={year}
-                  onChange={(e) => setYear(e.target.value)}
-                  min="2020"
-                  max="2100"
-                  disabled={isSubmitting}
-                />
+            <div className="form-group">
+              <label htmlFor="periodType" className="form-label">
+                Periode
+              </label>
+              <select
+                id="periodType"
+                className="form-input"
+                value={periodType}
+                onChange={(e) => setPeriodType(e.target.value)}
+                disabled={isSubmitting}
+              >
+                {PERIOD_TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {periodType === 'custom' ? (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="startDate" className="form-label">
+                    Van
+                  </label>
+                  <input
+                    type="date"
+                    id="startDate"
+                    className="form-input"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="endDate" className="form-label">
+                    Tot en met
+                  </label>
+                  <input
+                    type="date"
+                    id="endDate"
+                    className="form-input"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    disabled={isSubmitting}
+                  />
+                </div>
               </div>
+            ) : (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="year" className="form-label">
+                    Jaar
+                  </label>
+                  <input
+                    type="number"
+                    id="year"
+                    className="form-input"
+                    value={year}
+                    onChange={(e) => setYear(e.target.value)}
+                    min="2020"
+                    max="2100"
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                {periodType === 'week' && (
+                  <div className="form-group">
+                    <label htmlFor="weekNumber" className="form-label">
+                      Weeknummer
+                    </label>
+                    <input
+                      type="number"
+                      id="weekNumber"
+                      className="form-input"
+                      value={weekNumber}
+                      onChange={(e) => setWeekNumber(e.target.value)}
+                      min="1"
+                      max="53"
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                )}
+
+                {periodType === 'four_week' && (
+                  <div className="form-group">
+                    <label htmlFor="periodNumber" className="form-label">
+                      Periodenummer
+                    </label>
+                    <input
+                      type="number"
+                      id="periodNumber"
+                      className="form-input"
+                      value={periodNumber}
+                      onChange={(e) => setPeriodNumber(e.target.value)}
+                      min="1"
+                      max="13"
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                )}
 
-              <div className="form-group">
-                <label htmlFor="weekNumber" className="form-label">
-                  Weeknummer
-                </label>
-                <input
-                  type="number"
-                  id="weekNumber"
-                  className="form-input"
-                  value={weekNumber}
-                  onChange={(e) => setWeekNumber(e.target.value)}
-                  min="1"
-                  max="53"
-                  disabled={isSubmitting}
-                />
+                {periodType === 'month' && (
+                  <div className="form-group">
+                    <label htmlFor="month" className="form-label">
+                      Maand
+                    </label>
+                    <select
+                      id="month"
+                      className="form-input"
+                      value={month}
+                      onChange={(e) => setMonth(e.target.value)}
+                      disabled={isSubmitting}
+                    >
+                      {MONTH_NAMES.map((name, index) => (
+                        <option key={name} value={index + 1}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
               </div>
-            </div>
+            )}
 
             <button
               type="submit"
@@ -299,10 +479,11 @@ function CompanyStatementsPage() {
             <table className="statements-table">
               <thead>
                 <tr>
-                  <th>Week</th>
+                  <th>Periode</th>
                   <th>ZZP</th>
                   <th>Bedrag</th>
                   <th>Status</th>
+                  <th>Actie</th>
                 </tr>
               </thead>
               <tbody>
@@ -310,7 +491,7 @@ function CompanyStatementsPage() {
                   <tr key={statement.id}>
                     <td>
                       <span className="week-label">
-                        Week {statement.week_number}, {statement.year}
+                        {statement.period_label}
                       </span>
                     </td>
                     <td>
@@ -326,6 +507,29 @@ function CompanyStatementsPage() {
                         {getStatusLabel(statement.status)}
                       </span>
                     </td>
+                    <td>
+                      {statement.status === 'open' && (
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => handleStatusChange(statement, 'approved')}
+                        >
+                          Goedkeuren
+                        </button>
+                      )}
+                      {statement.status === 'approved' && (
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleStatusChange(statement, 'open')}
+                        >
+                          Heropenen
+                        </button>
+                      )}
+                      {statement.status === 'invoiced' && (
+                        <a href="/invoices" className="btn btn-primary">
+                          Betaling registreren
+                        </a>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
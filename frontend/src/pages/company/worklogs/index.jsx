@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../../config/api';
-import { getUser, isAuthenticated } from '../../../services/auth';
+import { getUser, isAuthenticated, authFetch } from '../../../services/auth';
 import CompanyHeader from '../../../components/CompanyHeader';
 import '../../statements/styles.css';
 import './worklogs.css';
@@ -13,7 +13,7 @@ function WorklogsPage() {
   // Form state
   const [zzpId, setZzpId] = useState('');
   const [workDate, setWorkDate] = useState('');
-  const [tariffType, setTariffType] = useState('uur');
+  const [tariffType, setTariffType] = useState('');
   const [quantity, setQuantity] = useState('');
   const [unitPrice, setUnitPrice] = useState('');
   const [notes, setNotes] = useState('');
@@ -23,6 +23,7 @@ function WorklogsPage() {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [companyId, setCompanyId] = useState(null);
+  const [tariffs, setTariffs] = useState([]);
 
   // Check authentication on mount - redirect to login if not authenticated
   useEffect(() => {
@@ -46,13 +47,59 @@ function WorklogsPage() {
     }
   }, []);
 
+  /**
+   * Load the tariff catalog, with the prices of the selected ZZP user when the ID is complete
+   */
+  const trimmedZzpId = zzpId.trim();
+  const priceZzpId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(trimmedZzpId)
+    ? trimmedZzpId
+    : '';
+
+  useEffect(() => {
+    if (!companyId) {
+      return;
+    }
+
+    async function fetchTariffs() {
+      try {
+        const url = priceZzpId
+          ? `${API_BASE_URL}/api/tariffs?zzpId=${priceZzpId}`
+          : `${API_BASE_URL}/api/tariffs`;
+        const response = await authFetch(url);
+
+        if (!response.ok) {
+          throw new Error('Kan tarieven niet laden');
+        }
+
+        const data = await response.json();
+        setTariffs(data.items || []);
+      } catch (err) {
+        console.error('Error fetching tariffs:', err);
+        setError(err.message || 'Er is een fout opgetreden');
+      }
+    }
+
+    fetchTariffs();
+  }, [companyId, priceZzpId]);
+
+  /**
+   * Fill in the unit price of the selected tariff
+   * Reruns when the tariffs reload for another ZZP user.
+   */
+  useEffect(() => {
+    const tariff = tariffs.find(t => t.code === tariffType);
+    if (tariff && tariff.unit_price !== null) {
+      setUnitPrice(String(parseFloat(tariff.unit_price)));
+    }
+  }, [tariffs, tariffType]);
+
   /**
    * Reset the form to initial state
    */
   function resetForm() {
     setZzpId('');
     setWorkDate('');
-    setTariffType('uur');
+    setTariffType('');
     setQuantity('');
     setUnitPrice('');
     setNotes('');
@@ -78,6 +125,11 @@ function WorklogsPage() {
       return;
     }
 
+    if (!tariffType) {
+      setError('Kies een tarief');
+      return;
+    }
+
     if (!quantity || parseFloat(quantity) <= 0) {
       setError('Vul een geldig aantal in');
       return;
@@ -91,7 +143,7 @@ function WorklogsPage() {
     try {
       setIsSubmitting(true);
 
-      const response = await fetch(`${API_BASE_URL}/api/worklogs`, {
+      const response = await authFetch(`${API_BASE_URL}/api/worklogs`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -109,7 +161,8 @@ function WorklogsPage() {
       });
 
       if (!response.ok) {
-        throw new Error('Kan werkregistratie niet opslaan');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan werkregistratie niet opslaan');
       }
 
       setSuccess('Werkregistratie succesvol opgeslagen!');
@@ -185,7 +238,7 @@ function WorklogsPage() {
 
             <div className="form-group">
               <label htmlFor="tariffType" className="form-label">
-                Type
+                Tarief
               </label>
               <select
                 id="tariffType"
@@ -194,11 +247,12 @@ function WorklogsPage() {
                 onChange={(e) => setTariffType(e.target.value)}
                 disabled={isSubmitting}
               >
-                <option value="stop">Stop</option>
-                <option value="uur">Uur</option>
-                <option value="locatie">Locatie</option>
-                <option value="punt">Punt</option>
-                <option value="project">Project</option>
+                <option value="">Kies een tarief</option>
+                {tariffs.map(tariff => (
+                  <option key={tariff.id} value={tariff.code}>
+                    {tariff.label} (per {tariff.unit})
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../config/api';
+import { authFetch } from '../../services/auth';
 import Header from '../../components/Header';
 import './styles.css';
 
@@ -68,7 +69,7 @@ function DashboardPage() {
 
         // Fetch paid statements
         const statementsUrl = `${API_BASE_URL}/api/statements?zzpId=${zzpId}&status=paid`;
-        const statementsResponse = await fetch(statementsUrl);
+        const statementsResponse = await authFetch(statementsUrl);
 
         if (!statementsResponse.ok) {
           throw new Error('Kan betaalde overzichten niet laden');
@@ -79,7 +80,7 @@ function DashboardPage() {
 
         // Fetch expenses
         const expensesUrl = `${API_BASE_URL}/api/expenses?zzpId=${zzpId}`;
-        const expensesResponse = await fetch(expensesUrl);
+        const expensesResponse = await authFetch(expensesUrl);
 
         if (!expensesResponse.ok) {
           throw new Error('Kan uitgaven niet laden');
@@ -200,16 +201,14 @@ function DashboardPage() {
               <table className="dashboard-table">
                 <thead>
                   <tr>
-                    <th>Week</th>
-                    <th>Jaar</th>
+                    <th>Periode</th>
                     <th>Bedrag</th>
                   </tr>
                 </thead>
                 <tbody>
                   {recentPaidStatements.map((statement) => (
                     <tr key={statement.id}>
-                      <td>Week {statement.week_number}</td>
-                      <td>{statement.year}</td>
+                      <td>{statement.period_label}</td>
                       <td className="amount">{formatCurrency(statement.total_amount || 0)}</td>
                     </tr>
                   ))}
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { requestPasswordReset } from '../../services/auth';
+import '../statements/styles.css';
+import '../login/login.css';
+
+/**
+ * Forgot Password Page Component
+ * Requests a password reset link by email
+ */
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!email.trim()) {
+      setError('Vul uw e-mailadres in');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const data = await requestPasswordReset(email.trim());
+      setSuccess(data.message);
+    } catch (err) {
+      console.error('Password reset request error:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-card">
+          <h1 className="login-title">Smart ZZP Hub</h1>
+          <p className="login-subtitle">Wachtwoord vergeten</p>
+
+          {/* Error message */}
+          {error && (
+            <div className="error-message">{error}</div>
+          )}
+
+          {/* Success message */}
+          {success && (
+            <div className="success-message">{success}</div>
+          )}
+
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="email" className="form-label">
+                E-mail
+              </label>
+              <input
+                type="email"
+                id="email"
+                className="form-input"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="naam@voorbeeld.nl"
+                disabled={isSubmitting}
+                autoComplete="email"
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary login-button"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Bezig...' : 'Herstellink versturen'}
+            </button>
+          </form>
+
+          <div className="login-toggle">
+            <a href="/login" className="toggle-button">
+              Terug naar inloggen
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordPage;
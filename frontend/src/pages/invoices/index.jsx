@@ -0,0 +1,673 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE_URL } from '../../config/api';
+import { getUser, isAuthenticated, authFetch } from '../../services/auth';
+import { formatCurrency, formatDate } from '../../utils/format';
+import Header from '../../components/Header';
+import CompanyHeader from '../../components/CompanyHeader';
+import '../statements/styles.css';
+import './invoices.css';
+
+const PAGE_SIZE = 25;
+
+const PAYMENT_METHOD_OPTIONS = [
+  { value: 'bank_transfer', label: 'Overboeking' },
+  { value: 'ideal', label: 'iDEAL' },
+  { value: 'card', label: 'Pin/creditcard' },
+  { value: 'cash', label: 'Contant' },
+  { value: 'other', label: 'Anders' }
+];
+
+const REMINDER_LABELS = {
+  1: 'Herinnering',
+  2: 'Tweede herinnering',
+  3: 'Aanmaning'
+};
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Alle statussen' },
+  { value: 'open', label: 'Open' },
+  { value: 'partially_paid', label: 'Deels betaald' },
+  { value: 'paid', label: 'Betaald' },
+  { value: 'credited', label: 'Gecrediteerd' }
+];
+
+/**
+ * Get Dutch status label
+ * @param {string} status - Invoice status
+ * @returns {string} - Dutch label
+ */
+function getStatusLabel(status) {
+  const option = STATUS_OPTIONS.find(item => item.value === status);
+  return option ? option.label : status;
+}
+
+/**
+ * Get CSS class for status badge
+ * @param {string} status - Invoice status
+ * @returns {string} - CSS class name
+ */
+function getStatusClass(status) {
+  const statusClasses = {
+    'open': 'status-open',
+    'partially_paid': 'status-approved',
+    'paid': 'status-paid',
+    'credited': 'status-credited'
+  };
+  return statusClasses[status] || '';
+}
+
+/**
+ * Check whether an invoice is past its due date with an open balance
+ * @param {Object} invoice - Invoice from the list
+ * @returns {boolean}
+ */
+function isOverdue(invoice) {
+  const today = new Date().toISOString().split('T')[0];
+  return Number(invoice.open_balance) > 0 && invoice.due_date < today;
+}
+
+/**
+ * Invoices Page Component
+ * Searchable, sortable and paginated list of invoices with a detail view.
+ * Used by both ZZP users and companies; the API limits the list to the own invoices.
+ */
+function InvoicesPage() {
+  const [user, setUser] = useState(null);
+
+  // Filters and sorting
+  const [number, setNumber] = useState('');
+  const [status, setStatus] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [sortBy, setSortBy] = useState('invoiceDate');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [page, setPage] = useState(1);
+
+  // Data state
+  const [invoices, setInvoices] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedInvoice, setSelectedInvoice] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [aging, setAging] = useState(null);
+
+  // Payment form
+  const [paymentAmount, setPaymentAmount] = useState('');
+  const [paymentDate, setPaymentDate] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('bank_transfer');
+  const [paymentReference, setPaymentReference] = useState('');
+  const [savingPayment, setSavingPayment] = useState(false);
+
+  const isCompany = user?.userType === 'company';
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  // Check authentication on mount - redirect to login if not authenticated
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      if (!isAuthenticated()) {
+        window.location.href = '/login';
+        return;
+      }
+      setUser(getUser());
+    }
+  }, []);
+
+  // Fetch invoices when filters, sorting or page change
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    async function fetchInvoices() {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const params = new URLSearchParams({ sortBy, sortOrder, page, pageSize: PAGE_SIZE });
+        if (number.trim()) params.set('number', number.trim());
+        if (status) params.set('status', status);
+        if (startDate) params.set('startDate', startDate);
+        if (endDate) params.set('endDate', endDate);
+
+        const response = await authFetch(`${API_BASE_URL}/api/invoices?${params}`);
+
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Kan facturen niet laden');
+        }
+
+        const data = await response.json();
+        setInvoices(data.items || []);
+        setTotal(data.total || 0);
+      } catch (err) {
+        console.error('Error fetching invoices:', err);
+        setError(err.message || 'Er is een fout opgetreden');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchInvoices();
+  }, [user, number, status, startDate, endDate, sortBy, sortOrder, page, reloadKey]);
+
+  // Fetch the aging report; refreshed after a payment
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    async function fetchAging() {
+      try {
+        const response = await authFetch(`${API_BASE_URL}/api/invoices/aging`);
+        if (response.ok) {
+          setAging(await response.json());
+        }
+      } catch (err) {
+        // The list still works without the aging report
+        console.error('Error fetching aging report:', err);
+      }
+    }
+
+    fetchAging();
+  }, [user, reloadKey]);
+
+  /**
+   * Change a filter and go back to the first page
+   * @param {Function} setter - State setter of the filter
+   * @returns {Function} - Change handler
+   */
+  function handleFilterChange(setter) {
+    return (e) => {
+      setter(e.target.value);
+      setPage(1);
+    };
+  }
+
+  /**
+   * Sort on a column; clicking the current column flips the order
+   * @param {string} column - Sort column
+   */
+  function handleSort(column) {
+    if (sortBy === column) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(column);
+      setSortOrder(column === 'invoiceDate' || column === 'total' ? 'desc' : 'asc');
+    }
+    setPage(1);
+  }
+
+  /**
+   * Column header with sort indicator
+   * @param {string} column - Sort column
+   * @param {string} label - Header label
+   */
+  function renderSortHeader(column, label) {
+    const indicator = sortBy === column ? (sortOrder === 'asc' ? ' ▲' : ' ▼') : '';
+    return (
+      <th className="sortable" onClick={() => handleSort(column)}>
+        {label}{indicator}
+      </th>
+    );
+  }
+
+  /**
+   * Load the details of an invoice
+   * @param {string} invoiceId - Invoice ID
+   */
+  async function loadInvoice(invoiceId) {
+    const response = await authFetch(`${API_BASE_URL}/api/invoices/${invoiceId}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Kan factuur niet laden');
+    }
+
+    const invoice = await response.json();
+    setSelectedInvoice(invoice);
+    setPaymentAmount(Number(invoice.open_balance) > 0 ? String(invoice.open_balance) : '');
+  }
+
+  /**
+   * Show or hide the details of an invoice
+   * @param {string} invoiceId - Invoice ID
+   */
+  async function handleShowDetails(invoiceId) {
+    if (selectedInvoice?.id === invoiceId) {
+      setSelectedInvoice(null);
+      return;
+    }
+
+    try {
+      setError(null);
+      await loadInvoice(invoiceId);
+    } catch (err) {
+      console.error('Error fetching invoice:', err);
+      setError(err.message || 'Fout bij ophalen factuur');
+    }
+  }
+
+  /**
+   * Register a payment for the selected invoice
+   */
+  async function handleAddPayment() {
+    const amount = parseFloat(paymentAmount);
+    if (isNaN(amount) || amount <= 0) {
+      setError('Vul een bedrag groter dan 0 in');
+      return;
+    }
+
+    try {
+      setSavingPayment(true);
+      setError(null);
+
+      const response = await authFetch(`${API_BASE_URL}/api/invoices/${selectedInvoice.id}/payments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          amount,
+          paymentDate: paymentDate || undefined,
+          method: paymentMethod,
+          reference: paymentReference.trim() || null
+        })
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan betaling niet registreren');
+      }
+
+      setPaymentDate('');
+      setPaymentReference('');
+      await loadInvoice(selectedInvoice.id);
+      setReloadKey(reloadKey + 1);
+    } catch (err) {
+      console.error('Error registering payment:', err);
+      setError(err.message || 'Fout bij registreren betaling');
+    } finally {
+      setSavingPayment(false);
+    }
+  }
+
+  /**
+   * Download the stored PDF or the UBL e-invoice of an invoice or credit note
+   * @param {string} fileUrl - API path of the file
+   * @param {string} filename - Download name without extension
+   * @param {string} extension - "pdf" or "xml"
+   */
+  async function handleDownload(fileUrl, filename, extension = 'pdf') {
+    try {
+      setDownloading(fileUrl);
+      setError(null);
+
+      const response = await authFetch(`${API_BASE_URL}${fileUrl}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan bestand niet downloaden');
+      }
+
+      const downloadUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = `${filename.replace(/[^A-Za-z0-9-]/g, '')}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(downloadUrl);
+    } catch (err) {
+      console.error('Error downloading file:', err);
+      setError(err.message || 'Fout bij downloaden bestand');
+    } finally {
+      setDownloading(null);
+    }
+  }
+
+  const PageHeader = isCompany ? CompanyHeader : Header;
+
+  return (
+    <div className="statements-page">
+      <PageHeader />
+      <div className="container">
+        <div className="page-header">
+          <h1 className="page-title">Facturen</h1>
+          <a href={isCompany ? '/company/statements' : '/statements'} className="btn btn-secondary">
+            Overzichten
+          </a>
+        </div>
+
+        {/* Error notification */}
+        {error && (
+          <div className="error-message">{error}</div>
+        )}
+
+        {/* Aging report */}
+        {aging && aging.totalOpen > 0 && (
+          <div className="invoice-aging">
+            <div className="invoice-aging-bucket">
+              <span className="invoice-aging-label">Nog niet vervallen</span>
+              <span className="amount">{formatCurrency(aging.notDue.amount)}</span>
+              <span className="invoice-aging-count">{aging.notDue.count} facturen</span>
+            </div>
+            {aging.buckets.map((bucket) => (
+              <div
+                key={bucket.key}
+                className={`invoice-aging-bucket${bucket.amount > 0 ? ' invoice-aging-overdue' : ''}`}
+              >
+                <span className="invoice-aging-label">{bucket.label} te laat</span>
+                <span className="amount">{formatCurrency(bucket.amount)}</span>
+                <span className="invoice-aging-count">{bucket.count} facturen</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="invoice-filters">
+          <div className="invoice-filter">
+            <label htmlFor="number" className="invoice-filter-label">Factuurnummer</label>
+            <input
+              type="text"
+              id="number"
+              className="invoice-filter-input"
+              value={number}
+              onChange={handleFilterChange(setNumber)}
+              placeholder="Zoeken..."
+            />
+          </div>
+          <div className="invoice-filter">
+            <label htmlFor="status" className="invoice-filter-label">Status</label>
+            <select
+              id="status"
+              className="invoice-filter-input"
+              value={status}
+              onChange={handleFilterChange(setStatus)}
+            >
+              {STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="invoice-filter">
+            <label htmlFor="startDate" className="invoice-filter-label">Van</label>
+            <input
+              type="date"
+              id="startDate"
+              className="invoice-filter-input"
+              value={startDate}
+              onChange={handleFilterChange(setStartDate)}
+            />
+          </div>
+          <div className="invoice-filter">
+            <label htmlFor="endDate" className="invoice-filter-label">Tot en met</label>
+            <input
+              type="date"
+              id="endDate"
+              className="invoice-filter-input"
+              value={endDate}
+              onChange={handleFilterChange(setEndDate)}
+            />
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Laden...</div>
+        ) : invoices.length === 0 ? (
+          <div className="empty-state">
+            <p>Geen facturen gevonden.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="statements-table">
+              <thead>
+                <tr>
+                  {renderSortHeader('invoiceNumber', 'Factuurnummer')}
+                  {renderSortHeader('invoiceDate', 'Datum')}
+                  {renderSortHeader('dueDate', 'Vervaldatum')}
+                  {isCompany ? renderSortHeader('zzpName', 'ZZP') : <th>Opdrachtgever</th>}
+                  <th>Periode</th>
+                  {renderSortHeader('total', 'Totaal')}
+                  <th>Openstaand</th>
+                  {renderSortHeader('status', 'Status')}
+                  <th>Actie</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.map((invoice) => (
+                  <tr key={invoice.id}>
+                    <td><span className="invoice-number">{invoice.invoice_number}</span></td>
+                    <td>{formatDate(invoice.invoice_date)}</td>
+                    <td className={isOverdue(invoice) ? 'invoice-overdue' : ''}>{formatDate(invoice.due_date)}</td>
+                    <td>{isCompany ? invoice.zzp_name : invoice.company_name}</td>
+                    <td><span className="week-label">{invoice.period_label}</span></td>
+                    <td><span className="amount">{formatCurrency(invoice.total || 0)}</span></td>
+                    <td>{formatCurrency(invoice.open_balance || 0)}</td>
+                    <td>
+                      <span className={`status-badge ${getStatusClass(invoice.status)}`}>
+                        {getStatusLabel(invoice.status)}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleShowDetails(invoice.id)}
+                        >
+                          {selectedInvoice?.id === invoice.id ? 'Sluiten' : 'Details'}
+                        </button>
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => handleDownload(invoice.file_url, `factuur-${invoice.invoice_number}`)}
+                          disabled={downloading === invoice.file_url}
+                        >
+                          {downloading === invoice.file_url ? 'Bezig...' : 'PDF'}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleDownload(`/api/invoices/${invoice.id}/ubl`, `factuur-${invoice.invoice_number}`, 'xml')}
+                          disabled={downloading === `/api/invoices/${invoice.id}/ubl`}
+                          title="E-factuur (UBL)"
+                        >
+                          {downloading === `/api/invoices/${invoice.id}/ubl` ? 'Bezig...' : 'UBL'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {total > PAGE_SIZE && (
+          <div className="invoice-pagination">
+            <button
+              className="btn btn-secondary"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+            >
+              Vorige
+            </button>
+            <span>Pagina {page} van {totalPages} ({total} facturen)</span>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= totalPages}
+            >
+              Volgende
+            </button>
+          </div>
+        )}
+
+        {/* Invoice details */}
+        {selectedInvoice && (
+          <div className="invoice-detail">
+            <h2 className="invoice-detail-title">
+              Factuur {selectedInvoice.invoice_number} - {selectedInvoice.period_label}
+            </h2>
+
+            <div className="table-container">
+              <table className="statements-table">
+                <thead>
+                  <tr>
+                    <th>Datum</th>
+                    <th>Omschrijving</th>
+                    <th>Aantal</th>
+                    <th>Prijs</th>
+                    <th>Totaal</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedInvoice.lines.map((line) => (
+                    <tr key={line.id}>
+                      <td>{formatDate(line.work_date)}</td>
+                      <td>{line.tariff_label || line.tariff_type}{line.notes ? ` - ${line.notes}` : ''}</td>
+                      <td>{line.quantity}</td>
+                      <td>{formatCurrency(line.unit_price || 0)}</td>
+                      <td><span className="amount">{formatCurrency(line.line_total || 0)}</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="invoice-totals">
+              <div><span>Subtotaal:</span><span>{formatCurrency(selectedInvoice.subtotal || 0)}</span></div>
+              <div><span>BTW:</span><span>{formatCurrency(selectedInvoice.btw_amount || 0)}</span></div>
+              <div className="invoice-totals-total">
+                <span>Totaal:</span><span>{formatCurrency(selectedInvoice.total || 0)}</span>
+              </div>
+              {selectedInvoice.credit_notes.length > 0 && (
+                <div><span>Gecrediteerd:</span><span>{formatCurrency(selectedInvoice.credited_total || 0)}</span></div>
+              )}
+              <div><span>Betaald:</span><span>{formatCurrency(selectedInvoice.paid_total || 0)}</span></div>
+              <div className="invoice-totals-total">
+                <span>Openstaand:</span><span>{formatCurrency(selectedInvoice.open_balance || 0)}</span>
+              </div>
+            </div>
+
+            <div className="invoice-payments">
+              <h3 className="invoice-detail-subtitle">Betalingen</h3>
+              {selectedInvoice.payments.length === 0 ? (
+                <p className="invoice-empty">Nog geen betalingen.</p>
+              ) : (
+                selectedInvoice.payments.map((payment) => (
+                  <div key={payment.id} className="invoice-payment">
+                    <span>{formatDate(payment.payment_date)}</span>
+                    <span>
+                      {(PAYMENT_METHOD_OPTIONS.find(option => option.value === payment.method) || {}).label || payment.method}
+                    </span>
+                    <span>{payment.reference || '-'}</span>
+                    <span className="amount">{formatCurrency(payment.amount || 0)}</span>
+                  </div>
+                ))
+              )}
+
+              {Number(selectedInvoice.open_balance) > 0 && (
+                <div className="invoice-filters invoice-payment-form">
+                  <div className="invoice-filter">
+                    <label htmlFor="paymentAmount" className="invoice-filter-label">Bedrag (€)</label>
+                    <input
+                      type="number"
+                      id="paymentAmount"
+                      className="invoice-filter-input"
+                      value={paymentAmount}
+                      onChange={(e) => setPaymentAmount(e.target.value)}
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                  <div className="invoice-filter">
+                    <label htmlFor="paymentDate" className="invoice-filter-label">Datum</label>
+                    <input
+                      type="date"
+                      id="paymentDate"
+                      className="invoice-filter-input"
+                      value={paymentDate}
+                      onChange={(e) => setPaymentDate(e.target.value)}
+                    />
+                  </div>
+                  <div className="invoice-filter">
+                    <label htmlFor="paymentMethod" className="invoice-filter-label">Methode</label>
+                    <select
+                      id="paymentMethod"
+                      className="invoice-filter-input"
+                      value={paymentMethod}
+                      onChange={(e) => setPaymentMethod(e.target.value)}
+                    >
+                      {PAYMENT_METHOD_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="invoice-filter">
+                    <label htmlFor="paymentReference" className="invoice-filter-label">Referentie</label>
+                    <input
+                      type="text"
+                      id="paymentReference"
+                      className="invoice-filter-input"
+                      value={paymentReference}
+                      onChange={(e) => setPaymentReference(e.target.value)}
+                      placeholder="bijv. bankafschrift"
+                    />
+                  </div>
+                  <button
+                    className="btn btn-primary"
+                    onClick={handleAddPayment}
+                    disabled={savingPayment}
+                  >
+                    {savingPayment ? 'Bezig...' : 'Betaling registreren'}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {selectedInvoice.credit_notes.length > 0 && (
+              <div className="invoice-credit-notes">
+                <h3 className="invoice-detail-subtitle">Creditnota's</h3>
+                {selectedInvoice.credit_notes.map((creditNote) => (
+                  <div key={creditNote.id} className="invoice-credit-note">
+                    <span>{creditNote.credit_note_number}</span>
+                    <span>{formatDate(creditNote.issue_date)}</span>
+                    <span>{creditNote.reason}</span>
+                    <span className="amount">{formatCurrency(creditNote.total || 0)}</span>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleDownload(creditNote.file_url, `creditnota-${creditNote.credit_note_number}`)}
+                      disabled={downloading === creditNote.file_url}
+                    >
+                      PDF
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {selectedInvoice.reminders.length > 0 && (
+              <div className="invoice-reminders">
+                <h3 className="invoice-detail-subtitle">Herinneringen</h3>
+                {selectedInvoice.reminders.map((reminder) => (
+                  <div key={reminder.id} className="invoice-payment">
+                    <span>{formatDate(reminder.reminder_date)}</span>
+                    <span>{REMINDER_LABELS[reminder.level]}</span>
+                    <span>
+                      {reminder.recipient}
+                      {Number(reminder.interest_amount) > 0 && ` (rente ${formatCurrency(reminder.interest_amount)})`}
+                    </span>
+                    <span className="amount">{formatCurrency(reminder.open_balance || 0)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default InvoicesPage;
@@ -1,5 +1,12 @@
 import React, { useState } from 'react';
-import { login, register, isAuthenticated, getUser } from '../../services/auth';
+import {
+  login,
+  completeTwoFactorLogin,
+  register,
+  resendVerification,
+  isAuthenticated,
+  getUser
+} from '../../services/auth';
 import '../statements/styles.css';
 import './login.css';
 
@@ -14,24 +21,46 @@ function LoginPage() {
   const [fullName, setFullName] = useState('');
   const [userType, setUserType] = useState('zzp');
   const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isRegisterMode, setIsRegisterMode] = useState(false);
+  const [inviteToken, setInviteToken] = useState(null);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  // Second login step for accounts with 2FA
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   // Check if already logged in
   React.useEffect(() => {
+    // Invite links open the register form for a company account
+    const invite = new URLSearchParams(window.location.search).get('invite');
+    if (invite) {
+      setInviteToken(invite);
+      setUserType('company');
+      setIsRegisterMode(true);
+    }
+
     if (isAuthenticated()) {
       const user = getUser();
       if (user) {
-        // Redirect based on user type
-        if (user.userType === 'zzp') {
-          window.location.href = '/statements';
-        } else {
-          window.location.href = '/company/worklogs';
-        }
+        redirectUser(user);
       }
     }
   }, []);
 
+  /**
+   * Redirect based on user type
+   * @param {Object} user - Logged in user
+   */
+  function redirectUser(user) {
+    if (user.userType === 'zzp') {
+      window.location.href = '/statements';
+    } else {
+      window.location.href = '/company/worklogs';
+    }
+  }
+
   /**
    * Handle form submission
    * @param {Event} e - Form submit event
@@ -39,6 +68,8 @@ function LoginPage() {
   async function handleSubmit(e) {
     e.preventDefault();
     setError(null);
+    setSuccess(null);
+    setNeedsVerification(false);
 
     // Basic validation
     if (!email.trim()) {
@@ -59,22 +90,77 @@ function LoginPage() {
     try {
       setIsSubmitting(true);
 
-      let user;
       if (isRegisterMode) {
-        user = await register(email, password, fullName, userType);
-      } else {
-        user = await login(email, password);
+        await register(email, password, fullName, userType, inviteToken);
+        setSuccess('Account aangemaakt. Bevestig uw e-mailadres via de link in uw inbox en log daarna in.');
+        setIsRegisterMode(false);
+        setPassword('');
+        return;
       }
 
-      // Redirect based on user type
-      if (user.userType === 'zzp') {
-        window.location.href = '/statements';
-      } else {
-        window.location.href = '/company/worklogs';
+      const result = await login(email, password);
+
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setPassword('');
+        return;
       }
+
+      redirectUser(result);
     } catch (err) {
       console.error('Auth error:', err);
       setError(err.message || 'Er is een fout opgetreden');
+      setNeedsVerification(err.message === 'Bevestig eerst uw e-mailadres');
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  /**
+   * Handle the 2FA code form
+   * @param {Event} e - Form submit event
+   */
+  async function handleTwoFactorSubmit(e) {
+    e.preventDefault();
+    setError(null);
+
+    if (!twoFactorCode.trim()) {
+      setError(useRecoveryCode ? 'Vul een herstelcode in' : 'Vul de code uit uw authenticator-app in');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const credentials = useRecoveryCode
+        ? { recoveryCode: twoFactorCode.trim() }
+        : { code: twoFactorCode.trim() };
+      const user = await completeTwoFactorLogin(challengeToken, credentials);
+      redirectUser(user);
+    } catch (err) {
+      console.error('Two-factor error:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+      // An expired challenge means starting over with the password
+      if (err.message === 'Ongeldige of verlopen aanmelding') {
+        setChallengeToken(null);
+        setTwoFactorCode('');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  /**
+   * Send a new verification link to the entered address
+   */
+  async function handleResendVerification() {
+    setError(null);
+    try {
+      setIsSubmitting(true);
+      const data = await resendVerification(email);
+      setSuccess(data.message);
+      setNeedsVerification(false);
+    } catch (err) {
+      setError(err.message || 'Er is een fout opgetreden');
     } finally {
       setIsSubmitting(false);
     }
@@ -86,6 +172,68 @@ function LoginPage() {
   function toggleMode() {
     setIsRegisterMode(!isRegisterMode);
     setError(null);
+    setSuccess(null);
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="login-page">
+        <div className="login-container">
+          <div className="login-card">
+            <h1 className="login-title">Smart ZZP Hub</h1>
+            <p className="login-subtitle">Tweestapsverificatie</p>
+
+            {/* Error message */}
+            {error && (
+              <div className="error-message">{error}</div>
+            )}
+
+            <form onSubmit={handleTwoFactorSubmit} className="login-form">
+              <div className="form-group">
+                <label htmlFor="twoFactorCode" className="form-label">
+                  {useRecoveryCode ? 'Herstelcode' : 'Code uit authenticator-app'}
+                </label>
+                <input
+                  type="text"
+                  id="twoFactorCode"
+                  className="form-input"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  disabled={isSubmitting}
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoFocus
+                />
+              </div>
+
+              <button
+                type="submit"
+                className="btn btn-primary login-button"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Bezig...' : 'Verifiëren'}
+              </button>
+            </form>
+
+            <div className="login-toggle">
+              <button
+                type="button"
+                className="toggle-button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                  setError(null);
+                }}
+                disabled={isSubmitting}
+              >
+                {useRecoveryCode ? 'Code uit authenticator-app gebruiken' : 'Herstelcode gebruiken'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
   }
 
   return (
@@ -99,7 +247,24 @@ function LoginPage() {
 
           {/* Error message */}
           {error && (
-            <div className="error-message">{error}</div>
+            <div className="error-message">
+              {error}
+              {needsVerification && (
+                <button
+                  type="button"
+                  className="toggle-button"
+                  onClick={handleResendVerification}
+                  disabled={isSubmitting}
+                >
+                  Nieuwe bevestigingslink versturen
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Success message */}
+          {success && (
+            <div className="success-message">{success}</div>
           )}
 
           <form onSubmit={handleSubmit} className="login-form">
@@ -121,33 +286,35 @@ function LoginPage() {
                   />
                 </div>
 
-                <div className="form-group">
-                  <label className="form-label">Type account</label>
-                  <div className="user-type-selector">
-                    <label className="user-type-option">
-                      <input
-                        type="radio"
-                        name="userType"
-                        value="zzp"
-                        checked={userType === 'zzp'}
-                        onChange={(e) => setUserType(e.target.value)}
-                        disabled={isSubmitting}
-                      />
-                      <span>ZZP'er</span>
-                    </label>
-                    <label className="user-type-option">
-                      <input
-                        type="radio"
-                        name="userType"
-                        value="company"
-                        checked={userType === 'company'}
-                        onChange={(e) => setUserType(e.target.value)}
-                        disabled={isSubmitting}
-                      />
-                      <span>Bedrijf</span>
-                    </label>
+                {!inviteToken && (
+                  <div className="form-group">
+                    <label className="form-label">Type account</label>
+                    <div className="user-type-selector">
+                      <label className="user-type-option">
+                        <input
+                          type="radio"
+                          name="userType"
+                          value="zzp"
+                          checked={userType === 'zzp'}
+                          onChange={(e) => setUserType(e.target.value)}
+                          disabled={isSubmitting}
+                        />
+                        <span>ZZP'er</span>
+                      </label>
+                      <label className="user-type-option">
+                        <input
+                          type="radio"
+                          name="userType"
+                          value="company"
+                          checked={userType === 'company'}
+                          onChange={(e) => setUserType(e.target.value)}
+                          disabled={isSubmitting}
+                        />
+                        <span>Bedrijf</span>
+                      </label>
+                    </div>
                   </div>
-                </div>
+                )}
               </>
             )}
 
@@ -192,6 +359,14 @@ function LoginPage() {
             </button>
           </form>
 
+          {!isRegisterMode && (
+            <div className="login-toggle">
+              <a href="/forgot-password" className="toggle-button">
+                Wachtwoord vergeten?
+              </a>
+            </div>
+          )}
+
           <div className="login-toggle">
             <button
               type="button"
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { resetPassword } from '../../services/auth';
+import '../statements/styles.css';
+import '../login/login.css';
+
+/**
+ * Reset Password Page Component
+ * Sets a new password with the token from the reset email
+ */
+function ResetPasswordPage() {
+  const [token, setToken] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Read token from the link
+  useEffect(() => {
+    const linkToken = new URLSearchParams(window.location.search).get('token');
+    if (linkToken) {
+      setToken(linkToken);
+    } else {
+      setError('Ongeldige of verlopen link');
+    }
+  }, []);
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError(null);
+
+    if (!password.trim()) {
+      setError('Vul een nieuw wachtwoord in');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Wachtwoorden komen niet overeen');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      await resetPassword(token, password);
+      setSuccess('Uw wachtwoord is gewijzigd. U kunt nu inloggen.');
+      setPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      console.error('Password reset error:', err);
+      setError(err.message || 'Er is een fout opgetreden');
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-card">
+          <h1 className="login-title">Smart ZZP Hub</h1>
+          <p className="login-subtitle">Nieuw wachtwoord instellen</p>
+
+          {/* Error message */}
+          {error && (
+            <div className="error-message">{error}</div>
+          )}
+
+          {/* Success message */}
+          {success && (
+            <div className="success-message">{success}</div>
+          )}
+
+          {token && !success && (
+            <form onSubmit={handleSubmit} className="login-form">
+              <div className="form-group">
+                <label htmlFor="password" className="form-label">
+                  Nieuw wachtwoord
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  className="form-input"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="••••••••"
+                  disabled={isSubmitting}
+                  autoComplete="new-password"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword" className="form-label">
+                  Herhaal wachtwoord
+                </label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  className="form-input"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="••••••••"
+                  disabled={isSubmitting}
+                  autoComplete="new-password"
+                />
+              </div>
+
+              <button
+                type="submit"
+                className="btn btn-primary login-button"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Bezig...' : 'Wachtwoord opslaan'}
+              </button>
+            </form>
+          )}
+
+          <div className="login-toggle">
+            <a href="/login" className="toggle-button">
+              Naar inloggen
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPasswordPage;
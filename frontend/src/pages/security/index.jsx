@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE_URL } from '../../config/api';
+import { getUser, isAuthenticated, authFetch } from '../../services/auth';
+import Header from '../../components/Header';
+import '../statements/styles.css';
+import '../login/login.css';
+
+/**
+ * Send a JSON request and return the parsed response
+ * @param {string} path - API path
+ * @param {Object} options - { method, body }
+ * @returns {Promise<Object>} - Response data
+ */
+async function requestJson(path, { method = 'GET', body } = {}) {
+  const response = await authFetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Er is een fout opgetreden');
+  }
+
+  return data;
+}
+
+/**
+ * Security Settings Page Component
+ * Set up or turn off two-factor authentication (TOTP);
+ * company owners can require 2FA for all members.
+ */
+function SecurityPage() {
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [company, setCompany] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Check authentication on mount - redirect to login if not authenticated
+  useEffect(() => {
+    if (!isAuthenticated()) {
+      window.location.href = '/login';
+      return;
+    }
+    setUser(getUser());
+  }, []);
+
+  /**
+   * Load 2FA status (and the company policy for owners)
+   */
+  async function loadStatus(currentUser) {
+    try {
+      setLoading(true);
+      setStatus(await requestJson('/api/auth/2fa'));
+
+      if (currentUser.userType === 'company' && currentUser.role === 'owner') {
+        setCompany(await requestJson(`/api/companies/${currentUser.profileId}`));
+      }
+    } catch (err) {
+      console.error('Error loading security settings:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (user) {
+      loadStatus(user);
+    }
+  }, [user]);
+
+  /**
+   * Run an action with shared submit/error handling
+   * @param {Function} action - Async action
+   */
+  async function runAction(action) {
+    setError(null);
+    setSuccess(null);
+    try {
+      setIsSubmitting(true);
+      await action();
+    } catch (err) {
+      console.error('Security action error:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleStartSetup() {
+    runAction(async () => {
+      setRecoveryCodes(null);
+      setSetup(await requestJson('/api/auth/2fa/setup', { method: 'POST' }));
+    });
+  }
+
+  function handleEnable(e) {
+    e.preventDefault();
+    runAction(async () => {
+      const data = await requestJson('/api/auth/2fa/enable', { method: 'POST', body: { code } });
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      setSuccess('Tweestapsverificatie is ingeschakeld');
+      await loadStatus(user);
+    });
+  }
+
+  function handleRegenerate() {
+    runAction(async () => {
+      const data = await requestJson('/api/auth/2fa/recovery-codes', { method: 'POST', body: { code } });
+      setRecoveryCodes(data.recoveryCodes);
+      setCode('');
+      await loadStatus(user);
+    });
+  }
+
+  function handleDisable() {
+    runAction(async () => {
+      await requestJson('/api/auth/2fa/disable', { method: 'POST', body: { password, code } });
+      setRecoveryCodes(null);
+      setCode('');
+      setPassword('');
+      setSuccess('Tweestapsverificatie is uitgeschakeld');
+      await loadStatus(user);
+    });
+  }
+
+  function handleToggleRequirement() {
+    runAction(async () => {
+      const data = await requestJson(`/api/companies/${company.id}/security`, {
+        method: 'PUT',
+        body: { require2fa: !company.require_2fa }
+      });
+      setCompany({ ...company, require_2fa: data.require_2fa });
+    });
+  }
+
+  if (loading) {
+    return (
+      <div className="statements-page">
+        <Header />
+        <div className="container">
+          <h1 className="page-title">Beveiliging</h1>
+          <div className="loading">Laden...</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="statements-page">
+      <Header />
+      <div className="container">
+        <h1 className="page-title">Beveiliging</h1>
+
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+
+        {status && status.required && !status.enabled && (
+          <div className="error-message">
+            Uw bedrijf vereist tweestapsverificatie. Stel deze in om verder te werken.
+          </div>
+        )}
+
+        <div className="login-form">
+          <h2>Tweestapsverificatie</h2>
+
+          {status && !status.enabled && !setup && (
+            <>
+              <p>Tweestapsverificatie is uitgeschakeld.</p>
+              <button className="btn btn-primary" onClick={handleStartSetup} disabled={isSubmitting}>
+                Instellen
+              </button>
+            </>
+          )}
+
+          {setup && (
+            <form onSubmit={handleEnable}>
+              <p>
+                Voeg uw account toe in een authenticator-app via{' '}
+                <a href={setup.otpauthUri}>deze link</a> of voer de sleutel handmatig in:
+              </p>
+              <p><code>{setup.secret}</code></p>
+              <div className="form-group">
+                <label htmlFor="enableCode" className="form-label">Code uit de app</label>
+                <input
+                  id="enableCode"
+                  className="form-input"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  disabled={isSubmitting}
+                />
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                Inschakelen
+              </button>
+            </form>
+          )}
+
+          {recoveryCodes && (
+            <div className="success-message">
+              <p>Bewaar deze herstelcodes op een veilige plek. Elke code werkt één keer en wordt niet opnieuw getoond.</p>
+              <ul>
+                {recoveryCodes.map(recoveryCode => (
+                  <li key={recoveryCode}><code>{recoveryCode}</code></li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {status && status.enabled && (
+            <>
+              <p>
+                Tweestapsverificatie is ingeschakeld. Resterende herstelcodes: {status.recoveryCodesRemaining}
+              </p>
+              <div className="form-group">
+                <label htmlFor="code" className="form-label">Code uit de app</label>
+                <input
+                  id="code"
+                  className="form-input"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  disabled={isSubmitting}
+                />
+              </div>
+              <button className="btn btn-secondary" onClick={handleRegenerate} disabled={isSubmitting}>
+                Nieuwe herstelcodes
+              </button>
+
+              {!status.required && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="password" className="form-label">Wachtwoord</label>
+                    <input
+                      type="password"
+                      id="password"
+                      className="form-input"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      autoComplete="current-password"
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  <button className="btn btn-secondary" onClick={handleDisable} disabled={isSubmitting}>
+                    Uitschakelen
+                  </button>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        {company && (
+          <div className="login-form">
+            <h2>Bedrijfsbeleid</h2>
+            <p>
+              {company.require_2fa
+                ? 'Tweestapsverificatie is verplicht voor alle medewerkers.'
+                : 'Tweestapsverificatie is optioneel voor medewerkers.'}
+            </p>
+            <button className="btn btn-primary" onClick={handleToggleRequirement} disabled={isSubmitting}>
+              {company.require_2fa ? 'Niet meer verplichten' : 'Verplichten voor alle medewerkers'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SecurityPage;
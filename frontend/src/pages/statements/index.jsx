@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../config/api';
-import { getUser, isAuthenticated } from '../../services/auth';
+import { getUser, isAuthenticated, authFetch } from '../../services/auth';
 import Header from '../../components/Header';
 import './styles.css';
 
@@ -16,6 +16,15 @@ function formatCurrency(amount) {
   }).format(amount);
 }
 
+// BTW codes of expenses (see backend utils/calc.js)
+const VAT_CODE_OPTIONS = [
+  { value: 'standard', label: '21%' },
+  { value: 'reduced', label: '9%' },
+  { value: 'zero', label: '0%' },
+  { value: 'exempt', label: 'Vrijgesteld' },
+  { value: 'reverse_charge', label: 'BTW verlegd' }
+];
+
 /**
  * Get Dutch status label
  * @param {string} status - Status value
@@ -67,8 +76,12 @@ function StatementsPage() {
   const [showExpenseForm, setShowExpenseForm] = useState(false);
   const [expenseCategory, setExpenseCategory] = useState('');
   const [expenseAmount, setExpenseAmount] = useState('');
+  const [expenseVatCode, setExpenseVatCode] = useState('standard');
+  const [expenseBtwAmount, setExpenseBtwAmount] = useState('');
+  const [expenseDeductiblePercent, setExpenseDeductiblePercent] = useState('100');
   const [expenseNotes, setExpenseNotes] = useState('');
   const [expenseDate, setExpenseDate] = useState('');
+  const [importingUbl, setImportingUbl] = useState(false);
 
   /**
    * Calculate BTW (VAT) totals from statements and expenses
@@ -82,9 +95,9 @@ function StatementsPage() {
       return sum + ((statement.total_amount || 0) * 0.21);
     }, 0);
 
-    // Calculate BTW over expenses (21% of expense amounts)
+    // Voorbelasting: the deductible BTW on the receipts
     const btwExpenses = expensesList.reduce((sum, expense) => {
-      return sum + ((expense.amount || 0) * 0.21);
+      return sum + (parseFloat(expense.deductible_btw_amount) || 0);
     }, 0);
 
     // BTW balance
@@ -105,17 +118,21 @@ function StatementsPage() {
       return;
     }
 
-    const amount = parseFloat(expenseAmount);
-    if (isNaN(amount) || amount <= 0) {
+    const grossAmount = parseFloat(expenseAmount);
+    if (isNaN(grossAmount) || grossAmount <= 0) {
       return;
     }
 
+    // Without a BTW amount the backend calculates it from the rate
+    const btwAmount = expenseBtwAmount === '' ? null : parseFloat(expenseBtwAmount);
+    const deductiblePercent = expenseDeductiblePercent === '' ? 100 : parseFloat(expenseDeductiblePercent);
+
     // Use current date if no date provided
     const dateToUse = expenseDate || new Date().toISOString().split('T')[0];
 
     try {
       // POST to API
-      const response = await fetch(`${API_BASE_URL}/api/expenses`, {
+      const response = await authFetch(`${API_BASE_URL}/api/expenses`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -124,13 +141,17 @@ function StatementsPage() {
           zzpId,
           expenseDate: dateToUse,
           category: expenseCategory.trim(),
-          amount: amount,
+          grossAmount,
+          btwAmount,
+          vatCode: expenseVatCode,
+          deductiblePercent,
           notes: expenseNotes.trim() || null
         })
       });
 
       if (!response.ok) {
-        throw new Error('Kan uitgave niet opslaan');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan uitgave niet opslaan');
       }
 
       const savedExpense = await response.json();
@@ -139,6 +160,9 @@ function StatementsPage() {
       // Reset form
       setExpenseCategory('');
       setExpenseAmount('');
+      setExpenseVatCode('standard');
+      setExpenseBtwAmount('');
+      setExpenseDeductiblePercent('100');
       setExpenseNotes('');
       setExpenseDate('');
       setShowExpenseForm(false);
@@ -148,13 +172,53 @@ function StatementsPage() {
     }
   }
 
+  /**
+   * Import a supplier invoice (UBL XML) as expenses, one per BTW rate
+   * @param {Event} event - Change event of the file input
+   */
+  async function handleImportUbl(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      setImportingUbl(true);
+      setError(null);
+
+      const response = await authFetch(
+        `${API_BASE_URL}/api/expenses/import/ubl?filename=${encodeURIComponent(file.name)}`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/xml'
+          },
+          body: await file.text()
+        }
+      );
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Kan factuur niet importeren');
+      }
+
+      setExpenses([...data.items, ...expenses]);
+    } catch (err) {
+      console.error('Error importing UBL invoice:', err);
+      setError(err.message || 'Fout bij importeren factuur');
+    } finally {
+      setImportingUbl(false);
+    }
+  }
+
   /**
    * Handle removing an expense
    * @param {string} expenseId - ID of expense to remove
    */
   async function handleRemoveExpense(expenseId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/expenses/${expenseId}`, {
+      const response = await authFetch(`${API_BASE_URL}/api/expenses/${expenseId}`, {
         method: 'DELETE'
       });
 
@@ -216,7 +280,7 @@ function StatementsPage() {
 
         const url = `${API_BASE_URL}/api/statements?zzpId=${zzpId}`;
 
-        const response = await fetch(url);
+        const response = await authFetch(url);
 
         if (!response.ok) {
           throw new Error('Kan overzichten niet laden');
@@ -226,8 +290,8 @@ function StatementsPage() {
         const fetchedStatements = data.items || [];
         setStatements(fetchedStatements);
         
-        // Fetch invoice information for each statement
-        await fetchInvoiceNumbers(fetchedStatements);
+        // Fetch invoice information for the statements
+        await fetchInvoiceNumbers();
       } catch (err) {
         console.error('Error fetching statements:', err);
         setError(err.message || 'Er is een fout opgetreden');
@@ -241,25 +305,35 @@ function StatementsPage() {
 
   /**
    * Fetch invoice numbers for statements
-   * @param {Array} statementsList - List of statements to fetch invoice info for
+   * Loads the own invoices page by page and maps them by statement
    */
-  async function fetchInvoiceNumbers(statementsList) {
+  async function fetchInvoiceNumbers() {
     const invoiceMap = {};
-    
-    // Fetch invoice info for each statement
-    for (const statement of statementsList) {
-      try {
-        const response = await fetch(`${API_BASE_URL}/api/invoices/by-statement/${statement.id}`);
-        if (response.ok) {
-          const invoiceData = await response.json();
-          invoiceMap[statement.id] = invoiceData;
+
+    try {
+      let page = 1;
+      let loaded = 0;
+      let total = 0;
+
+      do {
+        const response = await authFetch(`${API_BASE_URL}/api/invoices?page=${page}&pageSize=100`);
+        if (!response.ok) {
+          break;
         }
-      } catch (err) {
-        // Invoice doesn't exist for this statement yet - that's ok
-        console.debug(`No invoice found for statement ${statement.id}`);
-      }
+
+        const data = await response.json();
+        for (const invoice of data.items || []) {
+          invoiceMap[invoice.statement_id] = invoice;
+        }
+        loaded += (data.items || []).length;
+        total = data.total || 0;
+        page++;
+      } while (loaded < total);
+    } catch (err) {
+      // Statements without invoice info still show; the invoice column stays empty
+      console.error('Error fetching invoices:', err);
     }
-    
+
     setInvoiceNumbers(invoiceMap);
   }
 
@@ -275,7 +349,7 @@ function StatementsPage() {
     async function fetchExpenses() {
       try {
         const url = `${API_BASE_URL}/api/expenses?zzpId=${zzpId}`;
-        const response = await fetch(url);
+        const response = await authFetch(url);
 
         if (!response.ok) {
           throw new Error('Kan uitgaven niet laden');
@@ -302,7 +376,7 @@ function StatementsPage() {
       setError(null);
       setInvoiceDownload(null);
 
-      const response = await fetch(`${API_BASE_URL}/api/invoices/generate`, {
+      const response = await authFetch(`${API_BASE_URL}/api/invoices/generate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -311,7 +385,8 @@ function StatementsPage() {
       });
 
       if (!response.ok) {
-        throw new Error('Kan factuur niet genereren');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Kan factuur niet genereren');
       }
 
       const invoice = await response.json();
@@ -348,7 +423,7 @@ function StatementsPage() {
       });
 
       // Refresh statements to update status
-      const statementsResponse = await fetch(
+      const statementsResponse = await authFetch(
         `${API_BASE_URL}/api/statements?zzpId=${zzpId}`
       );
       
@@ -383,58 +458,73 @@ function StatementsPage() {
   }
 
   /**
-   * View/download existing invoice
-   * Note: Currently regenerates invoice since storage isn't implemented yet.
-   * In production, this would fetch a saved invoice from storage.
-   * @param {string} statementId - Statement ID
+   * Fetch the stored PDF of an invoice
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<Blob>} - PDF
    */
-  function handleViewInvoice(statementId) {
-    // TODO: Fetch saved invoice from storage when implemented
-    // For now, regenerate the invoice for viewing
-    handleGenerateInvoice(statementId);
+  async function fetchInvoicePdf(invoiceId) {
+    const response = await authFetch(`${API_BASE_URL}/api/invoices/${invoiceId}/pdf`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Kan factuur niet downloaden');
+    }
+
+    return response.blob();
   }
 
   /**
-   * Download invoice as PDF file
+   * View existing invoice: offer the stored PDF as download link
    * @param {string} statementId - Statement ID
-   * @param {number} weekNumber - Week number for filename
    */
-  async function handleDownloadInvoice(statementId, weekNumber) {
+  async function handleViewInvoice(statementId) {
+    const invoiceInfo = invoiceNumbers[statementId];
+
     try {
       setGeneratingInvoice(statementId);
       setError(null);
 
-      const response = await fetch(`${API_BASE_URL}/api/invoices/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ statementId })
-      });
+      const pdfBlob = await fetchInvoicePdf(invoiceInfo.id);
 
-      if (!response.ok) {
-        throw new Error('Kan factuur niet downloaden');
+      // Revoke previous download URL to prevent memory leak
+      if (invoiceDownload?.downloadUrl) {
+        URL.revokeObjectURL(invoiceDownload.downloadUrl);
       }
 
-      const invoice = await response.json();
+      setInvoiceDownload({
+        statementId,
+        invoiceNumber: invoiceInfo.invoice_number,
+        downloadUrl: URL.createObjectURL(pdfBlob),
+        isExisting: true
+      });
+    } catch (err) {
+      console.error('Error fetching invoice:', err);
+      setError(err.message || 'Fout bij ophalen factuur');
+    } finally {
+      setGeneratingInvoice(null);
+    }
+  }
 
-      // Validate PDF data before processing
-      if (!invoice.pdf || typeof invoice.pdf !== 'string') {
-        throw new Error('Ongeldige factuur data ontvangen');
-      }
+  /**
+   * Download invoice as PDF file
+   * @param {string} statementId - Statement ID
+   */
+  async function handleDownloadInvoice(statementId) {
+    const invoiceInfo = invoiceNumbers[statementId];
 
-      // Create blob from base64 PDF
-      const pdfBlob = base64ToBlob(invoice.pdf, 'application/pdf');
+    try {
+      setGeneratingInvoice(statementId);
+      setError(null);
+
+      const pdfBlob = await fetchInvoicePdf(invoiceInfo.id);
       
       // Create download link and trigger download
       const downloadUrl = URL.createObjectURL(pdfBlob);
       const link = document.createElement('a');
       link.href = downloadUrl;
-      // Validate week number (should be integer between 1-53)
-      const sanitizedWeekNumber = (Number.isInteger(weekNumber) && weekNumber >= 1 && weekNumber <= 53) 
-        ? weekNumber 
-        : 'unknown';
-      link.download = `factuur-week-${sanitizedWeekNumber}.pdf`;
+      // Name the file after the invoice number (works for every period type)
+      const sanitizedInvoiceNumber = String(invoiceInfo.invoice_number || '').replace(/[^A-Za-z0-9-]/g, '') || 'onbekend';
+      link.download = `factuur-${sanitizedInvoiceNumber}.pdf`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -481,9 +571,14 @@ function StatementsPage() {
       <div className="container">
         <div className="page-header">
           <h1 className="page-title">Overzichten</h1>
-          <a href="/dashboard" className="btn btn-primary">
-            Dashboard
-          </a>
+          <div className="action-buttons">
+            <a href="/invoices" className="btn btn-secondary">
+              Facturen
+            </a>
+            <a href="/dashboard" className="btn btn-primary">
+              Dashboard
+            </a>
+          </div>
         </div>
         
         {/* Error notification */}
@@ -494,7 +589,9 @@ function StatementsPage() {
         {/* Invoice download notification */}
         {invoiceDownload && (
           <div className="success-message">
-            <span>Factuur {invoiceDownload.invoiceNumber} gegenereerd!</span>
+            <span>
+              Factuur {invoiceDownload.invoiceNumber}{invoiceDownload.isExisting ? '' : ' gegenereerd!'}
+            </span>
             <a 
               href={invoiceDownload.downloadUrl}
               download={`${invoiceDownload.invoiceNumber}.pdf`}
@@ -554,6 +651,16 @@ function StatementsPage() {
           >
             {showExpenseForm ? 'Annuleren' : 'Uitgaven toevoegen'}
           </button>
+          <label className={`btn btn-secondary expense-import-btn${importingUbl ? ' disabled' : ''}`}>
+            {importingUbl ? 'Bezig met importeren...' : 'UBL-factuur importeren'}
+            <input
+              type="file"
+              accept=".xml,application/xml,text/xml"
+              onChange={handleImportUbl}
+              disabled={importingUbl}
+              hidden
+            />
+          </label>
 
           {/* Expense form */}
           {showExpenseForm && (
@@ -587,7 +694,7 @@ function StatementsPage() {
 
               <div className="expense-form-group">
                 <label htmlFor="expenseAmount" className="expense-label">
-                  Bedrag (€)
+                  Bedrag incl. BTW (€)
                 </label>
                 <input
                   type="number"
@@ -601,6 +708,54 @@ function StatementsPage() {
                 />
               </div>
 
+              <div className="expense-form-group">
+                <label htmlFor="expenseVatCode" className="expense-label">
+                  BTW-tarief
+                </label>
+                <select
+                  id="expenseVatCode"
+                  className="expense-input"
+                  value={expenseVatCode}
+                  onChange={(e) => setExpenseVatCode(e.target.value)}
+                >
+                  {VAT_CODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="expense-form-group">
+                <label htmlFor="expenseBtwAmount" className="expense-label">
+                  BTW-bedrag (€)
+                </label>
+                <input
+                  type="number"
+                  id="expenseBtwAmount"
+                  className="expense-input"
+                  value={expenseBtwAmount}
+                  onChange={(e) => setExpenseBtwAmount(e.target.value)}
+                  placeholder="Zoals op de bon; leeg = berekend"
+                  min="0"
+                  step="0.01"
+                />
+              </div>
+
+              <div className="expense-form-group">
+                <label htmlFor="expenseDeductiblePercent" className="expense-label">
+                  Aftrekbaar (%)
+                </label>
+                <input
+                  type="number"
+                  id="expenseDeductiblePercent"
+                  className="expense-input"
+                  value={expenseDeductiblePercent}
+                  onChange={(e) => setExpenseDeductiblePercent(e.target.value)}
+                  min="0"
+                  max="100"
+                  step="1"
+                />
+              </div>
+
               <div className="expense-form-group">
                 <label htmlFor="expenseNotes" className="expense-label">
                   Notities
@@ -636,7 +791,12 @@ function StatementsPage() {
                       {expense.expense_date ? new Date(expense.expense_date).toLocaleDateString('nl-NL') : ''}
                     </span>
                     <span className="expense-item-category">{expense.category}</span>
-                    <span className="expense-item-amount">{formatCurrency(expense.amount)}</span>
+                    <span className="expense-item-amount">
+                      {formatCurrency(expense.gross_amount ?? expense.amount)}
+                      {expense.btw_amount != null && (
+                        <span className="expense-item-btw"> (BTW {formatCurrency(expense.btw_amount)})</span>
+                      )}
+                    </span>
                   </div>
                   {expense.notes && (
                     <span className="expense-item-notes">{expense.notes}</span>
@@ -665,7 +825,7 @@ function StatementsPage() {
             <table className="statements-table">
               <thead>
                 <tr>
-                  <th>Week</th>
+                  <th>Periode</th>
                   <th>Bedrag</th>
                   <th>Status</th>
                   <th>Factuurnummer</th>
@@ -681,7 +841,7 @@ function StatementsPage() {
                     <tr key={statement.id}>
                       <td>
                         <span className="week-label">
-                          Week {statement.week_number}, {statement.year}
+                          {statement.period_label}
                         </span>
                       </td>
                       <td>
@@ -702,7 +862,7 @@ function StatementsPage() {
                         )}
                       </td>
                       <td>
-                        {!hasInvoice && statement.status === 'open' ? (
+                        {!hasInvoice && statement.status === 'approved' ? (
                           <button
                             className="btn btn-primary"
                             onClick={() => handleGenerateInvoice(statement.id)}
@@ -721,7 +881,7 @@ function StatementsPage() {
                             </button>
                             <button
                               className="btn btn-primary"
-                              onClick={() => handleDownloadInvoice(statement.id, statement.week_number)}
+                              onClick={() => handleDownloadInvoice(statement.id)}
                               disabled={generatingInvoice === statement.id}
                             >
                               Download PDF
@@ -738,20 +898,14 @@ function StatementsPage() {
                             </button>
                             <button
                               className="btn btn-primary"
-                              onClick={() => handleDownloadInvoice(statement.id, statement.week_number)}
+                              onClick={() => handleDownloadInvoice(statement.id)}
                               disabled={generatingInvoice === statement.id}
                             >
                               Download PDF
                             </button>
                           </div>
                         ) : (
-                          <button
-                            className="btn btn-secondary"
-                            onClick={() => handleViewInvoice(statement.id)}
-                            disabled={generatingInvoice === statement.id}
-                          >
-                            {generatingInvoice === statement.id ? 'Bezig...' : 'Bekijk'}
-                          </button>
+                          <span className="invoice-number-empty">Wacht op goedkeuring</span>
                         )}
                       </td>
                     </tr>
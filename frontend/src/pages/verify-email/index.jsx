@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { verifyEmail } from '../../services/auth';
+import '../statements/styles.css';
+import '../login/login.css';
+
+/**
+ * Verify Email Page Component
+ * Confirms the email address with the token from the verification email
+ */
+function VerifyEmailPage() {
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Confirm on mount with the token from the link
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+      setError('Ongeldige of verlopen link');
+      return;
+    }
+
+    verifyEmail(token)
+      .then(() => setSuccess('Uw e-mailadres is bevestigd. U kunt nu inloggen.'))
+      .catch((err) => {
+        console.error('Email verification error:', err);
+        setError(err.message || 'Er is een fout opgetreden');
+      });
+  }, []);
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-card">
+          <h1 className="login-title">Smart ZZP Hub</h1>
+          <p className="login-subtitle">E-mailadres bevestigen</p>
+
+          {!error && !success && (
+            <div className="loading">Bezig met bevestigen...</div>
+          )}
+
+          {/* Error message */}
+          {error && (
+            <div className="error-message">{error}</div>
+          )}
+
+          {/* Success message */}
+          {success && (
+            <div className="success-message">{success}</div>
+          )}
+
+          <div className="login-toggle">
+            <a href="/login" className="toggle-button">
+              Naar inloggen
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmailPage;
@@ -2,8 +2,12 @@ import { API_BASE_URL } from '../config/api';
 
 // Storage keys
 const TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'authRefreshToken';
 const USER_KEY = 'authUser';
 
+// Pending refresh request, shared by concurrent authFetch calls
+let refreshPromise = null;
+
 /**
  * Get stored authentication token
  * @returns {string|null} - JWT token or null
@@ -13,6 +17,15 @@ export function getToken() {
   return localStorage.getItem(TOKEN_KEY);
 }
 
+/**
+ * Get stored refresh token
+ * @returns {string|null} - Refresh token or null
+ */
+export function getRefreshToken() {
+  if (typeof window === 'undefined') return null;
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
 /**
  * Get stored user info
  * @returns {Object|null} - User object or null
@@ -32,10 +45,14 @@ export function getUser() {
  * Store authentication data
  * @param {string} token - JWT token
  * @param {Object} user - User object
+ * @param {string} refreshToken - Refresh token
  */
-export function setAuth(token, user) {
+export function setAuth(token, user, refreshToken) {
   localStorage.setItem(TOKEN_KEY, token);
   localStorage.setItem(USER_KEY, JSON.stringify(user));
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
   
   // Also set legacy keys for backward compatibility
   if (user.userType === 'zzp') {
@@ -50,6 +67,7 @@ export function setAuth(token, user) {
  */
 export function clearAuth() {
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
   localStorage.removeItem(USER_KEY);
   localStorage.removeItem('zzpId');
   localStorage.removeItem('companyId');
@@ -66,9 +84,11 @@ export function isAuthenticated() {
 
 /**
  * Login user
+ * Accounts with 2FA get { twoFactorRequired, challengeToken } instead of a session;
+ * finish those with completeTwoFactorLogin.
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Promise<Object>} - User data
+ * @returns {Promise<Object>} - User data or 2FA challenge
  */
 export async function login(email, password) {
   const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
@@ -85,25 +105,43 @@ export async function login(email, password) {
     throw new Error(data.error || 'Login mislukt');
   }
 
-  setAuth(data.token, data.user);
+  if (data.twoFactorRequired) {
+    return { twoFactorRequired: true, challengeToken: data.challengeToken };
+  }
+
+  setAuth(data.token, data.user, data.refreshToken);
+  return data.user;
+}
+
+/**
+ * Second login step for accounts with 2FA
+ * @param {string} challengeToken - Token from login()
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<Object>} - User data
+ */
+export async function completeTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+  const data = await postAuth('login/2fa', { challengeToken, code, recoveryCode }, 'Login mislukt');
+  setAuth(data.token, data.user, data.refreshToken);
   return data.user;
 }
 
 /**
  * Register new user
+ * The account must be confirmed through the emailed link before logging in.
  * @param {string} email - User email
  * @param {string} password - User password
  * @param {string} fullName - Full name
  * @param {string} userType - 'zzp' or 'company'
+ * @param {string} inviteToken - Optional company invite token
  * @returns {Promise<Object>} - User data
  */
-export async function register(email, password, fullName, userType) {
+export async function register(email, password, fullName, userType, inviteToken) {
   const response = await fetch(`${API_BASE_URL}/api/auth/register`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({ email, password, fullName, userType })
+    body: JSON.stringify({ email, password, fullName, userType, inviteToken })
   });
 
   const data = await response.json();
@@ -112,14 +150,141 @@ export async function register(email, password, fullName, userType) {
     throw new Error(data.error || 'Registratie mislukt');
   }
 
-  setAuth(data.token, data.user);
   return data.user;
 }
 
+/**
+ * POST a JSON body to a public auth endpoint
+ * @param {string} path - Endpoint path below /api/auth
+ * @param {Object} body - Request body
+ * @param {string} fallbackError - Error message when the server gives none
+ * @returns {Promise<Object>} - Response data
+ */
+async function postAuth(path, body, fallbackError) {
+  const response = await fetch(`${API_BASE_URL}/api/auth/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || fallbackError);
+  }
+
+  return data;
+}
+
+/**
+ * Confirm email address with the token from the verification email
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} - { message }
+ */
+export function verifyEmail(token) {
+  return postAuth('verify-email', { token }, 'Bevestigen mislukt');
+}
+
+/**
+ * Request a new verification email
+ * @param {string} email - User email
+ * @returns {Promise<Object>} - { message }
+ */
+export function resendVerification(email) {
+  return postAuth('resend-verification', { email }, 'Versturen mislukt');
+}
+
+/**
+ * Request a password reset email
+ * @param {string} email - User email
+ * @returns {Promise<Object>} - { message }
+ */
+export function requestPasswordReset(email) {
+  return postAuth('forgot-password', { email }, 'Versturen mislukt');
+}
+
+/**
+ * Set a new password with the token from the reset email
+ * @param {string} token - Reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} - { message }
+ */
+export function resetPassword(token, password) {
+  return postAuth('reset-password', { token, password }, 'Wachtwoord wijzigen mislukt');
+}
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * Concurrent callers share one request, since refresh tokens are single-use.
+ * @returns {Promise<boolean>} - True if the session was refreshed
+ */
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(false);
+
+  refreshPromise = (async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) return false;
+
+      const data = await response.json();
+      localStorage.setItem(TOKEN_KEY, data.token);
+      localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+      return true;
+    } catch {
+      return false;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+}
+
 /**
  * Logout user
+ * Revokes the session on the server, then clears local auth data
+ */
+export async function logout() {
+  const refreshToken = getRefreshToken();
+  if (refreshToken) {
+    try {
+      await fetch(`${API_BASE_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (err) {
+      console.error('Error revoking session:', err);
+    }
+  }
+  clearAuth();
+  window.location.href = '/login';
+}
+
+/**
+ * Logout user from all devices
+ * Revokes every session of the user on the server
  */
-export function logout() {
+export async function logoutAll() {
+  try {
+    await authFetch(`${API_BASE_URL}/api/auth/logout-all`, { method: 'POST' });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+  }
   clearAuth();
   window.location.href = '/login';
 }
@@ -143,14 +308,22 @@ export function getAuthHeaders() {
  * @returns {Promise<Response>}
  */
 export async function authFetch(url, options = {}) {
-  const headers = {
-    ...options.headers,
-    ...getAuthHeaders()
-  };
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...getAuthHeaders()
+    }
+  });
 
-  const response = await fetch(url, { ...options, headers });
+  let response = await send();
+
+  // Access token expired: refresh once and retry
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
 
-  // If unauthorized, redirect to login
+  // Still unauthorized, redirect to login
   if (response.status === 401) {
     clearAuth();
     window.location.href = '/login';
@@ -50,6 +50,14 @@ psql "$DB_URL" -f ../db/schema.sql
 echo ""
 echo "✓ Schema created successfully"
 
+echo ""
+echo "Running migrations..."
+for migration in $(ls ../db/migrations/*.sql | sort); do
+    echo "  → $(basename "$migration")"
+    psql "$DB_URL" -v ON_ERROR_STOP=1 -q -f "$migration"
+done
+echo "✓ Migrations applied successfully"
+
 # Check if seed data should be loaded
 if [ "$1" == "--seed" ]; then
     echo ""